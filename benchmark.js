@@ -0,0 +1,206 @@
+/**
+ * Measures how fast the mocked OData services answer typical requests to large generated data sets.
+ *
+ * Each data set size is measured in its own Node process, with the mockserver loaded like in server.js and
+ * the mock data generated from the metadata with ?mock-generate. Every request is sent once to warm up, so
+ * that indexes are built. Then it is sent repeatedly with a different query each time, i.e. another $skip or
+ * filter value, so that the result has to be computed, and repeatedly with the same query, so that the
+ * store's cached result is used. Computing a $filter with $count or an $orderby takes a scan of all
+ * entities, so that the computed time grows linearly with the data; only the cached time stays flat, i.e.
+ * when paging. The average times per request are printed in milliseconds, as
+ * "computed/cached".
+ *   npm run benchmark -- --sizes=1000,10000,100000 --repeat=20
+ */
+"use strict";
+
+var childProcess = require("child_process"),
+  server = require("./server"),
+  sOrigin = "http://localhost:8080",
+  sServiceUrl = sOrigin + "/odata/v4/Sample.svc/";
+
+/**
+ * Get the requests to measure.
+ * @param {Number} iCount The number of entities per entity set
+ * @return {Object} A map of a short name to a function which returns the request for a variant number, an
+ *   array with the method, the URL relative to the service and the body; the same variant number gives
+ *   the same request
+ */
+function getRequests(iCount) {
+  var iMiddle = Math.floor(iCount / 2);
+
+  return {
+    page: function (i) {
+      return ["GET", "Person?$top=20&$skip=" + (iMiddle + i)];
+    },
+    count: function (i) {
+      return ["GET", "Person?$top=20&$count=true&$skip=" + i];
+    },
+    key: function (i) {
+      return ["GET", "Person('" + (iCount - 5 - i) + "')"];
+    },
+    filter: function (i) {
+      return [
+        "GET",
+        "Person?$filter=level gt 5 and fullName ne 'Benchmark " +
+          i +
+          "'&$top=20&$count=true"
+      ];
+    },
+    orderby: function (i) {
+      return [
+        "GET",
+        "Person?$filter=fullName ne 'Benchmark " +
+          i +
+          "'&$orderby=fullName&$top=20&$skip=100"
+      ];
+    },
+    navigation: function (i) {
+      return ["GET", "Person('" + (iMiddle - i) + "')/directReports?$top=20"];
+    },
+    expand: function (i) {
+      return [
+        "GET",
+        "Person?$top=20&$expand=manager,directReports($top=5)&$skip=" +
+          (iMiddle + i)
+      ];
+    },
+    patch: function (i) {
+      return [
+        "PATCH",
+        "Person('" + iMiddle + "')",
+        JSON.stringify({ title: "Benchmark " + i })
+      ];
+    }
+  };
+}
+
+/**
+ * Send a request to the mockserver.
+ * @param {Object} oMockserver The mockserver
+ * @param {Array} aRequest The method, the URL relative to the service and the body
+ * @return {Promise} A promise which is resolved with the status, and rejected if it is not a success
+ */
+function send(oMockserver, aRequest) {
+  return new Promise(function (fnResolve, fnReject) {
+    oMockserver.handleRequest({
+      method: aRequest[0],
+      url: sServiceUrl + aRequest[1],
+      requestHeaders: { "Content-Type": "application/json", "If-Match": "*" },
+      requestBody: aRequest[2] || null,
+      async: true,
+      respond: function (iStatus, oHeaders, sBody) {
+        if (iStatus >= 400) {
+          fnReject(
+            new Error(aRequest.join(" ") + ": " + iStatus + " " + sBody)
+          );
+        } else {
+          fnResolve(iStatus);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Send variants of a request one after the other, and measure the average time.
+ * @param {Object} oMockserver The mockserver
+ * @param {Function} fnRequest The function which returns the request for a variant number
+ * @param {Number} iRepeat How often the request is sent
+ * @param {Boolean} bSame Whether variant 0 is sent each time, instead of variant 0 to iRepeat - 1
+ * @return {Promise} A promise which is resolved with the average time per request in milliseconds
+ */
+function time(oMockserver, fnRequest, iRepeat, bSame) {
+  var aStart = process.hrtime();
+
+  function repeat(i) {
+    return i < iRepeat
+      ? send(oMockserver, fnRequest(bSame ? 0 : i)).then(function () {
+          return repeat(i + 1);
+        })
+      : undefined;
+  }
+
+  return Promise.resolve(repeat(0)).then(function () {
+    var aTime = process.hrtime(aStart);
+
+    return (aTime[0] * 1e3 + aTime[1] / 1e6) / iRepeat;
+  });
+}
+
+/**
+ * Measure the requests for one data set size, in this process, and print the results.
+ * @param {Number} iCount The number of entities per entity set
+ * @param {Number} iRepeat How often each request is sent
+ * @return {Promise} A promise which is resolved when all requests are measured
+ */
+function measure(iCount, iRepeat) {
+  var iStart = Date.now(),
+    oRequests = getRequests(iCount),
+    aResults = [];
+
+  return server
+    .startMockserver({
+      sOrigin: sOrigin,
+      sSearch: "?mock-delay=0&mock-generate=" + iCount
+    })
+    .then(function (oMockserver) {
+      aResults.push("init=" + (Date.now() - iStart) + "ms");
+      return Object.keys(oRequests).reduce(function (oPrevious, sName) {
+        var fnRequest = oRequests[sName],
+          fComputed;
+
+        return oPrevious
+          .then(function () {
+            // A variant which is not measured
+            return send(oMockserver, fnRequest(iRepeat));
+          })
+          .then(function () {
+            return time(oMockserver, fnRequest, iRepeat, false);
+          })
+          .then(function (fTime) {
+            fComputed = fTime;
+            return time(oMockserver, fnRequest, iRepeat, true);
+          })
+          .then(function (fCached) {
+            aResults.push(
+              sName + "=" + fComputed.toFixed(2) + "/" + fCached.toFixed(2)
+            );
+          });
+      }, Promise.resolve());
+    })
+    .then(function () {
+      console.log(String(iCount).padStart(8) + "  " + aResults.join("  "));
+    });
+}
+
+(function () {
+  var oParameters = { sizes: "1000,10000,50000", repeat: "20" };
+
+  process.argv.slice(2).forEach(function (sArgument) {
+    var aMatches = /^--([^=]+)=(.*)$/.exec(sArgument);
+
+    if (aMatches) {
+      oParameters[aMatches[1]] = aMatches[2];
+    }
+  });
+  if (oParameters.count) {
+    measure(parseInt(oParameters.count), parseInt(oParameters.repeat)).catch(
+      function (oError) {
+        console.error(oError.message);
+        process.exitCode = 1;
+      }
+    );
+    return;
+  }
+  console.log(
+    "entities  average time per request in ms, computed/cached (the same query again)"
+  );
+  oParameters.sizes.split(",").forEach(function (sCount) {
+    // A fresh process per size, so that the sizes do not influence each other
+    childProcess.execFileSync(
+      process.execPath,
+      [__filename, "--count=" + sCount, "--repeat=" + oParameters.repeat],
+      { stdio: "inherit" }
+    );
+  });
+})();
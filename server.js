@@ -0,0 +1,257 @@
+/**
+ * Runs the app with the OData mock service in Node, so that curl, integration tests and other apps can call
+ * the mocked services, too.
+ *
+ * The request handling of webapp/test/localService/mockserver.js is loaded as it is, with the same aServices
+ * and the same files as in the browser. Only the few UI5 modules it needs are replaced by Node versions.
+ * `npm start` answers the requests to the mocked services with the middleware created by createMiddleware,
+ * which can also be used with connect or express, and passes the other requests to http-server for the
+ * webapp. The middleware reads the request body itself, so it must get the plain Node request: http-server's
+ * before hooks would get a wrapped request without the body.
+ *
+ * The parameters of the mockserver, which the browser takes from the URL, are given on the command line:
+ *   node server.js --port=8080 --mock-delay=0 --mock-scenario=slow-network
+ */
+"use strict";
+
+var fs = require("fs"),
+  http = require("http"),
+  path = require("path"),
+  vm = require("vm"),
+  xmldom = require("@xmldom/xmldom"),
+  sWebappDir = path.join(__dirname, "webapp"),
+  sResourceRoot = "sandbox/", // see data-sap-ui-resourceroots in webapp/index.html
+  oModules = {},
+  oDefinition;
+
+/**
+ * Get the file of a UI5 resource.
+ * @param {String} sName The resource name, i.e. "sandbox/test/localService/Sample.svc/metadata.xml"
+ * @return {String} The path of the file
+ */
+function getFile(sName) {
+  return path.join(sWebappDir, sName.replace(sResourceRoot, ""));
+}
+
+/**
+ * The Node versions of the UI5 modules which the mockserver needs.
+ */
+var oNodeModules = {
+  "sap/base/Log": {
+    info: function (sMessage) {
+      if (process.env.MOCK_VERBOSE) {
+        console.log(sMessage);
+      }
+    },
+    warning: function (sMessage, sDetails) {
+      console.warn(sMessage, sDetails || "");
+    },
+    error: function (sMessage, sDetails) {
+      console.error(sMessage, sDetails || "");
+    },
+    setLevel: function () {}
+  },
+  "sap/base/util/LoaderExtensions": {
+    loadResource: function (sName, mOptions) {
+      return new Promise(function (fnResolve, fnReject) {
+        fs.readFile(getFile(sName), "utf8", function (oError, sText) {
+          if (oError) {
+            fnReject(oError);
+          } else if (/\.xml$/.test(sName)) {
+            fnResolve(
+              new xmldom.DOMParser().parseFromString(sText, "application/xml")
+            );
+          } else if (/\.json$/.test(sName) || mOptions.dataType === "json") {
+            fnResolve(JSON.parse(sText));
+          } else {
+            fnResolve(sText);
+          }
+        });
+      });
+    }
+  },
+  // Sinon is not used, the requests are passed to the mockserver's handleRequest
+  "sap/ui/thirdparty/sinon": {
+    sandbox: {
+      create: function () {
+        return { restore: function () {} };
+      }
+    },
+    FakeXMLHttpRequest: {}
+  },
+  "sap/ui/core/format/DateFormat": {}
+};
+
+/**
+ * Load a UI5 module of the webapp, with its dependencies.
+ * @param {String} sName The module name, i.e. "sandbox/test/localService/mockserver"
+ * @return {any} The module's export
+ */
+function loadModule(sName) {
+  var sFile, oOwnDefinition;
+
+  if (oNodeModules[sName]) {
+    return oNodeModules[sName];
+  }
+  if (!oModules.hasOwnProperty(sName)) {
+    sFile = getFile(sName + ".js");
+    vm.runInThisContext(fs.readFileSync(sFile, "utf8"), { filename: sFile });
+    oOwnDefinition = oDefinition;
+    oModules[sName] = oOwnDefinition.fnFactory.apply(
+      null,
+      oOwnDefinition.aDependencies.map(function (sDependency) {
+        return loadModule(
+          sDependency[0] === "."
+            ? path.posix.join(path.posix.dirname(sName), sDependency)
+            : sDependency
+        );
+      })
+    );
+  }
+  return oModules[sName];
+}
+
+/**
+ * Load the mockserver and read the mock data.
+ * @param {Object} oOptions The options
+ * @param {String} oOptions.sOrigin The origin of the server, i.e. "http://localhost:8080", for the URLs
+ *   in the responses
+ * @param {String} [oOptions.sSearch] The parameters of the mockserver, like the query of the app's URL,
+ *   i.e. "?mock-delay=0"
+ * @return {Promise} A promise which is resolved with the mockserver when it is ready
+ */
+function startMockserver(oOptions) {
+  var oMockserver;
+
+  global.DOMParser = xmldom.DOMParser;
+  global.XMLSerializer = xmldom.XMLSerializer;
+  global.window = {
+    atob: global.atob,
+    location: {
+      origin: oOptions.sOrigin,
+      href: oOptions.sOrigin + "/index.html" + (oOptions.sSearch || ""),
+      search: oOptions.sSearch || ""
+    }
+  };
+  global.sap = {
+    ui: {
+      define: function (aDependencies, fnFactory) {
+        oDefinition = { aDependencies: aDependencies, fnFactory: fnFactory };
+      }
+    }
+  };
+  oMockserver = loadModule(sResourceRoot + "test/localService/mockserver");
+
+  return oMockserver.init({ sTransport: "none" }).then(function () {
+    return oMockserver;
+  });
+}
+
+/**
+ * Check whether a URL belongs to a mocked service.
+ * @param {String} sUrl The URL
+ * @return {Boolean} Whether the rBaseUrl of a service in the mockserver's aServices matches
+ */
+function isMocked(sUrl) {
+  return global.window.__mockservices.some(function (oService) {
+    return oService.rBaseUrl.test(sUrl);
+  });
+}
+
+/**
+ * Create a middleware which answers the requests to the mocked services. Other requests are passed on with
+ * next(), like connect and express do.
+ * @param {Object} oOptions The options, see startMockserver
+ * @return {Function} The middleware, called with the plain Node request and response and the next function
+ */
+function createMiddleware(oOptions) {
+  var oMockserverPromise = startMockserver(oOptions);
+
+  return function (oRequest, oResponse, fnNext) {
+    var aChunks = [];
+
+    if (!isMocked(oRequest.url)) {
+      fnNext();
+      return;
+    }
+    oRequest.on("data", function (oChunk) {
+      aChunks.push(oChunk);
+    });
+    oRequest.on("end", function () {
+      oMockserverPromise.then(
+        function (oMockserver) {
+          oMockserver.handleRequest({
+            method: oRequest.method,
+            url: oOptions.sOrigin + oRequest.url,
+            requestHeaders: oRequest.headers,
+            requestBody: aChunks.length
+              ? Buffer.concat(aChunks).toString("utf8")
+              : null,
+            async: true,
+            respond: function (iStatus, oHeaders, sBody) {
+              oResponse.writeHead(iStatus, oHeaders);
+              oResponse.end(sBody);
+            }
+          });
+        },
+        function (oError) {
+          oResponse.writeHead(500, { "Content-Type": "text/plain" });
+          oResponse.end("The mockserver cannot start: " + oError.message);
+        }
+      );
+    });
+  };
+}
+
+module.exports = {
+  createMiddleware: createMiddleware,
+  startMockserver: startMockserver
+};
+
+if (require.main === module) {
+  (function () {
+    var oParameters = {},
+      iPort,
+      fnMiddleware,
+      fnServeFile,
+      sOrigin,
+      sSearch;
+
+    process.argv.slice(2).forEach(function (sArgument) {
+      var aMatches = /^--([^=]+)=(.*)$/.exec(sArgument);
+
+      if (aMatches) {
+        oParameters[aMatches[1]] = aMatches[2];
+      }
+    });
+    iPort = parseInt(oParameters.port || process.env.PORT || "8080");
+    sOrigin = "http://localhost:" + iPort;
+    sSearch = Object.keys(oParameters)
+      .filter(function (sName) {
+        return sName.indexOf("mock-") === 0;
+      })
+      .map(function (sName) {
+        return sName + "=" + encodeURIComponent(oParameters[sName]);
+      })
+      .join("&");
+
+    fnMiddleware = createMiddleware({
+      sOrigin: sOrigin,
+      sSearch: sSearch ? "?" + sSearch : ""
+    });
+    // http-server is only used for its request handler, it does not listen itself
+    fnServeFile = require("http-server")
+      .createServer({ root: sWebappDir, cache: -1 })
+      .server.listeners("request")[0];
+
+    http
+      .createServer(function (oRequest, oResponse) {
+        fnMiddleware(oRequest, oResponse, function () {
+          fnServeFile(oRequest, oResponse);
+        });
+      })
+      .listen(iPort, function () {
+        console.log("Serving the app and the mocked services at " + sOrigin);
+      });
+  })();
+}
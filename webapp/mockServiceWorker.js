@@ -0,0 +1,210 @@
+/**
+ * Service Worker for the "serviceWorker" transport of webapp/test/localService/mockserver.js.
+ *
+ * It intercepts the requests to the mocked services from all pages, iframes and workers in its scope, no
+ * matter whether they use XMLHttpRequest, fetch or a media URL, and passes them to the page which runs the
+ * mockserver. That page answers them with the same request handling as the sinon transport. If the page is
+ * gone, the requests go to the network.
+ *
+ * Messages from the mockserver page:
+ * - {sType: "register", aBaseUrls: [{sSource, sFlags}]} makes the sender the page which answers the requests
+ *   to the URLs matching the given patterns, the rBaseUrl of each service, and lets this Service Worker
+ *   control it, also after a hard reload
+ * - {sType: "unregister"} stops the interception
+ * Each message is acknowledged via the port which is sent with it.
+ *
+ * The browser stops an idle Service Worker and starts it again for the next request, without its globals.
+ * That is why the registration is kept in the Cache API, too. Until it is read again, the requests are held
+ * back, and then either passed to the mockserver page or to the network.
+ */
+/* eslint-env serviceworker */
+"use strict";
+
+var sCacheName = "mockServiceWorker",
+  sRegistrationUrl =
+    self.registration.scope + "__mockServiceWorker/registration",
+  // {sMockClientId, aBaseUrls}: the id of the page which runs the mockserver and the patterns of its URLs;
+  // null if there is no such page, undefined while the registration is read from the cache
+  oRegistration,
+  oRegistrationRead = caches
+    .open(sCacheName)
+    .then(function (oCache) {
+      return oCache.match(sRegistrationUrl);
+    })
+    .then(function (oResponse) {
+      return oResponse ? oResponse.json() : null;
+    })
+    .then(
+      function (oStored) {
+        // A message may have been faster
+        if (oRegistration === undefined) {
+          oRegistration = toRegistration(oStored);
+        }
+      },
+      function () {
+        if (oRegistration === undefined) {
+          oRegistration = null;
+        }
+      }
+    );
+
+/**
+ * Create the registration from its stored form.
+ * @param {Object|null} oStored The stored registration, with sMockClientId and the aBaseUrls as sSource and
+ *   sFlags, or null
+ * @return {Object|null} The registration, with the aBaseUrls as regular expressions
+ */
+function toRegistration(oStored) {
+  return (
+    oStored && {
+      sMockClientId: oStored.sMockClientId,
+      aBaseUrls: oStored.aBaseUrls.map(function (oBaseUrl) {
+        return new RegExp(oBaseUrl.sSource, oBaseUrl.sFlags);
+      })
+    }
+  );
+}
+
+/**
+ * Set the registration and keep it in the cache.
+ * @param {Object|null} oStored The registration in its stored form, see toRegistration
+ * @return {Promise} A promise which is resolved when the registration is stored
+ */
+function setRegistration(oStored) {
+  oRegistration = toRegistration(oStored);
+  return caches.open(sCacheName).then(function (oCache) {
+    return oStored
+      ? oCache.put(sRegistrationUrl, new Response(JSON.stringify(oStored)))
+      : oCache.delete(sRegistrationUrl);
+  });
+}
+
+/**
+ * Check whether a URL belongs to the mocked services of the registered page.
+ * @param {String} sUrl The URL
+ * @return {Boolean} Whether it is to be answered by the mockserver page
+ */
+function isMocked(sUrl) {
+  return (
+    !!oRegistration &&
+    oRegistration.aBaseUrls.some(function (rBaseUrl) {
+      return rBaseUrl.test(sUrl);
+    })
+  );
+}
+
+self.addEventListener("install", function () {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", function (oEvent) {
+  // Control the pages which are open already, so that their requests are mocked without a reload
+  oEvent.waitUntil(clients.claim());
+});
+
+self.addEventListener("message", function (oEvent) {
+  var oMessage = oEvent.data || {},
+    oDone;
+
+  if (oMessage.sType === "register") {
+    oDone = Promise.all([
+      setRegistration({
+        sMockClientId: oEvent.source.id,
+        aBaseUrls: oMessage.aBaseUrls
+      }),
+      // A page loaded with a hard reload is not controlled, and "activate" does not happen again
+      clients.claim()
+    ]);
+  } else if (
+    oMessage.sType === "unregister" &&
+    oRegistration &&
+    oEvent.source.id === oRegistration.sMockClientId
+  ) {
+    oDone = setRegistration(null);
+  } else {
+    oDone = Promise.resolve();
+  }
+  oEvent.waitUntil(
+    oDone.then(function () {
+      if (oEvent.ports[0]) {
+        oEvent.ports[0].postMessage({ sType: "ack" });
+      }
+    })
+  );
+});
+
+self.addEventListener("fetch", function (oEvent) {
+  var oRequest = oEvent.request;
+
+  if (oRegistration === undefined) {
+    // Just restarted: the requests wait for the registration, except for loading pages, which are not mocked
+    if (oRequest.mode !== "navigate") {
+      oEvent.respondWith(
+        oRegistrationRead.then(function () {
+          return isMocked(oRequest.url)
+            ? forwardRequest(oRequest)
+            : fetch(oRequest);
+        })
+      );
+    }
+    return;
+  }
+  if (isMocked(oRequest.url)) {
+    oEvent.respondWith(forwardRequest(oRequest));
+  }
+});
+
+/**
+ * Pass a request to the mockserver page and create the response from its answer.
+ * @param {Request} oRequest The request
+ * @return {Promise} A promise which is resolved with the response; it stays pending if the mockserver drops
+ *   the response
+ */
+function forwardRequest(oRequest) {
+  var sMockClientId = oRegistration.sMockClientId,
+    oRequestHeaders = {};
+
+  oRequest.headers.forEach(function (sValue, sName) {
+    oRequestHeaders[sName] = sValue;
+  });
+  return Promise.all([
+    clients.get(sMockClientId),
+    oRequest.clone().text()
+  ]).then(function (aResults) {
+    var oClient = aResults[0],
+      sBody = aResults[1];
+
+    if (!oClient) {
+      // The page with the mockserver has been closed
+      if (oRegistration && oRegistration.sMockClientId === sMockClientId) {
+        setRegistration(null);
+      }
+      return fetch(oRequest);
+    }
+    return new Promise(function (fnResolve) {
+      var oChannel = new MessageChannel();
+
+      oChannel.port1.onmessage = function (oEvent) {
+        var oResponse = oEvent.data,
+          bNoBody = oResponse.iStatus === 204 || oResponse.iStatus === 304;
+
+        fnResolve(
+          new Response(bNoBody ? null : oResponse.sBody || "", {
+            status: oResponse.iStatus,
+            headers: oResponse.oHeaders || {}
+          })
+        );
+      };
+      oClient.postMessage(
+        {
+          sType: "request",
+          method: oRequest.method,
+          url: oRequest.url,
+          requestHeaders: oRequestHeaders,
+          requestBody: sBody || null
+        },
+        [oChannel.port2]
+      );
+    });
+  });
+}
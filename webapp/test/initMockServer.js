@@ -1,11 +1,16 @@
-sap.ui.define(["sap/m/MessageBox", "./localService/mockserver"], function (
+sap.ui.define(["sap/m/MessageBox", "./localService/mockserver", "./mockInspector"], function (
   MessageBox,
-  mockserver
+  mockserver,
+  mockInspector
 ) {
   "use strict";
   // initialize the mock server
   mockserver
     .init()
+    .then(function () {
+      // Ctrl+Alt+Shift+M or ?mock-inspector=true shows what the mock server does
+      mockInspector.install(mockserver);
+    })
     .catch(function (oError) {
       MessageBox.error(oError.message);
     })
@@ -1,10 +1,11 @@
 /**
- * This is a mockserver for OData V4. Some parts of this mockserver were taken from
+ * This is a mockserver for OData V4, which also speaks OData V2. Some parts of this mockserver were taken from
  * https://sapui5.hana.ondemand.com/#/entity/sap.ui.core.tutorial.odatav4
  *
  * Since sap/ui/core/util/MockServer doesn't work for OData V4, use this until the core UI5 comes
  * with a V4 version of that MockServer; however, this version is not as good as that one, and so
  * there might need to be some adjustments and certain use cases that are not functioning properly.
+ * Services for OData V2 are mocked here as well, so that one sandbox can host models of both versions.
  *
  * This version is more generic, and is given an array of mock service objects as input. This could be reused
  * in other projects, with different services. Knowledge about the services should be limited to the `aServices`
@@ -12,27 +13,112 @@
  *
  * This mockserver supports:
  * 1) Multiple OData services, each having separate metadata.xml
- * 2) Arbitrary entities, arbitrary field sorting/filtering
- * 3) Simple navigation properties
- * 4) Hard coded function import responses
- * 5) Uses the LoaderExtensions to download JSON/xml, allowing for mock data to be preloaded
+ * 2) Arbitrary entities, $filter expressions checked against the metadata types, multi-key $orderby, $select,
+ *    $skip, $top, $count, $search and server-driven paging with a maximum page size
+ * 3) Entity sets, typed and composite keys and navigation properties derived from the metadata, nested $expand
+ *    with query options
+ * 4) Navigation paths, properties and their $value, i.e. /Person('1')/manager/fullName/$value
+ * 5) Actions and functions declared in the metadata, bound or imported, with parameters and results checked
+ *    against the metadata and implemented by mock handlers, and hard coded function import responses
+ * 6) ETags derived from the concurrency tokens or the content of an entity, with If-Match and If-None-Match,
+ *    and PUT to replace an entity
+ * 7) $batch in the multipart and in the JSON format, with atomic change sets, Content-ID references and
+ *    dependsOn
+ * 8) Optional persistence of the mock data in the localStorage, with named snapshots and a reset
+ * 9) Scenarios for latency and fault injection, selected with ?mock-scenario=slow-network or setScenario
+ * 10) Services generated from recorded traffic, a HAR file or a request log, with an optional replay of the
+ *    recorded responses in their order
+ * 11) Interception with a Service Worker, so that fetch, media URLs, iframes and workers are mocked, too; the
+ *    sinon fake XMLHttpRequest remains the default and the fallback
+ * 12) POST, PATCH and PUT payloads checked against the types, nullability and facets in the metadata, with
+ *    a 400 error per invalid property
+ * 13) Deep insert and deep update of the entities nested in a payload, and references with @odata.bind
+ * 14) Generated mock data for all entity sets, with a seed, a row count and overrides per property, i.e.
+ *    ?mock-generate=10000&mock-seed=7
+ * 15) An indexed store per entity set, with cached query results, so that key lookups, navigation and paging
+ *    through a cached result take the same time for large data sets; a new $filter or $orderby scans all
+ *    entities
+ * 16) A log of the latest requests with their responses and batch parts, and access to the mock data, delay
+ *    and scenarios, for the inspector in test/mockInspector.js
+ * 17) OData V2 services with odataVersion: "2.0", on the same mock data and handlers, see odata/v2.js
+ * 18) $apply with groupby, aggregate, filter, orderby, top and skip, restricted by the Aggregation.ApplySupported
+ *    annotation, see odata/aggregation.js
+ * 19) Uses the LoaderExtensions to download JSON/xml, allowing for mock data to be preloaded
  */
 sap.ui.define(
   [
     "sap/ui/thirdparty/sinon",
     "sap/base/Log",
     "sap/base/util/LoaderExtensions",
-    "sap/ui/core/format/DateFormat"
+    "sap/ui/core/format/DateFormat",
+    "./odata/aggregation",
+    "./odata/batch",
+    "./odata/concurrency",
+    "./odata/errors",
+    "./odata/expression",
+    "./odata/generator",
+    "./odata/metadata",
+    "./odata/operations",
+    "./odata/persistence",
+    "./odata/queryOptions",
+    "./odata/recording",
+    "./odata/resourcePath",
+    "./odata/scenarios",
+    "./odata/search",
+    "./odata/store",
+    "./odata/types",
+    "./odata/v2",
+    "./odata/validation"
   ],
-  function (sinon, Log, LoaderExtensions, DateFormat) {
+  function (
+    sinon,
+    Log,
+    LoaderExtensions,
+    DateFormat,
+    aggregation,
+    batch,
+    concurrency,
+    errors,
+    expression,
+    generator,
+    metadata,
+    operations,
+    persistence,
+    queryOptions,
+    recording,
+    resourcePath,
+    scenarios,
+    search,
+    store,
+    types,
+    v2,
+    validation
+  ) {
     var oSandbox = sinon.sandbox.create(),
-      iDelayResponseMS = 1000, // delay in MS for mock Requests
+      iDelayResponseMS = 1000, // delay in MS for mock Requests, can be changed with ?mock-delay=0
+      iServiceWorkerTimeoutMS = 5000, // how long to wait for the Service Worker before falling back to sinon
       sLogComponent = "sandbox.test.localService.mockserver",
+      fnOnServiceWorkerMessage, // the listener for requests from the Service Worker, if it is used
+      bSinonStarted = false, // whether the sinon fake XMLHttpRequest is used
+      aScenarioRules = [], // the rules of the active scenarios
+      sScenario = "", // the names of the active scenarios, see getScenario
+      aRequestLog = [], // the latest handled requests, see getRequests
+      iMaxLoggedRequests = 200,
+      iLoggedRequests = 0, // the number of requests logged so far, for their ids
+      aRequestListeners = [], // the listeners for handled requests, see attachRequest
       aServices = (window.__mockservices = [
         {
           rBaseUrl: /\/odata\/v4\/Sample.svc/,
           sNamespace: "sandbox/test/localService/Sample.svc/",
           sBaseUrl: window.location.origin + "/odata/v4/Sample.svc/",
+          // Changes of the mock data are kept in the localStorage across reloads with bPersistent: true, or
+          // for all services with the URL parameter ?mock-persistent=true
+          bPersistent: false,
+          // A service can also be generated from recorded traffic with sRecording: "recording.har", a HAR file
+          // or a request log in the namespace; it is replayed in order with bReplay: true, or ?mock-replay=true
+          // Instead of the data/<EntitySet>.json files, the entities can be generated from the metadata with
+          // oGenerator: { iCount: 10000, iSeed: 7, oCounts: { Department: 20 }, oOverrides: { ... } }, or for
+          // all services with ?mock-generate=10000&mock-seed=7, see odata/generator.js
           aMocks: [
             {
               rUrl: /\/\$metadata(\?.*|)$/,
@@ -40,18 +126,117 @@ sap.ui.define(
               sType: "simple",
               sMethod: "GET"
             },
+            // Every entity set in the metadata is mocked with the data from data/<EntitySet>.json.
+            // A "jsonMock" entry with the same sEntityName overrides what is derived from the metadata, i.e.
+            // { sType: "jsonMock", sEntityName: "Person", fEntityKeyGenerator: function () { ... } }
+            // Server-driven paging is simulated with a maximum page size for an entity set, i.e.
+            // { sType: "jsonMock", sEntityName: "Person", iMaxPageSize: 20 }
+            // $search looks into all string properties, unless the searchable ones are given, i.e.
+            // { sType: "jsonMock", sEntityName: "Person", aSearchableProperties: ["fullName", "title"] }
+            // Actions and functions declared in the metadata are implemented by an "operation" with the qualified
+            // name; the handler gets the checked parameters, incl. the bound entity, and returns the result
             {
-              rUrl: /\/Person(\(.*\)|)(\?.*|)$/,
-              sResource: "data/Person.json",
-              sType: "jsonMock",
-              sEntityName: "Person",
-              sEntityKey: "personId"
+              sType: "operation",
+              sOperation: "Sample.svc.Promote",
+              fHandler: function (oParameters) {
+                var oPerson = oParameters.person;
+
+                oPerson.level = (oPerson.level || 0) + 1;
+                if (oParameters.newTitle) {
+                  oPerson.title = oParameters.newTitle;
+                }
+                return oPerson;
+              }
+            },
+            {
+              sType: "operation",
+              sOperation: "Sample.svc.GetTopEarners",
+              fHandler: function (oParameters, oContext) {
+                return oContext
+                  .getEntities("Person")
+                  .filter(function (oPerson) {
+                    return oPerson.salary !== null;
+                  })
+                  .sort(function (oPerson1, oPerson2) {
+                    return oPerson2.salary - oPerson1.salary;
+                  })
+                  .slice(0, oParameters.count);
+              }
+            }
+          ]
+        },
+        {
+          // The sample service in OData V2: with odataVersion: "2.0", requests and responses are converted by
+          // odata/v2.js. The function imports of V2 metadata are implemented like operations
+          odataVersion: "2.0",
+          rBaseUrl: /\/odata\/v2\/Sample.svc/,
+          sNamespace: "sandbox/test/localService/SampleV2.svc/",
+          sBaseUrl: window.location.origin + "/odata/v2/Sample.svc/",
+          bPersistent: false,
+          aMocks: [
+            {
+              rUrl: /\/\$metadata(\?.*|)$/,
+              sResource: "metadata.xml",
+              sType: "simple",
+              sMethod: "GET"
+            },
+            {
+              sType: "operation",
+              sOperation: "SampleV2.svc.Promote",
+              fHandler: function (oParameters, oContext) {
+                var oPerson = oContext
+                  .getEntities("Person")
+                  .filter(function (oCandidate) {
+                    return oCandidate.personId === oParameters.personId;
+                  })[0];
+
+                if (!oPerson) {
+                  return null;
+                }
+                oPerson.level = (oPerson.level || 0) + 1;
+                if (oParameters.newTitle) {
+                  oPerson.title = oParameters.newTitle;
+                }
+                return oPerson;
+              }
+            },
+            {
+              sType: "operation",
+              sOperation: "SampleV2.svc.GetTopEarners",
+              fHandler: function (oParameters, oContext) {
+                return oContext
+                  .getEntities("Person")
+                  .filter(function (oPerson) {
+                    return oPerson.salary !== null;
+                  })
+                  .sort(function (oPerson1, oPerson2) {
+                    return oPerson2.salary - oPerson1.salary;
+                  })
+                  .slice(0, oParameters.count);
+              }
             }
           ]
         }
-      ]);
+      ]),
+      // Scenarios are lists of rules for latency and fault injection, see odata/scenarios.js for the rules.
+      // They are activated with the URL parameter ?mock-scenario=slow-network,flaky-saves or with setScenario
+      oScenarios = {
+        "slow-network": [{ iDelayMS: 1000, iMaxDelayMS: 5000 }],
+        "flaky-saves": [
+          {
+            sMethod: "PATCH",
+            iNthCall: 2,
+            iStatus: 503,
+            sMessage: "The service is temporarily unavailable"
+          }
+        ],
+        "server-error": [
+          { iStatus: 500, sMessage: "Internal server error by mock scenario" }
+        ],
+        offline: [{ bDrop: true }]
+      };
 
-    // Copy this file, change the mocks above, and maintain the json/xml files separately
+    // Copy this file and the odata folder, change the mocks above, and maintain the json/xml files separately
     // NOTHING BELOW THIS LINE SHOULD NEED TO CHANGE
     /* eslint-disable max-nested-callbacks */
 
@@ -59,51 +244,497 @@ sap.ui.define(
       /**
        * Creates a Sinon fake service, intercepting all http requests to
        * the URL defined in variable sBaseUrl above.
+       * @param {Object} [oOptions] The options
+       * @param {string} [oOptions.sTransport="sinon"] How requests reach the mockserver: "sinon" intercepts
+       *   XMLHttpRequests of this page, "serviceWorker" intercepts all requests in the scope of the Service
+       *   Worker and falls back to "sinon" if Service Workers are not available, "none" only reads the mock
+       *   data, the requests are passed to handleRequest, i.e. by the Node HTTP server in server.js
+       * @param {string} [oOptions.sServiceWorkerUrl="mockServiceWorker.js"] The URL of the Service Worker,
+       *   relative to the page
+       * @param {string} [oOptions.sServiceWorkerScope="./"] The scope of the Service Worker
        * @returns{Promise} a promise that is resolved when the mock server is started
        */
-      init: function () {
+      init: function (oOptions) {
+        var oUrlParameters = new URLSearchParams(window.location.search),
+          sDelay = oUrlParameters.get("mock-delay");
+
+        if (sDelay !== null && !isNaN(parseInt(sDelay))) {
+          iDelayResponseMS = parseInt(sDelay);
+        }
+        try {
+          sScenario = oUrlParameters.get("mock-scenario") || "";
+          aScenarioRules = scenarios.getRules(oScenarios, sScenario);
+        } catch (e) {
+          sScenario = "";
+          Log.error(e.message, Object.keys(oScenarios).join(), sLogComponent);
+        }
+        oOptions = oOptions || {};
         // Read the mock data
-        return readData().then(function () {
-          // Initialize the sinon fake server
-          oSandbox.useFakeServer();
-          // Make sure that requests are responded to automatically. Otherwise we would need to do that manually.
-          oSandbox.server.autoRespond = true;
-          oSandbox.server.autoRespondAfter = iDelayResponseMS;
-
-          // Register the requests for which responses should be faked.
-          aServices.forEach(function (oService) {
-            oSandbox.server.respondWith(oService.rBaseUrl, function (oXhr) {
-              return handleAllRequests(oService, oXhr);
-            });
+        return readData()
+          .then(function () {
+            switch (oOptions.sTransport) {
+              case "none":
+                Log.info(
+                  "Serving mock data without interception",
+                  sLogComponent
+                );
+                return undefined;
+              case "serviceWorker":
+                return startServiceWorker(oOptions).catch(function (oError) {
+                  Log.warning(
+                    "Cannot use a Service Worker, using sinon instead",
+                    oError.message,
+                    sLogComponent
+                  );
+                  startSinon();
+                });
+              default:
+                startSinon();
+                return undefined;
+            }
+          })
+          .then(function () {
+            // Set the logging level for console entries from the mock server
+            Log.setLevel(3, sLogComponent);
+
+            Log.info("Running the app with mock data", sLogComponent);
           });
+      },
 
-          // Apply a filter to the fake XmlHttpRequest.
-          // Otherwise, ALL requests (e.g. for the component, views etc.) would be intercepted.
-          sinon.FakeXMLHttpRequest.useFilters = true;
-          sinon.FakeXMLHttpRequest.addFilter(function (sMethod, sUrl) {
-            return !aServices.some(function (oService) {
-              return oService.rBaseUrl.test(sUrl);
-            });
+      /**
+       * Handles a request which the mockserver does not intercept itself, i.e. one received by a Node HTTP
+       * server. The request looks like a Sinon fake XMLHttpRequest; it is answered via its respond function
+       * after the delay of the response, unless a scenario rule drops it.
+       * @param {Object} oRequest The request
+       * @param {string} oRequest.method The HTTP method
+       * @param {string} oRequest.url The absolute URL
+       * @param {Object} oRequest.requestHeaders A map of header name to value
+       * @param {string} [oRequest.requestBody] The body
+       * @param {function} oRequest.respond Called with the status code, the headers and the body
+       * @returns {boolean} whether the URL belongs to a mocked service
+       */
+      handleRequest: function (oRequest) {
+        var oService = getService(oRequest.url);
+
+        if (!oService) {
+          return false;
+        }
+        handleAllRequests(oService, oRequest);
+        return true;
+      },
+
+      /**
+       * Changes an entity "behind the client's back", like another user would, so that the ETag known by
+       * the client becomes outdated and its next change fails with 412 Precondition Failed.
+       * @param {string} sEntitySet The name of the entity set, i.e. "Person"
+       * @param {Object|string} vKey The key, either a map of key property name to value, or a key
+       *   predicate, i.e. "('1')"
+       * @param {Object|function} vChanges The new property values, or a function which changes the entity
+       * @param {string} [sBaseUrl] The service root URL, needed only if several services have the entity set
+       * @returns {string} the new ETag of the entity
+       */
+      changeEntity: function (sEntitySet, vKey, vChanges, sBaseUrl) {
+        var oService = aServices.filter(function (oCandidate) {
+            return (
+              oCandidate.oMockLookup &&
+              oCandidate.oMockLookup[sEntitySet] &&
+              (!sBaseUrl || oCandidate.sBaseUrl === sBaseUrl)
+            );
+          })[0],
+          oMock = oService && oService.oMockLookup[sEntitySet],
+          oKey,
+          oEntity;
+
+        if (!oMock) {
+          throw new Error("Unknown entity set " + sEntitySet);
+        }
+        oKey =
+          typeof vKey == "string"
+            ? resourcePath.parseKeyPredicate(
+                vKey.replace(/^\((.*)\)$/, "$1"),
+                getKeyProperties(oMock),
+                getExpressionContext(oMock, {})
+              )
+            : vKey;
+        oEntity = findEntity(oMock, oKey);
+        if (!oEntity) {
+          throw new Error("Cannot find " + sEntitySet + " with the given key");
+        }
+        if (typeof vChanges == "function") {
+          vChanges(oEntity);
+        } else {
+          Object.assign(oEntity, vChanges);
+        }
+        concurrency.touch(oEntity, getConcurrencyProperties(oMock));
+        getStore(oMock).update(oEntity);
+        persistData(oService);
+        return getETag(oMock, oEntity);
+      },
+
+      /**
+       * Stores the current mock data of all services as a named snapshot in the localStorage, replacing an
+       * existing snapshot with the same name. This works also if the services are not persistent.
+       * @param {string} sName The name of the snapshot
+       */
+      saveSnapshot: function (sName) {
+        aServices.forEach(function (oService) {
+          persistence.writeSnapshot(oService, sName, getMockData(oService));
+        });
+      },
+
+      /**
+       * Replaces the mock data of all services with a named snapshot.
+       * @param {string} sName The name of the snapshot
+       * @throws {Error} If there is no such snapshot
+       */
+      loadSnapshot: function (sName) {
+        var bFound = false;
+
+        aServices.forEach(function (oService) {
+          var oData = persistence.readSnapshot(oService, sName);
+
+          if (oData) {
+            setMockData(oService, oData);
+            persistData(oService);
+            bFound = true;
+          }
+        });
+        if (!bFound) {
+          throw new Error("Unknown snapshot " + sName);
+        }
+      },
+
+      /**
+       * Deletes a named snapshot.
+       * @param {string} sName The name of the snapshot
+       */
+      deleteSnapshot: function (sName) {
+        aServices.forEach(function (oService) {
+          persistence.removeSnapshot(oService, sName);
+        });
+      },
+
+      /**
+       * Returns the names of the stored snapshots.
+       * @returns {string[]} the names, sorted
+       */
+      getSnapshots: function () {
+        return aServices
+          .reduce(function (aNames, oService) {
+            return aNames.concat(
+              persistence.getSnapshotNames(oService).filter(function (sName) {
+                return aNames.indexOf(sName) < 0;
+              })
+            );
+          }, [])
+          .sort();
+      },
+
+      /**
+       * Resets the mock data of all services to the content of the original JSON files, and forgets the
+       * persisted data.
+       */
+      reset: function () {
+        aServices.forEach(function (oService) {
+          var oData = {};
+
+          Object.keys(oService.oMockLookup).forEach(function (sEntitySet) {
+            oData[sEntitySet] = JSON.parse(
+              oService.oMockLookup[sEntitySet].sOriginalData
+            );
           });
+          setMockData(oService, oData);
+          persistence.removeCurrent(oService);
+        });
+      },
+
+      /**
+       * Activates scenarios for latency and fault injection, replacing the active ones.
+       * @param {string|Object[]} [vScenario] The names of scenarios from oScenarios, separated by commas, or a
+       *   list of rules, see odata/scenarios.js; without it, no scenario is active
+       * @throws {Error} if a scenario is unknown or a rule has an unknown key
+       */
+      setScenario: function (vScenario) {
+        aScenarioRules = Array.isArray(vScenario)
+          ? scenarios.copyRules(vScenario)
+          : scenarios.getRules(oScenarios, vScenario || "");
+        sScenario = Array.isArray(vScenario) ? "" : vScenario || "";
+      },
+
+      /**
+       * Returns the names of the active scenarios, as given to setScenario or with ?mock-scenario.
+       * @returns {string} the names, separated by commas; "" if none is active, or if rules were given
+       */
+      getScenario: function () {
+        return sScenario;
+      },
+
+      /**
+       * Returns the names of all scenarios which can be activated with setScenario.
+       * @returns {string[]} the names
+       */
+      getScenarioNames: function () {
+        return Object.keys(oScenarios);
+      },
+
+      /**
+       * Adds a rule for latency and fault injection to the active ones.
+       * @param {Object} oRule The rule, see odata/scenarios.js
+       * @throws {Error} if the rule has an unknown key
+       */
+      addRule: function (oRule) {
+        aScenarioRules = aScenarioRules.concat(scenarios.copyRules([oRule]));
+      },
+
+      /**
+       * Returns the delay of the responses, before the delays added by scenario rules.
+       * @returns {number} the delay in milliseconds
+       */
+      getDelay: function () {
+        return iDelayResponseMS;
+      },
+
+      /**
+       * Changes the delay of the responses, like ?mock-delay does.
+       * @param {number} iDelayMS The delay in milliseconds
+       */
+      setDelay: function (iDelayMS) {
+        iDelayResponseMS = iDelayMS;
+      },
+
+      /**
+       * Returns the latest requests handled by the mockserver, at most 200. Each request has the iId, sMethod,
+       * sUrl, oRequestHeaders, sRequestBody, the iStatus, oHeaders and sBody of the response, the iStart time
+       * stamp, the iDurationMS of its handling, the iDelayMS of the response, whether it is bDropped, and the
+       * aParts of a $batch, each with the properties of a request.
+       * @returns {Object[]} the requests, the oldest first
+       */
+      getRequests: function () {
+        return aRequestLog.slice();
+      },
+
+      /**
+       * Forgets the logged requests.
+       */
+      clearRequests: function () {
+        aRequestLog = [];
+      },
 
-          // Set the logging level for console entries from the mock server
-          Log.setLevel(3, sLogComponent);
+      /**
+       * Registers a listener which is called with each request when it has been handled, see getRequests.
+       * @param {function} fnListener The listener
+       */
+      attachRequest: function (fnListener) {
+        aRequestListeners.push(fnListener);
+      },
 
-          Log.info("Running the app with mock data", sLogComponent);
+      /**
+       * Removes a listener registered with attachRequest.
+       * @param {function} fnListener The listener
+       */
+      detachRequest: function (fnListener) {
+        aRequestListeners = aRequestListeners.filter(function (fnOther) {
+          return fnOther !== fnListener;
         });
       },
 
       /**
-       * Stops the request interception and deletes the Sinon fake server.
+       * Returns the entity sets of all services with their current mock data. The entities must not be
+       * changed directly, but with changeEntity, so that their ETags and indexes are updated.
+       * @returns {Object[]} the entity sets, each with the sBaseUrl of the service, the sEntitySet, the names
+       *   of the aKeyProperties, the aProperties with sName, sType, bCollection and bNullable, and the
+       *   aEntities
+       */
+      getEntitySets: function () {
+        return aServices.reduce(function (aEntitySets, oService) {
+          return aEntitySets.concat(
+            Object.keys(oService.oMockLookup || {}).map(function (sEntitySet) {
+              var oMock = oService.oMockLookup[sEntitySet];
+
+              return {
+                sBaseUrl: oService.sBaseUrl,
+                sEntitySet: sEntitySet,
+                aKeyProperties: getKeyProperties(oMock).map(function (
+                  oProperty
+                ) {
+                  return oProperty.sName;
+                }),
+                aProperties: getProperties(oMock),
+                aEntities: oMock.oData.value
+              };
+            })
+          );
+        }, []);
+      },
+
+      /**
+       * Stops the request interception and deletes the Sinon fake XMLHttpRequest.
        */
       stop: function () {
-        sinon.FakeXMLHttpRequest.filters = [];
-        sinon.FakeXMLHttpRequest.useFilters = false;
+        var oContainer;
+
+        if (fnOnServiceWorkerMessage) {
+          oContainer = navigator.serviceWorker;
+          oContainer.removeEventListener("message", fnOnServiceWorkerMessage);
+          fnOnServiceWorkerMessage = undefined;
+          if (oContainer.controller) {
+            oContainer.controller.postMessage({ sType: "unregister" });
+          }
+        }
+        if (bSinonStarted) {
+          // Leave sinon alone if it is not used by the mockserver, i.e. for the tests' own fakes
+          sinon.FakeXMLHttpRequest.filters = [];
+          sinon.FakeXMLHttpRequest.useFilters = false;
+          bSinonStarted = false;
+        }
         oSandbox.restore();
         oSandbox = null;
       }
     };
 
+    /**
+     * Intercepts the XMLHttpRequests of this page to the mocked services with the sinon fake XMLHttpRequest.
+     */
+    function startSinon() {
+      // Initialize the sinon fake XMLHttpRequest; each request is answered on its own, after its own delay
+      oSandbox.useFakeXMLHttpRequest().onCreate = function (oXhr) {
+        oXhr.onSend = function () {
+          handleAllRequests(getService(oXhr.url), oXhr);
+        };
+      };
+
+      // Apply a filter to the fake XmlHttpRequest.
+      // Otherwise, ALL requests (e.g. for the component, views etc.) would be intercepted.
+      sinon.FakeXMLHttpRequest.useFilters = true;
+      sinon.FakeXMLHttpRequest.addFilter(function (sMethod, sUrl) {
+        return !getService(sUrl);
+      });
+      bSinonStarted = true;
+    }
+
+    /**
+     * Intercepts all requests to the mocked services in the scope of the Service Worker, see
+     * mockServiceWorker.js. The Service Worker passes them to this page, which answers them.
+     * @param {Object} oOptions The options of init
+     * @returns {Promise} a promise which is resolved when the Service Worker controls this page and knows
+     *   the mocked services, and rejected if Service Workers are not available, i.e. without HTTPS, or if the
+     *   Service Worker does not take control of this page in time
+     */
+    function startServiceWorker(oOptions) {
+      var oContainer = navigator.serviceWorker,
+        oServiceWorker;
+
+      if (!oContainer) {
+        return Promise.reject(
+          new Error("Service Workers are not supported in this context")
+        );
+      }
+      return oContainer
+        .register(oOptions.sServiceWorkerUrl || "mockServiceWorker.js", {
+          scope: oOptions.sServiceWorkerScope || "./"
+        })
+        .then(function () {
+          return oContainer.ready;
+        })
+        .then(function (oRegistration) {
+          fnOnServiceWorkerMessage = function (oEvent) {
+            var oMessage = oEvent.data || {},
+              oPort = oEvent.ports[0],
+              oService = getService(oMessage.url || "");
+
+            if (oMessage.sType !== "request") {
+              return;
+            }
+            oMessage.async = true;
+            oMessage.respond = function (iStatus, oHeaders, sBody) {
+              oPort.postMessage({
+                iStatus: iStatus,
+                oHeaders: oHeaders,
+                sBody: sBody
+              });
+            };
+            if (oService) {
+              handleAllRequests(oService, oMessage);
+            } else {
+              oMessage.respond(
+                404,
+                { "Content-Type": "text/plain" },
+                "Not mocked: " + oMessage.url
+              );
+            }
+          };
+          oContainer.addEventListener("message", fnOnServiceWorkerMessage);
+          oContainer.startMessages();
+
+          oServiceWorker = oRegistration.active;
+          return Promise.all([
+            postToServiceWorker(oServiceWorker, {
+              sType: "register",
+              aBaseUrls: aServices.map(function (oService) {
+                return {
+                  sSource: oService.rBaseUrl.source,
+                  sFlags: oService.rBaseUrl.flags
+                };
+              })
+            }),
+            new Promise(function (fnResolve, fnReject) {
+              // The Service Worker claims this page when it is registered, see mockServiceWorker.js
+              if (oContainer.controller) {
+                fnResolve();
+                return;
+              }
+              oContainer.addEventListener("controllerchange", fnResolve);
+              setTimeout(function () {
+                fnReject(
+                  new Error(
+                    "The Service Worker does not control this page after " +
+                      iServiceWorkerTimeoutMS +
+                      " ms"
+                  )
+                );
+              }, iServiceWorkerTimeoutMS);
+            })
+          ]);
+        })
+        .catch(function (oError) {
+          if (fnOnServiceWorkerMessage) {
+            oContainer.removeEventListener("message", fnOnServiceWorkerMessage);
+            fnOnServiceWorkerMessage = undefined;
+          }
+          if (oServiceWorker) {
+            // The requests of other pages in its scope must not wait for this page
+            oServiceWorker.postMessage({ sType: "unregister" });
+          }
+          throw oError;
+        });
+    }
+
+    /**
+     * Posts a message to the Service Worker.
+     * @param {Object} oServiceWorker The Service Worker
+     * @param {Object} oMessage The message
+     * @returns {Promise} a promise which is resolved when the Service Worker has acknowledged the message
+     */
+    function postToServiceWorker(oServiceWorker, oMessage) {
+      return new Promise(function (fnResolve) {
+        var oChannel = new MessageChannel();
+
+        oChannel.port1.onmessage = fnResolve;
+        oServiceWorker.postMessage(oMessage, [oChannel.port2]);
+      });
+    }
+
+    /**
+     * Returns the mocked service for a URL.
+     * @param {string} sUrl The URL
+     * @returns {Object|undefined} the service, undefined if the URL does not belong to a mocked service
+     */
+    function getService(sUrl) {
+      return aServices.filter(function (oService) {
+        return oService.rBaseUrl.test(sUrl);
+      })[0];
+    }
+
     /**
      * Read the data for one mock object.
      * @param {Object} oService The service
@@ -117,7 +748,7 @@ sap.ui.define(
           oMock.sResponseText || JSON.stringify(oMock.oData);
         return Promise.resolve();
       }
-      if (oMock.sType == "function") {
+      if (oMock.sType == "function" || oMock.sType == "operation") {
         return Promise.resolve();
       }
       if (oMock.sResponseText) {
@@ -157,94 +788,500 @@ sap.ui.define(
       return Promise.all(
         aServices.map(function (oService) {
           oService.oMockLookup = {};
-          return Promise.all(
-            oService.aMocks.map(function (oMock) {
-              return readDataForMock(oService, oMock).then(function () {
-                oMock.oService = oService;
-                if (oMock.sType == "jsonMock") {
-                  oService.oMockLookup[oMock.sEntityName] = oMock;
-                }
-              });
+          oService.oOperationHandlers = {};
+          // Read the metadata first, it defines which entity sets are mocked
+          return readRecording(oService)
+            .then(function () {
+              return Promise.all(
+                oService.aMocks
+                  .filter(function (oMock) {
+                    return oMock.sType != "jsonMock";
+                  })
+                  .map(function (oMock) {
+                    return readDataForMock(oService, oMock).then(function () {
+                      oMock.oService = oService;
+                      if (oMock.sType == "operation") {
+                        oService.oOperationHandlers[oMock.sOperation] = oMock;
+                      }
+                      if (isMetadataDocument(oMock.oData)) {
+                        oService.oMetadata = metadata.parse(oMock.oData);
+                      }
+                    });
+                  })
+              );
             })
-          );
+            .then(function () {
+              addEntitySetMocks(oService);
+              addOperationImportMocks(oService);
+              addRecordedEntities(oService);
+              addGeneratedEntities(oService);
+              return Promise.all(
+                oService.aMocks
+                  .filter(function (oMock) {
+                    return oMock.sType == "jsonMock";
+                  })
+                  .map(function (oMock) {
+                    return readDataForMock(oService, oMock)
+                      .catch(function (oError) {
+                        if (!oMock.bFromMetadata) {
+                          throw oError;
+                        }
+                        Log.warning(
+                          "No mock data for entity set " +
+                            oMock.sEntityName +
+                            ", using an empty collection",
+                          oService.sNamespace + oMock.sResource,
+                          sLogComponent
+                        );
+                        oMock.oData = { value: [] };
+                      })
+                      .then(function () {
+                        oMock.oService = oService;
+                        oService.oMockLookup[oMock.sEntityName] = oMock;
+                      });
+                  })
+              );
+            })
+            .then(function () {
+              restorePersistedData(oService);
+              addCannedResponses(oService);
+            });
         })
       );
     }
 
     /**
-     * Get a basic response given the status code, content type, and response body as a string.
-     * @param {Integer} iStatusCode The status code, i.e. 200, 404, etc.
-     * @param {String} sContentType The content type
-     * @param {String} sResponseBody The response body as string
-     * @return {Array} A response array
+     * Reads the recorded traffic of a service, if it has an sRecording. The recorded metadata is used, unless
+     * the service has a mock for $metadata.
+     * @param {Object} oService The service
+     * @returns {Promise} a promise which is resolved when the recording has been read
      */
-    function basicResponse(iStatusCode, sContentType, sResponseBody) {
-      var oResponseHeaders = {
-        "odata-version": "4.0"
-      };
-      if (sContentType) {
-        oResponseHeaders["Content-Type"] = sContentType;
+    function readRecording(oService) {
+      if (!oService.sRecording) {
+        return Promise.resolve();
       }
-      return [iStatusCode, oResponseHeaders, sResponseBody];
-    }
-
-    function decorate(oJsonData, oDecorations) {
-      var sResponseText,
-        sJsonData,
-        sDecoration,
-        aParts,
-        rJsonBody = /^\{(.*)\}$/;
-
-      if (oJsonData) {
-        sJsonData =
-          typeof oJsonData == "string" ? oJsonData : JSON.stringify(oJsonData);
-        sDecoration =
-          typeof oDecorations == "string"
-            ? oDecorations
-            : JSON.stringify(oDecorations);
-        aParts = rJsonBody.exec(sJsonData);
-        if (aParts) {
-          sJsonData = aParts[1];
-          aParts = rJsonBody.exec(sDecoration);
-          if (aParts) {
-            sDecoration = aParts[1];
-            sResponseText =
-              "{" +
-              sDecoration +
-              (sDecoration && sJsonData && ",") +
-              sJsonData +
-              "}";
-          }
+      return LoaderExtensions.loadResource(
+        oService.sNamespace + oService.sRecording,
+        {
+          async: true,
+          dataType: "json"
         }
-      }
-
-      if (!sResponseText) {
-        throw new Error("Invalid decoration");
-      }
+      ).then(function (vRecording) {
+        var sMetadata;
 
-      return sResponseText;
+        oService.aRecordedEntries = recording.getEntries(
+          vRecording,
+          oService.rBaseUrl
+        );
+        oService.oReplayCounts = {};
+        sMetadata = recording.getMetadata(oService.aRecordedEntries);
+        if (
+          sMetadata &&
+          !oService.aMocks.some(function (oMock) {
+            return (
+              oMock.rUrl && oMock.rUrl.test(oService.sBaseUrl + "$metadata")
+            );
+          })
+        ) {
+          oService.aMocks.push({
+            rUrl: /\/\$metadata(\?.*|)$/,
+            sResource: "metadata.xml",
+            sType: "simple",
+            sMethod: "GET",
+            sResponseText: sMetadata,
+            oData: new DOMParser().parseFromString(sMetadata, "application/xml")
+          });
+        }
+      });
     }
 
     /**
-     *
-     * @param {Object} oJsonData The json data object
-     * @param {Object} oDecorations Additional properties to decorate the object
-     * @param {Integer=} iStatusCode The status code, default 200
-     * @return {Array} A response array
+     * Gives the entity sets of a recorded service the entities from the recorded GET responses, unless there
+     * is an explicit "jsonMock" for them.
+     * @param {Object} oService The service
      */
-    function jsonResponseDecorated(oJsonData, oDecorations, iStatusCode) {
-      return jsonResponse(decorate(oJsonData, oDecorations));
+    function addRecordedEntities(oService) {
+      var oEntities;
+
+      if (!oService.aRecordedEntries || !oService.oMetadata) {
+        return;
+      }
+      oEntities = recording.getEntities(
+        oService.aRecordedEntries,
+        oService.oMetadata,
+        isV2(oService)
+          ? function (oEntity, sEntitySet) {
+              return v2.parseEntity(oEntity, sEntitySet, oService);
+            }
+          : undefined
+      );
+      oService.aMocks.forEach(function (oMock) {
+        if (oMock.sType == "jsonMock" && oMock.bFromMetadata && !oMock.oData) {
+          oMock.oData = { value: oEntities[oMock.sEntityName] || [] };
+        }
+      });
     }
 
     /**
-     * Get a standard json response.
-     *
-     * @param {String|Object} oJsonData Either the Object or the JSON string.
-     * @param {Integer=} iStatusCode Optional status code, 200 is default.
-     * @return {Array} A response array
+     * Gives the entity sets of a service generated entities, if the service has an oGenerator or the URL
+     * parameter mock-generate gives the number of entities, unless there is data for them already, i.e. from
+     * an explicit "jsonMock" with oData or from a recording.
+     * @param {Object} oService The service
      */
-    function jsonResponse(oJsonData, iStatusCode) {
-      var sResponseText =
+    function addGeneratedEntities(oService) {
+      var oUrlParameters = new URLSearchParams(window.location.search),
+        sCount = oUrlParameters.get("mock-generate"),
+        sSeed = oUrlParameters.get("mock-seed"),
+        oOptions = Object.assign({}, oService.oGenerator),
+        oEntities;
+
+      if (sCount !== null && !isNaN(parseInt(sCount))) {
+        oOptions.iCount = parseInt(sCount);
+      }
+      if (sSeed !== null && !isNaN(parseInt(sSeed))) {
+        oOptions.iSeed = parseInt(sSeed);
+      }
+      if (oOptions.iCount === undefined || !oService.oMetadata) {
+        return;
+      }
+      oOptions.aEntitySets = oService.aMocks
+        .filter(function (oMock) {
+          return oMock.sType == "jsonMock" && !oMock.oData;
+        })
+        .map(function (oMock) {
+          return oMock.sEntityName;
+        });
+      oEntities = generator.generate(oService.oMetadata, oOptions);
+      oService.aMocks.forEach(function (oMock) {
+        if (oEntities[oMock.sEntityName] && !oMock.oData) {
+          oMock.oData = { value: oEntities[oMock.sEntityName] };
+        }
+      });
+      Log.info(
+        "Generated " + oOptions.iCount + " entities per entity set",
+        oService.sNamespace,
+        sLogComponent
+      );
+    }
+
+    /**
+     * Determines the canned responses of a recorded service: the recorded requests which the mock answers
+     * with another status than the real service, i.e. calls of operations without a mock handler. Each
+     * request is tried in the recorded order, and the changes are undone afterwards.
+     * @param {Object} oService The service
+     */
+    function addCannedResponses(oService) {
+      var oSnapshot;
+
+      if (!oService.aRecordedEntries) {
+        return;
+      }
+      oSnapshot = createSnapshot(oService);
+      oService.aCannedEntries = oService.aRecordedEntries.filter(function (
+        oEntry
+      ) {
+        return (
+          handleDirectRequest(oService, {
+            method: oEntry.sMethod,
+            url: oService.sBaseUrl + oEntry.sUrl,
+            requestHeaders: oEntry.oRequestHeaders,
+            requestBody: oEntry.sRequestBody
+          })[0] !== oEntry.iStatus
+        );
+      });
+      restoreSnapshot(oSnapshot);
+    }
+
+    /**
+     * Returns the recorded response for a request. In replay mode, which is switched on with bReplay in the
+     * service configuration or with the URL parameter ?mock-replay=true, the recorded responses to the same
+     * method and URL are sent in their order, and the last one is repeated. Otherwise, only the canned
+     * responses are sent, if method, URL and body are the same.
+     * @param {Object} oService The service
+     * @param {Object} oXhr The request
+     * @returns {Array|undefined} the response array, undefined if the mock has to answer
+     */
+    function getRecordedResponse(oService, oXhr) {
+      var sReplay = new URLSearchParams(window.location.search).get(
+          "mock-replay"
+        ),
+        sUrl,
+        sKey,
+        aEntries,
+        iIndex,
+        oEntry;
+
+      if (!oService.aCannedEntries) {
+        // There is no recording, or the canned responses are being determined
+        return undefined;
+      }
+      sUrl = recording.getRelativeUrl(oXhr.url, oService.rBaseUrl);
+      if (sReplay === null ? oService.bReplay : sReplay === "true") {
+        sKey = oXhr.method + " " + sUrl;
+        aEntries = oService.aRecordedEntries.filter(function (oCandidate) {
+          return oCandidate.sMethod + " " + oCandidate.sUrl === sKey;
+        });
+        if (aEntries.length) {
+          iIndex = oService.oReplayCounts[sKey] || 0;
+          oService.oReplayCounts[sKey] = iIndex + 1;
+          oEntry = aEntries[Math.min(iIndex, aEntries.length - 1)];
+        } else {
+          Log.warning(
+            "Mockserver: No recorded response to replay for " + sKey,
+            "The mock answers instead",
+            sLogComponent
+          );
+        }
+      }
+      oEntry =
+        oEntry ||
+        oService.aCannedEntries.filter(function (oCandidate) {
+          return (
+            oCandidate.sMethod === oXhr.method &&
+            oCandidate.sUrl === sUrl &&
+            oCandidate.sRequestBody === (oXhr.requestBody || "")
+          );
+        })[0];
+
+      return (
+        oEntry && [
+          oEntry.iStatus,
+          Object.assign({}, oEntry.oHeaders),
+          oEntry.sBody
+        ]
+      );
+    }
+
+    /**
+     * Remembers the data read from the JSON files of a service for a reset, and replaces it with the persisted
+     * data, if the service is persistent and there is persisted data.
+     * @param {Object} oService The service
+     */
+    function restorePersistedData(oService) {
+      var oData;
+
+      Object.keys(oService.oMockLookup).forEach(function (sEntitySet) {
+        var oMock = oService.oMockLookup[sEntitySet];
+        oMock.sOriginalData = JSON.stringify(oMock.oData.value);
+      });
+      if (!persistence.isEnabled(oService)) {
+        return;
+      }
+      oData = persistence.readCurrent(oService);
+      if (oData) {
+        setMockData(oService, oData);
+        Log.info(
+          "Using the persisted mock data",
+          oService.sNamespace,
+          sLogComponent
+        );
+      }
+    }
+
+    /**
+     * Returns the current mock data of a service.
+     * @param {Object} oService The service
+     * @returns {Object} a map of entity set name to the array of entities
+     */
+    function getMockData(oService) {
+      var oData = {};
+
+      Object.keys(oService.oMockLookup).forEach(function (sEntitySet) {
+        oData[sEntitySet] = oService.oMockLookup[sEntitySet].oData.value;
+      });
+      return oData;
+    }
+
+    /**
+     * Replaces the mock data of a service. The arrays of entities keep their identity, entity sets which are
+     * missing in the given data keep their entities.
+     * @param {Object} oService The service
+     * @param {Object} oData A map of entity set name to the array of entities
+     */
+    function setMockData(oService, oData) {
+      Object.keys(oService.oMockLookup).forEach(function (sEntitySet) {
+        var aEntities = oService.oMockLookup[sEntitySet].oData.value;
+
+        if (Array.isArray(oData[sEntitySet])) {
+          aEntities.length = 0;
+          Array.prototype.push.apply(aEntities, oData[sEntitySet]);
+          getStore(oService.oMockLookup[sEntitySet]).invalidate();
+        }
+      });
+    }
+
+    /**
+     * Persists the current mock data of a service, if the service is persistent.
+     * @param {Object} oService The service
+     */
+    function persistData(oService) {
+      if (!persistence.isEnabled(oService)) {
+        return;
+      }
+      try {
+        persistence.writeCurrent(oService, getMockData(oService));
+      } catch (e) {
+        // i.e. the quota is exceeded, the mockserver can work without persistence
+        Log.warning(
+          "Cannot persist the mock data: " + e.message,
+          oService.sNamespace,
+          sLogComponent
+        );
+      }
+    }
+
+    /**
+     * Adds a "jsonMock" for each entity set of the service's metadata, unless there is one already.
+     * The URL, resource, key and navigations of each "jsonMock" of an entity set default to what is
+     * declared in the metadata, so explicit mocks only need to define what is different.
+     * @param {Object} oService The service
+     */
+    function addEntitySetMocks(oService) {
+      var oMetadata = oService.oMetadata,
+        oExplicitMocks = {};
+
+      if (!oMetadata) {
+        return;
+      }
+      oService.aMocks.forEach(function (oMock) {
+        if (oMock.sType == "jsonMock") {
+          oExplicitMocks[oMock.sEntityName] = oMock;
+        }
+      });
+      Object.keys(oMetadata.oEntitySets).forEach(function (sEntitySetName) {
+        var oMock = oExplicitMocks[sEntitySetName],
+          oEntityType = metadata.getEntityType(oMetadata, sEntitySetName);
+
+        if (!oEntityType) {
+          return;
+        }
+        if (!oMock) {
+          oMock = {
+            sType: "jsonMock",
+            sEntityName: sEntitySetName,
+            bFromMetadata: true
+          };
+          oService.aMocks.push(oMock);
+        }
+        oMock.rUrl =
+          oMock.rUrl || new RegExp("\\/" + sEntitySetName + "([(/?].*|)$");
+        oMock.sResource = oMock.sResource || "data/" + sEntitySetName + ".json";
+        oMock.sEntityKey = oMock.sEntityKey || oEntityType.aKeys[0];
+        oMock.oNavigations =
+          oMock.oNavigations ||
+          metadata.getNavigations(oMetadata, sEntitySetName);
+      });
+    }
+
+    /**
+     * Adds an "operationImport" mock for each action import and function import of the service's metadata,
+     * so that requests to them are routed to the handler of the imported operation.
+     * @param {Object} oService The service
+     */
+    function addOperationImportMocks(oService) {
+      var oMetadata = oService.oMetadata;
+
+      if (!oMetadata) {
+        return;
+      }
+      Object.keys(oMetadata.oOperationImports).forEach(function (sName) {
+        oService.aMocks.push({
+          sType: "operationImport",
+          sName: sName,
+          rUrl: new RegExp("\\/" + sName + "([(/?].*|)$"),
+          bFromMetadata: true,
+          oService: oService
+        });
+      });
+    }
+
+    /**
+     * Checks if the data of a mock is the EDMX document of the service.
+     * @param {any} oData The data read for a mock
+     * @return {boolean} True if it is the metadata document
+     */
+    function isMetadataDocument(oData) {
+      return !!(
+        oData &&
+        oData.documentElement &&
+        oData.documentElement.localName === "Edmx"
+      );
+    }
+
+    /**
+     * Get a basic response given the status code, content type, and response body as a string.
+     * @param {Integer} iStatusCode The status code, i.e. 200, 404, etc.
+     * @param {String} sContentType The content type
+     * @param {String} sResponseBody The response body as string
+     * @return {Array} A response array
+     */
+    function basicResponse(iStatusCode, sContentType, sResponseBody) {
+      var oResponseHeaders = {
+        "odata-version": "4.0"
+      };
+      if (sContentType) {
+        oResponseHeaders["Content-Type"] = sContentType;
+      }
+      return [iStatusCode, oResponseHeaders, sResponseBody];
+    }
+
+    function decorate(oJsonData, oDecorations) {
+      var sResponseText,
+        sJsonData,
+        sDecoration,
+        aParts,
+        rJsonBody = /^\{(.*)\}$/;
+
+      if (oJsonData) {
+        sJsonData =
+          typeof oJsonData == "string" ? oJsonData : JSON.stringify(oJsonData);
+        sDecoration =
+          typeof oDecorations == "string"
+            ? oDecorations
+            : JSON.stringify(oDecorations);
+        aParts = rJsonBody.exec(sJsonData);
+        if (aParts) {
+          sJsonData = aParts[1];
+          aParts = rJsonBody.exec(sDecoration);
+          if (aParts) {
+            sDecoration = aParts[1];
+            sResponseText =
+              "{" +
+              sDecoration +
+              (sDecoration && sJsonData && ",") +
+              sJsonData +
+              "}";
+          }
+        }
+      }
+
+      if (!sResponseText) {
+        throw new Error("Invalid decoration");
+      }
+
+      return sResponseText;
+    }
+
+    /**
+     *
+     * @param {Object} oJsonData The json data object
+     * @param {Object} oDecorations Additional properties to decorate the object
+     * @param {Integer=} iStatusCode The status code, default 200
+     * @return {Array} A response array
+     */
+    function jsonResponseDecorated(oJsonData, oDecorations, iStatusCode) {
+      return jsonResponse(decorate(oJsonData, oDecorations), iStatusCode);
+    }
+
+    /**
+     * Get a standard json response.
+     *
+     * @param {String|Object} oJsonData Either the Object or the JSON string.
+     * @param {Integer=} iStatusCode Optional status code, 200 is default.
+     * @return {Array} A response array
+     */
+    function jsonResponse(oJsonData, iStatusCode) {
+      var sResponseText =
         typeof oJsonData == "string" ? oJsonData : JSON.stringify(oJsonData);
       return basicResponse(
         iStatusCode || 200,
@@ -254,29 +1291,38 @@ sap.ui.define(
     }
 
     /**
-     * Generate an error response.
+     * Generate an error response, in the OData V4 JSON format with a plain message string; see v2.js for
+     * the V2 format.
      * @param {Integer} iStatusCode Status code such as 404, or 500
      * @param {String} sErrorMessage The error message
      * @param {String=} sErrorTarget The target property name for the error message
+     * @param {Object[]=} aDetails Further messages, each with sMessage and sTarget
      * @return {Array} A response array
      */
-    function getErrorResponse(iStatusCode, sErrorMessage, sErrorTarget) {
-      var oMessage = {
-        lang: "en-US",
-        value: sErrorMessage
+    function getErrorResponse(
+      iStatusCode,
+      sErrorMessage,
+      sErrorTarget,
+      aDetails
+    ) {
+      var oError = {
+        code: iStatusCode + "",
+        message: sErrorMessage
       };
+
       if (sErrorTarget) {
-        oMessage.target = sErrorTarget;
+        oError.target = sErrorTarget;
       }
-      return jsonResponse(
-        {
-          error: {
+      if (aDetails && aDetails.length) {
+        oError.details = aDetails.map(function (oDetail) {
+          return {
             code: iStatusCode + "",
-            message: oMessage
-          }
-        },
-        iStatusCode
-      );
+            message: oDetail.sMessage,
+            target: oDetail.sTarget
+          };
+        });
+      }
+      return jsonResponse({ error: oError }, iStatusCode);
     }
 
     /**
@@ -299,397 +1345,2249 @@ sap.ui.define(
     }
 
     /**
-     * Retrieves the key from a given request URL.
-     * @param {string} sUrl - the request URL.
-     * @returns {string} the key
+     * Checks whether a service speaks OData V2, see odataVersion in aServices.
+     * @param {Object} oService The service
+     * @returns {boolean} whether requests and responses are converted by odata/v2.js
      */
-    function getEntityKeyFromUrl(sUrl) {
-      var aMatches = sUrl.match(/\('?([^'\)]*)'?\)(?:\?.*|)$/);
-      if (!Array.isArray(aMatches) || aMatches.length !== 2) {
-        throw new Error("Could not find a key in " + sUrl);
-      }
-      return aMatches[1];
+    function isV2(oService) {
+      return oService.odataVersion === "2.0";
     }
 
     /**
-     * Looks for an entity with a given entity key and returns its index in the entity array.
+     * Returns the key properties of the mock's entity type, or its sEntityKey if there is no metadata.
      * @param {Object} oMock The mock
-     * @param {String} oMock.sEntityKey The key
-     * @param {Object} oMock.oData The data
-     * @param {String} sEntityKey - the entity key to look for.
-     * @returns {Integer} index of that entity in the array, or -1 if the entity was not found.
+     * @returns {Array} the key properties, each with the sName and the EDM sType if known
      */
-    function findEntityIndex(oMock, sEntityKey) {
-      var aData = oMock.oData.value;
-      for (var i = 0; i < aData.length; i++) {
-        if (aData[i][oMock.sEntityKey] === sEntityKey) {
-          return i;
-        }
+    function getKeyProperties(oMock) {
+      var oEntityType = metadata.getEntityType(
+        oMock.oService.oMetadata,
+        oMock.sEntityName
+      );
+
+      if (!oEntityType) {
+        return [{ sName: oMock.sEntityKey }];
       }
-      return -1;
+      return oEntityType.aKeys.map(function (sName) {
+        return {
+          sName: sName,
+          sType: oEntityType.oProperties[sName].sType
+        };
+      });
     }
 
     /**
-     * Filters a given result set by applying the OData URL parameter 'filter'.
-     * Does NOT change the given result set but returns a new array.
-     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
-     * @param {Array} aResultSet - the result set to be filtered.
-     * @returns {Array} the filtered result set.
+     * Returns the structural properties of a mock's entity type. Without metadata, they are taken from the
+     * first entity.
+     * @param {Object} oMock The mock
+     * @returns {Object[]} the properties, each with sName, sType, bCollection and bNullable
      */
-    function applyFilter(oXhr, aResultSet) {
-      var sFieldName,
-        sQuery,
-        aFilteredEntities,
-        aMatches = oXhr.url.match(/\$filter=.*\((.*),'(.*)'\)/);
-
-      // If the request contains a filter command, apply the filter
-      if (Array.isArray(aMatches) && aMatches.length >= 3) {
-        sFieldName = aMatches[1];
-        sQuery = aMatches[2];
-
-        if (!/^\w+$/.test(sFieldName)) {
-          throw new Error(
-            "Filters on field " + sFieldName + " are not supported."
-          );
-        }
+    function getProperties(oMock) {
+      var oEntityType = metadata.getEntityType(
+        oMock.oService.oMetadata,
+        oMock.sEntityName
+      );
 
-        aFilteredEntities = aResultSet.filter(function (oEntity) {
-          return oEntity[sFieldName].indexOf(sQuery) !== -1;
+      if (!oEntityType) {
+        return Object.keys(oMock.oData.value[0] || {}).map(function (sName) {
+          return { sName: sName, bCollection: false, bNullable: true };
         });
-      } else {
-        aFilteredEntities = aResultSet.concat([]);
       }
+      return Object.keys(oEntityType.oProperties).map(function (sName) {
+        var oProperty = oEntityType.oProperties[sName];
 
-      return aFilteredEntities;
+        return {
+          sName: sName,
+          sType: oProperty.sType,
+          bCollection: oProperty.bCollection,
+          bNullable: oProperty.bNullable
+        };
+      });
     }
 
     /**
-     * Sorts a given result set by applying the OData URL parameter 'orderby'.
-     * Does NOT change the given result set but returns a new array.
-     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
-     * @param {Array} aResultSet - the result set to be sorted.
-     * @returns {Array} the sorted result set.
+     * Builds the key predicate of an entity, as used in context URLs and in @odata.id.
+     * @param {Object} oMock The mock
+     * @param {Object} oEntity The entity, or a map of key property name to value
+     * @returns {string} the key predicate, i.e. "('1')" or "(orderId='1',itemNo=10)"
      */
-    function applySort(oXhr, aResultSet) {
-      var sFieldName,
-        sDirection,
-        aSortedEntities = [].concat(aResultSet), // work with a copy
-        aMatches = oXhr.url.match(/\$orderby=(\w*)(?:%20(\w*))?/);
+    function getKeyPredicate(oMock, oEntity) {
+      return resourcePath.formatKeyPredicate(
+        oEntity,
+        getKeyProperties(oMock),
+        isV2(oMock.oService) ? v2.formatLiteral : undefined
+      );
+    }
 
-      if (!Array.isArray(aMatches) || aMatches.length < 2) {
-        return aSortedEntities;
-      } else {
-        sFieldName = aMatches[1];
-        sDirection = aMatches[2] || "asc";
+    /**
+     * Builds the canonical URL of an entity relative to the service root, as used in @odata.id.
+     * @param {Object} oMock The mock
+     * @param {Object} oEntity The entity
+     * @returns {string} the entity ID, i.e. "Person('1')"
+     */
+    function getEntityId(oMock, oEntity) {
+      return oMock.sEntityName + getKeyPredicate(oMock, oEntity);
+    }
 
-        if (!/^\w+$/.test(sFieldName)) {
-          throw new Error(
-            "Filters on field " + sFieldName + " are not supported."
-          );
-        }
+    /**
+     * Checks whether an entity has the given key.
+     * @param {Object} oMock The mock
+     * @param {Object} oEntity The entity
+     * @param {Object} oKey The key values, i.e. parsed from a key predicate, or another entity
+     * @returns {boolean} True if all key properties are equal
+     */
+    function matchesKey(oMock, oEntity, oKey) {
+      return resourcePath.matchesKey(oEntity, oKey, getKeyProperties(oMock));
+    }
 
-        aSortedEntities.sort(function (a, b) {
-          var nameA = a[sFieldName].toUpperCase();
-          var nameB = b[sFieldName].toUpperCase();
-          var bAsc = sDirection === "asc";
+    /**
+     * Returns the properties which the metadata declares as concurrency tokens of a mocked entity set.
+     * @param {Object} oMock The mock
+     * @returns {Object[]} the properties, empty if there are none or no metadata
+     */
+    function getConcurrencyProperties(oMock) {
+      return metadata.getConcurrencyProperties(
+        oMock.oService.oMetadata,
+        oMock.sEntityName
+      );
+    }
 
-          if (nameA < nameB) {
-            return bAsc ? -1 : 1;
-          }
-          if (nameA > nameB) {
-            return bAsc ? 1 : -1;
-          }
-          return 0;
-        });
+    /**
+     * Checks the entity data of a request against the entity type of a mocked entity set, if the service has
+     * metadata.
+     * @param {Object} oMock The mock
+     * @param {Object} oData The entity data, or the changed properties of an entity
+     * @param {boolean} bComplete Whether the data must contain all non-nullable properties
+     * @param {string} [sPrefix=""] The path of a nested entity within the payload, with a trailing "/", for
+     *   the targets of the messages, see getNestedPrefix
+     * @throws {Error} A 400 error if the data does not match, see validation.checkEntity
+     */
+    function checkPayload(oMock, oData, bComplete, sPrefix) {
+      var oEntityType = metadata.getEntityType(
+        oMock.oService.oMetadata,
+        oMock.sEntityName
+      );
 
-        return aSortedEntities;
+      if (oEntityType) {
+        validation.checkEntity(
+          oData,
+          oEntityType,
+          oMock.oService.oMetadata,
+          bComplete,
+          sPrefix
+        );
       }
     }
 
     /**
-     * Apply the OData expand to the given entity.
-     * @param {Object} oXhr The Faked request
+     * Checks whether entity data contains the complete key.
      * @param {Object} oMock The mock
-     * @param {Object} oEntity The entity from the mock
-     * @returns {Object} An object used to decorate this object with the expanded properties
+     * @param {Object} oData The entity data
+     * @returns {boolean} Whether all key properties have a value
      */
-    function expandedFieldDecorations(oXhr, oMock, oEntity) {
-      var oDecorations = {},
-        aParts,
-        sExpand;
-
-      if (oMock.oNavigations) {
-        aParts = /\$expand=([^&#]*)/.exec(oXhr.url);
-        sExpand = aParts && aParts[1];
-        if (sExpand) {
-          sExpand
-            .split(",")
-            .map(function (a) {
-              return decodeURIComponent(a).trim();
-            })
-            .forEach(function (sFieldName) {
-              var oNavigation = oMock.oNavigations[sFieldName],
-                oFieldMock,
-                iEntityIndex;
-              if (oNavigation) {
-                oFieldMock =
-                  oMock.oService.oMockLookup[oNavigation.sEntityName];
-                if (oFieldMock) {
-                  iEntityIndex = findEntityIndex(
-                    oFieldMock,
-                    oEntity[oNavigation.sFieldName]
-                  );
-                  if (iEntityIndex > -1) {
-                    oDecorations[sFieldName] =
-                      oFieldMock.oData.value[iEntityIndex];
-                  }
-                }
-              }
-            });
+    function hasKey(oMock, oData) {
+      return getKeyProperties(oMock).every(function (oKeyProperty) {
+        return (
+          oData[oKeyProperty.sName] !== undefined &&
+          oData[oKeyProperty.sName] !== null
+        );
+      });
+    }
+
+    /**
+     * Returns the ETag of an entity.
+     * @param {Object} oMock The mock
+     * @param {Object} oEntity The entity
+     * @returns {string} the ETag, i.e. 'W/"1a2b3c"'
+     */
+    function getETag(oMock, oEntity) {
+      return concurrency.getETag(oEntity, getConcurrencyProperties(oMock));
+    }
+
+    /**
+     * Returns a request header, ignoring the case of its name.
+     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
+     * @param {string} sName The name of the header
+     * @returns {string|undefined} the value, undefined if the header is not given
+     */
+    function getRequestHeader(oXhr, sName) {
+      var oHeaders = oXhr.requestHeaders || {},
+        sKey = Object.keys(oHeaders).filter(function (sCandidate) {
+          return sCandidate.toLowerCase() === sName.toLowerCase();
+        })[0];
+
+      return sKey === undefined ? undefined : oHeaders[sKey];
+    }
+
+    /**
+     * Checks the If-Match and If-None-Match headers of a request for a single entity, or for a property or
+     * a bound operation of it. Changing an entity with concurrency tokens requires If-Match.
+     * @param {Object} oResource The resource from resolveResource
+     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
+     * @returns {boolean} True if a GET request can be answered with 304 Not Modified
+     * @throws {Error} a 412 error if a precondition fails, a 428 error if a required one is missing
+     */
+    function checkPreconditions(oResource, oXhr) {
+      var aTokenProperties;
+
+      if (oResource.bCollection || !oResource.oEntity) {
+        return false;
+      }
+      aTokenProperties = getConcurrencyProperties(oResource.oMock);
+      return concurrency.checkPreconditions(
+        {
+          sIfMatch: getRequestHeader(oXhr, "If-Match"),
+          sIfNoneMatch: getRequestHeader(oXhr, "If-None-Match")
+        },
+        concurrency.getETag(oResource.oEntity, aTokenProperties),
+        oXhr.method === "GET",
+        aTokenProperties.length > 0 &&
+          ["PATCH", "PUT", "DELETE"].indexOf(oXhr.method) >= 0
+      );
+    }
+
+    /**
+     * Resolves the resource path of a request URL, following navigation properties and properties, i.e.
+     * "Person('1')/manager/fullName/$value".
+     * @param {Object} oService The service
+     * @param {Object} oMock The mock whose URL matched the request, used if the first segment is no mocked
+     *   entity set
+     * @param {string} sUrl - the request URL.
+     * @returns {Object} the resource with the oMock of the addressed entities, and either bCollection and
+     *   aEntities, or the single oEntity (null for an empty single-valued navigation property, undefined if
+     *   no entity has the key oKey from the key predicate sKeyPredicate). aPropertyPath and oProperty describe an addressed property, bValue and
+     *   bCount whether "$value" or "$count" is requested. If the last segment is a navigation property,
+     *   sNavigationProperty, oNavigation, oSourceMock and oSourceEntity describe where it starts.
+     *   If the last segment is an action or function, see resolveOperation.
+     */
+    function resolveResource(oService, oMock, sUrl) {
+      var aSegments = resourcePath.parse(
+          resourcePath.getPath(sUrl, oService.rBaseUrl)
+        ),
+        oMetadata = oService.oMetadata,
+        oImport =
+          aSegments.length &&
+          !oService.oMockLookup[aSegments[0].sName] &&
+          oMetadata &&
+          oMetadata.oOperationImports[aSegments[0].sName],
+        oRootMock =
+          (aSegments.length && oService.oMockLookup[aSegments[0].sName]) ||
+          oMock,
+        oResource;
+
+      if (!oImport && !oRootMock.oData) {
+        throw errors.notFound("Cannot find resource " + sUrl);
+      }
+      oResource = oImport
+        ? {}
+        : {
+            oMock: oRootMock,
+            bCollection: true,
+            aEntities: oRootMock.oData.value,
+            aPropertyPath: []
+          };
+
+      aSegments.forEach(function (oSegment, iIndex) {
+        var sName = oSegment.sName,
+          oCurrentMock = oResource.oMock,
+          oNavigation,
+          oTargetMock,
+          aRelated;
+
+        if (oResource.oOperation) {
+          throw errors.badRequest(
+            "No segment may follow the operation " +
+              oResource.oOperation.sQualifiedName +
+              ", found " +
+              sName
+          );
+        }
+        if (oImport) {
+          oResource = resolveOperation(oService, null, oImport, oSegment);
+          return;
+        }
+        if (iIndex > 0) {
+          if (oResource.bValue || oResource.bCount) {
+            throw errors.badRequest(
+              "No segment may follow $value or $count, found " + sName
+            );
+          }
+          // Bound operations are called with their qualified name, i.e. "Person('1')/Sample.svc.Promote"
+          if (sName.indexOf(".") !== -1 && !oResource.aPropertyPath.length) {
+            oResource = resolveOperation(oService, oResource, null, oSegment);
+            return;
+          }
+          if (sName === "$count") {
+            if (!oResource.bCollection) {
+              throw errors.badRequest("$count must follow a collection");
+            }
+            oResource.bCount = true;
+            return;
+          }
+          if (sName === "$value") {
+            if (
+              !oResource.aPropertyPath.length ||
+              isStructuredValue(getPropertyValue(oResource))
+            ) {
+              throw errors.badRequest(
+                "$value must follow a primitive property"
+              );
+            }
+            oResource.bValue = true;
+            return;
+          }
+          if (oResource.bCollection) {
+            throw errors.badRequest(
+              "Segment " +
+                sName +
+                " must follow a single entity, use a key predicate"
+            );
+          }
+          if (!oResource.aPropertyPath.length && oCurrentMock.oNavigations) {
+            oNavigation = oCurrentMock.oNavigations[sName];
+            oTargetMock =
+              oNavigation && oService.oMockLookup[oNavigation.sEntityName];
+          }
+          // An empty single-valued navigation property is followed, so that its properties and single-valued
+          // navigation properties are null, too
+          if (
+            oResource.oEntity === undefined ||
+            (oResource.oEntity === null &&
+              oTargetMock &&
+              oNavigation.bCollection)
+          ) {
+            throw errors.notFound(
+              "Cannot resolve segment " +
+                sName +
+                " because there is no " +
+                oCurrentMock.sEntityName
+            );
+          }
+          if (
+            oSegment.sPredicate !== undefined &&
+            !(oTargetMock && oNavigation.bCollection)
+          ) {
+            throw errors.badRequest("Key predicate not allowed after " + sName);
+          }
+          if (oTargetMock) {
+            aRelated = oResource.oEntity
+              ? findRelatedEntities(oNavigation, oTargetMock, oResource.oEntity)
+              : [];
+            oResource = {
+              oMock: oTargetMock,
+              bCollection: !!oNavigation.bCollection,
+              aEntities: aRelated,
+              oEntity: oNavigation.bCollection
+                ? undefined
+                : aRelated[0] || null,
+              aPropertyPath: [],
+              oNavigation: oNavigation,
+              sNavigationProperty: sName,
+              oSourceMock: oCurrentMock,
+              oSourceEntity: oResource.oEntity
+            };
+          } else {
+            oResource.oProperty = getPropertyInfo(oResource, sName);
+            oResource.aPropertyPath.push(sName);
+            return;
+          }
+        }
+        if (oSegment.sPredicate !== undefined) {
+          oResource.oKey = resourcePath.parseKeyPredicate(
+            oSegment.sPredicate,
+            getKeyProperties(oResource.oMock),
+            getExpressionContext(oResource.oMock, getQueryOptions(sUrl))
+          );
+          oResource.sKeyPredicate = "(" + oSegment.sPredicate + ")";
+          oResource.bCollection = false;
+          oResource.oEntity =
+            oResource.aEntities === oResource.oMock.oData.value
+              ? findEntity(oResource.oMock, oResource.oKey)
+              : oResource.aEntities.filter(function (oEntity) {
+                  return matchesKey(oResource.oMock, oEntity, oResource.oKey);
+                })[0];
+        }
+      });
+
+      return oResource;
+    }
+
+    /**
+     * Resolves a segment of the resource path which calls an action or function, either via an import or
+     * bound to the resource addressed by the previous segments.
+     * @param {Object} oService The service
+     * @param {Object|null} oBinding The resource from resolveResource which the operation is bound to, null
+     *   for an import
+     * @param {Object|null} oImport The action or function import from the metadata, null for a bound operation
+     * @param {Object} oSegment The segment, its sPredicate contains the parameters of a function
+     * @returns {Object} the resource with the oService, the oOperation from the metadata, the oBinding or the
+     *   oImport, and the sParameters of a function
+     */
+    function resolveOperation(oService, oBinding, oImport, oSegment) {
+      var oMetadata = oService.oMetadata,
+        oBindingType =
+          oBinding &&
+          metadata.getEntityType(oMetadata, oBinding.oMock.sEntityName),
+        oOperation = oImport
+          ? metadata.getOperation(oMetadata, oImport.sOperation)
+          : oBindingType &&
+            metadata.getOperation(
+              oMetadata,
+              oSegment.sName,
+              oBindingType,
+              oBinding.bCollection
+            );
+
+      if (!oOperation) {
+        throw errors.notFound(
+          "Cannot find operation " +
+            oSegment.sName +
+            (oBindingType
+              ? " bound to " +
+                (oBinding.bCollection
+                  ? "Collection(" + oBindingType.sQualifiedName + ")"
+                  : oBindingType.sQualifiedName)
+              : "")
+        );
+      }
+      if (oOperation.bAction && oSegment.sPredicate !== undefined) {
+        throw errors.badRequest(
+          "The parameters of action " +
+            oOperation.sQualifiedName +
+            " must be sent in the request body"
+        );
+      }
+      if (oBinding && !oBinding.bCollection) {
+        getEntity(oBinding);
+      }
+
+      return {
+        oService: oService,
+        oOperation: oOperation,
+        oBinding: oBinding,
+        oImport: oImport,
+        sParameters: oSegment.sPredicate,
+        aPropertyPath: []
+      };
+    }
+
+    /**
+     * Looks up a property of the entity or complex value addressed by a resource.
+     * @param {Object} oResource The resource from resolveResource
+     * @param {string} sName The name of the property
+     * @returns {Object|null} the property from the metadata, null if there is no metadata for the entity
+     */
+    function getPropertyInfo(oResource, sName) {
+      var oMetadata = oResource.oMock.oService.oMetadata,
+        oType = oResource.aPropertyPath.length
+          ? oResource.oProperty &&
+            metadata.getStructuredType(oMetadata, oResource.oProperty.sType)
+          : metadata.getEntityType(oMetadata, oResource.oMock.sEntityName),
+        vValue;
+
+      if (oType) {
+        if (!oType.oProperties[sName]) {
+          throw errors.notFound(
+            "Property " +
+              sName +
+              " is not defined in type " +
+              oType.sQualifiedName
+          );
+        }
+        return oType.oProperties[sName];
+      }
+      vValue = getPropertyValue(oResource);
+      if (!isStructuredValue(vValue) || !vValue.hasOwnProperty(sName)) {
+        throw errors.notFound("Cannot find resource segment " + sName);
+      }
+      return null;
+    }
+
+    /**
+     * Reads the value of the property addressed by a resource, or the entity if no property is addressed.
+     * @param {Object} oResource The resource from resolveResource
+     * @returns {any} the value, null if the property is not set
+     */
+    function getPropertyValue(oResource) {
+      return oResource.aPropertyPath.reduce(function (vValue, sName) {
+        return vValue && vValue[sName] !== undefined ? vValue[sName] : null;
+      }, oResource.oEntity);
+    }
+
+    /**
+     * Checks whether a value is an entity or the value of a complex property.
+     * @param {any} vValue The value
+     * @returns {boolean} True if it is an object, but no array
+     */
+    function isStructuredValue(vValue) {
+      return !!vValue && typeof vValue == "object" && !Array.isArray(vValue);
+    }
+
+    /**
+     * Retrieves the decoded system query options and parameter aliases from a given request URL.
+     * @param {string} sUrl - the request URL.
+     * @returns {Object} a map of query option name to value, i.e. {"$filter": "fullName eq 'John Doe'"}
+     */
+    function getQueryOptions(sUrl) {
+      var iIndex = sUrl.indexOf("?"),
+        oQueryOptions = {};
+
+      if (iIndex >= 0) {
+        sUrl
+          .slice(iIndex + 1)
+          .split("#")[0]
+          .split("&")
+          .forEach(function (sPair) {
+            var iSeparator = sPair.indexOf("=");
+            if (iSeparator < 0) {
+              oQueryOptions[decodeURIComponent(sPair)] = "";
+            } else {
+              oQueryOptions[
+                decodeURIComponent(sPair.slice(0, iSeparator))
+              ] = decodeURIComponent(sPair.slice(iSeparator + 1));
+            }
+          });
+      }
+
+      return oQueryOptions;
+    }
+
+    /**
+     * Returns the store of a mock's entities, which indexes them. A new store is created if the mock has got a
+     * new array of entities.
+     * @param {Object} oMock The mock
+     * @param {Object} oMock.oData The data
+     * @returns {Object} the store, see odata/store.js
+     */
+    function getStore(oMock) {
+      if (!oMock.oStore || oMock.oStore.getEntities() !== oMock.oData.value) {
+        oMock.oStore = store.create(oMock.oData.value, getKeyProperties(oMock));
+      }
+      return oMock.oStore;
+    }
+
+    /**
+     * Looks for an entity with a given entity key.
+     * @param {Object} oMock The mock
+     * @param {Object} oKey - the key values to look for, i.e. parsed from a key predicate, or another entity.
+     * @returns {Object|undefined} the entity, or undefined if the entity was not found.
+     */
+    function findEntity(oMock, oKey) {
+      return getStore(oMock).getByKey(oKey);
+    }
+
+    /**
+     * Filters a given result set by applying the OData URL parameter 'filter'.
+     * The filter expression is checked against the entity type in the metadata, an invalid
+     * or unsupported expression results in an error with status code 400.
+     * Does NOT change the given result set but returns a new array.
+     * @param {Object} oMock The mock
+     * @param {Object} oQueryOptions - the query options of the request, or of an expanded navigation
+     * @param {Array} aResultSet - the result set to be filtered.
+     * @returns {Array} the filtered result set.
+     */
+    function applyFilter(oMock, oQueryOptions, aResultSet) {
+      // If the request contains a filter command, apply the filter
+      if (oQueryOptions.$filter) {
+        return aResultSet.filter(
+          expression.compileFilter(
+            oQueryOptions.$filter,
+            getExpressionContext(oMock, oQueryOptions)
+          )
+        );
+      }
+
+      return aResultSet.concat([]);
+    }
+
+    /**
+     * Reduces a given result set by applying the OData URL parameter 'search'.
+     * Does NOT change the given result set but returns a new array.
+     * @param {Object} oMock The mock
+     * @param {Object} oQueryOptions - the query options of the request, or of an expanded navigation
+     * @param {Array} aResultSet - the result set to be searched.
+     * @returns {Array} the entities matching the search expression.
+     */
+    function applySearch(oMock, oQueryOptions, aResultSet) {
+      var fnSearch = getSearchFilter(oMock, oQueryOptions);
+
+      return fnSearch ? aResultSet.filter(fnSearch) : aResultSet;
+    }
+
+    /**
+     * Compiles the OData URL parameter 'search' to a function which tells whether an entity matches.
+     * Each search term is looked for in the searchable properties of an entity, which are either given by
+     * the mock's aSearchableProperties, i.e. ["fullName", "address/city"], or else all string properties.
+     * @param {Object} oMock The mock
+     * @param {Object} oQueryOptions - the query options of the request, or of an expanded navigation
+     * @returns {function|undefined} the function, undefined if there is no search expression
+     */
+    function getSearchFilter(oMock, oQueryOptions) {
+      var oEntityType = metadata.getEntityType(
+          oMock.oService.oMetadata,
+          oMock.sEntityName
+        ),
+        aProperties = oMock.aSearchableProperties,
+        fnMatch;
+
+      if (!oQueryOptions.$search) {
+        return undefined;
+      }
+      fnMatch = search.compileSearch(oQueryOptions.$search);
+      if (!aProperties && oEntityType) {
+        aProperties = Object.keys(oEntityType.oProperties).filter(function (
+          sName
+        ) {
+          return oEntityType.oProperties[sName].sType === "Edm.String";
+        });
+      }
+
+      return function (oEntity) {
+        var aTexts = (aProperties || Object.keys(oEntity))
+          .map(function (sPath) {
+            return sPath.split("/").reduce(function (vValue, sName) {
+              return vValue && vValue[sName];
+            }, oEntity);
+          })
+          .filter(function (vValue) {
+            return typeof vValue == "string";
+          });
+
+        return fnMatch(aTexts);
+      };
+    }
+
+    /**
+     * Selects the entities of a collection which match the OData URL parameters 'filter' and 'search', sorted
+     * by 'orderby'. For the whole entity set, the result is cached by the mock's store until the entities
+     * change, so that paging through a large collection filters and sorts it only once. With a limit, only
+     * that many matching entities are looked for, which needs neither the cache nor a sort.
+     * Does NOT change the given result set, but may return it.
+     * @param {Object} oResource The resource from resolveResource, a collection
+     * @param {Object} oQueryOptions - the query options of the request
+     * @param {Integer} [iLimit] - the number of matching entities that is enough, only without 'orderby'
+     * @returns {Array} the selected entities, not to be changed
+     */
+    function selectEntities(oResource, oQueryOptions, iLimit) {
+      var oMock = oResource.oMock,
+        aEntities = oResource.aEntities,
+        fnFilter =
+          oQueryOptions.$filter &&
+          expression.compileFilter(
+            oQueryOptions.$filter,
+            getExpressionContext(oMock, oQueryOptions)
+          ),
+        fnSearch = getSearchFilter(oMock, oQueryOptions),
+        oStore = getStore(oMock),
+        oQuery = {};
+
+      function compute() {
+        var aResult = aEntities,
+          iMax = iLimit === undefined ? aEntities.length : iLimit,
+          i;
+
+        if (fnFilter || fnSearch) {
+          aResult = [];
+          for (i = 0; i < aEntities.length && aResult.length < iMax; i++) {
+            if (
+              (!fnFilter || fnFilter(aEntities[i])) &&
+              (!fnSearch || fnSearch(aEntities[i]))
+            ) {
+              aResult.push(aEntities[i]);
+            }
+          }
+        }
+        return oQueryOptions.$orderby
+          ? applySort(oMock, oQueryOptions, aResult)
+          : aResult;
+      }
+
+      if (
+        iLimit !== undefined ||
+        aEntities !== oStore.getEntities() ||
+        !(fnFilter || fnSearch || oQueryOptions.$orderby)
+      ) {
+        return compute();
+      }
+      // All query options but those reducing or shaping the result, including the values of aliases
+      Object.keys(oQueryOptions).forEach(function (sName) {
+        if (
+          [
+            "$count",
+            "$expand",
+            "$select",
+            "$skip",
+            "$skiptoken",
+            "$top"
+          ].indexOf(sName) < 0
+        ) {
+          oQuery[sName] = oQueryOptions[sName];
+        }
+      });
+      return oStore.getCachedResult(JSON.stringify(oQuery), compute);
+    }
+
+    /**
+     * Applies the OData URL parameter 'apply' to a collection, see odata/aggregation.js. Like in
+     * selectEntities, the result for the whole entity set is cached by the mock's store until the entities
+     * change.
+     * @param {Object} oResource The resource from resolveResource, a collection
+     * @param {Object} oQueryOptions - the query options of the request
+     * @returns {Object} the compiled transformations from aggregation.compile, with the resulting aRows, not
+     *   to be changed
+     */
+    function applyTransformations(oResource, oQueryOptions) {
+      var oMock = oResource.oMock,
+        oApplied = aggregation.compile(
+          oQueryOptions.$apply,
+          Object.assign(getExpressionContext(oMock, oQueryOptions), {
+            oApplySupported: metadata.getApplySupported(
+              oMock.oService.oMetadata,
+              oMock.sEntityName
+            )
+          })
+        ),
+        oQuery = {};
+
+      function compute() {
+        return oApplied.fnApply(oResource.aEntities);
+      }
+
+      if (oResource.aEntities !== getStore(oMock).getEntities()) {
+        oApplied.aRows = compute();
+        return oApplied;
+      }
+      // The query options applied after $apply do not change the cached result
+      Object.keys(oQueryOptions).forEach(function (sName) {
+        if (
+          [
+            "$count",
+            "$expand",
+            "$filter",
+            "$orderby",
+            "$search",
+            "$select",
+            "$skip",
+            "$skiptoken",
+            "$top"
+          ].indexOf(sName) < 0
+        ) {
+          oQuery[sName] = oQueryOptions[sName];
+        }
+      });
+      oApplied.aRows = getStore(oMock).getCachedResult(
+        JSON.stringify(oQuery),
+        compute
+      );
+      return oApplied;
+    }
+
+    /**
+     * Selects the aggregated rows which match the OData URL parameter 'filter', sorted by 'orderby'. Both are
+     * checked against the type of the rows, which has the grouped properties and the aliases.
+     * @param {Object} oMock The mock
+     * @param {Object} oApplied The result of applyTransformations, with aggregated rows
+     * @param {Object} oQueryOptions - the query options of the request
+     * @returns {Array} the selected rows
+     */
+    function selectAggregatedRows(oMock, oApplied, oQueryOptions) {
+      var oContext = Object.assign(getExpressionContext(oMock, oQueryOptions), {
+          oEntityType: oApplied.oType
+        }),
+        aRows = oApplied.aRows;
+
+      if (oQueryOptions.$search || oQueryOptions.$expand) {
+        throw errors.badRequest(
+          "$search and $expand are not supported for aggregated results of $apply"
+        );
+      }
+      if (oQueryOptions.$filter) {
+        aRows = aRows.filter(
+          expression.compileFilter(oQueryOptions.$filter, oContext)
+        );
+      }
+      return oQueryOptions.$orderby
+        ? aggregation.sort(aRows, oQueryOptions.$orderby, oContext)
+        : aRows;
+    }
+
+    /**
+     * Returns how many entities matching 'filter' and 'search' are enough to serve the requested page, i.e.
+     * with 'skip', 'top' and the maximum page size, and to tell whether there is a following page.
+     * @param {Object} oMock The mock
+     * @param {Object} oQueryOptions - the query options of the request
+     * @returns {number} the number of entities, Infinity if all are needed
+     */
+    function getLimit(oMock, oQueryOptions) {
+      var iSkip = getNonNegativeInteger(oQueryOptions, "$skip") || 0,
+        iTop = getNonNegativeInteger(oQueryOptions, "$top"),
+        iSkipToken = getNonNegativeInteger(oQueryOptions, "$skiptoken") || 0,
+        iLimit = oMock.iMaxPageSize
+          ? iSkipToken + oMock.iMaxPageSize + 1
+          : Infinity;
+
+      return iSkip + (iTop === undefined ? iLimit : Math.min(iTop, iLimit));
+    }
+
+    /**
+     * Checks whether the OData URL parameter 'count' requests the number of entities.
+     * @param {Object} oQueryOptions - the query options of the request, or of an expanded navigation
+     * @returns {boolean} True if $count=true is given
+     */
+    function isCountRequested(oQueryOptions) {
+      var sCount = oQueryOptions.$count;
+
+      if (sCount !== undefined && sCount !== "true" && sCount !== "false") {
+        throw errors.badRequest(
+          "Invalid value for $count: '" + sCount + "', use true or false"
+        );
+      }
+      return sCount === "true";
+    }
+
+    /**
+     * Get the context for parsing expressions in the query options of a request to the given mock.
+     * @param {Object} oMock The mock
+     * @param {Object} oQueryOptions The query options, which also hold the values of parameter aliases
+     * @returns {Object} The context for the expression parser
+     */
+    function getExpressionContext(oMock, oQueryOptions) {
+      var oService = oMock.oService;
+      return {
+        oEntityType: metadata.getEntityType(
+          oService.oMetadata,
+          oMock.sEntityName
+        ),
+        oMetadata: oService.oMetadata,
+        oAliases: oQueryOptions,
+        bV2: isV2(oService)
+      };
+    }
+
+    /**
+     * Sorts a given result set by applying the OData URL parameter 'orderby'.
+     * Each comma separated item of the orderby list has its own direction, the values are compared according
+     * to the EDM type of the property. Null values come before all other values in ascending order, and after
+     * them in descending order. Entities with equal values keep their original order.
+     * Does NOT change the given result set but returns a new array.
+     * @param {Object} oMock The mock
+     * @param {Object} oQueryOptions - the query options of the request, or of an expanded navigation
+     * @param {Array} aResultSet - the result set to be sorted.
+     * @returns {Array} the sorted result set.
+     */
+    function applySort(oMock, oQueryOptions, aResultSet) {
+      var aOrderBy;
+
+      if (!oQueryOptions.$orderby) {
+        return aResultSet.concat([]);
+      }
+
+      aOrderBy = expression.parseOrderBy(
+        oQueryOptions.$orderby,
+        getExpressionContext(oMock, oQueryOptions)
+      );
+
+      // Compute the values to sort by only once per entity, and remember the index to keep the sort stable
+      return aResultSet
+        .map(function (oEntity, iIndex) {
+          return {
+            oEntity: oEntity,
+            iIndex: iIndex,
+            aValues: aOrderBy.map(function (oItem) {
+              return oItem.fnValue(oEntity, {});
+            })
+          };
+        })
+        .sort(function (oSortable1, oSortable2) {
+          var i, vValue1, vValue2, iResult;
+
+          for (i = 0; i < aOrderBy.length; i++) {
+            vValue1 = oSortable1.aValues[i];
+            vValue2 = oSortable2.aValues[i];
+            if (vValue1 === null || vValue2 === null) {
+              iResult =
+                (vValue1 === null ? -1 : 0) + (vValue2 === null ? 1 : 0);
+            } else {
+              iResult = types.compare(vValue1, vValue2);
+            }
+            if (iResult) {
+              return aOrderBy[i].bDescending ? -iResult : iResult;
+            }
+          }
+          return oSortable1.iIndex - oSortable2.iIndex;
+        })
+        .map(function (oSortable) {
+          return oSortable.oEntity;
+        });
+    }
+
+    /**
+     * Returns the referential constraints of a navigation.
+     * @param {Object} oNavigation The navigation from oMock.oNavigations, see findRelatedEntities
+     * @param {Object} oTargetMock The mock of the navigation's target entity set
+     * @returns {Array} The constraints, each with sSourceProperty and sTargetProperty
+     */
+    function getConstraints(oNavigation, oTargetMock) {
+      return (
+        oNavigation.aConstraints || [
+          {
+            sSourceProperty: oNavigation.sFieldName,
+            sTargetProperty: oTargetMock.sEntityKey
+          }
+        ]
+      );
+    }
+
+    /**
+     * Tells whether the source entity of a navigation holds the foreign key, i.e. for "manager", which has
+     * its own referential constraints, but not for "directReports", whose targets refer to the source.
+     * @param {Object} oNavigation The navigation from oMock.oNavigations, see findRelatedEntities
+     * @returns {boolean} Whether the source entity holds the foreign key
+     */
+    function isReferencing(oNavigation) {
+      return !oNavigation.aConstraints || !!oNavigation.bReferencing;
+    }
+
+    /**
+     * Finds the entities which are related to the given entity by a navigation.
+     * @param {Object} oNavigation The navigation from oMock.oNavigations, either with the referential
+     *   constraints aConstraints derived from the metadata, or with the foreign key sFieldName
+     * @param {Object} oTargetMock The mock of the navigation's target entity set
+     * @param {Object} oEntity The source entity
+     * @returns {Array} The related entities
+     */
+    function findRelatedEntities(oNavigation, oTargetMock, oEntity) {
+      var aConstraints = getConstraints(oNavigation, oTargetMock),
+        oTargetType = metadata.getEntityType(
+          oTargetMock.oService.oMetadata,
+          oTargetMock.sEntityName
+        );
+
+      if (!aConstraints.length) {
+        return [];
+      }
+      // The values are compared according to their type, i.e. GUIDs are not case sensitive
+      return getStore(oTargetMock).getByValues(
+        aConstraints.map(function (oConstraint) {
+          var oProperty =
+            oTargetType && oTargetType.oProperties[oConstraint.sTargetProperty];
+
+          return {
+            sName: oConstraint.sTargetProperty,
+            sType: oProperty && oProperty.sType
+          };
+        }),
+        oEntity,
+        aConstraints.map(function (oConstraint) {
+          return oConstraint.sSourceProperty;
+        })
+      );
+    }
+
+    /**
+     * Resolves the navigation properties in the OData URL parameter 'expand', including the nested query
+     * options of each navigation property, i.e. "manager($select=fullName;$expand=department)".
+     * @param {Object} oMock The mock
+     * @param {Object} oQueryOptions - the query options of the request, or of an expanded navigation
+     * @returns {Array} the expand items, each with the navigation property name sName, the oNavigation from the
+     *   mock, the oTargetMock, and the nested oQueryOptions, oSelection and aExpandItems
+     */
+    function getExpandItems(oMock, oQueryOptions) {
+      var oEntityType = metadata.getEntityType(
+          oMock.oService.oMetadata,
+          oMock.sEntityName
+        ),
+        oNavigations = oMock.oNavigations || {},
+        oAliases = {},
+        aExpandItems = [];
+
+      // Parameter aliases are defined once for the whole request, also for nested query options
+      Object.keys(oQueryOptions).forEach(function (sName) {
+        if (sName[0] === "@") {
+          oAliases[sName] = oQueryOptions[sName];
+        }
+      });
+
+      queryOptions
+        .parseExpand(oQueryOptions.$expand)
+        .forEach(function (oExpand) {
+          var aNames =
+            oExpand.sPath === "*" ? Object.keys(oNavigations) : [oExpand.sPath];
+
+          aNames.forEach(function (sName) {
+            var oNavigation = oNavigations[sName],
+              oTargetMock =
+                oNavigation &&
+                oMock.oService.oMockLookup[oNavigation.sEntityName],
+              oItemOptions = Object.assign({}, oAliases, oExpand.oQueryOptions);
+
+            if (!oTargetMock) {
+              if (oEntityType) {
+                throw errors.badRequest(
+                  "Cannot expand " +
+                    sName +
+                    ", it is not a navigation property of " +
+                    oEntityType.sQualifiedName +
+                    " bound to a mocked entity set"
+                );
+              }
+              // Without metadata, unknown navigation properties are ignored
+              return;
+            }
+            aExpandItems.push({
+              sName: sName,
+              oNavigation: oNavigation,
+              oTargetMock: oTargetMock,
+              oQueryOptions: oItemOptions,
+              oSelection: getSelection(oTargetMock, oItemOptions),
+              aExpandItems: getExpandItems(oTargetMock, oItemOptions)
+            });
+          });
+        });
+
+      return aExpandItems;
+    }
+
+    /**
+     * Apply the OData expand to the given entity.
+     * Single-valued navigation properties are expanded to an object or null, collection-valued ones to an
+     * array which is filtered, sorted and reduced by the nested query options.
+     * @param {Object} oMock The mock
+     * @param {Array} aExpandItems The expand items from getExpandItems
+     * @param {Object} oEntity The entity from the mock
+     * @returns {Object} An object used to decorate this object with the expanded properties
+     */
+    function expandedFieldDecorations(oMock, aExpandItems, oEntity) {
+      var oDecorations = {};
+
+      aExpandItems.forEach(function (oItem) {
+        var oItemOptions = oItem.oQueryOptions,
+          aRelated = applyFilter(
+            oItem.oTargetMock,
+            oItemOptions,
+            findRelatedEntities(oItem.oNavigation, oItem.oTargetMock, oEntity)
+          );
+
+        aRelated = applySearch(oItem.oTargetMock, oItemOptions, aRelated);
+
+        function expandRelated(oRelated) {
+          return Object.assign(
+            { "@odata.etag": getETag(oItem.oTargetMock, oRelated) },
+            queryOptions.project(oRelated, oItem.oSelection),
+            expandedFieldDecorations(
+              oItem.oTargetMock,
+              oItem.aExpandItems,
+              oRelated
+            )
+          );
+        }
+
+        if (oItem.oNavigation.bCollection) {
+          if (isCountRequested(oItemOptions)) {
+            oDecorations[oItem.sName + "@odata.count"] = aRelated.length;
+          }
+          aRelated = applySort(oItem.oTargetMock, oItemOptions, aRelated);
+          aRelated = applySkipTop(oItemOptions, aRelated);
+          oDecorations[oItem.sName] = aRelated.map(expandRelated);
+        } else {
+          oDecorations[oItem.sName] = aRelated.length
+            ? expandRelated(aRelated[0])
+            : null;
+        }
+      });
+
+      return oDecorations;
+    }
+
+    /**
+     * Reduces a given result set by applying the OData URL parameters 'skip' and 'top' to it.
+     * Does NOT change the given result set but returns a new array.
+     * @param {Object} oQueryOptions - the query options of the request, or of an expanded navigation
+     * @param {Array} aResultSet - the result set to be reduced.
+     * @returns {Array} the reduced result set.
+     */
+    function applySkipTop(oQueryOptions, aResultSet) {
+      var iSkip = getNonNegativeInteger(oQueryOptions, "$skip") || 0,
+        iTop = getNonNegativeInteger(oQueryOptions, "$top");
+
+      return aResultSet.slice(
+        iSkip,
+        iTop === undefined ? aResultSet.length : iSkip + iTop
+      );
+    }
+
+    /**
+     * Reduces a given result set to the requested page, if the mock has a maximum page size iMaxPageSize.
+     * If there are more entities, the @odata.nextLink to the following page is added to the decorations.
+     * The $skiptoken of that link is the number of entities already served from the result set.
+     * Does NOT change the given result set but returns a new array.
+     * @param {Object} oMock The mock
+     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
+     * @param {Object} oQueryOptions - the query options of the request
+     * @param {Array} aResultSet - the result set after $skip and $top have been applied.
+     * @param {Object} oDecorations - the decorations of the response
+     * @returns {Array} the entities of the requested page.
+     */
+    function applyPaging(oMock, oXhr, oQueryOptions, aResultSet, oDecorations) {
+      var iSkipToken = getNonNegativeInteger(oQueryOptions, "$skiptoken") || 0,
+        iMaxPageSize = oMock.iMaxPageSize;
+
+      if (iMaxPageSize && iSkipToken + iMaxPageSize < aResultSet.length) {
+        oDecorations["@odata.nextLink"] = getNextLink(
+          oMock.oService,
+          oXhr.url,
+          iSkipToken + iMaxPageSize
+        );
+      }
+      return aResultSet.slice(
+        iSkipToken,
+        iMaxPageSize ? iSkipToken + iMaxPageSize : aResultSet.length
+      );
+    }
+
+    /**
+     * Builds the link to the following page, which is the request URL relative to the service root with the
+     * new $skiptoken, so that all other query options are kept.
+     * @param {Object} oService The service
+     * @param {string} sUrl - the request URL.
+     * @param {Integer} iSkipToken - the number of entities already served
+     * @returns {string} the next link, i.e. "Person?$top=50&$skiptoken=20"
+     */
+    function getNextLink(oService, sUrl, iSkipToken) {
+      var iQuery = sUrl.indexOf("?"),
+        sPath = iQuery < 0 ? sUrl : sUrl.slice(0, iQuery),
+        aMatches = oService.rBaseUrl.exec(sPath),
+        aQuery = iQuery < 0 ? [] : sUrl.slice(iQuery + 1).split("&");
+
+      if (aMatches) {
+        sPath = sPath
+          .slice(aMatches.index + aMatches[0].length)
+          .replace(/^\//, "");
+      }
+      aQuery = aQuery.filter(function (sPair) {
+        return (
+          sPair && decodeURIComponent(sPair.split("=")[0]) !== "$skiptoken"
+        );
+      });
+      aQuery.push("$skiptoken=" + iSkipToken);
+
+      return sPath + "?" + aQuery.join("&");
+    }
+
+    /**
+     * Reads a query option which must be a non-negative integer, like $top or $skip.
+     * @param {Object} oQueryOptions - the query options
+     * @param {string} sName - the name of the query option
+     * @returns {Integer|undefined} the value, undefined if the query option is not given
+     */
+    function getNonNegativeInteger(oQueryOptions, sName) {
+      var sValue = oQueryOptions[sName];
+
+      if (sValue === undefined) {
+        return undefined;
+      }
+      if (!/^\d+$/.test(sValue)) {
+        throw errors.badRequest(
+          "Invalid value for " + sName + ": '" + sValue + "'"
+        );
+      }
+      return parseInt(sValue, 10);
+    }
+
+    /**
+     * Checks if a given Entity Key is unique or already used
+     * @param {Object} oMock The mock data
+     * @param {Object} oKey - the key values to be checked, i.e. the new entity
+     * @returns {boolean} True if the Entity Key is unique (not used), false otherwise
+     */
+    function isUnique(oMock, oKey) {
+      return !findEntity(oMock, oKey);
+    }
+
+    /**
+     * Create the base object to use for decorating an Entity JSON object, or a collection of entities.
+     * The context URL contains the select list, i.e. "$metadata#Person(fullName,title)", and ends with
+     * "/$entity" for a single entity.
+     * @param {Object} oMock The mock data
+     * @param {string} sSelectList The select list from getContextSelectList, may be empty
+     * @param {boolean} bEntity Whether the response contains a single entity instead of a collection
+     * @returns {Object} The base decorations to use.
+     */
+    function baseDecorations(oMock, sSelectList, bEntity) {
+      var sContext =
+        oMock.oService.sBaseUrl +
+        "$metadata#" +
+        oMock.sEntityName +
+        (sSelectList ? "(" + sSelectList + ")" : "") +
+        (bEntity ? "/$entity" : "");
+      return {
+        "@odata.context": sContext
+      };
+    }
+
+    /**
+     * Builds the select list of a context URL, which contains the $select items, and the expanded navigation
+     * properties with their own select list, i.e. "fullName,manager(fullName)" or "manager(manager())". Like
+     * in OData 4.01, the parentheses of an expanded navigation property are empty if all its properties are
+     * selected and nothing is expanded from it.
+     * @param {Object|null} oSelection The selection from getSelection, null if everything is selected
+     * @param {Array} aExpandItems The expand items from getExpandItems
+     * @returns {string} The select list, empty if everything is selected and nothing is expanded
+     */
+    function getContextSelectList(oSelection, aExpandItems) {
+      var aItems = oSelection ? oSelection.aItems.slice() : [];
+
+      aExpandItems.forEach(function (oItem) {
+        aItems.push(
+          oItem.sName +
+            "(" +
+            getContextSelectList(oItem.oSelection, oItem.aExpandItems) +
+            ")"
+        );
+      });
+
+      return aItems.join(",");
+    }
+
+    /**
+     * Parses the OData URL parameter 'select' of a request.
+     * @param {Object} oMock The mock
+     * @param {Object} oQueryOptions - the query options of the request, or of an expanded navigation
+     * @returns {Object|null} the selection, null if all properties are selected
+     */
+    function getSelection(oMock, oQueryOptions) {
+      var oEntityType = metadata.getEntityType(
+          oMock.oService.oMetadata,
+          oMock.sEntityName
+        ),
+        oSelection = queryOptions.parseSelect(
+          oQueryOptions.$select,
+          oEntityType,
+          oMock.oService.oMetadata
+        );
+
+      if (oSelection && !oEntityType && oMock.sEntityKey) {
+        // Without metadata, at least the key from the mock is always part of the response
+        oSelection.oTree[oMock.sEntityKey] = true;
+      }
+
+      return oSelection;
+    }
+
+    /**
+     * Retrieves any entity data from a given http request body.
+     * @param {string} sBody - the http request body.
+     * @returns {Object} the parsed entity data.
+     * @throws {Error} a 400 error if the body contains no JSON object
+     */
+    function getEntityDataFromRequest(sBody) {
+      // The body may span several lines, i.e. within a $batch
+      var aMatches = /({[\s\S]*})/.exec(sBody || "");
+
+      if (!aMatches) {
+        throw errors.badRequest(
+          "Could not find any entity data in " + (sBody || "the empty body")
+        );
+      }
+      try {
+        return JSON.parse(aMatches[1]);
+      } catch (e) {
+        throw errors.badRequest(
+          "Invalid JSON in the request body: " + e.message
+        );
+      }
+    }
+
+    /**
+     * Handles GET requests for entity data and returns a fitting response.
+     * @param {Object} oResource The resource from resolveResource, an entity or a collection
+     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
+     * @returns {Array} an array with the response information needed by Sinon's respond() function
+     */
+    function handleEntityRequest(oResource, oXhr) {
+      var iCount,
+        aResult,
+        bCount,
+        oMock = oResource.oMock,
+        oEntity,
+        oQueryOptions = getQueryOptions(oXhr.url),
+        oSelection = getSelection(oMock, oQueryOptions),
+        aExpandItems = getExpandItems(oMock, oQueryOptions),
+        sSelectList = getContextSelectList(oSelection, aExpandItems),
+        oDecorations;
+
+      // Check if an individual entity or a entity range is requested
+      if (!oResource.bCollection) {
+        if (oResource.oEntity === null) {
+          // A single-valued navigation property without a related entity
+          return basicResponse(204);
+        }
+        oEntity = getEntity(oResource);
+        oDecorations = baseDecorations(oMock, sSelectList, true);
+        oDecorations["@odata.id"] = getEntityId(oMock, oEntity);
+        oDecorations["@odata.etag"] = getETag(oMock, oEntity);
+        Object.assign(
+          oDecorations,
+          expandedFieldDecorations(oMock, aExpandItems, oEntity)
+        );
+        aResult = jsonResponseDecorated(
+          queryOptions.project(oEntity, oSelection),
+          oDecorations
+        );
+        aResult[1].ETag = oDecorations["@odata.etag"];
+      } else {
+        oDecorations = baseDecorations(oMock, sSelectList, false);
+        bCount = isCountRequested(oQueryOptions);
+        // Get the data filtered, searched, sorted and reduced according to skip + top; without count and
+        // sort, only the entities up to the requested page are needed
+        aResult = selectEntities(
+          oResource,
+          oQueryOptions,
+          bCount || oQueryOptions.$orderby
+            ? undefined
+            : getLimit(oMock, oQueryOptions)
+        );
+        iCount = aResult.length; // the total no. of people found, after filtering
+        aResult = applySkipTop(oQueryOptions, aResult);
+
+        if (bCount) {
+          oDecorations["@odata.count"] = iCount;
+        }
+        aResult = applyPaging(
+          oMock,
+          oXhr,
+          oQueryOptions,
+          aResult,
+          oDecorations
+        );
+
+        // The response is serialized at once, the decorations come first
+        oDecorations.value = aResult.map(function (oEntity) {
+          return Object.assign(
+            { "@odata.etag": getETag(oMock, oEntity) },
+            expandedFieldDecorations(oMock, aExpandItems, oEntity),
+            queryOptions.project(oEntity, oSelection)
+          );
+        });
+        aResult = jsonResponse(oDecorations);
+      }
+
+      return aResult;
+    }
+
+    /**
+     * Handles GET requests for a collection with the OData URL parameter 'apply'. If the transformations
+     * keep the entities, i.e. only filter and top, they are served like without 'apply'. Aggregated rows have
+     * no ETag, and the context URL lists their properties, i.e. "$metadata#Person(departmentId,total)".
+     * @param {Object} oResource The resource from resolveResource, a collection
+     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
+     * @returns {Array} an array with the response information needed by Sinon's respond() function
+     */
+    function handleApplyRequest(oResource, oXhr) {
+      var oMock = oResource.oMock,
+        oQueryOptions = getQueryOptions(oXhr.url),
+        oApplied,
+        oSelection,
+        oDecorations,
+        aResult;
+
+      if (!oResource.bCollection) {
+        throw errors.badRequest("$apply is only supported for collections");
+      }
+      oApplied = applyTransformations(oResource, oQueryOptions);
+      if (!oApplied.bAggregated) {
+        return handleEntityRequest(
+          Object.assign({}, oResource, { aEntities: oApplied.aRows }),
+          oXhr
+        );
+      }
+      oSelection = queryOptions.parseSelect(
+        oQueryOptions.$select,
+        oApplied.oType,
+        oMock.oService.oMetadata
+      );
+      aResult = selectAggregatedRows(oMock, oApplied, oQueryOptions);
+      oDecorations = baseDecorations(
+        oMock,
+        (oSelection ? oSelection.aItems : oApplied.aNames).join(","),
+        false
+      );
+      if (isCountRequested(oQueryOptions)) {
+        oDecorations["@odata.count"] = aResult.length;
+      }
+      aResult = applyPaging(
+        oMock,
+        oXhr,
+        oQueryOptions,
+        applySkipTop(oQueryOptions, aResult),
+        oDecorations
+      );
+      oDecorations.value = aResult.map(function (oRow) {
+        return queryOptions.project(oRow, oSelection);
+      });
+
+      return jsonResponse(oDecorations);
+    }
+
+    /**
+     * Returns the error for "duplicate key" requests, which is answered with a 400
+     * @param {Object} oMock The mock data
+     * @param {Object} oKey - the duplicate key values, i.e. the new entity
+     * @returns {Error} the error to throw
+     */
+    function duplicateKeyError(oMock, oKey) {
+      return errors.badRequest(
+        "There is already a(n) " +
+          oMock.sEntityName +
+          " with key " +
+          decodeURIComponent(getKeyPredicate(oMock, oKey)) +
+          "."
+      );
+    }
+
+    /**
+     * Returns the error for "invalid key" requests, which is answered with a 404
+     * @param {Object} oMock The mock data
+     * @param {string} sKeyPredicate - the invalid key predicate, i.e. "('1')"
+     * @returns {Error} the error to throw
+     */
+    function invalidKeyError(oMock, sKeyPredicate) {
+      var aKeyProperties = getKeyProperties(oMock);
+      return errors.notFound(
+        "Cannot find " + oMock.sEntityName + " with key " + sKeyPredicate,
+        aKeyProperties.length === 1 ? aKeyProperties[0].sName : undefined
+      );
+    }
+
+    /**
+     * Returns the single entity addressed by a resource.
+     * @param {Object} oResource The resource from resolveResource
+     * @returns {Object} the entity
+     * @throws {Error} a 404 error if there is no such entity
+     */
+    function getEntity(oResource) {
+      if (oResource.bCollection) {
+        throw errors.create(405, "Invalid method for a collection");
+      }
+      if (oResource.oEntity === undefined) {
+        throw invalidKeyError(oResource.oMock, oResource.sKeyPredicate);
+      }
+      if (oResource.oEntity === null) {
+        throw errors.notFound(
+          "Navigation property " +
+            oResource.sNavigationProperty +
+            " does not reference a(n) " +
+            oResource.oMock.sEntityName
+        );
+      }
+      return oResource.oEntity;
+    }
+
+    /**
+     * Handles GET requests for a property, or its raw value, and returns a fitting response.
+     * @param {Object} oResource The resource from resolveResource, a property
+     * @returns {Array} an array with the response information needed by Sinon's respond() function
+     */
+    function handlePropertyRequest(oResource) {
+      var oMock = oResource.oMock,
+        vValue = getPropertyValue(oResource),
+        oDecorations;
+
+      if (vValue === null) {
+        // The property is null, so there is no content
+        return basicResponse(204);
+      }
+      if (oResource.bValue) {
+        return basicResponse(
+          200,
+          oResource.oProperty && oResource.oProperty.sType === "Edm.Binary"
+            ? "application/octet-stream"
+            : "text/plain",
+          String(vValue)
+        );
+      }
+      oDecorations = {
+        "@odata.context":
+          oMock.oService.sBaseUrl +
+          "$metadata#" +
+          oMock.sEntityName +
+          getKeyPredicate(oMock, getEntity(oResource)) +
+          "/" +
+          oResource.aPropertyPath.join("/")
+      };
+      if (isStructuredValue(vValue)) {
+        return jsonResponseDecorated(vValue, oDecorations);
+      }
+      return jsonResponse(Object.assign(oDecorations, { value: vValue }));
+    }
+
+    /**
+     * Handles PUT, PATCH and DELETE requests for a property, or its raw value, and returns a fitting response.
+     * A complex value is merged with the request data for PATCH, DELETE sets the property to null.
+     * @param {Object} oResource The resource from resolveResource, a property
+     * @param {Object} oXhr the Sinon fake XMLHttpRequest
+     * @returns {Array} an array with the response information needed by Sinon's respond() function
+     */
+    function handlePropertyUpdate(oResource, oXhr) {
+      var oMock = oResource.oMock,
+        oEntity = getEntity(oResource),
+        aPropertyPath = oResource.aPropertyPath,
+        sName = aPropertyPath[aPropertyPath.length - 1],
+        oProperty = oResource.oProperty,
+        vOldValue = getPropertyValue(oResource),
+        oParent = oEntity,
+        oNewKey,
+        aResponse,
+        vValue;
+
+      if (oXhr.method === "DELETE") {
+        vValue = null;
+      } else if (oResource.bValue) {
+        vValue = oXhr.requestBody;
+        if (oProperty && types.getCategory(oProperty.sType) === "Number") {
+          vValue = parseFloat(vValue);
+        } else if (oProperty && oProperty.sType === "Edm.Boolean") {
+          vValue = vValue === "true";
+        }
+      } else {
+        vValue = getEntityDataFromRequest(oXhr.requestBody);
+        if (vValue.hasOwnProperty("value") && !isStructuredValue(vOldValue)) {
+          vValue = vValue.value;
+        } else if (oXhr.method === "PATCH") {
+          vValue = Object.assign({}, vOldValue, vValue);
+        }
+      }
+      if (oProperty) {
+        validation.checkProperty(
+          vValue,
+          oProperty,
+          oMock.oService.oMetadata,
+          aPropertyPath.join("/")
+        );
+      }
+
+      // Changing the key to a duplicate is an error, "changing" it to its current value is not
+      if (aPropertyPath.length === 1) {
+        oNewKey = Object.assign({}, oEntity);
+        oNewKey[sName] = vValue;
+        if (!matchesKey(oMock, oEntity, oNewKey) && !isUnique(oMock, oNewKey)) {
+          throw duplicateKeyError(oMock, oNewKey);
+        }
+      }
+
+      aPropertyPath.slice(0, -1).forEach(function (sSegment) {
+        if (!isStructuredValue(oParent[sSegment])) {
+          oParent[sSegment] = {};
+        }
+        oParent = oParent[sSegment];
+      });
+      oParent[sName] = vValue;
+      concurrency.touch(oEntity, getConcurrencyProperties(oMock));
+
+      if (oMock.fEntityDecorator) {
+        oMock.fEntityDecorator(oEntity);
+      }
+      getStore(oMock).update(oEntity);
+
+      aResponse = basicResponse(204);
+      aResponse[1].ETag = getETag(oMock, oEntity);
+      return aResponse;
+    }
+
+    /**
+     * Splits the entity data of a request into the properties and the navigation properties with nested
+     * entities, or with references to entities in "@odata.bind" annotations, i.e.
+     * {"manager@odata.bind": "Person('1')", "directReports": [{...}]}.
+     * @param {Object} oMock The mock
+     * @param {Object} oData The entity data
+     * @param {string} [sPrefix=""] The path of the entity data within the payload, see getNestedPrefix
+     * @returns {Object} the oProperties, and the aNavigations, each with the navigation property name sName,
+     *   its path sTarget for messages, the oNavigation, the oTargetMock, the flag bBind and the aValues, the
+     *   nested entities or the entity ids; a single-valued navigation property has one value, which may be
+     *   null
+     * @throws {Error} A 400 error if a collection-valued navigation property has no array
+     */
+    function splitPayload(oMock, oData, sPrefix) {
+      var oNavigations = oMock.oNavigations || {},
+        oPayload = { oProperties: {}, aNavigations: [] };
+
+      sPrefix = sPrefix || "";
+      Object.keys(oData).forEach(function (sKey) {
+        var aMatches = /^(.+)@odata\.bind$/.exec(sKey),
+          sName = aMatches ? aMatches[1] : sKey,
+          oNavigation = oNavigations[sName],
+          oTargetMock =
+            oNavigation && oMock.oService.oMockLookup[oNavigation.sEntityName],
+          vValue = oData[sKey];
+
+        if (!oTargetMock) {
+          oPayload.oProperties[sKey] = vValue;
+          return;
+        }
+        if (oNavigation.bCollection && !Array.isArray(vValue)) {
+          throw errors.badRequest(
+            sPrefix + sKey + " must be an array",
+            sPrefix + sName
+          );
+        }
+        oPayload.aNavigations.push({
+          sName: sName,
+          sTarget: sPrefix + sName,
+          oNavigation: oNavigation,
+          oTargetMock: oTargetMock,
+          bBind: !!aMatches,
+          aValues: oNavigation.bCollection ? vValue : [vValue]
+        });
+      });
+
+      return oPayload;
+    }
+
+    /**
+     * Checks whether the entity data of a request contains nested entities or references to entities.
+     * @param {Object} oMock The mock
+     * @param {Object} oData The entity data
+     * @returns {boolean} Whether a deep insert or deep update is requested
+     */
+    function hasNavigations(oMock, oData) {
+      return splitPayload(oMock, oData).aNavigations.length > 0;
+    }
+
+    /**
+     * Relates two entities by a navigation, by copying the values of the referential constraints to the
+     * entity which holds the foreign key, see isReferencing.
+     * @param {Object} oMock The mock of the source entity
+     * @param {Object} oNavigationItem The navigation from splitPayload
+     * @param {Object} oEntity The source entity
+     * @param {Object|null} oTarget The target entity, null to remove the relation of a referencing entity
+     * @throws {Error} A 400 error if the navigation has no referential constraints
+     */
+    function linkEntities(oMock, oNavigationItem, oEntity, oTarget) {
+      var aConstraints = getConstraints(
+          oNavigationItem.oNavigation,
+          oNavigationItem.oTargetMock
+        ),
+        bReferencing = isReferencing(oNavigationItem.oNavigation);
+
+      if (!aConstraints.length) {
+        throw errors.badRequest(
+          "Cannot relate entities by " +
+            oNavigationItem.sName +
+            " of " +
+            oMock.sEntityName +
+            ", it has no referential constraints",
+          oNavigationItem.sTarget
+        );
+      }
+      aConstraints.forEach(function (oConstraint) {
+        if (bReferencing) {
+          oEntity[oConstraint.sSourceProperty] = oTarget
+            ? oTarget[oConstraint.sTargetProperty]
+            : null;
+        } else if (oTarget) {
+          oTarget[oConstraint.sTargetProperty] =
+            oEntity[oConstraint.sSourceProperty];
+        }
+      });
+      if (bReferencing) {
+        getStore(oMock).update(oEntity);
+      } else if (oTarget) {
+        getStore(oNavigationItem.oTargetMock).update(oTarget);
+      }
+    }
+
+    /**
+     * Returns the entity which an "@odata.bind" annotation refers to.
+     * @param {Object} oTargetMock The mock of the navigation's target entity set
+     * @param {string} sId The entity id, i.e. "Person('1')"
+     * @returns {Object} the entity
+     * @throws {Error} A 400 error if the id does not address an entity of the target entity set, a 404 error
+     *   if there is no such entity
+     */
+    function getBoundEntity(oTargetMock, sId) {
+      var oResource =
+        typeof sId == "string" &&
+        resolveResource(oTargetMock.oService, oTargetMock, sId);
+
+      if (
+        !oResource ||
+        oResource.oMock !== oTargetMock ||
+        oResource.bCollection ||
+        oResource.aPropertyPath.length
+      ) {
+        throw errors.badRequest(
+          "Invalid entity id " +
+            sId +
+            ", expected a(n) " +
+            oTargetMock.sEntityName
+        );
+      }
+      return getEntity(oResource);
+    }
+
+    /**
+     * Returns the path of an entity nested in the entity data of a request, as prefix for the targets of the
+     * messages about it. Within a collection, the entity is addressed by its key, or by its index if the key
+     * is not given, i.e. "directReports('7')/" or "directReports/1/".
+     * @param {Object} oNavigationItem The navigation from splitPayload
+     * @param {Object} oData The nested entity data
+     * @param {number} iIndex The index of the entity data in the navigation's aValues
+     * @returns {string} the path, with a trailing "/"
+     */
+    function getNestedPrefix(oNavigationItem, oData, iIndex) {
+      var sPath = oNavigationItem.sTarget;
+
+      if (oNavigationItem.oNavigation.bCollection) {
+        sPath += hasKey(oNavigationItem.oTargetMock, oData)
+          ? getKeyPredicate(oNavigationItem.oTargetMock, oData)
+          : "/" + iIndex;
+      }
+      return sPath + "/";
+    }
+
+    /**
+     * Creates, updates or refers to the related entities of a navigation property in the entity data of a
+     * request. Nested entities with the key of an entity related already update that entity, the other ones
+     * are created; references in "@odata.bind" annotations relate existing entities.
+     * @param {Object} oMock The mock of the source entity
+     * @param {Object} oNavigationItem The navigation from splitPayload
+     * @param {Object} oEntity The source entity
+     * @param {Array} aRelated The entities related so far, empty for a new source entity
+     * @param {string} [sPrefix=""] The path of the source entity if it is nested, see getNestedPrefix
+     * @returns {Object|Array|null|undefined} the nested entities for the response, see createEntity,
+     *   undefined for references
+     */
+    function relateEntities(
+      oMock,
+      oNavigationItem,
+      oEntity,
+      aRelated,
+      sPrefix
+    ) {
+      var oTargetMock = oNavigationItem.oTargetMock,
+        bReferencing = isReferencing(oNavigationItem.oNavigation),
+        aUpdated = [],
+        aResults;
+
+      aResults = oNavigationItem.aValues.map(function (vValue, iIndex) {
+        var oTarget, oTree, sPrefix;
+
+        if (vValue === null && !oNavigationItem.oNavigation.bCollection) {
+          if (bReferencing) {
+            linkEntities(oMock, oNavigationItem, oEntity, null);
+          }
+          return null;
+        }
+        if (oNavigationItem.bBind) {
+          oTarget = getBoundEntity(oTargetMock, vValue);
+          linkEntities(oMock, oNavigationItem, oEntity, oTarget);
+          if (!bReferencing) {
+            concurrency.touch(oTarget, getConcurrencyProperties(oTargetMock));
+          }
+          return oTarget;
+        }
+        if (!isStructuredValue(vValue)) {
+          throw errors.badRequest(
+            oNavigationItem.sTarget +
+              " must contain objects of type " +
+              oTargetMock.sEntityName,
+            oNavigationItem.sTarget
+          );
+        }
+        sPrefix = getNestedPrefix(oNavigationItem, vValue, iIndex);
+        oTarget = aRelated.filter(function (oCandidate) {
+          return matchesKey(oTargetMock, oCandidate, vValue);
+        })[0];
+        if (oTarget) {
+          aUpdated.push(oTarget);
+          return updateEntity(oTargetMock, oTarget, vValue, sPrefix);
+        }
+        if (bReferencing) {
+          oTree = createEntity(oTargetMock, vValue, sPrefix);
+          linkEntities(oMock, oNavigationItem, oEntity, oTree);
+          return oTree;
+        }
+        vValue = Object.assign({}, vValue);
+        linkEntities(oMock, oNavigationItem, oEntity, vValue);
+        return createEntity(oTargetMock, vValue, sPrefix);
+      });
+
+      if (oNavigationItem.bBind) {
+        return undefined;
+      }
+      if (oNavigationItem.oNavigation.bCollection) {
+        // The nested entities are the complete collection, the other related entities are unlinked
+        aRelated.forEach(function (oRelated) {
+          if (aUpdated.indexOf(oRelated) >= 0) {
+            return;
+          }
+          if (bReferencing) {
+            // The foreign keys are in the source entity, which cannot refer to fewer entities
+            throw errors.badRequest(
+              oNavigationItem.sTarget +
+                " must contain all related entities, " +
+                getEntityId(oTargetMock, oRelated) +
+                " is missing",
+              oNavigationItem.sTarget
+            );
+          }
+          unlinkEntity(oNavigationItem, oRelated);
+        });
+        return aResults;
+      }
+      return aResults[0];
+    }
+
+    /**
+     * Removes the relation of an entity to the source entity of a collection-valued navigation property, by
+     * setting the values of the referential constraints to null.
+     * @param {Object} oNavigationItem The navigation from splitPayload
+     * @param {Object} oTarget The related entity
+     * @throws {Error} A 400 error if a property of the referential constraints is not nullable
+     */
+    function unlinkEntity(oNavigationItem, oTarget) {
+      var oTargetMock = oNavigationItem.oTargetMock,
+        oChanges = {};
+
+      getConstraints(oNavigationItem.oNavigation, oTargetMock).forEach(
+        function (oConstraint) {
+          oChanges[oConstraint.sTargetProperty] = null;
+        }
+      );
+      checkPayload(
+        oTargetMock,
+        oChanges,
+        false,
+        oNavigationItem.sTarget + getKeyPredicate(oTargetMock, oTarget) + "/"
+      );
+      Object.assign(oTarget, oChanges);
+      concurrency.touch(oTarget, getConcurrencyProperties(oTargetMock));
+      getStore(oTargetMock).update(oTarget);
+    }
+
+    /**
+     * Creates an entity with the related entities nested in it (deep insert), and relates it to the
+     * entities referenced in "@odata.bind" annotations. The entities it refers to, i.e. a nested manager, are
+     * created before it, so that their keys are known; the entities referring to it, i.e. nested direct
+     * reports, are created after it. Keys are generated with fEntityKeyGenerator, if missing.
+     * @param {Object} oMock The mock
+     * @param {Object} oData The entity data from the request
+     * @param {string} [sPrefix=""] The path of an entity nested in another one, see getNestedPrefix; the
+     *   result then contains its ETag
+     * @returns {Object} the new entity with its nested entities, for the response
+     * @throws {Error} A 400 error if the data is invalid, the key is missing or used already
+     */
+    function createEntity(oMock, oData, sPrefix) {
+      var oPayload = splitPayload(oMock, oData, sPrefix),
+        oEntity = oPayload.oProperties,
+        oNested = {},
+        oTree;
+
+      oPayload.aNavigations.forEach(function (oNavigationItem) {
+        if (isReferencing(oNavigationItem.oNavigation)) {
+          oNested[oNavigationItem.sName] = relateEntities(
+            oMock,
+            oNavigationItem,
+            oEntity,
+            [],
+            sPrefix
+          );
+        }
+      });
+
+      if (
+        !oEntity.hasOwnProperty(oMock.sEntityKey) &&
+        oMock.fEntityKeyGenerator
+      ) {
+        oEntity[oMock.sEntityKey] = oMock.fEntityKeyGenerator();
+      }
+      getKeyProperties(oMock).forEach(function (oKeyProperty) {
+        var sTarget = (sPrefix || "") + oKeyProperty.sName;
+
+        if (oEntity[oKeyProperty.sName] === undefined) {
+          throw errors.badRequest(sTarget + " is required", sTarget);
+        }
+        if (oEntity[oKeyProperty.sName] === null) {
+          throw errors.badRequest(sTarget + " must not be null", sTarget);
+        }
+      });
+
+      // Check if that entity already exists
+      if (!isUnique(oMock, oEntity)) {
+        throw duplicateKeyError(oMock, oEntity);
+      }
+      concurrency.touch(oEntity, getConcurrencyProperties(oMock));
+      // The decorator may add computed properties, the client's payload must be complete without them
+      checkPayload(oMock, oEntity, true, sPrefix);
+      if (oMock.fEntityDecorator) {
+        oMock.fEntityDecorator(oEntity);
+      }
+      getStore(oMock).add(oEntity);
+
+      oPayload.aNavigations.forEach(function (oNavigationItem) {
+        if (!isReferencing(oNavigationItem.oNavigation)) {
+          oNested[oNavigationItem.sName] = relateEntities(
+            oMock,
+            oNavigationItem,
+            oEntity,
+            [],
+            sPrefix
+          );
+        }
+      });
+
+      oTree = sPrefix ? { "@odata.etag": getETag(oMock, oEntity) } : {};
+      return removeUndefined(Object.assign(oTree, oEntity, oNested));
+    }
+
+    /**
+     * Changes an entity, and its related entities nested in the entity data (deep update). Nested entities
+     * with the key of a related entity update it, others are created and related, like "@odata.bind"
+     * annotations relate existing entities. The nested entities of a collection-valued navigation property
+     * are its complete collection: related entities missing in it are unlinked, see unlinkEntity.
+     * @param {Object} oMock The mock
+     * @param {Object} oEntity The entity
+     * @param {Object} oData The changes from the request
+     * @param {string} [sPrefix=""] The path of an entity nested in another one, see createEntity
+     * @returns {Object} the changed entity with its nested entities, see createEntity
+     * @throws {Error} A 400 error if the data is invalid or the key is changed to a used one
+     */
+    function updateEntity(oMock, oEntity, oData, sPrefix) {
+      var oPayload = splitPayload(oMock, oData, sPrefix),
+        oChanges = oPayload.oProperties,
+        oNewKey = Object.assign({}, oEntity, oChanges),
+        oNested = {},
+        oTree;
+
+      checkPayload(oMock, oChanges, false, sPrefix);
+      // Check if the Entity Key is changed to a duplicate.
+      // If the Entity Key is "changed" to its current value, that is not an error.
+      if (!matchesKey(oMock, oEntity, oNewKey) && !isUnique(oMock, oNewKey)) {
+        throw duplicateKeyError(oMock, oNewKey);
+      }
+      for (var sFieldName in oChanges) {
+        if (oChanges.hasOwnProperty(sFieldName)) {
+          oEntity[sFieldName] = oChanges[sFieldName];
         }
       }
+      getStore(oMock).update(oEntity);
+      oPayload.aNavigations.forEach(function (oNavigationItem) {
+        oNested[oNavigationItem.sName] = relateEntities(
+          oMock,
+          oNavigationItem,
+          oEntity,
+          findRelatedEntities(
+            oNavigationItem.oNavigation,
+            oNavigationItem.oTargetMock,
+            oEntity
+          ),
+          sPrefix
+        );
+      });
+      concurrency.touch(oEntity, getConcurrencyProperties(oMock));
 
-      return oDecorations;
-    }
-
-    /**
-     * Reduces a given result set by applying the OData URL parameters 'skip' and 'top' to it.
-     * Does NOT change the given result set but returns a new array.
-     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
-     * @param {Array} aResultSet - the result set to be reduced.
-     * @returns {Array} the reduced result set.
-     */
-    function applySkipTop(oXhr, aResultSet) {
-      var iSkip,
-        iTop,
-        oReducedEntities = [].concat(aResultSet),
-        aMatches = oXhr.url.match(/\$skip=(\d+)&\$top=(\d+)/);
-
-      if (Array.isArray(aMatches) && aMatches.length >= 3) {
-        iSkip = aMatches[1];
-        iTop = aMatches[2];
-        return aResultSet.slice(iSkip, iSkip + iTop);
+      if (oMock.fEntityDecorator) {
+        oMock.fEntityDecorator(oEntity);
       }
 
-      return oReducedEntities;
+      oTree = sPrefix ? { "@odata.etag": getETag(oMock, oEntity) } : {};
+      return removeUndefined(Object.assign(oTree, oEntity, oNested));
     }
 
     /**
-     * Checks if a given Entity Key is unique or already used
-     * @param {Object} oMock The mock data
-     * @param {string} sEntityKey - the Entity Key to be checked
-     * @returns {boolean} True if the Entity Key is unique (not used), false otherwise
+     * Removes the properties with an undefined value, i.e. the navigation properties which only have
+     * references to entities, from an object.
+     * @param {Object} oObject The object, changed
+     * @returns {Object} the object
      */
-    function isUnique(oMock, sEntityKey) {
-      return findEntityIndex(oMock, sEntityKey) < 0;
+    function removeUndefined(oObject) {
+      Object.keys(oObject).forEach(function (sName) {
+        if (oObject[sName] === undefined) {
+          delete oObject[sName];
+        }
+      });
+      return oObject;
     }
 
     /**
-     * Create the base object to use for decorating an Entity JSON object.
-     * @param {Object} oMock The mock data
-     * @returns {Object} The base decorations to use.
+     * Handles PATCH requests for entities and returns a fitting response.
+     * Changes the entity data according to the request, with the entities nested in it, see updateEntity.
+     * @param {Object} oResource The resource from resolveResource, a single entity
+     * @param {Object} oXhr the Sinon fake XMLHttpRequest
+     * @returns {Array} an array with the response information needed by Sinon's respond() function
      */
-    function baseDecorations(oMock) {
-      var sContext =
-        oMock.oService.sBaseUrl +
-        "$metadata#" +
-        oMock.sEntityName +
-        "(" +
-        oMock.sEntityKey +
-        ")/$entity";
-      return {
-        "@odata.context": sContext
-      };
-    }
+    function handlePatchRequest(oResource, oXhr) {
+      var oMock = oResource.oMock,
+        oEntity = getEntity(oResource),
+        oChanges = getEntityDataFromRequest(oXhr.requestBody),
+        oSnapshot = hasNavigations(oMock, oChanges)
+          ? createSnapshot(oMock.oService)
+          : undefined,
+        aResponse;
 
-    /**
-     * Retrieves any entity data from a given http request body.
-     * @param {string} sBody - the http request body.
-     * @returns {Object} the parsed entity data.
-     */
-    function getEntityDataFromRequest(sBody) {
-      var aMatches = sBody.match(/({.*})/);
-      if (!Array.isArray(aMatches) || aMatches.length !== 2) {
-        throw new Error("Could not find any entity data in " + sBody);
+      try {
+        updateEntity(oMock, oEntity, oChanges);
+      } catch (e) {
+        // A deep update is atomic
+        if (oSnapshot) {
+          restoreSnapshot(oSnapshot);
+        }
+        throw e;
       }
-      return JSON.parse(aMatches[1]);
+
+      // The response to PATCH requests is always http 204 (No Content), with the new ETag
+      aResponse = basicResponse(204);
+      aResponse[1].ETag = getETag(oMock, oEntity);
+      return aResponse;
     }
 
     /**
-     * Handles GET requests for entity data and returns a fitting response.
-     * @param {Object} oMock The Mock object
-     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
+     * Handles PUT requests for entities and returns a fitting response.
+     * Replaces the entity data with the request's: properties missing in it become null, or an empty
+     * collection, and must be nullable; the key cannot be changed, and the concurrency tokens are kept by the
+     * mockserver. Nested entities and references are only supported by PATCH, see updateEntity.
+     * @param {Object} oResource The resource from resolveResource, a single entity
+     * @param {Object} oXhr the Sinon fake XMLHttpRequest
      * @returns {Array} an array with the response information needed by Sinon's respond() function
      */
-    function handleEntityRequest(oMock, oXhr) {
-      var iCount,
-        sKey,
-        iIndex,
-        aResult,
-        oEntity,
-        oDecorations = baseDecorations(oMock);
-
-      // Check if an individual entity or a entity range is requested
-      try {
-        sKey = getEntityKeyFromUrl(oXhr.url); // If this throws an error, then a entity range was requested
-
-        iIndex = findEntityIndex(oMock, sKey);
-        if (iIndex > -1) {
-          oEntity = oMock.oData.value[iIndex];
-          Object.assign(
-            oDecorations,
-            expandedFieldDecorations(oXhr, oMock, oEntity)
-          );
-          aResult = jsonResponseDecorated(oEntity, oDecorations);
-        } else {
-          aResult = invalidKeyError(oMock, sKey);
-        }
-      } catch (oException) {
-        // If getEntityKeyFromUrl throws an error, then a entity range was requested
-        // Get the data filtered, sorted and reduced according to skip + top
-        aResult = applyFilter(oXhr, oMock.oData.value);
-        iCount = aResult.length; // the total no. of people found, after filtering
-        aResult = applySort(oXhr, aResult);
-        aResult = applySkipTop(oXhr, aResult);
+    function handlePutRequest(oResource, oXhr) {
+      var oMock = oResource.oMock,
+        oEntity = getEntity(oResource),
+        oData = getEntityDataFromRequest(oXhr.requestBody),
+        aTokenProperties = getConcurrencyProperties(oMock),
+        aResponse;
 
-        if (/\$count/.test(oXhr.url)) {
-          oDecorations["@odata.content"] = iCount;
+      if (hasNavigations(oMock, oData)) {
+        throw errors.badRequest(
+          "PUT replaces the properties of an entity only, use PATCH for nested entities and references"
+        );
+      }
+      getKeyProperties(oMock).forEach(function (oKeyProperty) {
+        if (!oData.hasOwnProperty(oKeyProperty.sName)) {
+          oData[oKeyProperty.sName] = oEntity[oKeyProperty.sName];
         }
-
-        aResult = jsonResponseDecorated(
-          '{"value":[' +
-            aResult
-              .map(function (oEntity) {
-                return decorate(
-                  oEntity,
-                  expandedFieldDecorations(oXhr, oMock, oEntity)
-                );
-              })
-              .join(",") +
-            "]}",
-          oDecorations
+      });
+      if (!matchesKey(oMock, oEntity, oData)) {
+        throw errors.badRequest(
+          "The key of " + getEntityId(oMock, oEntity) + " cannot be changed"
         );
       }
+      aTokenProperties.forEach(function (oProperty) {
+        oData[oProperty.sName] = oEntity[oProperty.sName];
+      });
+      concurrency.touch(oData, aTokenProperties);
+      // The decorator may add computed properties, the client's payload must be complete without them
+      checkPayload(oMock, oData, true);
 
-      return aResult;
-    }
+      // The entity object itself is kept, it is referenced by the store
+      Object.keys(oEntity).forEach(function (sName) {
+        delete oEntity[sName];
+      });
+      getProperties(oMock).forEach(function (oProperty) {
+        oEntity[oProperty.sName] = oProperty.bCollection ? [] : null;
+      });
+      Object.assign(oEntity, oData);
+      if (oMock.fEntityDecorator) {
+        oMock.fEntityDecorator(oEntity);
+      }
+      getStore(oMock).update(oEntity);
 
-    /**
-     * Returns a proper HTTP response body for "duplicate key" errors
-     * @param {Object} oMock The mock data
-     * @param {string} sKey - the duplicate key
-     * @returns {string} the proper response body
-     */
-    function duplicateKeyError(oMock, sKey) {
-      var sErrorMessage =
-        "There is already a(n) " +
-        oMock.sEntityName +
-        " with " +
-        oMock.sEntityKey +
-        " '" +
-        sKey +
-        "'.";
-      return getErrorResponse(400, sErrorMessage);
+      // Like for PATCH, the response is http 204 (No Content), with the new ETag
+      aResponse = basicResponse(204);
+      aResponse[1].ETag = getETag(oMock, oEntity);
+      return aResponse;
     }
 
     /**
-     * Returns a proper HTTP response body for "invalid key" errors
-     * @param {Object} oMock The mock data
-     * @param {string} sKey - the invalid key
-     * @returns {string} the proper response body
+     * Handles DELETE requests for entities and returns a fitting response.
+     * Deletes the entity according to the request.
+     * @param {Object} oResource The resource from resolveResource, a single entity
+     * @returns {Array} an array with the response information needed by Sinon's respond() function
      */
-    function invalidKeyError(oMock, sKey) {
-      return getErrorResponse(
-        404,
-        "Cannot find " +
-          oMock.sEntityName +
-          " with " +
-          oMock.sEntityKey +
-          " '" +
-          sKey +
-          "'",
-        oMock.sEntityKey
-      );
+    function handleDeleteRequest(oResource) {
+      var oMock = oResource.oMock;
+
+      if (oResource.bCollection) {
+        throw errors.create(405, "Invalid method for a collection");
+      }
+      getStore(oMock).remove(oResource.oEntity);
+
+      // The response to DELETE requests is always http 204 (No Content)
+      return basicResponse(204);
     }
 
     /**
-     * Handles PATCH requests for entities and returns a fitting response.
-     * Changes the entity data according to the request.
-     * @param {Object} oMock The mock data
-     * @param {Object} oXhr the Sinon fake XMLHttpRequest
+     * Builds a response to a /$count request, which counts the entities matching $filter and $search.
+     * @param {Object} oResource The resource from resolveResource, a collection
+     * @param {Object} oXhr - the Sinon fake XMLHttpRequest
      * @returns {Array} an array with the response information needed by Sinon's respond() function
      */
-    function handlePatchRequest(oMock, oXhr) {
-      var sKey, oEntity, oChanges, aResponse, iEntityIndex;
-
-      // Get the key of the person to change
-      sKey = getEntityKeyFromUrl(oXhr.url);
-
-      // Get the list of changes
-      oChanges = getEntityDataFromRequest(oXhr.requestBody);
+    function handleCountRequest(oResource, oXhr) {
+      var oQueryOptions = getQueryOptions(oXhr.url),
+        oApplied,
+        aResult;
 
-      // Check if the Entity Key is changed to a duplicate.
-      // If the Entity Key is "changed" to its current value, that is not an error.
-      if (
-        oChanges.hasOwnProperty(oMock.sEntityKey) &&
-        oChanges[oMock.sEntityKey] !== sKey &&
-        !isUnique(oMock, oChanges[oMock.sEntityKey])
-      ) {
-        aResponse = duplicateKeyError(oMock, sKey);
+      if (oQueryOptions.$apply === undefined) {
+        aResult = selectEntities(oResource, oQueryOptions);
       } else {
-        iEntityIndex = findEntityIndex(oMock, sKey);
-
-        if (iEntityIndex > -1) {
-          // No error: make the change(s)
-          oEntity = oMock.oData.value[findEntityIndex(oMock, sKey)];
-          for (var sFieldName in oChanges) {
-            if (oChanges.hasOwnProperty(sFieldName)) {
-              oEntity[sFieldName] = oChanges[sFieldName];
-            }
-          }
-
-          if (oMock.fEntityDecorator) {
-            oMock.fEntityDecorator(oEntity);
-          }
-
-          // The response to PATCH requests is always http 204 (No Content)
-          aResponse = basicResponse(204);
-        } else {
-          aResponse = invalidKeyError(oMock, sKey);
-        }
+        oApplied = applyTransformations(oResource, oQueryOptions);
+        aResult = oApplied.bAggregated
+          ? selectAggregatedRows(oResource.oMock, oApplied, oQueryOptions)
+          : selectEntities(
+              Object.assign({}, oResource, { aEntities: oApplied.aRows }),
+              oQueryOptions
+            );
       }
 
-      return aResponse;
+      return basicResponse(200, "text/plain", aResult.length.toString());
     }
 
     /**
-     * Handles DELETE requests for entities and returns a fitting response.
-     * Deletes the entity according to the request.
-     * @param {Object} oMock The mock data
+     * Calls the handler of an action or function, and builds the response according to its return type.
+     * The handler gets the parameter values, including the bound entity or collection for the binding
+     * parameter, and a context with the bound oEntity or aEntities, and getEntities(sEntitySet), which
+     * returns the mock data of an entity set to read or change it.
+     * @param {Object} oResource The resource from resolveOperation
      * @param {Object} oXhr - the Sinon fake XMLHttpRequest
      * @returns {Array} an array with the response information needed by Sinon's respond() function
      */
-    function handleDeleteRequest(oMock, oXhr) {
-      var sKey, iEntityIndex;
+    function handleOperationRequest(oResource, oXhr) {
+      var oService = oResource.oService,
+        oMetadata = oService.oMetadata,
+        oOperation = oResource.oOperation,
+        oBinding = oResource.oBinding,
+        oReturnType = oOperation.oReturnType,
+        oHandler = oService.oOperationHandlers[oOperation.sQualifiedName],
+        oParameters,
+        oResultMock,
+        sContext,
+        vResult;
 
-      sKey = getEntityKeyFromUrl(oXhr.url);
-      iEntityIndex = findEntityIndex(oMock, sKey);
+      if (oXhr.method !== (oOperation.bAction ? "POST" : "GET")) {
+        throw errors.create(
+          405,
+          (oOperation.bAction ? "Action " : "Function ") +
+            oOperation.sQualifiedName +
+            " must be called with " +
+            (oOperation.bAction ? "POST" : "GET")
+        );
+      }
+      oParameters = oOperation.bAction
+        ? oXhr.requestBody
+          ? getEntityDataFromRequest(oXhr.requestBody)
+          : {}
+        : operations.parseFunctionParameters(
+            oResource.sParameters,
+            oOperation,
+            {
+              oMetadata: oMetadata,
+              oAliases: getQueryOptions(oXhr.url),
+              bV2: isV2(oService)
+            }
+          );
+      oParameters = operations.checkParameters(
+        oParameters,
+        oOperation,
+        oMetadata
+      );
+      if (!oHandler) {
+        throw errors.create(
+          501,
+          "There is no mock handler for " + oOperation.sQualifiedName
+        );
+      }
+      if (oBinding) {
+        checkPreconditions(oBinding, oXhr);
+        oParameters[oOperation.aParameters[0].sName] = oBinding.bCollection
+          ? oBinding.aEntities
+          : oBinding.oEntity;
+      }
+      vResult = oHandler.fHandler(oParameters, {
+        oEntity: oBinding ? oBinding.oEntity : undefined,
+        aEntities: oBinding ? oBinding.aEntities : undefined,
+        getEntities: function (sEntitySet) {
+          var oMock = oService.oMockLookup[sEntitySet];
 
-      if (iEntityIndex >= 0) {
-        oMock.oData.value.splice(iEntityIndex, 1);
+          if (!oMock) {
+            throw new Error("Unknown entity set " + sEntitySet);
+          }
+          return oMock.oData.value;
+        }
+      });
+      if (oOperation.bAction) {
+        // The handler may have changed any entity without the stores noticing
+        Object.keys(oService.oMockLookup).forEach(function (sEntitySet) {
+          getStore(oService.oMockLookup[sEntitySet]).invalidate();
+        });
       }
 
-      // The response to DELETE requests is always http 204 (No Content)
-      return basicResponse(204);
+      if (!oReturnType) {
+        return basicResponse(204);
+      }
+      operations.checkResult(vResult, oOperation, oMetadata);
+      if (vResult === null || vResult === undefined) {
+        return basicResponse(204);
+      }
+      oResultMock = getOperationResultMock(oResource);
+      if (oResultMock) {
+        // Entities are returned like when reading them, with $select, $expand etc.
+        return handleEntityRequest(
+          {
+            oMock: oResultMock,
+            bCollection: oReturnType.bCollection,
+            aEntities: oReturnType.bCollection ? vResult : undefined,
+            oEntity: oReturnType.bCollection ? undefined : vResult,
+            aPropertyPath: []
+          },
+          oXhr
+        );
+      }
+      sContext =
+        oService.sBaseUrl +
+        "$metadata#" +
+        (oReturnType.bCollection
+          ? "Collection(" + oReturnType.sType + ")"
+          : oReturnType.sType);
+      if (isStructuredValue(vResult)) {
+        return jsonResponseDecorated(vResult, { "@odata.context": sContext });
+      }
+      return jsonResponse({ "@odata.context": sContext, value: vResult });
     }
 
     /**
-     * Builds a response to a /$count request.
-     * @param {Object} oMock The mock data
-     * @returns {Array} an array with the response information needed by Sinon's respond() function
+     * Finds the mock of the entity set which contains the entities returned by an operation, using the
+     * entity set path of a bound operation, or the entity set of an import.
+     * @param {Object} oResource The resource from resolveOperation
+     * @returns {Object|undefined} the mock, undefined if the operation does not return entities of a known
+     *   entity set
      */
-    function handleCountRequest(oMock) {
-      return basicResponse(200, null, oMock.oData.value.length.toString());
+    function getOperationResultMock(oResource) {
+      var oService = oResource.oService,
+        oImport = oResource.oImport,
+        sEntitySetPath = oResource.oOperation.sEntitySetPath,
+        oMock;
+
+      if (oImport) {
+        return oImport.sEntitySet
+          ? oService.oMockLookup[oImport.sEntitySet]
+          : undefined;
+      }
+      if (!sEntitySetPath) {
+        return undefined;
+      }
+      // The first segment is the binding parameter, the others are navigation properties
+      oMock = oResource.oBinding.oMock;
+      sEntitySetPath
+        .split("/")
+        .slice(1)
+        .forEach(function (sNavigationProperty) {
+          var oNavigation =
+            oMock && oMock.oNavigations
+              ? oMock.oNavigations[sNavigationProperty]
+              : undefined;
+
+          oMock = oNavigation && oService.oMockLookup[oNavigation.sEntityName];
+        });
+      return oMock;
     }
 
     /**
@@ -700,12 +3598,22 @@ sap.ui.define(
      * @returns {Array} an array with the response information needed by Sinon's respond() function
      */
     function handleDirectRequest(oService, oXhr) {
-      var aResponse;
+      var aResponse = getRecordedResponse(oService, oXhr),
+        oRequest = oXhr,
+        oResource;
 
+      if (aResponse) {
+        return aResponse;
+      }
       try {
+        if (isV2(oService)) {
+          // The handlers speak V4, the response is converted back below
+          oXhr = v2.convertRequest(oRequest, oService);
+        }
         if (
           !oService.aMocks.some(function (oMock) {
-            if (oMock.rUrl.test(oXhr.url)) {
+            // Handlers of operations have no URL, they are called via resolveResource
+            if (oMock.rUrl && oMock.rUrl.test(oXhr.url)) {
               switch (oMock.sType) {
                 case "simple":
                   aResponse = handleSimpleRequest(oMock);
@@ -719,22 +3627,53 @@ sap.ui.define(
                   }
                   break;
                 case "jsonMock":
+                case "operationImport":
+                  oResource = resolveResource(oService, oMock, oXhr.url);
+                  if (oResource.oOperation) {
+                    aResponse = handleOperationRequest(oResource, oXhr);
+                    break;
+                  }
+                  if (checkPreconditions(oResource, oXhr)) {
+                    aResponse = basicResponse(304);
+                    break;
+                  }
                   switch (oXhr.method) {
                     case "GET":
-                      if (/\/\$count/.test(oXhr.url)) {
-                        aResponse = handleCountRequest(oMock, oXhr);
+                      if (oResource.bCount) {
+                        aResponse = handleCountRequest(oResource, oXhr);
+                      } else if (oResource.aPropertyPath.length) {
+                        aResponse = handlePropertyRequest(oResource);
+                      } else if (
+                        getQueryOptions(oXhr.url).$apply !== undefined
+                      ) {
+                        aResponse = handleApplyRequest(oResource, oXhr);
                       } else {
-                        aResponse = handleEntityRequest(oMock, oXhr);
+                        aResponse = handleEntityRequest(oResource, oXhr);
                       }
                       break;
                     case "PATCH":
-                      aResponse = handlePatchRequest(oMock, oXhr);
+                      if (oResource.aPropertyPath.length) {
+                        aResponse = handlePropertyUpdate(oResource, oXhr);
+                      } else {
+                        aResponse = handlePatchRequest(oResource, oXhr);
+                      }
+                      break;
+                    case "PUT":
+                      if (oResource.aPropertyPath.length) {
+                        aResponse = handlePropertyUpdate(oResource, oXhr);
+                      } else {
+                        aResponse = handlePutRequest(oResource, oXhr);
+                      }
                       break;
                     case "POST":
-                      aResponse = handlePostRequest(oMock, oXhr);
+                      aResponse = handlePostRequest(oResource, oXhr);
                       break;
                     case "DELETE":
-                      aResponse = handleDeleteRequest(oMock, oXhr);
+                      if (oResource.aPropertyPath.length) {
+                        aResponse = handlePropertyUpdate(oResource, oXhr);
+                      } else {
+                        aResponse = handleDeleteRequest(oResource);
+                      }
                       break;
                     default:
                       aResponse = getErrorResponse(405, "Invalid method");
@@ -751,150 +3690,405 @@ sap.ui.define(
           aResponse = getErrorResponse(404, "Service not found: " + oXhr.url);
         }
       } catch (e) {
-        console.error(e);
-        aResponse = getErrorResponse(500, e.message);
+        // Errors with a status code are expected, i.e. a 400 for an invalid $filter
+        if (!e.iStatusCode) {
+          console.error(e);
+        }
+        aResponse = getErrorResponse(
+          e.iStatusCode || 500,
+          e.message,
+          e.sTarget,
+          e.aDetails
+        );
       }
-      return aResponse;
+      return isV2(oService)
+        ? v2.convertResponse(aResponse, oRequest, oService)
+        : aResponse;
     }
 
     /**
      * Handles POST requests for entity and returns a fitting response.
-     * Creates a new entity according to the request.
-     * @param {Object} oMock The mock data
+     * Creates a new entity according to the request, with the entities nested in it, see createEntity. If it is
+     * posted to a collection-valued navigation property, the referential constraints relate it to the source
+     * entity.
+     * @param {Object} oResource The resource from resolveResource, a collection
      * @param {Object} oXhr - the Sinon fake XMLHttpRequest
      * @returns {Array} an array with the response information needed by Sinon's respond() function
      */
-    function handlePostRequest(oMock, oXhr) {
-      var oEntity = getEntityDataFromRequest(oXhr.requestBody),
+    function handlePostRequest(oResource, oXhr) {
+      var oMock = oResource.oMock,
+        oEntity = getEntityDataFromRequest(oXhr.requestBody),
+        oDecorations,
+        oSnapshot,
+        oTree,
         aResponse;
 
       if (
-        !oEntity.hasOwnProperty(oMock.sEntityKey) &&
-        oMock.fEntityKeyGenerator
+        !oResource.bCollection ||
+        oResource.bCount ||
+        oResource.aPropertyPath.length
       ) {
-        oEntity[oMock.sEntityKey] = oMock.fEntityKeyGenerator();
+        throw errors.create(405, "Invalid method");
+      }
+      if (oResource.oNavigation && oResource.oNavigation.aConstraints) {
+        oResource.oNavigation.aConstraints.forEach(function (oConstraint) {
+          oEntity[oConstraint.sTargetProperty] =
+            oResource.oSourceEntity[oConstraint.sSourceProperty];
+        });
       }
 
-      // Check if that entity already exists
-      if (isUnique(oMock, oEntity[oMock.sEntityKey])) {
-        if (oMock.fEntityDecorator) {
-          oMock.fEntityDecorator(oEntity);
-        }
-        oMock.oData.value.push(oEntity);
+      oSnapshot = hasNavigations(oMock, oEntity)
+        ? createSnapshot(oMock.oService)
+        : undefined;
+      try {
+        oTree = createEntity(oMock, oEntity);
+        oEntity = findEntity(oMock, oTree);
 
-        // The response to POST requests is http 201 (Created)
-        aResponse = jsonResponseDecorated(oEntity, baseDecorations(oMock), 201);
-      } else {
-        // Error
-        aResponse = duplicateKeyError(oMock, oEntity[oMock.sEntityKey]);
+        // The response to POST requests is http 201 (Created), with the URL and the ETag of the new entity
+        // and the new nested entities
+        oDecorations = baseDecorations(oMock, "", true);
+        oDecorations["@odata.id"] = getEntityId(oMock, oEntity);
+        oDecorations["@odata.etag"] = getETag(oMock, oEntity);
+        aResponse = jsonResponseDecorated(oTree, oDecorations, 201);
+        aResponse[1].Location =
+          oMock.oService.sBaseUrl + oDecorations["@odata.id"];
+        aResponse[1].ETag = oDecorations["@odata.etag"];
+      } catch (e) {
+        // A deep insert is atomic
+        if (oSnapshot) {
+          restoreSnapshot(oSnapshot);
+        }
+        throw e;
       }
 
       return aResponse;
     }
 
     /**
-     * Builds a response to batch requests.
-     * Unwraps batch request, gets a response for each individual part and
-     * constructs a fitting batch response.
+     * Builds a response to batch requests, in the multipart/mixed format or in the JSON format, depending on
+     * the content type of the request.
+     * Unwraps the batch request, gets a response for each individual request and constructs a fitting
+     * batch response. Each change set is atomic: if one of its requests fails, the changes of the others
+     * are undone and the change set is answered with the error response only.
      * @param {Object} oService The service
      * @param {Object} oXhr - the Sinon fake XMLHttpRequest
+     * @param {Object} oOutcome The outcome of the batch request, the scenario rules for its parts add to it
      * @returns {Array} an array with the response information needed by Sinon's respond() function
      */
-    function handleBatchRequest(oService, oXhr) {
-      var aResponse,
-        sResponseBody = "",
-        sOuterBoundary = oXhr.requestBody.match(/(.*)/)[1], // First line of the body
-        sInnerBoundary,
-        sPartBoundary,
-        aOuterParts = oXhr.requestBody.split(sOuterBoundary).slice(1, -1), // The individual requests
-        aParts,
-        aMatches;
-
-      aMatches = aOuterParts[0].match(/multipart\/mixed;boundary=(.+)/);
-      // If this request has several change sets, then we need to handle the inner and outer boundaries
-      // (change sets have an additional boundary)
-      if (aMatches && aMatches.length > 0) {
-        sInnerBoundary = aMatches[1];
-        aParts = aOuterParts[0].split("--" + sInnerBoundary).slice(1, -1);
-      } else {
-        aParts = aOuterParts;
-      }
-
-      // If this request has several change sets, then the response must start with the outer boundary and
-      // content header
-      if (sInnerBoundary) {
-        sPartBoundary = "--" + sInnerBoundary;
-        sResponseBody +=
-          sOuterBoundary +
-          "\r\n" +
-          "Content-Type: multipart/mixed; boundary=" +
-          sInnerBoundary +
-          "\r\n\r\n";
-      } else {
-        sPartBoundary = sOuterBoundary;
+    function handleBatchRequest(oService, oXhr, oOutcome, aParts) {
+      var sBoundary = "batchresponse",
+        sContentType = getRequestHeader(oXhr, "Content-Type"),
+        bJson = /^application\/json/i.test(sContentType || ""),
+        oBatchState = {
+          oContentIds: {},
+          oFailedIds: {},
+          oOutcome: oOutcome,
+          aParts: aParts
+        },
+        aItems;
+
+      try {
+        aItems = bJson
+          ? batch.parseJson(oXhr.requestBody)
+          : batch.parse(oXhr.requestBody, sContentType);
+      } catch (e) {
+        return getErrorResponse(e.iStatusCode || 500, e.message);
       }
+      aItems = aItems.map(function (oItem) {
+        return oItem.bChangeSet
+          ? handleChangeSet(oService, oItem, oBatchState)
+          : {
+              bChangeSet: false,
+              aResponses: [
+                handleBatchPart(oService, oItem.aRequests[0], oBatchState)
+              ]
+            };
+      });
 
-      aParts.forEach(function (sPart, iIndex) {
-        // Construct the batch response body out of the single batch request parts.
-        // The RegExp looks for a request body at the end of the string, framed by two line breaks.
-        var aMatches = sPart.match(
-          /(GET|DELETE|PATCH|POST) (\S+)(?:.|\r?\n)+\r?\n(.*)\r?\n$/
-        );
-        var aPartResponse = handleDirectRequest(oService, {
-          method: aMatches[1],
-          url: oService.sBaseUrl + aMatches[2],
-          requestBody: aMatches[3]
-        });
-        sResponseBody +=
-          sPartBoundary + "\r\n" + "Content-Type: application/http\r\n";
-        // If there are several change sets, we need to add a Content ID header
-        if (sInnerBoundary) {
-          sResponseBody += "Content-ID:" + iIndex + ".0\r\n";
-        }
-        sResponseBody += "\r\nHTTP/1.1 " + aPartResponse[0] + "\r\n";
-        // Add any headers from the request - unless this response is 204 (no content)
-        if (aPartResponse[1] && aPartResponse[0] !== 204) {
-          for (var sHeader in aPartResponse[1]) {
-            if (aPartResponse[1].hasOwnProperty(sHeader)) {
-              sResponseBody +=
-                sHeader + ": " + aPartResponse[1][sHeader] + "\r\n";
-            }
-          }
-        }
-        sResponseBody += "\r\n";
+      if (bJson) {
+        return jsonResponse(batch.formatJson(aItems));
+      }
+      return basicResponse(
+        200,
+        "multipart/mixed; boundary=" + sBoundary,
+        batch.format(aItems, sBoundary)
+      );
+    }
+
+    /**
+     * Handles the requests of a change set, or of an atomicity group, all or nothing.
+     * @param {Object} oService The service
+     * @param {Object} oChangeSet The change set with its aRequests and the sAtomicityGroup, see batch.parse
+     * @param {Object} oBatchState The state of the batch, see handleBatchPart
+     * @returns {Object} the item for the batch response, with the flag bChangeSet and the aResponses; if a
+     *   request failed, it is no change set but the error response of that request
+     */
+    function handleChangeSet(oService, oChangeSet, oBatchState) {
+      var oSnapshot = createSnapshot(oService),
+        aResponses = [],
+        oError;
+
+      oChangeSet.aRequests.some(function (oRequest) {
+        var oResponse = handleBatchPart(oService, oRequest, oBatchState);
 
-        if (aPartResponse[2]) {
-          sResponseBody += aPartResponse[2];
+        if (oResponse.aResponse[0] >= 400) {
+          oError = oResponse;
+          return true;
         }
-        sResponseBody += "\r\n";
+        aResponses.push(oResponse);
+        return false;
       });
+      if (oError) {
+        restoreSnapshot(oSnapshot);
+        // Requests depending on the change set, or on one of its requests, fail as well
+        oChangeSet.aRequests.forEach(function (oRequest) {
+          oBatchState.oFailedIds[oRequest.sContentId] = true;
+        });
+        if (oChangeSet.sAtomicityGroup !== undefined) {
+          oBatchState.oFailedIds[oChangeSet.sAtomicityGroup] = true;
+        }
+        return { bChangeSet: false, aResponses: [oError] };
+      }
+      return { bChangeSet: true, aResponses: aResponses };
+    }
 
-      // Check if we need to add the inner boundary again at the end
-      if (sInnerBoundary) {
-        sResponseBody += "--" + sInnerBoundary + "--\r\n";
+    /**
+     * Handles a single request within a batch. A URL starting with a Content-ID reference like "$1" refers to
+     * the entity created by the preceding request with that Content-ID, or to its URL. A request which depends
+     * on a failed one fails with 424 Failed Dependency.
+     * @param {Object} oService The service
+     * @param {Object} oRequest The request, see batch.parse
+     * @param {Object} oBatchState The state of the batch, extended by this request
+     * @param {Object} oBatchState.oContentIds A map of Content-ID to the resource path of the request's result
+     * @param {Object} oBatchState.oFailedIds A map of the ids of failed requests and atomicity groups to true
+     * @param {Object} oBatchState.oOutcome The outcome of the batch request, see applyScenario
+     * @param {Object[]} oBatchState.aParts The handled requests for the request log, see getRequests
+     * @returns {Object} the response with the response array aResponse, and the sContentId and the
+     *   sAtomicityGroup of the request
+     */
+    function handleBatchPart(oService, oRequest, oBatchState) {
+      var oContentIds = oBatchState.oContentIds,
+        sUrl = oRequest.sUrl.replace(/^\$([^/?(]+)/, function (
+          sReference,
+          sContentId
+        ) {
+          return oContentIds.hasOwnProperty(sContentId)
+            ? oContentIds[sContentId]
+            : sReference;
+        }),
+        sFailedId = (oRequest.aDependsOn || []).filter(function (sId) {
+          return oBatchState.oFailedIds[sId];
+        })[0],
+        sLocation,
+        aResponse;
+
+      if (/^https?:/.test(sUrl)) {
+        // The URL is absolute already
+      } else if (sUrl[0] === "/") {
+        sUrl = window.location.origin + sUrl;
+      } else {
+        sUrl = oService.sBaseUrl + sUrl;
+      }
+      aResponse =
+        sFailedId === undefined
+          ? applyScenario(
+              oService,
+              oRequest.sMethod,
+              sUrl,
+              oBatchState.oOutcome
+            ) ||
+            handleDirectRequest(oService, {
+              method: oRequest.sMethod,
+              url: sUrl,
+              requestHeaders: oRequest.oHeaders,
+              requestBody: oRequest.sBody
+            })
+          : getErrorResponse(
+              424,
+              "Request " +
+                oRequest.sContentId +
+                " depends on " +
+                sFailedId +
+                ", which failed"
+            );
+      oBatchState.aParts.push({
+        sMethod: oRequest.sMethod,
+        sUrl: sUrl,
+        oRequestHeaders: oRequest.oHeaders,
+        sRequestBody: oRequest.sBody || "",
+        iStatus: aResponse[0],
+        oHeaders: aResponse[1],
+        sBody: aResponse[2]
+      });
+      if (oRequest.sContentId === undefined) {
+        // No other request can refer to it
+      } else if (aResponse[0] >= 400) {
+        oBatchState.oFailedIds[oRequest.sContentId] = true;
+      } else {
+        sLocation = aResponse[1].Location || sUrl.split("?")[0];
+        oContentIds[oRequest.sContentId] =
+          sLocation.indexOf(oService.sBaseUrl) === 0
+            ? sLocation.slice(oService.sBaseUrl.length)
+            : sLocation;
       }
-      // Add a final boundary to the batch response body
-      sResponseBody += sOuterBoundary + "--";
 
-      // Build the final batch response
-      aResponse = basicResponse(
-        200,
-        "multipart/mixed;boundary=" + sOuterBoundary.slice(2),
-        sResponseBody
+      return {
+        aResponse: aResponse,
+        sContentId: oRequest.sContentId,
+        sAtomicityGroup: oRequest.sAtomicityGroup
+      };
+    }
+
+    /**
+     * Takes a snapshot of the mock data of a service, so that changes can be undone.
+     * @param {Object} oService The service
+     * @returns {Object[]} the snapshot
+     */
+    function createSnapshot(oService) {
+      return Object.keys(oService.oMockLookup).map(function (sEntitySet) {
+        var aEntities = oService.oMockLookup[sEntitySet].oData.value;
+
+        return {
+          oMock: oService.oMockLookup[sEntitySet],
+          aCollection: aEntities,
+          aEntities: aEntities.slice(),
+          aStates: JSON.parse(JSON.stringify(aEntities))
+        };
+      });
+    }
+
+    /**
+     * Restores the mock data from a snapshot. The entities keep their identity, only their properties are
+     * restored, and the collections get the entities they had.
+     * @param {Object[]} aSnapshot The snapshot from createSnapshot
+     */
+    function restoreSnapshot(aSnapshot) {
+      aSnapshot.forEach(function (oEntry) {
+        oEntry.aEntities.forEach(function (oEntity, i) {
+          Object.keys(oEntity).forEach(function (sName) {
+            delete oEntity[sName];
+          });
+          Object.assign(oEntity, oEntry.aStates[i]);
+        });
+        oEntry.aCollection.length = 0;
+        Array.prototype.push.apply(oEntry.aCollection, oEntry.aEntities);
+        getStore(oEntry.oMock).invalidate();
+      });
+    }
+
+    /**
+     * Applies the active scenario rules to a request.
+     * @param {Object} oService The service
+     * @param {string} sMethod The HTTP method
+     * @param {string} sUrl The URL
+     * @param {Object} oOutcome The outcome of the request, see scenarios.apply
+     * @param {number} oOutcome.iDelayMS The delay of the response, increased by the rules
+     * @param {boolean} oOutcome.bDrop Whether the response is dropped, set by the rules
+     * @returns {Array|undefined} a response array with the error of a rule, undefined if the request is handled
+     *   as usual
+     */
+    function applyScenario(oService, sMethod, sUrl, oOutcome) {
+      var aMatches = oService.rBaseUrl.exec(sUrl),
+        sPath = aMatches
+          ? sUrl.slice(aMatches.index + aMatches[0].length)
+          : sUrl,
+        oRule = scenarios.apply(
+          aScenarioRules,
+          {
+            sMethod: sMethod,
+            sUrl: sUrl,
+            sEntitySet: /^\/?([^(/?]*)/.exec(sPath)[1]
+          },
+          oOutcome
+        ),
+        aResponse;
+
+      if (!oRule) {
+        return undefined;
+      }
+      Log.info(
+        "Mockserver: A scenario rule answers " + sMethod + " " + sUrl,
+        "with " + oRule.iStatus,
+        sLogComponent
       );
+      aResponse = oRule.oError
+        ? jsonResponse({ error: oRule.oError }, oRule.iStatus)
+        : getErrorResponse(
+            oRule.iStatus,
+            oRule.sMessage || "Error by mock scenario"
+          );
+      return isV2(oService)
+        ? v2.convertResponse(
+            aResponse,
+            { method: sMethod, url: sUrl },
+            oService
+          )
+        : aResponse;
+    }
 
-      return aResponse;
+    /**
+     * Adds a handled request to the request log, and tells the listeners about it.
+     * @param {Object} oLogEntry The request with its response, see getRequests
+     */
+    function logRequest(oLogEntry) {
+      iLoggedRequests += 1;
+      oLogEntry.iId = iLoggedRequests;
+      aRequestLog.push(oLogEntry);
+      if (aRequestLog.length > iMaxLoggedRequests) {
+        aRequestLog.shift();
+      }
+      aRequestListeners.forEach(function (fnListener) {
+        try {
+          fnListener(oLogEntry);
+        } catch (e) {
+          // A broken listener must not break the response
+          Log.error(
+            "Mockserver: A request listener failed",
+            e.message,
+            sLogComponent
+          );
+        }
+      });
     }
 
     /**
-     * Handles any type of intercepted request and sends a fake response.
+     * Handles any type of intercepted request and sends a fake response after a delay, unless a scenario
+     * rule drops it. A dropped request is handled nevertheless, like a real service does when the connection
+     * breaks down.
      * Logs the request and response to the console.
      * Manages batch requests.
      * @param {Object} oService The service
      * @param {Object} oXhr - the Sinon fake XMLHttpRequest
      */
     function handleAllRequests(oService, oXhr) {
-      var aResponse;
+      var oOutcome = { iDelayMS: iDelayResponseMS, bDrop: false },
+        oLogEntry = {
+          sMethod: oXhr.method,
+          sUrl: oXhr.url,
+          oRequestHeaders: oXhr.requestHeaders || {},
+          sRequestBody: oXhr.requestBody || "",
+          iStart: Date.now(),
+          aParts: []
+        },
+        aResponse;
+
+      function respond() {
+        if (oXhr.aborted) {
+          return;
+        }
+        oXhr.respond(aResponse[0], aResponse[1], aResponse[2]);
+
+        // Log the response
+        Log.info(
+          "Mockserver: Sent response with return code " + aResponse[0],
+          "Response headers: " +
+            JSON.stringify(aResponse[1]) +
+            "\n\nResponse body:\n" +
+            aResponse[2] +
+            "\n",
+          sLogComponent
+        );
+      }
 
       // Log the request
       Log.info(
@@ -905,24 +4099,50 @@ sap.ui.define(
         sLogComponent
       );
 
-      if (oXhr.method === "POST" && /\$batch$/.test(oXhr.url)) {
-        aResponse = handleBatchRequest(oService, oXhr);
+      aResponse = applyScenario(oService, oXhr.method, oXhr.url, oOutcome);
+      if (aResponse) {
+        // The scenario answers instead of the mock
+      } else if (oXhr.method === "POST" && /\$batch$/.test(oXhr.url)) {
+        aResponse = handleBatchRequest(
+          oService,
+          oXhr,
+          oOutcome,
+          oLogEntry.aParts
+        );
+        if (isV2(oService)) {
+          aResponse = v2.convertResponse(aResponse, oXhr, oService);
+        }
       } else {
         aResponse = handleDirectRequest(oService, oXhr);
       }
 
-      oXhr.respond(aResponse[0], aResponse[1], aResponse[2]);
+      if (oXhr.method !== "GET") {
+        persistData(oService);
+      }
 
-      // Log the response
-      Log.info(
-        "Mockserver: Sent response with return code " + aResponse[0],
-        "Response headers: " +
-          JSON.stringify(aResponse[1]) +
-          "\n\nResponse body:\n" +
-          aResponse[2] +
-          "\n",
-        sLogComponent
+      logRequest(
+        Object.assign(oLogEntry, {
+          iStatus: aResponse[0],
+          oHeaders: aResponse[1],
+          sBody: aResponse[2],
+          iDurationMS: Date.now() - oLogEntry.iStart,
+          iDelayMS: oOutcome.iDelayMS,
+          bDropped: oOutcome.bDrop
+        })
       );
+
+      if (oOutcome.bDrop) {
+        Log.info(
+          "Mockserver: Dropped the response to " + oXhr.method + " " + oXhr.url,
+          "A scenario rule drops it",
+          sLogComponent
+        );
+      } else if (oXhr.async === false) {
+        // A synchronous request cannot wait
+        respond();
+      } else {
+        setTimeout(respond, oOutcome.iDelayMS);
+      }
     }
   }
 );
@@ -0,0 +1,648 @@
+/**
+ * The $apply system query option of the data aggregation extension, for analytical bindings.
+ *
+ * $apply is a sequence of transformations separated by "/", each applied to the result of the previous one:
+ * - aggregate(salary with sum as total,$count as count) aggregates all rows into one
+ * - groupby((departmentId,address/city),aggregate(...)) aggregates the rows of each group, without aggregate
+ *   it yields the distinct values
+ * - filter(...) and orderby(...) with the expressions of $filter and $orderby
+ * - top(n) and skip(n)
+ * The aggregation methods are sum, average, min, max and countdistinct; null values are ignored, so that the
+ * result is null if there are no other values. The rows after aggregate or groupby have a structured type of
+ * their own, with the grouped properties and the aliases, against which the following transformations and
+ * the other system query options are checked. The Aggregation.ApplySupported annotation restricts which
+ * transformations are used, and which properties are grouped or aggregated with which methods.
+ */
+sap.ui.define(
+  ["./errors", "./expression", "./queryOptions", "./types"],
+  function (errors, expression, queryOptions, types) {
+    "use strict";
+
+    var rTransformation = /^(\w+)\s*\(([\s\S]*)\)$/,
+      rAggregateExpression = /^(\$count|[A-Za-z_][\w/]*)(?:\s+with\s+(\w+))?\s+as\s+([A-Za-z_]\w*)$/,
+      oMethods = {
+        sum: {
+          bNumeric: true,
+          getType: function (sType) {
+            return sType;
+          },
+          aggregate: function (aValues) {
+            return aValues.length ? aValues.reduce(add, 0) : null;
+          }
+        },
+        average: {
+          bNumeric: true,
+          getType: function (sType) {
+            return sType === "Edm.Decimal" ? sType : "Edm.Double";
+          },
+          aggregate: function (aValues) {
+            return aValues.length
+              ? aValues.reduce(add, 0) / aValues.length
+              : null;
+          }
+        },
+        min: {
+          getType: function (sType) {
+            return sType;
+          },
+          aggregate: function (aValues, aRawValues) {
+            return getExtreme(aValues, aRawValues, -1);
+          }
+        },
+        max: {
+          getType: function (sType) {
+            return sType;
+          },
+          aggregate: function (aValues, aRawValues) {
+            return getExtreme(aValues, aRawValues, 1);
+          }
+        },
+        countdistinct: {
+          getType: function () {
+            return "Edm.Decimal";
+          },
+          aggregate: function (aValues) {
+            var oSeen = {};
+
+            aValues.forEach(function (vValue) {
+              oSeen[
+                JSON.stringify(
+                  vValue instanceof Date ? vValue.getTime() : vValue
+                )
+              ] = true;
+            });
+            return Object.keys(oSeen).length;
+          }
+        }
+      };
+
+    /**
+     * Add two numbers.
+     * @param {Number} nSum The sum so far
+     * @param {Number} nValue The value to add
+     * @return {Number} The new sum
+     */
+    function add(nSum, nValue) {
+      return nSum + nValue;
+    }
+
+    /**
+     * Get the lowest or the highest of some values.
+     * @param {any[]} aValues The normalized values, not null
+     * @param {any[]} aRawValues The same values as found in the rows
+     * @param {Integer} iDirection -1 for the lowest value, 1 for the highest value
+     * @return {any} The raw value, null if there are no values
+     */
+    function getExtreme(aValues, aRawValues, iDirection) {
+      var iFound = -1,
+        i;
+
+      for (i = 0; i < aValues.length; i++) {
+        if (
+          iFound < 0 ||
+          types.compare(aValues[i], aValues[iFound]) === iDirection
+        ) {
+          iFound = i;
+        }
+      }
+      return iFound < 0 ? null : aRawValues[iFound];
+    }
+
+    /**
+     * Create the error for an invalid or unsupported $apply.
+     * @param {String} sApply The value of $apply
+     * @param {String} sReason The reason
+     * @return {Error} A 400 error
+     */
+    function invalid(sApply, sReason) {
+      return errors.badRequest("Invalid $apply " + sApply + ": " + sReason);
+    }
+
+    /**
+     * Get the value of a property path within a row, null if a segment is missing.
+     * @param {Object} oRow The row, i.e. an entity
+     * @param {String[]} aSegments The segments of the path
+     * @return {any} The value
+     */
+    function getValue(oRow, aSegments) {
+      var vValue = oRow,
+        i;
+
+      for (i = 0; i < aSegments.length && vValue; i++) {
+        vValue = vValue[aSegments[i]];
+      }
+      return vValue === undefined ? null : vValue;
+    }
+
+    /**
+     * Set the value of a property path within a row, creating the complex values on the way.
+     * @param {Object} oRow The row
+     * @param {String[]} aSegments The segments of the path
+     * @param {any} vValue The value
+     */
+    function setValue(oRow, aSegments, vValue) {
+      aSegments.slice(0, -1).forEach(function (sSegment) {
+        oRow[sSegment] = oRow[sSegment] || {};
+        oRow = oRow[sSegment];
+      });
+      oRow[aSegments[aSegments.length - 1]] = vValue;
+    }
+
+    /**
+     * Resolve a property path which is grouped or aggregated. Only primitive properties of the rows and of
+     * their complex properties can be used.
+     * @param {Object} oState The state of the compilation, see compileTransformation
+     * @param {String} sPath The property path, i.e. "address/city"
+     * @return {Object} The path with its aSegments and the sType of the property, undefined if untyped
+     * @throws {Error} A 400 error if the path is invalid
+     */
+    function resolvePath(oState, sPath) {
+      var aSegments = sPath.split("/"),
+        oType = oState.oType,
+        oProperty;
+
+      aSegments.forEach(function (sSegment, i) {
+        if (!oType) {
+          if (oState.oType) {
+            throw invalid(
+              oState.sApply,
+              aSegments.slice(0, i).join("/") + " is not a complex property"
+            );
+          }
+          return;
+        }
+        if (oType.oNavigationProperties[sSegment]) {
+          throw invalid(
+            oState.sApply,
+            "navigation property " + sSegment + " is not supported"
+          );
+        }
+        oProperty = oType.oProperties[sSegment];
+        if (!oProperty) {
+          throw invalid(
+            oState.sApply,
+            "property " +
+              sSegment +
+              " is not defined in type " +
+              oType.sQualifiedName
+          );
+        }
+        if (oProperty.bCollection) {
+          throw invalid(
+            oState.sApply,
+            "collection " +
+              aSegments.slice(0, i + 1).join("/") +
+              " is not supported"
+          );
+        }
+        oType =
+          oState.oContext.oMetadata &&
+          oState.oContext.oMetadata.oComplexTypes[oProperty.sType];
+      });
+      if (oType) {
+        throw invalid(oState.sApply, sPath + " is not a primitive property");
+      }
+
+      return {
+        sPath: sPath,
+        aSegments: aSegments,
+        sType: oProperty ? oProperty.sType : undefined
+      };
+    }
+
+    /**
+     * Create the structured type of the rows after aggregate or groupby.
+     * @param {Object} oState The state of the compilation, see compileTransformation
+     * @param {String[]} aNames The names of the grouped properties, the first segments of their paths
+     * @param {Object[]} aAggregates The aggregate expressions with the sAlias and the sType of the result
+     * @return {Object|undefined} The structured type, undefined if the rows are untyped
+     */
+    function createRowType(oState, aNames, aAggregates) {
+      var oType = oState.oType,
+        oRowType;
+
+      if (!oType) {
+        return undefined;
+      }
+      oRowType = {
+        sName: oType.sName,
+        sQualifiedName: oType.sQualifiedName,
+        aKeys: [],
+        oProperties: {},
+        oNavigationProperties: {}
+      };
+      aNames.forEach(function (sName) {
+        oRowType.oProperties[sName] = oType.oProperties[sName];
+      });
+      aAggregates.forEach(function (oAggregate) {
+        oRowType.oProperties[oAggregate.sAlias] = {
+          sName: oAggregate.sAlias,
+          sType: oAggregate.sType,
+          bCollection: false,
+          bNullable: true
+        };
+      });
+      return oRowType;
+    }
+
+    /**
+     * Parse the aggregate expressions of aggregate(...).
+     * @param {Object} oState The state of the compilation, see compileTransformation
+     * @param {String} sList The aggregate expressions, i.e. "salary with sum as total,$count as count"
+     * @param {String[]} aNames The names which are taken already, i.e. by the grouped properties
+     * @return {Object[]} The aggregate expressions, each with the sAlias, the sType of the result and a
+     *   function fnAggregate (aRows) computing the result
+     * @throws {Error} A 400 error if an expression is invalid or not supported
+     */
+    function parseAggregates(oState, sList, aNames) {
+      var oApplySupported =
+          !oState.bAggregated && oState.oContext.oApplySupported,
+        oAggregatable =
+          oApplySupported && oApplySupported.oAggregatableProperties;
+
+      return queryOptions.splitList(sList, ",").map(function (sExpression) {
+        var aMatches = rAggregateExpression.exec(sExpression),
+          oMethod = aMatches && oMethods[aMatches[2]],
+          oPath;
+
+        if (!aMatches || (aMatches[1] === "$count") !== !aMatches[2]) {
+          throw invalid(
+            oState.sApply,
+            "use 'path with method as alias' or '$count as alias' instead of " +
+              sExpression
+          );
+        }
+        if (aNames.indexOf(aMatches[3]) >= 0) {
+          throw invalid(
+            oState.sApply,
+            "alias " + aMatches[3] + " is not unique"
+          );
+        }
+        aNames.push(aMatches[3]);
+        if (aMatches[1] === "$count") {
+          return {
+            sAlias: aMatches[3],
+            sType: "Edm.Decimal",
+            fnAggregate: function (aRows) {
+              return aRows.length;
+            }
+          };
+        }
+        if (!oMethod) {
+          throw invalid(
+            oState.sApply,
+            "aggregation method " + aMatches[2] + " is not supported"
+          );
+        }
+        oPath = resolvePath(oState, aMatches[1]);
+        if (
+          oAggregatable &&
+          (!oAggregatable.hasOwnProperty(oPath.sPath) ||
+            (oAggregatable[oPath.sPath] &&
+              oAggregatable[oPath.sPath].indexOf(aMatches[2]) < 0))
+        ) {
+          throw invalid(
+            oState.sApply,
+            oPath.sPath + " cannot be aggregated with " + aMatches[2]
+          );
+        }
+        if (
+          oMethod.bNumeric &&
+          oPath.sType &&
+          types.getCategory(oPath.sType) !== "Number"
+        ) {
+          throw invalid(
+            oState.sApply,
+            aMatches[2] + " needs a numeric property instead of " + oPath.sPath
+          );
+        }
+
+        return {
+          sAlias: aMatches[3],
+          sType: oPath.sType && oMethod.getType(oPath.sType),
+          fnAggregate: function (aRows) {
+            var aRawValues = [],
+              aValues = [];
+
+            aRows.forEach(function (oRow) {
+              var vRawValue = getValue(oRow, oPath.aSegments),
+                vValue = types.normalize(vRawValue, oPath.sType);
+
+              if (vValue !== null) {
+                aRawValues.push(vRawValue);
+                aValues.push(
+                  oMethod.bNumeric && !oPath.sType ? Number(vValue) : vValue
+                );
+              }
+            });
+            return oMethod.aggregate(aValues, aRawValues);
+          }
+        };
+      });
+    }
+
+    /**
+     * Compute the aggregated row of some rows.
+     * @param {Object[]} aAggregates The aggregate expressions, see parseAggregates
+     * @param {Object[]} aRows The rows
+     * @param {Object} [oRow={}] The row to add the results to, i.e. with the grouped properties
+     * @return {Object} The aggregated row
+     */
+    function aggregateRows(aAggregates, aRows, oRow) {
+      oRow = oRow || {};
+      aAggregates.forEach(function (oAggregate) {
+        oRow[oAggregate.sAlias] = oAggregate.fnAggregate(aRows);
+      });
+      return oRow;
+    }
+
+    /**
+     * Parse a non-negative integer, the argument of top or skip.
+     * @param {Object} oState The state of the compilation, see compileTransformation
+     * @param {String} sName The name of the transformation
+     * @param {String} sValue The argument
+     * @return {Integer} The number
+     */
+    function parseCount(oState, sName, sValue) {
+      if (!/^\d+$/.test(sValue)) {
+        throw invalid(
+          oState.sApply,
+          sName + " needs a non-negative integer instead of " + sValue
+        );
+      }
+      return parseInt(sValue, 10);
+    }
+
+    /**
+     * Sort rows according to an $orderby list. Null values come first in ascending order, rows with equal
+     * values keep their order.
+     * @param {Object[]} aRows The rows
+     * @param {Object[]} aOrderBy The items from expression.parseOrderBy
+     * @return {Object[]} The sorted rows, in a new array
+     */
+    function sortRows(aRows, aOrderBy) {
+      return aRows
+        .map(function (oRow, iIndex) {
+          return {
+            oRow: oRow,
+            iIndex: iIndex,
+            aValues: aOrderBy.map(function (oItem) {
+              return oItem.fnValue(oRow, {});
+            })
+          };
+        })
+        .sort(function (oSortable1, oSortable2) {
+          var i, vValue1, vValue2, iResult;
+
+          for (i = 0; i < aOrderBy.length; i++) {
+            vValue1 = oSortable1.aValues[i];
+            vValue2 = oSortable2.aValues[i];
+            if (vValue1 === null || vValue2 === null) {
+              iResult =
+                (vValue1 === null ? -1 : 0) + (vValue2 === null ? 1 : 0);
+            } else {
+              iResult = types.compare(vValue1, vValue2);
+            }
+            if (iResult) {
+              return aOrderBy[i].bDescending ? -iResult : iResult;
+            }
+          }
+          return oSortable1.iIndex - oSortable2.iIndex;
+        })
+        .map(function (oSortable) {
+          return oSortable.oRow;
+        });
+    }
+
+    /**
+     * Compile one transformation, and update the state to describe its result.
+     * @param {Object} oState The state of the compilation
+     * @param {String} oState.sApply The value of $apply, for error messages
+     * @param {Object} oState.oContext The context, see compile
+     * @param {Object=} oState.oType The structured type of the rows, undefined if untyped
+     * @param {Boolean} oState.bAggregated Whether the rows are aggregated instead of entities
+     * @param {String[]=} oState.aNames The names of the properties of aggregated rows
+     * @param {String} sTransformation The transformation, i.e. "top(5)"
+     * @return {Function} A function which transforms an array of rows into a new one
+     * @throws {Error} A 400 error if the transformation is invalid or not supported
+     */
+    function compileTransformation(oState, sTransformation) {
+      var aMatches = rTransformation.exec(sTransformation),
+        sName = aMatches && aMatches[1],
+        sArguments = aMatches && aMatches[2].trim(),
+        oApplySupported =
+          !oState.bAggregated && oState.oContext.oApplySupported,
+        oExpressionContext = Object.assign({}, oState.oContext, {
+          oEntityType: oState.oType
+        }),
+        aArguments,
+        aAggregates,
+        aGroupings,
+        aOrderBy,
+        fnFilter,
+        iCount;
+
+      if (!aMatches) {
+        throw invalid(
+          oState.sApply,
+          "invalid transformation " + sTransformation
+        );
+      }
+      if (
+        oApplySupported &&
+        oApplySupported.aTransformations &&
+        oApplySupported.aTransformations.indexOf(sName) < 0
+      ) {
+        throw invalid(
+          oState.sApply,
+          "transformation " + sName + " is not supported"
+        );
+      }
+      switch (sName) {
+        case "aggregate":
+          aAggregates = parseAggregates(oState, sArguments, []);
+          oState.oType = createRowType(oState, [], aAggregates);
+          oState.bAggregated = true;
+          oState.aNames = aAggregates.map(function (oAggregate) {
+            return oAggregate.sAlias;
+          });
+          return function (aRows) {
+            return [aggregateRows(aAggregates, aRows)];
+          };
+        case "groupby":
+          aArguments = queryOptions.splitList(sArguments, ",");
+          if (
+            aArguments.length > 2 ||
+            !/^\(([\s\S]*)\)$/.test(aArguments[0] || "")
+          ) {
+            throw invalid(
+              oState.sApply,
+              "use groupby((path,...)) or groupby((path,...),aggregate(...))"
+            );
+          }
+          aGroupings = queryOptions
+            .splitList(aArguments[0].slice(1, -1), ",")
+            .map(function (sPath) {
+              var oGroupable =
+                oApplySupported && oApplySupported.aGroupableProperties;
+
+              if (oGroupable && oGroupable.indexOf(sPath) < 0) {
+                throw invalid(oState.sApply, sPath + " cannot be grouped");
+              }
+              return resolvePath(oState, sPath);
+            });
+          if (!aGroupings.length) {
+            throw invalid(
+              oState.sApply,
+              "groupby needs a property to group by"
+            );
+          }
+          oState.aNames = [];
+          aGroupings.forEach(function (oGrouping) {
+            if (oState.aNames.indexOf(oGrouping.aSegments[0]) < 0) {
+              oState.aNames.push(oGrouping.aSegments[0]);
+            }
+          });
+          aAggregates = [];
+          if (aArguments[1]) {
+            aMatches = rTransformation.exec(aArguments[1]);
+            if (!aMatches || aMatches[1] !== "aggregate") {
+              throw invalid(
+                oState.sApply,
+                "only aggregate is supported within groupby instead of " +
+                  aArguments[1]
+              );
+            }
+            aAggregates = parseAggregates(
+              oState,
+              aMatches[2],
+              oState.aNames.slice()
+            );
+          }
+          oState.oType = createRowType(oState, oState.aNames, aAggregates);
+          oState.bAggregated = true;
+          oState.aNames = oState.aNames.concat(
+            aAggregates.map(function (oAggregate) {
+              return oAggregate.sAlias;
+            })
+          );
+          return function (aRows) {
+            var oGroups = {},
+              aKeys = [];
+
+            aRows.forEach(function (oRow) {
+              var sKey = JSON.stringify(
+                aGroupings.map(function (oGrouping) {
+                  var vValue = types.normalize(
+                    getValue(oRow, oGrouping.aSegments),
+                    oGrouping.sType
+                  );
+
+                  return vValue instanceof Date ? vValue.getTime() : vValue;
+                })
+              );
+
+              if (!oGroups[sKey]) {
+                oGroups[sKey] = [];
+                aKeys.push(sKey);
+              }
+              oGroups[sKey].push(oRow);
+            });
+            return aKeys.map(function (sKey) {
+              var aGroup = oGroups[sKey],
+                oResult = {};
+
+              aGroupings.forEach(function (oGrouping) {
+                setValue(
+                  oResult,
+                  oGrouping.aSegments,
+                  getValue(aGroup[0], oGrouping.aSegments)
+                );
+              });
+              return aggregateRows(aAggregates, aGroup, oResult);
+            });
+          };
+        case "filter":
+          fnFilter = expression.compileFilter(sArguments, oExpressionContext);
+          return function (aRows) {
+            return aRows.filter(fnFilter);
+          };
+        case "orderby":
+          aOrderBy = expression.parseOrderBy(sArguments, oExpressionContext);
+          return function (aRows) {
+            return sortRows(aRows, aOrderBy);
+          };
+        case "top":
+          iCount = parseCount(oState, sName, sArguments);
+          return function (aRows) {
+            return aRows.slice(0, iCount);
+          };
+        case "skip":
+          iCount = parseCount(oState, sName, sArguments);
+          return function (aRows) {
+            return aRows.slice(iCount);
+          };
+        default:
+          throw invalid(
+            oState.sApply,
+            "transformation " + sName + " is not supported"
+          );
+      }
+    }
+
+    return {
+      /**
+       * Parse $apply and compile it into a function which transforms the entities of a collection.
+       * @param {String} sApply The value of $apply, i.e. "groupby((departmentId),aggregate($count as count))"
+       * @param {Object} oContext The context of the expressions, see expression.parse; its oEntityType is the
+       *   type of the entities, the rows are not checked if it is not given
+       * @param {Object=} oContext.oApplySupported What the entity set supports, see
+       *   metadata.getApplySupported; everything if not given
+       * @return {Object} The function fnApply (aEntities) returning the rows, the flag bAggregated whether the
+       *   rows are aggregated instead of entities, the structured oType of the rows, undefined if untyped, and
+       *   the aNames of the properties of aggregated rows, as they appear in the context URL
+       * @throws {Error} A 400 error if $apply is invalid or not supported
+       */
+      compile: function (sApply, oContext) {
+        var oState = {
+            sApply: sApply,
+            oContext: oContext,
+            oType: oContext.oEntityType,
+            bAggregated: false,
+            aNames: undefined
+          },
+          aTransformations = queryOptions
+            .splitList(sApply, "/")
+            .map(function (sTransformation) {
+              return compileTransformation(oState, sTransformation);
+            });
+
+        if (!aTransformations.length) {
+          throw invalid(sApply, "a transformation is expected");
+        }
+        return {
+          fnApply: function (aEntities) {
+            return aTransformations.reduce(function (aRows, fnTransform) {
+              return fnTransform(aRows);
+            }, aEntities);
+          },
+          bAggregated: oState.bAggregated,
+          oType: oState.oType,
+          aNames: oState.aNames
+        };
+      },
+
+      /**
+       * Sort rows according to an $orderby list, i.e. aggregated rows according to $orderby after $apply.
+       * @param {Object[]} aRows The rows
+       * @param {String} sOrderBy The value of $orderby
+       * @param {Object} oContext The context of the expressions, see expression.parse
+       * @return {Object[]} The sorted rows, in a new array
+       * @throws {Error} A 400 error if the list is invalid or not supported
+       */
+      sort: function (aRows, sOrderBy, oContext) {
+        return sortRows(aRows, expression.parseOrderBy(sOrderBy, oContext));
+      }
+    };
+  }
+);
@@ -0,0 +1,517 @@
+/**
+ * Parsing of $batch requests and formatting of the responses, in the multipart/mixed format and in the JSON
+ * format of OData 4.01.
+ *
+ * A multipart batch consists of parts, each of them either a single request or a change set, which is again
+ * a multipart/mixed body with one part per request. A JSON batch has a list of requests, where adjacent
+ * requests of the same atomicityGroup form a change set. Both are parsed into items with a flag bChangeSet
+ * and the aRequests, so that the mockserver can execute a change set as a whole.
+ *
+ * Batch responses of a real service are parsed as well, to split recorded traffic into single requests.
+ */
+sap.ui.define(["./errors"], function (errors) {
+  "use strict";
+
+  var rBoundary = /boundary=("?)([^";]+)\1/i,
+    rEmptyLine = /\r?\n\r?\n/,
+    rLineBreak = /\r?\n/,
+    rRequestLine = /^([A-Z]+) (\S+)(?: HTTP\/1\.[01])?$/,
+    rStatusLine = /^HTTP\/1\.[01] (\d{3})/,
+    oStatusTexts = {
+      200: "OK",
+      201: "Created",
+      204: "No Content",
+      304: "Not Modified",
+      400: "Bad Request",
+      404: "Not Found",
+      405: "Method Not Allowed",
+      412: "Precondition Failed",
+      424: "Failed Dependency",
+      428: "Precondition Required",
+      500: "Internal Server Error",
+      501: "Not Implemented"
+    };
+
+  /**
+   * Get a header, ignoring the case of its name.
+   * @param {Object} oHeaders A map of header name to value
+   * @param {String} sName The name of the header
+   * @return {String|undefined} The value, undefined if the header is not given
+   */
+  function getHeader(oHeaders, sName) {
+    var sKey = Object.keys(oHeaders).filter(function (sCandidate) {
+      return sCandidate.toLowerCase() === sName.toLowerCase();
+    })[0];
+
+    return sKey === undefined ? undefined : oHeaders[sKey];
+  }
+
+  /**
+   * Read the boundary of a multipart body from its content type.
+   * @param {String=} sContentType The content type, i.e. "multipart/mixed; boundary=batch_1"
+   * @return {String|undefined} The boundary, undefined if there is none
+   */
+  function getBoundary(sContentType) {
+    var aMatches = rBoundary.exec(sContentType || "");
+
+    return aMatches ? aMatches[2] : undefined;
+  }
+
+  /**
+   * Parse header lines.
+   * @param {String[]} aLines The lines, i.e. ["Content-Type: application/http"]
+   * @return {Object} A map of header name to value
+   */
+  function parseHeaders(aLines) {
+    var oHeaders = {};
+
+    aLines.forEach(function (sLine) {
+      var iColon = sLine.indexOf(":");
+
+      if (iColon > 0) {
+        oHeaders[sLine.slice(0, iColon).trim()] = sLine
+          .slice(iColon + 1)
+          .trim();
+      }
+    });
+    return oHeaders;
+  }
+
+  /**
+   * Split a MIME entity into its header lines and its body at the first empty line.
+   * @param {String} sText The entity
+   * @return {Object} An object with the aHeaderLines and the sBody
+   */
+  function splitEntity(sText) {
+    var aMatches = rEmptyLine.exec(sText);
+
+    if (!aMatches) {
+      return { aHeaderLines: sText.split(rLineBreak), sBody: "" };
+    }
+    return {
+      aHeaderLines: sText.slice(0, aMatches.index).split(rLineBreak),
+      sBody: sText.slice(aMatches.index + aMatches[0].length)
+    };
+  }
+
+  /**
+   * Split a multipart body into its parts. The line break before a delimiter belongs to the delimiter,
+   * the preamble and the epilogue are ignored. A delimiter ends with the line, so that a boundary may be
+   * the prefix of another one, like "batchresponse" of "batchresponse_changeset_1".
+   * @param {String} sBody The multipart body
+   * @param {String} sBoundary The boundary
+   * @return {String[]} The parts, each with its MIME headers and its body
+   * @throws {Error} A 400 error if the body does not contain the closing delimiter
+   */
+  function splitMultipart(sBody, sBoundary) {
+    var aParts = ("\r\n" + sBody).split(
+        new RegExp(
+          "\\r?\\n--" + escapeRegExp(sBoundary) + "(?=--|[ \\t]*(?:\\r?\\n|$))"
+        )
+      ),
+      iClosing = 1;
+
+    // The first part is the preamble, the part after the closing delimiter starts with "--"
+    while (iClosing < aParts.length && aParts[iClosing].slice(0, 2) !== "--") {
+      iClosing += 1;
+    }
+    if (iClosing >= aParts.length) {
+      throw errors.badRequest(
+        "Invalid multipart body, the closing delimiter --" +
+          sBoundary +
+          "-- is missing"
+      );
+    }
+    return aParts.slice(1, iClosing).map(function (sPart) {
+      // Skip the transport padding and the line break of the delimiter line
+      return sPart.replace(/^[ \t]*\r?\n/, "");
+    });
+  }
+
+  /**
+   * Escape a text for use in a regular expression.
+   * @param {String} sText The text
+   * @return {String} The escaped text
+   */
+  function escapeRegExp(sText) {
+    return sText.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /**
+   * Parse a part of a batch which contains a single request.
+   * @param {Object} oPart The part from splitEntity, its body is of type application/http
+   * @return {Object} The request with sMethod, sUrl, oHeaders, sBody and the sContentId, if given
+   * @throws {Error} A 400 error if the request line is invalid
+   */
+  function parseRequest(oPart) {
+    var oMimeHeaders = parseHeaders(oPart.aHeaderLines),
+      oHttp = splitEntity(oPart.sBody),
+      aRequestLine = rRequestLine.exec(oHttp.aHeaderLines[0].trim()),
+      oHeaders = parseHeaders(oHttp.aHeaderLines.slice(1));
+
+    if (!aRequestLine) {
+      throw errors.badRequest(
+        "Invalid request line in $batch: " + oHttp.aHeaderLines[0]
+      );
+    }
+    return {
+      sMethod: aRequestLine[1],
+      sUrl: aRequestLine[2],
+      oHeaders: oHeaders,
+      sBody: oHttp.sBody || undefined,
+      sContentId:
+        getHeader(oMimeHeaders, "Content-ID") ||
+        getHeader(oHeaders, "Content-ID")
+    };
+  }
+
+  /**
+   * Parse a part of a batch response which contains a single response.
+   * @param {Object} oPart The part from splitEntity, its body is of type application/http
+   * @return {Object} The response with iStatus, oHeaders and sBody
+   * @throws {Error} A 400 error if the status line is invalid
+   */
+  function parseResponse(oPart) {
+    var oHttp = splitEntity(oPart.sBody),
+      aStatusLine = rStatusLine.exec(oHttp.aHeaderLines[0].trim());
+
+    if (!aStatusLine) {
+      throw errors.badRequest(
+        "Invalid status line in $batch response: " + oHttp.aHeaderLines[0]
+      );
+    }
+    return {
+      iStatus: parseInt(aStatusLine[1]),
+      oHeaders: parseHeaders(oHttp.aHeaderLines.slice(1)),
+      sBody: oHttp.sBody
+    };
+  }
+
+  /**
+   * Format a response as part of a batch response.
+   * @param {Object} oResponse The response with the aResponse array and the sContentId of its request
+   * @return {String} The part, with its MIME headers
+   */
+  function formatResponse(oResponse) {
+    var aResponse = oResponse.aResponse,
+      oHeaders = aResponse[1] || {},
+      sText =
+        "Content-Type: application/http\r\n" +
+        "Content-Transfer-Encoding: binary\r\n";
+
+    if (oResponse.sContentId !== undefined) {
+      sText += "Content-ID: " + oResponse.sContentId + "\r\n";
+    }
+    sText +=
+      "\r\nHTTP/1.1 " +
+      aResponse[0] +
+      " " +
+      (oStatusTexts[aResponse[0]] || "") +
+      "\r\n";
+    Object.keys(oHeaders).forEach(function (sName) {
+      sText += sName + ": " + oHeaders[sName] + "\r\n";
+    });
+    return sText + "\r\n" + (aResponse[2] || "");
+  }
+
+  /**
+   * Parse a request of a JSON batch.
+   * @param {Object} oJson The request object, i.e. {id: "1", method: "post", url: "Person", body: {...}}
+   * @param {Object} oKnownIds A map of the ids of the previous requests and atomicity groups to true
+   * @return {Object} The request, see parseRequest, with sAtomicityGroup and the aDependsOn ids
+   * @throws {Error} A 400 error if the request object is invalid
+   */
+  function parseJsonRequest(oJson, oKnownIds) {
+    var aDependsOn;
+
+    if (
+      !oJson ||
+      typeof oJson.id != "string" ||
+      typeof oJson.method != "string" ||
+      typeof oJson.url != "string"
+    ) {
+      throw errors.badRequest(
+        "Invalid request in JSON $batch, id, method and url are required: " +
+          JSON.stringify(oJson)
+      );
+    }
+    aDependsOn = oJson.dependsOn || [];
+    if (!Array.isArray(aDependsOn)) {
+      throw errors.badRequest(
+        "Invalid dependsOn of request " + oJson.id + ", an array is expected"
+      );
+    }
+    aDependsOn.forEach(function (sId) {
+      if (!oKnownIds[sId]) {
+        throw errors.badRequest(
+          "Request " +
+            oJson.id +
+            " depends on " +
+            sId +
+            ", which is no preceding request or atomicity group"
+        );
+      }
+    });
+    return {
+      sMethod: oJson.method.toUpperCase(),
+      sUrl: oJson.url,
+      oHeaders: oJson.headers || {},
+      sBody:
+        oJson.body === undefined || typeof oJson.body == "string"
+          ? oJson.body
+          : JSON.stringify(oJson.body),
+      sContentId: oJson.id,
+      sAtomicityGroup: oJson.atomicityGroup,
+      aDependsOn: aDependsOn
+    };
+  }
+
+  /**
+   * Format a response as part of a JSON batch response.
+   * @param {Object} oResponse The response with the aResponse array, and the sContentId and the
+   *   sAtomicityGroup of its request
+   * @return {Object} The response object
+   */
+  function formatJsonResponse(oResponse) {
+    var aResponse = oResponse.aResponse,
+      oHeaders = aResponse[1] || {},
+      sContentType = getHeader(oHeaders, "Content-Type") || "",
+      oJson = {
+        id: oResponse.sContentId,
+        status: aResponse[0],
+        headers: oHeaders
+      };
+
+    if (oResponse.sAtomicityGroup !== undefined) {
+      oJson.atomicityGroup = oResponse.sAtomicityGroup;
+    }
+    if (aResponse[2]) {
+      oJson.body = /^application\/json/.test(sContentType)
+        ? JSON.parse(aResponse[2])
+        : aResponse[2];
+    }
+    return oJson;
+  }
+
+  return {
+    getBoundary: getBoundary,
+
+    getHeader: getHeader,
+
+    /**
+     * Parse a multipart/mixed batch request.
+     * @param {String} sBody The request body
+     * @param {String=} sContentType The content type of the request, if not given the boundary is taken
+     *   from the first line of the body
+     * @return {Object[]} The items of the batch, each with a flag bChangeSet and the aRequests, see
+     *   parseRequest; a request outside of a change set is an item with a single request
+     * @throws {Error} A 400 error if the batch is invalid
+     */
+    parse: function (sBody, sContentType) {
+      var sBoundary =
+        getBoundary(sContentType) || sBody.split(rLineBreak)[0].slice(2);
+
+      return splitMultipart(sBody, sBoundary).map(function (sPart) {
+        var oPart = splitEntity(sPart),
+          sChangeSetBoundary = getBoundary(
+            getHeader(parseHeaders(oPart.aHeaderLines), "Content-Type")
+          );
+
+        if (!sChangeSetBoundary) {
+          return { bChangeSet: false, aRequests: [parseRequest(oPart)] };
+        }
+        return {
+          bChangeSet: true,
+          aRequests: splitMultipart(oPart.sBody, sChangeSetBoundary).map(
+            function (sRequestPart) {
+              return parseRequest(splitEntity(sRequestPart));
+            }
+          )
+        };
+      });
+    },
+
+    /**
+     * Parse a JSON batch request. Each request must have an id, which is also used as its Content-ID.
+     * @param {String} sBody The request body, i.e. '{"requests": [{"id": "1", "method": "get", "url": "Person"}]}'
+     * @return {Object[]} The items of the batch, see parse; the requests of an atomicity group form a change
+     *   set, and each request has its sAtomicityGroup and the aDependsOn ids
+     * @throws {Error} A 400 error if the batch is invalid
+     */
+    parseJson: function (sBody) {
+      var aItems = [],
+        oKnownIds = {},
+        oJson;
+
+      try {
+        oJson = JSON.parse(sBody);
+      } catch (oError) {
+        throw errors.badRequest("Invalid JSON $batch: " + oError.message);
+      }
+      if (!oJson || !Array.isArray(oJson.requests)) {
+        throw errors.badRequest("Invalid JSON $batch, requests are missing");
+      }
+      oJson.requests.forEach(function (oJsonRequest) {
+        var oRequest = parseJsonRequest(oJsonRequest, oKnownIds),
+          sGroup = oRequest.sAtomicityGroup,
+          oLastItem = aItems[aItems.length - 1];
+
+        if (oKnownIds[oRequest.sContentId]) {
+          throw errors.badRequest(
+            "The id " + oRequest.sContentId + " is used twice in JSON $batch"
+          );
+        }
+        if (sGroup === undefined) {
+          aItems.push({ bChangeSet: false, aRequests: [oRequest] });
+        } else if (oLastItem && oLastItem.sAtomicityGroup === sGroup) {
+          oLastItem.aRequests.push(oRequest);
+        } else if (oKnownIds[sGroup]) {
+          throw errors.badRequest(
+            "The requests of atomicity group " + sGroup + " must be adjacent"
+          );
+        } else {
+          aItems.push({
+            bChangeSet: true,
+            sAtomicityGroup: sGroup,
+            aRequests: [oRequest]
+          });
+        }
+        oKnownIds[oRequest.sContentId] = true;
+        if (sGroup !== undefined) {
+          oKnownIds[sGroup] = true;
+        }
+      });
+
+      return aItems;
+    },
+
+    /**
+     * Parse a multipart/mixed batch response, i.e. a recorded one.
+     * @param {String} sBody The response body
+     * @param {String=} sContentType The content type of the response
+     * @return {Object[]} The responses in the order of the requests, see parseResponse; the responses of a
+     *   change set are not nested
+     * @throws {Error} A 400 error if the batch response is invalid
+     */
+    parseResponse: function (sBody, sContentType) {
+      var sBoundary =
+        getBoundary(sContentType) || sBody.split(rLineBreak)[0].slice(2);
+
+      return splitMultipart(sBody, sBoundary).reduce(function (
+        aResponses,
+        sPart
+      ) {
+        var oPart = splitEntity(sPart),
+          sChangeSetBoundary = getBoundary(
+            getHeader(parseHeaders(oPart.aHeaderLines), "Content-Type")
+          );
+
+        if (!sChangeSetBoundary) {
+          return aResponses.concat(parseResponse(oPart));
+        }
+        return aResponses.concat(
+          splitMultipart(oPart.sBody, sChangeSetBoundary).map(function (
+            sResponsePart
+          ) {
+            return parseResponse(splitEntity(sResponsePart));
+          })
+        );
+      },
+      []);
+    },
+
+    /**
+     * Parse a JSON batch response, i.e. a recorded one.
+     * @param {String} sBody The response body, i.e. '{"responses": [{"id": "1", "status": 200, "body": {...}}]}'
+     * @return {Object[]} The responses, see parseResponse, each with the sContentId of its request
+     * @throws {Error} A 400 error if the batch response is invalid
+     */
+    parseJsonResponse: function (sBody) {
+      var oJson;
+
+      try {
+        oJson = JSON.parse(sBody);
+      } catch (oError) {
+        throw errors.badRequest(
+          "Invalid JSON $batch response: " + oError.message
+        );
+      }
+      if (!oJson || !Array.isArray(oJson.responses)) {
+        throw errors.badRequest(
+          "Invalid JSON $batch response, responses are missing"
+        );
+      }
+      return oJson.responses.map(function (oJsonResponse) {
+        return {
+          iStatus: oJsonResponse.status,
+          oHeaders: oJsonResponse.headers || {},
+          sBody:
+            oJsonResponse.body === undefined ||
+            typeof oJsonResponse.body == "string"
+              ? oJsonResponse.body || ""
+              : JSON.stringify(oJsonResponse.body),
+          sContentId: oJsonResponse.id
+        };
+      });
+    },
+
+    /**
+     * Format the response to a JSON batch request.
+     * @param {Object[]} aItems The items of the batch, see format
+     * @return {Object} The response, i.e. {responses: [{id: "1", status: 200, headers: {...}, body: {...}}]}
+     */
+    formatJson: function (aItems) {
+      return {
+        responses: aItems.reduce(function (aResponses, oItem) {
+          return aResponses.concat(oItem.aResponses.map(formatJsonResponse));
+        }, [])
+      };
+    },
+
+    /**
+     * Format the response to a multipart/mixed batch request.
+     * @param {Object[]} aItems The items of the batch, each with a flag bChangeSet and the aResponses, each
+     *   with the response array aResponse and the sContentId of the request
+     * @param {String} sBoundary The boundary of the batch response
+     * @return {String} The response body
+     */
+    format: function (aItems, sBoundary) {
+      return (
+        aItems
+          .map(function (oItem, iIndex) {
+            var sChangeSetBoundary = sBoundary + "_changeset_" + iIndex;
+
+            if (!oItem.bChangeSet) {
+              return (
+                "--" + sBoundary + "\r\n" + formatResponse(oItem.aResponses[0])
+              );
+            }
+            return (
+              "--" +
+              sBoundary +
+              "\r\nContent-Type: multipart/mixed; boundary=" +
+              sChangeSetBoundary +
+              "\r\n\r\n" +
+              oItem.aResponses
+                .map(function (oResponse) {
+                  return (
+                    "--" +
+                    sChangeSetBoundary +
+                    "\r\n" +
+                    formatResponse(oResponse)
+                  );
+                })
+                .join("\r\n") +
+              "\r\n--" +
+              sChangeSetBoundary +
+              "--"
+            );
+          })
+          .join("\r\n") +
+        "\r\n--" +
+        sBoundary +
+        "--\r\n"
+      );
+    }
+  };
+});
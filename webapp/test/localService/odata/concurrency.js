@@ -0,0 +1,125 @@
+/**
+ * ETags and the preconditions If-Match and If-None-Match for optimistic concurrency.
+ *
+ * The ETag of an entity is derived from the properties which the metadata declares as concurrency tokens,
+ * or else from all of its properties. So every change of the mock data gives a new ETag, no matter whether
+ * it is made by a request, a mock handler or a test.
+ */
+sap.ui.define(["./errors", "./types"], function (errors, types) {
+  "use strict";
+
+  /**
+   * Compute a hash code of a text.
+   * @param {String} sText The text
+   * @return {String} The hash code as hexadecimal number
+   */
+  function hash(sText) {
+    var iHash = 0,
+      i;
+
+    for (i = 0; i < sText.length; i++) {
+      iHash = ((iHash << 5) - iHash + sText.charCodeAt(i)) | 0;
+    }
+    return (iHash >>> 0).toString(16);
+  }
+
+  /**
+   * Check whether a precondition header matches an ETag.
+   * @param {String} sHeader The value of If-Match or If-None-Match, a list of ETags or "*"
+   * @param {String} sETag The current ETag
+   * @return {Boolean} True if the header contains "*" or the ETag
+   */
+  function matches(sHeader, sETag) {
+    return sHeader.split(",").some(function (sCandidate) {
+      sCandidate = sCandidate.trim();
+      return sCandidate === "*" || sCandidate === sETag;
+    });
+  }
+
+  return {
+    /**
+     * Get the ETag of an entity.
+     * @param {Object} oEntity The entity
+     * @param {Object[]} aTokenProperties The concurrency tokens from the metadata, may be empty
+     * @return {String} The weak ETag, i.e. 'W/"1a2b3c"'
+     */
+    getETag: function (oEntity, aTokenProperties) {
+      var vValue = aTokenProperties.length
+        ? aTokenProperties.map(function (oProperty) {
+            return oEntity[oProperty.sName];
+          })
+        : oEntity;
+
+      return 'W/"' + hash(JSON.stringify(vValue)) + '"';
+    },
+
+    /**
+     * Check the preconditions of a request for an entity.
+     * @param {Object} oPreconditions The preconditions
+     * @param {String=} oPreconditions.sIfMatch The If-Match header
+     * @param {String=} oPreconditions.sIfNoneMatch The If-None-Match header
+     * @param {String} sETag The current ETag of the entity
+     * @param {Boolean} bRead Whether the request only reads the entity
+     * @param {Boolean} bRequired Whether a precondition is required to change the entity
+     * @return {Boolean} True if a read request can be answered with 304 Not Modified
+     * @throws {Error} A 412 error if a precondition fails, a 428 error if a required one is missing
+     */
+    checkPreconditions: function (oPreconditions, sETag, bRead, bRequired) {
+      var sIfMatch = oPreconditions.sIfMatch,
+        sIfNoneMatch = oPreconditions.sIfNoneMatch;
+
+      if (sIfMatch !== undefined && !matches(sIfMatch, sETag)) {
+        throw errors.create(
+          412,
+          "The entity has been changed in the meantime, its ETag is " +
+            sETag +
+            " instead of " +
+            sIfMatch
+        );
+      }
+      if (sIfNoneMatch !== undefined && matches(sIfNoneMatch, sETag)) {
+        if (bRead) {
+          return true;
+        }
+        throw errors.create(412, "The entity exists and has the ETag " + sETag);
+      }
+      if (
+        !bRead &&
+        bRequired &&
+        sIfMatch === undefined &&
+        sIfNoneMatch === undefined
+      ) {
+        throw errors.create(
+          428,
+          "The entity can only be changed with an If-Match header"
+        );
+      }
+      return false;
+    },
+
+    /**
+     * Give the concurrency tokens of an entity new values, like the real service does when the entity
+     * is changed: numbers are incremented, other tokens get the current time stamp.
+     * @param {Object} oEntity The entity
+     * @param {Object[]} aTokenProperties The concurrency tokens from the metadata, may be empty
+     */
+    touch: function (oEntity, aTokenProperties) {
+      aTokenProperties.forEach(function (oProperty) {
+        var vOldValue = oEntity[oProperty.sName],
+          iTime = Date.now(),
+          iOldTime;
+
+        if (types.getCategory(oProperty.sType) === "Number") {
+          oEntity[oProperty.sName] = (Number(vOldValue) || 0) + 1;
+          return;
+        }
+        // Make sure that the time stamp changes, even within the same millisecond
+        iOldTime = vOldValue ? Date.parse(vOldValue) : NaN;
+        if (iOldTime >= iTime) {
+          iTime = iOldTime + 1;
+        }
+        oEntity[oProperty.sName] = new Date(iTime).toISOString();
+      });
+    }
+  };
+});
@@ -0,0 +1,46 @@
+/**
+ * Errors thrown by the mockserver while handling a request. The error carries the HTTP status code,
+ * so that the request handler can turn it into a proper OData error response instead of a 500.
+ */
+sap.ui.define([], function () {
+  "use strict";
+
+  return {
+    /**
+     * Create an error which should be answered with the given status code.
+     * @param {Integer} iStatusCode The status code, i.e. 400, 404, etc.
+     * @param {String} sMessage The error message
+     * @param {String=} sTarget The target of the error message, usually a property name
+     * @param {Object[]=} aDetails Further messages, each with sMessage and sTarget, i.e. one per invalid
+     *   property of a payload
+     * @return {Error} The error
+     */
+    create: function (iStatusCode, sMessage, sTarget, aDetails) {
+      var oError = new Error(sMessage);
+      oError.iStatusCode = iStatusCode;
+      oError.sTarget = sTarget;
+      oError.aDetails = aDetails;
+      return oError;
+    },
+
+    /**
+     * Create an error for a request which is syntactically wrong or not supported by the mockserver.
+     * @param {String} sMessage The error message
+     * @param {String=} sTarget The target of the error message
+     * @return {Error} The error
+     */
+    badRequest: function (sMessage, sTarget) {
+      return this.create(400, sMessage, sTarget);
+    },
+
+    /**
+     * Create an error for a resource which does not exist, i.e. an unknown segment of the resource path.
+     * @param {String} sMessage The error message
+     * @param {String=} sTarget The target of the error message
+     * @return {Error} The error
+     */
+    notFound: function (sMessage, sTarget) {
+      return this.create(404, sMessage, sTarget);
+    }
+  };
+});
@@ -0,0 +1,1511 @@
+/**
+ * Tokenizer, parser and evaluator for OData V4 common expressions, as they are used in $filter.
+ *
+ * With the flag bV2 in the context, the expressions of OData V2 are parsed instead: their literals like
+ * datetime'2020-12-31T23:59:59' or 42L, and their functions like substringof, but no V4 operators like "in".
+ *
+ * An expression is parsed into a tree of nodes. While parsing, property paths are resolved against the
+ * entity type from the metadata, and the types of the operands are checked, so that a request with an unknown
+ * property or a comparison of a string with a number is rejected like the real service would do it.
+ * Anything which is not supported by this implementation (i.e. enumerations, geo types, cast) is rejected
+ * with a 400 error as well, instead of being silently ignored.
+ *
+ * The node tree is then compiled into a function which evaluates the expression for one entity.
+ *
+ * Each node has an sKind, and an sType which is the EDM type of its result:
+ * - a qualified type name like "Edm.String"
+ * - null for the null literal
+ * - undefined if the type is unknown, i.e. because the service has no metadata
+ */
+sap.ui.define(["./errors", "./types"], function (errors, types) {
+  "use strict";
+
+  var aBinaryOperators = [
+      ["or"],
+      ["and"],
+      ["eq", "ne", "gt", "ge", "lt", "le", "has", "in"],
+      ["add", "sub"],
+      ["mul", "div", "divby", "mod"]
+    ],
+    aV4Operators = ["has", "in", "divby"],
+    aIntegerTypes = [
+      "Edm.Byte",
+      "Edm.SByte",
+      "Edm.Int16",
+      "Edm.Int32",
+      "Edm.Int64"
+    ],
+    aLiteralPatterns = [
+      {
+        rPattern: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}(?![\w-])/,
+        sType: "Edm.Guid"
+      },
+      {
+        rPattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})/i,
+        sType: "Edm.DateTimeOffset"
+      },
+      {
+        rPattern: /^\d{4}-\d{2}-\d{2}(?![\w:.-])/,
+        sType: "Edm.Date"
+      },
+      {
+        rPattern: /^\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?![\w:.])/,
+        sType: "Edm.TimeOfDay"
+      },
+      {
+        rPattern: /^(?:-?\d+(?:\.\d+)?[eE][+-]?\d+|-?INF|NaN)(?![\w.])/,
+        sType: "Edm.Double"
+      },
+      {
+        rPattern: /^-?\d+\.\d+(?![\w.])/,
+        sType: "Edm.Decimal"
+      },
+      {
+        rPattern: /^-?\d+(?![\w.])/,
+        sType: "Edm.Int32"
+      }
+    ],
+    // OData V2 marks the numeric types with a suffix, i.e. 42L, 1.5M or 1.5d
+    rV2NumberLiteral = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?([LlMmDdFf])(?![\w.])/,
+    oV2NumberTypes = {
+      l: "Edm.Int64",
+      m: "Edm.Decimal",
+      d: "Edm.Double",
+      f: "Edm.Single"
+    },
+    // The literals with a type prefix, i.e. duration'P1D'
+    oTypedLiterals = {
+      duration: "Edm.Duration"
+    },
+    oV2TypedLiterals = {
+      datetime: "Edm.DateTime",
+      datetimeoffset: "Edm.DateTimeOffset",
+      guid: "Edm.Guid",
+      time: "Edm.Time"
+    },
+    rGuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    rDateTime = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?$/i,
+    // The functions of OData V2, all of them but substringof and replace are V4 functions as well
+    aV2Functions = [
+      "substringof",
+      "startswith",
+      "endswith",
+      "length",
+      "indexof",
+      "replace",
+      "substring",
+      "tolower",
+      "toupper",
+      "trim",
+      "concat",
+      "year",
+      "month",
+      "day",
+      "hour",
+      "minute",
+      "second",
+      "round",
+      "floor",
+      "ceiling"
+    ],
+    oFunctions = {
+      contains: {
+        aParameters: ["String", "String"],
+        sReturnType: "Edm.Boolean",
+        fnEvaluate: function (sText, sPart) {
+          return sText.indexOf(sPart) !== -1;
+        }
+      },
+      substringof: {
+        aParameters: ["String", "String"],
+        sReturnType: "Edm.Boolean",
+        bV2Only: true,
+        fnEvaluate: function (sPart, sText) {
+          return sText.indexOf(sPart) !== -1;
+        }
+      },
+      startswith: {
+        aParameters: ["String", "String"],
+        sReturnType: "Edm.Boolean",
+        fnEvaluate: function (sText, sPart) {
+          return sText.slice(0, sPart.length) === sPart;
+        }
+      },
+      endswith: {
+        aParameters: ["String", "String"],
+        sReturnType: "Edm.Boolean",
+        fnEvaluate: function (sText, sPart) {
+          return (
+            sText.length >= sPart.length &&
+            sText.slice(sText.length - sPart.length) === sPart
+          );
+        }
+      },
+      matchespattern: {
+        aParameters: ["String", "String"],
+        sReturnType: "Edm.Boolean",
+        fnEvaluate: function (sText, sPattern) {
+          return new RegExp(sPattern).test(sText);
+        }
+      },
+      length: {
+        aParameters: ["String"],
+        sReturnType: "Edm.Int32",
+        fnEvaluate: function (sText) {
+          return sText.length;
+        }
+      },
+      indexof: {
+        aParameters: ["String", "String"],
+        sReturnType: "Edm.Int32",
+        fnEvaluate: function (sText, sPart) {
+          return sText.indexOf(sPart);
+        }
+      },
+      substring: {
+        aParameters: ["String", "Number", "Number"],
+        iMinArguments: 2,
+        sReturnType: "Edm.String",
+        fnEvaluate: function (sText, iStart, iLength) {
+          return iLength === undefined
+            ? sText.substr(iStart)
+            : sText.substr(iStart, iLength);
+        }
+      },
+      tolower: {
+        aParameters: ["String"],
+        sReturnType: "Edm.String",
+        fnEvaluate: function (sText) {
+          return sText.toLowerCase();
+        }
+      },
+      toupper: {
+        aParameters: ["String"],
+        sReturnType: "Edm.String",
+        fnEvaluate: function (sText) {
+          return sText.toUpperCase();
+        }
+      },
+      trim: {
+        aParameters: ["String"],
+        sReturnType: "Edm.String",
+        fnEvaluate: function (sText) {
+          return sText.trim();
+        }
+      },
+      concat: {
+        aParameters: ["String", "String"],
+        sReturnType: "Edm.String",
+        fnEvaluate: function (sText1, sText2) {
+          return String(sText1) + sText2;
+        }
+      },
+      replace: {
+        aParameters: ["String", "String", "String"],
+        sReturnType: "Edm.String",
+        bV2Only: true,
+        fnEvaluate: function (sText, sFind, sReplacement) {
+          return sFind ? sText.split(sFind).join(sReplacement) : sText;
+        }
+      },
+      year: {
+        aParameters: ["Date|DateTimeOffset"],
+        sReturnType: "Edm.Int32",
+        fnEvaluate: function (vDate) {
+          return getDatePart(vDate, 0);
+        }
+      },
+      month: {
+        aParameters: ["Date|DateTimeOffset"],
+        sReturnType: "Edm.Int32",
+        fnEvaluate: function (vDate) {
+          return getDatePart(vDate, 1);
+        }
+      },
+      day: {
+        aParameters: ["Date|DateTimeOffset"],
+        sReturnType: "Edm.Int32",
+        fnEvaluate: function (vDate) {
+          return getDatePart(vDate, 2);
+        }
+      },
+      hour: {
+        aParameters: ["DateTimeOffset|TimeOfDay"],
+        sReturnType: "Edm.Int32",
+        fnEvaluate: function (vTime) {
+          return Math.floor(getMillisecondsOfDay(vTime) / 3600000);
+        }
+      },
+      minute: {
+        aParameters: ["DateTimeOffset|TimeOfDay"],
+        sReturnType: "Edm.Int32",
+        fnEvaluate: function (vTime) {
+          return Math.floor(getMillisecondsOfDay(vTime) / 60000) % 60;
+        }
+      },
+      second: {
+        aParameters: ["DateTimeOffset|TimeOfDay"],
+        sReturnType: "Edm.Int32",
+        fnEvaluate: function (vTime) {
+          return Math.floor(getMillisecondsOfDay(vTime) / 1000) % 60;
+        }
+      },
+      fractionalseconds: {
+        aParameters: ["DateTimeOffset|TimeOfDay"],
+        sReturnType: "Edm.Decimal",
+        fnEvaluate: function (vTime) {
+          return (getMillisecondsOfDay(vTime) % 1000) / 1000;
+        }
+      },
+      totaloffsetminutes: {
+        aParameters: ["DateTimeOffset"],
+        sReturnType: "Edm.Int32",
+        fnEvaluate: function () {
+          // DateTimeOffset values are normalized to UTC
+          return 0;
+        }
+      },
+      date: {
+        aParameters: ["DateTimeOffset"],
+        sReturnType: "Edm.Date",
+        fnEvaluate: function (vDate) {
+          return toDate(vDate).toISOString().slice(0, 10);
+        }
+      },
+      time: {
+        aParameters: ["DateTimeOffset"],
+        sReturnType: "Edm.TimeOfDay",
+        fnEvaluate: function (vDate) {
+          return getMillisecondsOfDay(vDate);
+        }
+      },
+      now: {
+        aParameters: [],
+        sReturnType: "Edm.DateTimeOffset",
+        fnEvaluate: function () {
+          return new Date();
+        }
+      },
+      maxdatetime: {
+        aParameters: [],
+        sReturnType: "Edm.DateTimeOffset",
+        fnEvaluate: function () {
+          return new Date("9999-12-31T23:59:59.999Z");
+        }
+      },
+      mindatetime: {
+        aParameters: [],
+        sReturnType: "Edm.DateTimeOffset",
+        fnEvaluate: function () {
+          return new Date("0001-01-01T00:00:00Z");
+        }
+      },
+      round: {
+        aParameters: ["Number"],
+        fnEvaluate: Math.round
+      },
+      floor: {
+        aParameters: ["Number"],
+        fnEvaluate: Math.floor
+      },
+      ceiling: {
+        aParameters: ["Number"],
+        fnEvaluate: Math.ceil
+      }
+    };
+
+  /**
+   * Convert a value of type Edm.DateTimeOffset to a Date. Values from untyped properties may still be strings.
+   * @param {Date|String} vDate The value
+   * @return {Date} The date
+   */
+  function toDate(vDate) {
+    return vDate instanceof Date ? vDate : new Date(vDate);
+  }
+
+  /**
+   * Get the year, month or day of an Edm.Date or Edm.DateTimeOffset value.
+   * @param {Date|String} vDate The value
+   * @param {Integer} iPart 0 for the year, 1 for the month, 2 for the day
+   * @return {Integer} The requested part
+   */
+  function getDatePart(vDate, iPart) {
+    var oDate;
+    if (typeof vDate == "string" && vDate.length === 10) {
+      return parseInt(vDate.split("-")[iPart], 10);
+    }
+    oDate = toDate(vDate);
+    return [
+      oDate.getUTCFullYear(),
+      oDate.getUTCMonth() + 1,
+      oDate.getUTCDate()
+    ][iPart];
+  }
+
+  /**
+   * Get the milliseconds since midnight of an Edm.TimeOfDay or Edm.DateTimeOffset value.
+   * @param {Date|String|Number} vTime The value
+   * @return {Number} The milliseconds
+   */
+  function getMillisecondsOfDay(vTime) {
+    var oDate;
+    if (typeof vTime == "number") {
+      return vTime;
+    }
+    if (typeof vTime == "string" && vTime.indexOf("T") < 0) {
+      return types.parseTimeOfDay(vTime);
+    }
+    oDate = toDate(vTime);
+    return (
+      oDate.getTime() -
+      Date.UTC(oDate.getUTCFullYear(), oDate.getUTCMonth(), oDate.getUTCDate())
+    );
+  }
+
+  /**
+   * Split an expression into tokens.
+   * @param {String} sText The expression
+   * @param {Boolean} bV2 Whether it is an OData V2 expression
+   * @return {Object[]} The tokens, the last one has the kind "eof"
+   */
+  function tokenize(sText, bV2) {
+    var aTokens = [],
+      oTypes = bV2 ? oV2TypedLiterals : oTypedLiterals,
+      iPosition = 0,
+      sRest,
+      aMatches,
+      oPattern,
+      sType,
+      i;
+
+    function addToken(sKind, sToken, sType, vValue) {
+      aTokens.push({
+        sKind: sKind,
+        sText: sToken,
+        sType: sType,
+        vValue: vValue,
+        iPosition: iPosition
+      });
+      iPosition += sToken.length;
+    }
+
+    while (iPosition < sText.length) {
+      sRest = sText.slice(iPosition);
+      if ((aMatches = /^\s+/.exec(sRest))) {
+        iPosition += aMatches[0].length;
+        continue;
+      }
+      if ("(),/:".indexOf(sRest[0]) !== -1) {
+        addToken(sRest[0], sRest[0]);
+        continue;
+      }
+      if ((aMatches = /^'((?:[^']|'')*)'/.exec(sRest))) {
+        addToken(
+          "literal",
+          aMatches[0],
+          "Edm.String",
+          aMatches[1].replace(/''/g, "'")
+        );
+        continue;
+      }
+      if (sRest[0] === "'") {
+        throw syntaxError(sText, iPosition, "unterminated string literal");
+      }
+      if ((aMatches = /^@[A-Za-z_]\w*/.exec(sRest))) {
+        addToken("alias", aMatches[0]);
+        continue;
+      }
+      if (bV2 && (aMatches = rV2NumberLiteral.exec(sRest))) {
+        sType = oV2NumberTypes[aMatches[1].toLowerCase()];
+        addToken(
+          "literal",
+          aMatches[0],
+          sType,
+          sType === "Edm.Int64"
+            ? parseInt(aMatches[0], 10)
+            : parseFloat(aMatches[0])
+        );
+        continue;
+      }
+      oPattern = null;
+      for (i = 0; i < aLiteralPatterns.length && !oPattern; i++) {
+        aMatches = aLiteralPatterns[i].rPattern.exec(sRest);
+        if (aMatches) {
+          oPattern = aLiteralPatterns[i];
+        }
+      }
+      if (oPattern) {
+        addLiteralToken(addToken, aMatches[0], oPattern.sType);
+        continue;
+      }
+      if ((aMatches = /^([A-Za-z_][\w.]*)'((?:[^']|'')*)'/.exec(sRest))) {
+        if (!oTypes.hasOwnProperty(aMatches[1])) {
+          throw syntaxError(
+            sText,
+            iPosition,
+            "literals of type " + aMatches[1] + " are not supported"
+          );
+        }
+        addToken(
+          "literal",
+          aMatches[0],
+          oTypes[aMatches[1]],
+          parseTypedLiteral(aMatches[2], oTypes[aMatches[1]], aMatches[1])
+        );
+        continue;
+      }
+      if (sRest[0] === "-") {
+        addToken("-", "-");
+        continue;
+      }
+      if ((aMatches = /^\$?[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*/.exec(sRest))) {
+        switch (aMatches[0]) {
+          case "null":
+            addToken("literal", aMatches[0], null, null);
+            break;
+          case "true":
+          case "false":
+            addToken(
+              "literal",
+              aMatches[0],
+              "Edm.Boolean",
+              aMatches[0] === "true"
+            );
+            break;
+          default:
+            addToken("name", aMatches[0]);
+        }
+        continue;
+      }
+      throw syntaxError(sText, iPosition, "unexpected character");
+    }
+    addToken("eof", "");
+
+    return aTokens;
+
+    /**
+     * Convert the text of a literal into its normalized value and add its token.
+     * @param {Function} fnAddToken The function adding the token
+     * @param {String} sToken The literal as written in the expression
+     * @param {String} sType The EDM type of the literal
+     */
+    function addLiteralToken(fnAddToken, sToken, sType) {
+      var vValue;
+      switch (sType) {
+        case "Edm.Int32":
+          vValue = parseInt(sToken, 10);
+          if (Math.abs(vValue) > 2147483647) {
+            sType = "Edm.Int64";
+          }
+          break;
+        case "Edm.Double":
+          vValue = /INF/.test(sToken)
+            ? sToken[0] === "-"
+              ? -Infinity
+              : Infinity
+            : parseFloat(sToken);
+          break;
+        case "Edm.Decimal":
+          vValue = parseFloat(sToken);
+          break;
+        case "Edm.DateTimeOffset":
+          vValue = new Date(sToken);
+          checkLiteral(sText, iPosition, vValue.getTime(), "date/time");
+          break;
+        case "Edm.TimeOfDay":
+          vValue = types.parseTimeOfDay(sToken);
+          break;
+        default:
+          vValue = types.normalize(sToken, sType);
+      }
+      fnAddToken("literal", sToken, sType, vValue);
+    }
+
+    /**
+     * Convert the value of a literal with a type prefix into its normalized value.
+     * @param {String} sValue The value within the quotes, i.e. "P1D" for duration'P1D'
+     * @param {String} sType The EDM type of the literal
+     * @param {String} sPrefix The type prefix for the error message
+     * @return {any} The normalized value
+     */
+    function parseTypedLiteral(sValue, sType, sPrefix) {
+      var vValue = types.normalize(sValue, sType);
+
+      switch (types.getCategory(sType)) {
+        case "DateTimeOffset":
+          checkLiteral(
+            sText,
+            iPosition,
+            rDateTime.test(sValue) ? vValue.getTime() : NaN,
+            sPrefix
+          );
+          return vValue;
+        case "Guid":
+          checkLiteral(sText, iPosition, rGuid.test(sValue) ? 0 : NaN, sPrefix);
+          return vValue;
+        default:
+          return checkLiteral(sText, iPosition, vValue, sPrefix);
+      }
+    }
+  }
+
+  /**
+   * Make sure that a literal could be converted into a valid value.
+   * @param {String} sText The expression
+   * @param {Integer} iPosition The position of the literal
+   * @param {any} vValue The converted value, NaN if it is invalid
+   * @param {String} sWhat The kind of literal for the error message
+   * @return {any} The value
+   */
+  function checkLiteral(sText, iPosition, vValue, sWhat) {
+    if (typeof vValue == "number" && isNaN(vValue)) {
+      throw syntaxError(sText, iPosition, "invalid " + sWhat + " literal");
+    }
+    return vValue;
+  }
+
+  /**
+   * Create the error for a syntax error in an expression.
+   * @param {String} sText The expression
+   * @param {Integer} iPosition The position of the error
+   * @param {String} sReason What is wrong
+   * @return {Error} The error
+   */
+  function syntaxError(sText, iPosition, sReason) {
+    return errors.badRequest(
+      "Invalid expression '" +
+        sText +
+        "' at position " +
+        iPosition +
+        ": " +
+        sReason
+    );
+  }
+
+  /**
+   * Create the error for an expression which is syntactically correct, but cannot be evaluated.
+   * @param {Object} oState The parser state
+   * @param {String} sReason What is wrong
+   * @return {Error} The error
+   */
+  function semanticError(oState, sReason) {
+    return errors.badRequest(
+      "Invalid expression '" + oState.sText + "': " + sReason
+    );
+  }
+
+  /**
+   * Get the category of a node's type.
+   * @param {Object} oNode The node
+   * @return {String|null|undefined} The category, null for the null literal, undefined if unknown
+   */
+  function getCategory(oNode) {
+    return oNode.sType === null ? null : types.getCategory(oNode.sType);
+  }
+
+  /**
+   * Check that a node's type has one of the given categories. Nodes of unknown type and null are accepted.
+   * @param {Object} oState The parser state
+   * @param {Object} oNode The node
+   * @param {String} sCategories The allowed categories, separated by "|"
+   * @param {String} sWhat What the node is used for, for the error message
+   */
+  function checkCategory(oState, oNode, sCategories, sWhat) {
+    var sCategory = getCategory(oNode);
+    if (
+      sCategory !== undefined &&
+      sCategory !== null &&
+      sCategories.split("|").indexOf(sCategory) === -1
+    ) {
+      throw semanticError(
+        oState,
+        sWhat +
+          " expects " +
+          sCategories.split("|").join(" or ") +
+          ", but got " +
+          oNode.sType
+      );
+    }
+  }
+
+  /**
+   * Check that two nodes can be compared with each other.
+   * @param {Object} oState The parser state
+   * @param {Object} oLeft The left operand
+   * @param {Object} oRight The right operand
+   * @param {String} sOperator The operator
+   */
+  function checkComparable(oState, oLeft, oRight, sOperator) {
+    var sLeft = getCategory(oLeft),
+      sRight = getCategory(oRight);
+    if (sLeft && sRight && sLeft !== sRight) {
+      throw semanticError(
+        oState,
+        "cannot compare " +
+          oLeft.sType +
+          " with " +
+          oRight.sType +
+          " using '" +
+          sOperator +
+          "'"
+      );
+    }
+  }
+
+  function peek(oState) {
+    return oState.aTokens[oState.iIndex];
+  }
+
+  function next(oState) {
+    return oState.aTokens[oState.iIndex++];
+  }
+
+  function isName(oToken, sName) {
+    return oToken.sKind === "name" && oToken.sText === sName;
+  }
+
+  /**
+   * Consume the next token, which must be of the given kind.
+   * @param {Object} oState The parser state
+   * @param {String} sKind The expected kind
+   * @return {Object} The token
+   */
+  function expect(oState, sKind) {
+    var oToken = next(oState);
+    if (oToken.sKind !== sKind) {
+      throw unexpectedToken(oState, oToken, "'" + sKind + "'");
+    }
+    return oToken;
+  }
+
+  /**
+   * Create the error for an unexpected token.
+   * @param {Object} oState The parser state
+   * @param {Object} oToken The unexpected token
+   * @param {String=} sExpected What was expected instead
+   * @return {Error} The error
+   */
+  function unexpectedToken(oState, oToken, sExpected) {
+    return syntaxError(
+      oState.sText,
+      oToken.iPosition,
+      (oToken.sKind === "eof"
+        ? "unexpected end of expression"
+        : "unexpected '" + oToken.sText + "'") +
+        (sExpected ? ", expected " + sExpected : "")
+    );
+  }
+
+  /**
+   * Parse a binary expression with operators of the given precedence level or higher.
+   * @param {Object} oState The parser state
+   * @param {Integer} iLevel The index in aBinaryOperators
+   * @return {Object} The node
+   */
+  function parseBinary(oState, iLevel) {
+    var oLeft, oToken, oRight;
+
+    if (iLevel === aBinaryOperators.length) {
+      return parseUnary(oState);
+    }
+    oLeft = parseBinary(oState, iLevel + 1);
+    for (;;) {
+      oToken = peek(oState);
+      if (
+        oToken.sKind !== "name" ||
+        aBinaryOperators[iLevel].indexOf(oToken.sText) === -1 ||
+        (oState.oContext.bV2 && aV4Operators.indexOf(oToken.sText) !== -1)
+      ) {
+        return oLeft;
+      }
+      next(oState);
+      if (oToken.sText === "has") {
+        throw semanticError(oState, "enumerations are not supported");
+      }
+      if (oToken.sText === "in") {
+        oLeft = createInNode(oState, oLeft, parseList(oState));
+      } else {
+        oRight = parseBinary(oState, iLevel + 1);
+        oLeft = createBinaryNode(oState, oToken.sText, oLeft, oRight);
+      }
+    }
+  }
+
+  /**
+   * Create the node for a binary operator and check the types of its operands.
+   * @param {Object} oState The parser state
+   * @param {String} sOperator The operator
+   * @param {Object} oLeft The left operand
+   * @param {Object} oRight The right operand
+   * @return {Object} The node
+   */
+  function createBinaryNode(oState, sOperator, oLeft, oRight) {
+    var sType;
+
+    switch (sOperator) {
+      case "and":
+      case "or":
+        checkCategory(oState, oLeft, "Boolean", "'" + sOperator + "'");
+        checkCategory(oState, oRight, "Boolean", "'" + sOperator + "'");
+        sType = "Edm.Boolean";
+        break;
+      case "eq":
+      case "ne":
+      case "gt":
+      case "ge":
+      case "lt":
+      case "le":
+        checkComparable(oState, oLeft, oRight, sOperator);
+        sType = "Edm.Boolean";
+        break;
+      default:
+        checkCategory(oState, oLeft, "Number", "'" + sOperator + "'");
+        checkCategory(oState, oRight, "Number", "'" + sOperator + "'");
+        if (sOperator === "divby") {
+          sType = "Edm.Decimal";
+        } else if (
+          aIntegerTypes.indexOf(oLeft.sType) !== -1 &&
+          aIntegerTypes.indexOf(oRight.sType) !== -1
+        ) {
+          sType = "Edm.Int64";
+        } else if (getCategory(oLeft) || getCategory(oRight)) {
+          sType = "Edm.Decimal";
+        }
+    }
+
+    return {
+      sKind: "binary",
+      sOperator: sOperator,
+      oLeft: oLeft,
+      oRight: oRight,
+      sType: sType
+    };
+  }
+
+  /**
+   * Parse the parenthesized list of values on the right hand side of the "in" operator.
+   * @param {Object} oState The parser state
+   * @return {Object[]} The nodes of the list
+   */
+  function parseList(oState) {
+    var aNodes = [];
+    expect(oState, "(");
+    do {
+      aNodes.push(parseBinary(oState, 0));
+    } while (peek(oState).sKind === "," && next(oState));
+    expect(oState, ")");
+    return aNodes;
+  }
+
+  /**
+   * Create the node for the "in" operator.
+   * @param {Object} oState The parser state
+   * @param {Object} oLeft The left operand
+   * @param {Object[]} aList The values of the list
+   * @return {Object} The node
+   */
+  function createInNode(oState, oLeft, aList) {
+    aList.forEach(function (oNode) {
+      checkComparable(oState, oLeft, oNode, "in");
+    });
+    return {
+      sKind: "in",
+      oLeft: oLeft,
+      aList: aList,
+      sType: "Edm.Boolean"
+    };
+  }
+
+  /**
+   * Parse a unary expression, i.e. "not ..." or "-...".
+   * @param {Object} oState The parser state
+   * @return {Object} The node
+   */
+  function parseUnary(oState) {
+    var oToken = peek(oState),
+      oOperand;
+
+    if (isName(oToken, "not")) {
+      next(oState);
+      oOperand = parseUnary(oState);
+      checkCategory(oState, oOperand, "Boolean", "'not'");
+      return { sKind: "not", oOperand: oOperand, sType: "Edm.Boolean" };
+    }
+    if (oToken.sKind === "-") {
+      next(oState);
+      oOperand = parseUnary(oState);
+      checkCategory(oState, oOperand, "Number|Duration", "'-'");
+      return { sKind: "negate", oOperand: oOperand, sType: oOperand.sType };
+    }
+    return parsePrimary(oState);
+  }
+
+  /**
+   * Parse a literal, a parameter alias, a parenthesized expression, a function call or a property path.
+   * @param {Object} oState The parser state
+   * @return {Object} The node
+   */
+  function parsePrimary(oState) {
+    var oToken = next(oState),
+      oNode;
+
+    switch (oToken.sKind) {
+      case "literal":
+        return {
+          sKind: "literal",
+          vValue: oToken.vValue,
+          sType: oToken.sType
+        };
+      case "alias":
+        return parseAlias(oState, oToken.sText);
+      case "(":
+        oNode = parseBinary(oState, 0);
+        expect(oState, ")");
+        return oNode;
+      case "name":
+        if (peek(oState).sKind === "(") {
+          return parseFunctionCall(oState, oToken.sText);
+        }
+        return parsePath(oState, oToken.sText);
+      default:
+        throw unexpectedToken(oState, oToken);
+    }
+  }
+
+  /**
+   * Parse the value of a parameter alias, which is given as separate query option.
+   * @param {Object} oState The parser state
+   * @param {String} sAlias The alias, i.e. "@p1"
+   * @return {Object} The node of the alias value, the null literal if the alias has no value
+   */
+  function parseAlias(oState, sAlias) {
+    var oAliases = oState.oContext.oAliases || {},
+      oAliasState;
+
+    if (!oAliases.hasOwnProperty(sAlias)) {
+      return { sKind: "literal", vValue: null, sType: null };
+    }
+    if (oState.aAliases.indexOf(sAlias) !== -1) {
+      throw semanticError(oState, "recursive parameter alias " + sAlias);
+    }
+    oAliasState = createState(oAliases[sAlias], oState.oContext);
+    oAliasState.aAliases = oState.aAliases.concat([sAlias]);
+    oAliasState.aScopes = oState.aScopes;
+    return parseComplete(oAliasState);
+  }
+
+  /**
+   * Parse a function call. The name has already been consumed.
+   * @param {Object} oState The parser state
+   * @param {String} sName The function name
+   * @return {Object} The node
+   */
+  function parseFunctionCall(oState, sName) {
+    var sKey = sName.toLowerCase(),
+      oFunction = oFunctions.hasOwnProperty(sKey) ? oFunctions[sKey] : null,
+      aArguments = [],
+      iMinArguments;
+
+    if (
+      !oFunction ||
+      (oState.oContext.bV2
+        ? aV2Functions.indexOf(sKey) === -1
+        : oFunction.bV2Only)
+    ) {
+      throw semanticError(oState, "function " + sName + " is not supported");
+    }
+    expect(oState, "(");
+    if (peek(oState).sKind !== ")") {
+      do {
+        aArguments.push(parseBinary(oState, 0));
+      } while (peek(oState).sKind === "," && next(oState));
+    }
+    expect(oState, ")");
+
+    iMinArguments =
+      oFunction.iMinArguments === undefined
+        ? oFunction.aParameters.length
+        : oFunction.iMinArguments;
+    if (
+      aArguments.length < iMinArguments ||
+      aArguments.length > oFunction.aParameters.length
+    ) {
+      throw semanticError(
+        oState,
+        "wrong number of arguments for function " + sName
+      );
+    }
+    aArguments.forEach(function (oArgument, i) {
+      checkCategory(
+        oState,
+        oArgument,
+        oFunction.aParameters[i],
+        "function " + sName
+      );
+    });
+
+    return {
+      sKind: "call",
+      oFunction: oFunction,
+      aArguments: aArguments,
+      sType: oFunction.sReturnType || (aArguments[0] && aArguments[0].sType)
+    };
+  }
+
+  /**
+   * Find the lambda variable with the given name.
+   * @param {Object} oState The parser state
+   * @param {String} sName The variable name
+   * @return {Object|undefined} The scope of the variable
+   */
+  function findScope(oState, sName) {
+    var i;
+    for (i = oState.aScopes.length - 1; i >= 0; i--) {
+      if (oState.aScopes[i].sVariable === sName) {
+        return oState.aScopes[i];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Parse a property path. The first segment has already been consumed.
+   * A path to a collection must end with a lambda operator (any/all) or $count.
+   * @param {Object} oState The parser state
+   * @param {String} sFirst The first segment
+   * @return {Object} The node
+   */
+  function parsePath(oState, sFirst) {
+    var oScope = findScope(oState, sFirst),
+      oPath = {
+        sKind: "path",
+        sVariable: oScope ? sFirst : undefined,
+        aSegments: [],
+        oStructuredType: oScope
+          ? oScope.oStructuredType
+          : oState.oContext.oEntityType,
+        sType: oScope ? oScope.sType : undefined,
+        bCollection: false,
+        bUntyped: oScope ? oScope.bUntyped : !oState.oContext.oEntityType
+      },
+      oToken;
+
+    if (!oScope && sFirst !== "$it") {
+      addPathSegment(oState, oPath, sFirst);
+    }
+    while (peek(oState).sKind === "/") {
+      next(oState);
+      oToken = expect(oState, "name");
+      if (
+        (oToken.sText === "any" || oToken.sText === "all") &&
+        peek(oState).sKind === "("
+      ) {
+        return parseLambda(oState, oPath, oToken.sText);
+      }
+      if (oToken.sText === "$count") {
+        checkCollection(oState, oPath, "$count");
+        return { sKind: "count", oPath: oPath, sType: "Edm.Int32" };
+      }
+      if (oPath.bCollection) {
+        throw semanticError(
+          oState,
+          "collection " + oPath.aSegments.join("/") + " has no properties"
+        );
+      }
+      addPathSegment(oState, oPath, oToken.sText);
+    }
+    if (oPath.bCollection) {
+      throw semanticError(
+        oState,
+        "collection " +
+          oPath.aSegments.join("/") +
+          " can only be used with any, all or $count"
+      );
+    }
+    if (oPath.oStructuredType) {
+      throw semanticError(
+        oState,
+        (oPath.aSegments.join("/") || oPath.sVariable || sFirst) +
+          " is not a primitive property"
+      );
+    }
+
+    return oPath;
+  }
+
+  /**
+   * Resolve the next segment of a property path and add it to the path.
+   * @param {Object} oState The parser state
+   * @param {Object} oPath The path node
+   * @param {String} sName The name of the property
+   */
+  function addPathSegment(oState, oPath, sName) {
+    var oStructuredType = oPath.oStructuredType,
+      oProperty;
+
+    oPath.aSegments.push(sName);
+    if (oPath.bUntyped) {
+      return;
+    }
+    oProperty =
+      oStructuredType &&
+      oStructuredType.oProperties.hasOwnProperty(sName) &&
+      oStructuredType.oProperties[sName];
+    if (!oProperty) {
+      throw semanticError(
+        oState,
+        "property " +
+          sName +
+          " is not defined" +
+          (oStructuredType ? " in type " + oStructuredType.sQualifiedName : "")
+      );
+    }
+    oPath.bCollection = oProperty.bCollection;
+    oPath.oStructuredType =
+      oState.oContext.oMetadata &&
+      (oState.oContext.oMetadata.oComplexTypes[oProperty.sType] ||
+        oState.oContext.oMetadata.oEntityTypes[oProperty.sType]);
+    oPath.sType = oPath.oStructuredType ? undefined : oProperty.sType;
+  }
+
+  /**
+   * Check that a path points to a collection.
+   * @param {Object} oState The parser state
+   * @param {Object} oPath The path node
+   * @param {String} sWhat What the collection is needed for
+   */
+  function checkCollection(oState, oPath, sWhat) {
+    if (!oPath.bUntyped && !oPath.bCollection) {
+      throw semanticError(
+        oState,
+        sWhat + " can only be applied to a collection"
+      );
+    }
+  }
+
+  /**
+   * Parse a lambda expression "any(x:...)" or "all(x:...)". The operator has already been consumed.
+   * @param {Object} oState The parser state
+   * @param {Object} oPath The path node of the collection
+   * @param {String} sOperator "any" or "all"
+   * @return {Object} The node
+   */
+  function parseLambda(oState, oPath, sOperator) {
+    var oLambda = {
+        sKind: "lambda",
+        sOperator: sOperator,
+        oPath: oPath,
+        sType: "Edm.Boolean"
+      },
+      sVariable;
+
+    checkCollection(oState, oPath, sOperator);
+    expect(oState, "(");
+    if (sOperator === "any" && peek(oState).sKind === ")") {
+      next(oState);
+      return oLambda;
+    }
+    sVariable = expect(oState, "name").sText;
+    expect(oState, ":");
+    oState.aScopes.push({
+      sVariable: sVariable,
+      oStructuredType: oPath.oStructuredType,
+      sType: oPath.sType,
+      bUntyped: oPath.bUntyped
+    });
+    oLambda.sVariable = sVariable;
+    oLambda.oPredicate = parseBinary(oState, 0);
+    checkCategory(oState, oLambda.oPredicate, "Boolean", sOperator);
+    oState.aScopes.pop();
+    expect(oState, ")");
+
+    return oLambda;
+  }
+
+  /**
+   * Create the state for parsing an expression.
+   * @param {String} sText The expression
+   * @param {Object} oContext The context, see parse
+   * @return {Object} The parser state
+   */
+  function createState(sText, oContext) {
+    return {
+      sText: sText,
+      aTokens: tokenize(sText, !!oContext.bV2),
+      iIndex: 0,
+      oContext: oContext,
+      aScopes: [],
+      aAliases: []
+    };
+  }
+
+  /**
+   * Parse the complete text of a parser state.
+   * @param {Object} oState The parser state
+   * @return {Object} The node
+   */
+  function parseComplete(oState) {
+    var oNode = parseBinary(oState, 0),
+      oToken = peek(oState);
+    if (oToken.sKind !== "eof") {
+      throw unexpectedToken(oState, oToken);
+    }
+    return oNode;
+  }
+
+  /**
+   * Compile a node into a function which evaluates it.
+   * @param {Object} oNode The node
+   * @return {Function} A function (oEntity, oVariables) returning the normalized value of the node
+   */
+  function compile(oNode) {
+    var vValue, fnOperand, fnLeft, fnRight, aList, aArguments;
+
+    switch (oNode.sKind) {
+      case "literal":
+        vValue = oNode.vValue;
+        return function () {
+          return vValue;
+        };
+      case "path":
+        return compilePath(oNode);
+      case "count":
+        fnOperand = compilePath(oNode.oPath);
+        return function (oEntity, oVariables) {
+          var aCollection = fnOperand(oEntity, oVariables);
+          return aCollection ? aCollection.length : 0;
+        };
+      case "not":
+        fnOperand = compile(oNode.oOperand);
+        return function (oEntity, oVariables) {
+          var bValue = fnOperand(oEntity, oVariables);
+          return bValue === null ? null : !bValue;
+        };
+      case "negate":
+        fnOperand = compile(oNode.oOperand);
+        return function (oEntity, oVariables) {
+          var nValue = fnOperand(oEntity, oVariables);
+          return nValue === null ? null : -nValue;
+        };
+      case "binary":
+        return compileBinary(oNode);
+      case "in":
+        fnLeft = compile(oNode.oLeft);
+        aList = oNode.aList.map(compile);
+        return function (oEntity, oVariables) {
+          var vLeft = fnLeft(oEntity, oVariables);
+          return aList.some(function (fnItem) {
+            return isEqual(vLeft, fnItem(oEntity, oVariables));
+          });
+        };
+      case "call":
+        aArguments = oNode.aArguments.map(compile);
+        return function (oEntity, oVariables) {
+          var aValues = aArguments.map(function (fnArgument) {
+            return fnArgument(oEntity, oVariables);
+          });
+          if (aValues.indexOf(null) !== -1) {
+            return null;
+          }
+          return oNode.oFunction.fnEvaluate.apply(null, aValues);
+        };
+      case "lambda":
+        return compileLambda(oNode);
+      default:
+        throw new Error("Unknown node " + oNode.sKind);
+    }
+  }
+
+  /**
+   * Compile a property path.
+   * @param {Object} oNode The path node
+   * @return {Function} A function (oEntity, oVariables) returning the value of the property
+   */
+  function compilePath(oNode) {
+    var aSegments = oNode.aSegments,
+      sVariable = oNode.sVariable,
+      sType = oNode.sType,
+      bCollection = oNode.bCollection;
+
+    return function (oEntity, oVariables) {
+      var vValue = sVariable ? oVariables[sVariable] : oEntity,
+        i;
+      for (i = 0; i < aSegments.length; i++) {
+        if (vValue === null || vValue === undefined) {
+          return null;
+        }
+        vValue = vValue[aSegments[i]];
+      }
+      return bCollection ? vValue || [] : types.normalize(vValue, sType);
+    };
+  }
+
+  /**
+   * Compile a lambda expression.
+   * @param {Object} oNode The lambda node
+   * @return {Function} A function (oEntity, oVariables) returning the boolean result
+   */
+  function compileLambda(oNode) {
+    var fnCollection = compilePath(oNode.oPath),
+      fnPredicate = oNode.oPredicate && compile(oNode.oPredicate),
+      sVariable = oNode.sVariable,
+      bAll = oNode.sOperator === "all";
+
+    return function (oEntity, oVariables) {
+      var aCollection = fnCollection(oEntity, oVariables) || [];
+      if (!fnPredicate) {
+        return aCollection.length > 0;
+      }
+      return aCollection[bAll ? "every" : "some"](function (vItem) {
+        var oItemVariables = Object.assign({}, oVariables);
+        oItemVariables[sVariable] = vItem;
+        return fnPredicate(oEntity, oItemVariables) === true;
+      });
+    };
+  }
+
+  /**
+   * Check two normalized values for equality.
+   * @param {any} vValue1 The first value
+   * @param {any} vValue2 The second value
+   * @return {Boolean} Whether they are equal, two nulls are equal
+   */
+  function isEqual(vValue1, vValue2) {
+    if (vValue1 === null || vValue2 === null) {
+      return vValue1 === vValue2;
+    }
+    return types.compare(vValue1, vValue2) === 0;
+  }
+
+  /**
+   * Compile a binary operator.
+   * @param {Object} oNode The binary node
+   * @return {Function} A function (oEntity, oVariables) returning the result
+   */
+  function compileBinary(oNode) {
+    var fnLeft = compile(oNode.oLeft),
+      fnRight = compile(oNode.oRight),
+      bInteger = aIntegerTypes.indexOf(oNode.sType) !== -1,
+      fnOperator;
+
+    /**
+     * Reject an integer division by zero, which is an error in OData, unlike the division of doubles.
+     * @param {Number} nRight The divisor
+     * @throws {Error} A 400 error if the divisor is zero
+     */
+    function checkDivisor(nRight) {
+      if (bInteger && nRight === 0) {
+        throw errors.badRequest(
+          "Integer division by zero in '" + oNode.sOperator + "'"
+        );
+      }
+    }
+
+    switch (oNode.sOperator) {
+      case "and":
+        // null is treated as "unknown", false wins over unknown
+        return function (oEntity, oVariables) {
+          var bLeft = fnLeft(oEntity, oVariables),
+            bRight;
+          if (bLeft === false) {
+            return false;
+          }
+          bRight = fnRight(oEntity, oVariables);
+          if (bRight === false) {
+            return false;
+          }
+          return bLeft === null || bRight === null ? null : true;
+        };
+      case "or":
+        // null is treated as "unknown", true wins over unknown
+        return function (oEntity, oVariables) {
+          var bLeft = fnLeft(oEntity, oVariables),
+            bRight;
+          if (bLeft === true) {
+            return true;
+          }
+          bRight = fnRight(oEntity, oVariables);
+          if (bRight === true) {
+            return true;
+          }
+          return bLeft === null || bRight === null ? null : false;
+        };
+      case "eq":
+        return function (oEntity, oVariables) {
+          return isEqual(
+            fnLeft(oEntity, oVariables),
+            fnRight(oEntity, oVariables)
+          );
+        };
+      case "ne":
+        return function (oEntity, oVariables) {
+          return !isEqual(
+            fnLeft(oEntity, oVariables),
+            fnRight(oEntity, oVariables)
+          );
+        };
+      case "gt":
+      case "ge":
+      case "lt":
+      case "le":
+        fnOperator = {
+          gt: function (iResult) {
+            return iResult > 0;
+          },
+          ge: function (iResult) {
+            return iResult >= 0;
+          },
+          lt: function (iResult) {
+            return iResult < 0;
+          },
+          le: function (iResult) {
+            return iResult <= 0;
+          }
+        }[oNode.sOperator];
+        return function (oEntity, oVariables) {
+          var vLeft = fnLeft(oEntity, oVariables),
+            vRight = fnRight(oEntity, oVariables);
+          if (vLeft === null || vRight === null) {
+            return false;
+          }
+          return fnOperator(types.compare(vLeft, vRight));
+        };
+      default:
+        fnOperator = {
+          add: function (nLeft, nRight) {
+            return nLeft + nRight;
+          },
+          sub: function (nLeft, nRight) {
+            return nLeft - nRight;
+          },
+          mul: function (nLeft, nRight) {
+            return nLeft * nRight;
+          },
+          div: function (nLeft, nRight) {
+            var nResult;
+            checkDivisor(nRight);
+            nResult = nLeft / nRight;
+            if (bInteger) {
+              return nResult < 0 ? Math.ceil(nResult) : Math.floor(nResult);
+            }
+            return nResult;
+          },
+          divby: function (nLeft, nRight) {
+            return nLeft / nRight;
+          },
+          mod: function (nLeft, nRight) {
+            checkDivisor(nRight);
+            return nLeft % nRight;
+          }
+        }[oNode.sOperator];
+        return function (oEntity, oVariables) {
+          var nLeft = fnLeft(oEntity, oVariables),
+            nRight = fnRight(oEntity, oVariables);
+          if (nLeft === null || nRight === null) {
+            return null;
+          }
+          return fnOperator(Number(nLeft), Number(nRight));
+        };
+    }
+  }
+
+  return {
+    /**
+     * Parse an expression.
+     * @param {String} sText The expression
+     * @param {Object} oContext The context of the expression
+     * @param {Object=} oContext.oEntityType The entity type which the property paths refer to,
+     *   if not given the property paths are not checked
+     * @param {Object=} oContext.oMetadata The parsed metadata, used to resolve complex types
+     * @param {Object=} oContext.oAliases The values of parameter aliases like "@p1", usually the query options
+     * @param {Boolean=} oContext.bV2 Whether it is an OData V2 expression
+     * @return {Object} The node tree
+     * @throws {Error} A 400 error if the expression is invalid or not supported
+     */
+    parse: function (sText, oContext) {
+      return parseComplete(createState(sText, oContext));
+    },
+
+    compile: compile,
+
+    /**
+     * Parse a single literal, i.e. a value within a key predicate.
+     * @param {String} sText The literal, or a parameter alias
+     * @param {Object} oContext The context of the literal, see parse
+     * @param {String=} sType The expected EDM type, if not given the type is not checked
+     * @return {any} The normalized value
+     * @throws {Error} A 400 error if it is no literal, or a literal of another type
+     */
+    parseLiteral: function (sText, oContext, sType) {
+      var oState = createState(sText, oContext),
+        oNode = parseComplete(oState);
+
+      if (oNode.sKind !== "literal") {
+        throw semanticError(oState, "a literal is expected");
+      }
+      if (
+        sType &&
+        oNode.sType &&
+        types.getCategory(oNode.sType) !== types.getCategory(sType)
+      ) {
+        throw semanticError(
+          oState,
+          "a literal of type " + sType + " is expected"
+        );
+      }
+      return oNode.vValue;
+    },
+
+    /**
+     * Parse an $orderby list like "title desc,fullName" and compile the value of each item.
+     * @param {String} sOrderBy The comma separated list of expressions, each optionally followed by asc or desc
+     * @param {Object} oContext The context of the expressions, see parse
+     * @return {Object[]} The items in the given order, each with a function fnValue (oEntity, oVariables)
+     *   returning the normalized value to sort by, and a flag bDescending
+     * @throws {Error} A 400 error if the list is invalid or not supported
+     */
+    parseOrderBy: function (sOrderBy, oContext) {
+      var oState = createState(sOrderBy, oContext),
+        aItems = [],
+        oNode,
+        oToken;
+
+      do {
+        oNode = parseBinary(oState, 0);
+        oToken = peek(oState);
+        if (isName(oToken, "asc") || isName(oToken, "desc")) {
+          next(oState);
+        }
+        aItems.push({
+          fnValue: compile(oNode),
+          bDescending: isName(oToken, "desc")
+        });
+      } while (peek(oState).sKind === "," && next(oState));
+      oToken = peek(oState);
+      if (oToken.sKind !== "eof") {
+        throw unexpectedToken(oState, oToken, "',' or end of $orderby");
+      }
+
+      return aItems;
+    },
+
+    /**
+     * Parse a $filter expression and compile it into a predicate.
+     * @param {String} sFilter The filter expression
+     * @param {Object} oContext The context of the expression, see parse
+     * @return {Function} A function which returns true for each entity that matches the filter
+     * @throws {Error} A 400 error if the expression is invalid or not supported
+     */
+    compileFilter: function (sFilter, oContext) {
+      var oState = createState(sFilter, oContext),
+        oNode = parseComplete(oState),
+        fnEvaluate;
+
+      checkCategory(oState, oNode, "Boolean", "$filter");
+      fnEvaluate = compile(oNode);
+      return function (oEntity) {
+        return fnEvaluate(oEntity, {}) === true;
+      };
+    }
+  };
+});
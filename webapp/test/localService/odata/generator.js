@@ -0,0 +1,522 @@
+/**
+ * Generated mock data for the entity sets in the metadata, i.e. to try a list with 100000 entities without
+ * writing the JSON files by hand.
+ *
+ * The values match the declared types and facets, and strings look like what their property names suggest,
+ * i.e. "fullName" gets a person's name. The foreign keys of navigation properties with referential
+ * constraints refer to generated entities of the target entity set; an entity set referring to itself, like a
+ * manager, forms a hierarchy. The same seed gives the same data, also if other entity sets or row counts
+ * change, because each entity set has its own sequence of random numbers.
+ */
+sap.ui.define(["./metadata", "./types"], function (metadata, types) {
+  "use strict";
+
+  var aFirstNames = [
+      "Anna",
+      "Ben",
+      "Carla",
+      "David",
+      "Elena",
+      "Felix",
+      "Grace",
+      "Hugo",
+      "Ines",
+      "Jonas",
+      "Kira",
+      "Liam",
+      "Maria",
+      "Noah",
+      "Olivia",
+      "Paul",
+      "Rosa",
+      "Samuel",
+      "Tara",
+      "Victor"
+    ],
+    aLastNames = [
+      "Adams",
+      "Becker",
+      "Costa",
+      "Dubois",
+      "Evans",
+      "Fischer",
+      "Garcia",
+      "Hansen",
+      "Ito",
+      "Jensen",
+      "Kowalski",
+      "Lopez",
+      "Meyer",
+      "Novak",
+      "Olsen",
+      "Petrov",
+      "Rossi",
+      "Schmidt",
+      "Tanaka",
+      "Weber"
+    ],
+    aCities = [
+      "Berlin",
+      "Lisbon",
+      "London",
+      "Madrid",
+      "Milan",
+      "New York",
+      "Paris",
+      "Sydney",
+      "Tokyo",
+      "Toronto"
+    ],
+    aWords = [
+      "Alpha",
+      "Blue",
+      "Core",
+      "Delta",
+      "Eagle",
+      "Fast",
+      "Green",
+      "Harbor",
+      "Iron",
+      "Jade",
+      "North",
+      "Prime",
+      "Quartz",
+      "River",
+      "Silver",
+      "Summit",
+      "Vector",
+      "West"
+    ],
+    aJobs = [
+      "Accountant",
+      "Architect",
+      "Consultant",
+      "Designer",
+      "Developer",
+      "Engineer",
+      "Manager",
+      "Product Owner",
+      "Sales Representative",
+      "Support Specialist"
+    ],
+    sBase64 =
+      "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",
+    iDay = 24 * 60 * 60 * 1000,
+    iStart = Date.UTC(2000, 0, 1); // the earliest generated date
+
+  /**
+   * Create a sequence of pseudo random numbers, the same for the same seed.
+   * @param {Number} iSeed The seed, an integer
+   * @return {Object} The random numbers, with next() for a number in [0, 1), integer(iMin, iMax) for an
+   *   integer in [iMin, iMax] and pick(aValues) for one of the values
+   */
+  function createRandom(iSeed) {
+    var iState = iSeed >>> 0;
+
+    // Mulberry32
+    function next() {
+      var iValue;
+
+      iState = (iState + 0x6d2b79f5) >>> 0;
+      iValue = Math.imul(iState ^ (iState >>> 15), 1 | iState);
+      iValue ^= iValue + Math.imul(iValue ^ (iValue >>> 7), 61 | iValue);
+      return ((iValue ^ (iValue >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return {
+      next: next,
+      integer: function (iMin, iMax) {
+        return iMin + Math.floor(next() * (iMax - iMin + 1));
+      },
+      pick: function (aValues) {
+        return aValues[Math.floor(next() * aValues.length)];
+      }
+    };
+  }
+
+  /**
+   * Get a hash of a string, to derive the seed of an entity set from its name.
+   * @param {String} sText The text
+   * @return {Number} The hash, an unsigned 32 bit integer
+   */
+  function hash(sText) {
+    var iHash = 2166136261,
+      i;
+
+    for (i = 0; i < sText.length; i++) {
+      iHash = Math.imul(iHash ^ sText.charCodeAt(i), 16777619);
+    }
+    return iHash >>> 0;
+  }
+
+  /**
+   * Pad a number with leading zeros.
+   * @param {Number} iNumber The number
+   * @param {Number} iLength The length
+   * @return {String} The padded number
+   */
+  function pad(iNumber, iLength) {
+    var sNumber = String(iNumber);
+
+    while (sNumber.length < iLength) {
+      sNumber = "0" + sNumber;
+    }
+    return sNumber;
+  }
+
+  /**
+   * Generate a GUID.
+   * @param {Object} oRandom The random numbers, see createRandom
+   * @return {String} The GUID, i.e. "0f8fad5b-d9cb-469f-a165-70867728950e"
+   */
+  function generateGuid(oRandom) {
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (
+      sCharacter
+    ) {
+      var iValue = oRandom.integer(0, 15);
+
+      return (sCharacter === "x" ? iValue : (iValue & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  /**
+   * Generate a string which looks like what the property name suggests.
+   * @param {String} sName The property name
+   * @param {Number} iIndex The index of the entity
+   * @param {Object} oRandom The random numbers, see createRandom
+   * @return {String} The string, not yet cut to the MaxLength
+   */
+  function generateString(sName, iIndex, oRandom) {
+    var sFirstName = oRandom.pick(aFirstNames),
+      sLastName = oRandom.pick(aLastNames),
+      sLowerName = sName.toLowerCase();
+
+    if (/first/.test(sLowerName)) {
+      return sFirstName;
+    }
+    if (/last|surname/.test(sLowerName)) {
+      return sLastName;
+    }
+    if (/(full|display|person|user)name/.test(sLowerName)) {
+      return sFirstName + " " + sLastName;
+    }
+    if (/mail/.test(sLowerName)) {
+      return (
+        sFirstName.toLowerCase() +
+        "." +
+        sLastName.toLowerCase() +
+        iIndex +
+        "@example.com"
+      );
+    }
+    if (/phone|mobile/.test(sLowerName)) {
+      return "+1 555 " + pad(oRandom.integer(0, 9999), 4);
+    }
+    if (/city|town/.test(sLowerName)) {
+      return oRandom.pick(aCities);
+    }
+    if (/title|job|position|role/.test(sLowerName)) {
+      return oRandom.pick(aJobs);
+    }
+    if (/name/.test(sLowerName)) {
+      return oRandom.pick(aWords) + " " + oRandom.pick(aWords);
+    }
+    return sName + " " + (iIndex + 1);
+  }
+
+  /**
+   * Generate a number which matches the type and the facets Precision and Scale.
+   * @param {Object} oType The type with sType and the facets
+   * @param {Object} oRandom The random numbers, see createRandom
+   * @return {Number} The number
+   */
+  function generateNumber(oType, oRandom) {
+    var iScale, iIntegerDigits, fFactor;
+
+    switch (oType.sType) {
+      case "Edm.Byte":
+        return oRandom.integer(0, 255);
+      case "Edm.SByte":
+        return oRandom.integer(0, 127);
+      case "Edm.Int16":
+      case "Edm.Int32":
+      case "Edm.Int64":
+        return oRandom.integer(0, 1000);
+      case "Edm.Decimal":
+        iScale = oType.iScale === undefined ? 2 : Math.min(oType.iScale, 6);
+        iIntegerDigits =
+          oType.iPrecision === undefined
+            ? 6
+            : Math.min(oType.iPrecision - iScale, 6);
+        fFactor = Math.pow(10, iScale);
+        return (
+          Math.floor(oRandom.next() * Math.pow(10, iIntegerDigits) * fFactor) /
+          fFactor
+        );
+      default:
+        // Edm.Double and Edm.Single
+        return Math.round(oRandom.next() * 1000000) / 1000;
+    }
+  }
+
+  /**
+   * Generate a primitive value.
+   * @param {Object} oType The type with sType and the facets
+   * @param {String} sName The property name
+   * @param {Number} iIndex The index of the entity
+   * @param {Object} oRandom The random numbers, see createRandom
+   * @return {any} The value as in a JSON payload, undefined for an unknown type
+   */
+  function generatePrimitive(oType, sName, iIndex, oRandom) {
+    var oDate = new Date(iStart + Math.floor(oRandom.next() * 9000) * iDay),
+      iSeconds = oRandom.integer(0, 86399),
+      sValue,
+      i;
+
+    switch (types.getCategory(oType.sType)) {
+      case "String":
+        sValue = generateString(sName, iIndex, oRandom);
+        return oType.iMaxLength === undefined
+          ? sValue
+          : sValue.slice(0, oType.iMaxLength);
+      case "Number":
+        return generateNumber(oType, oRandom);
+      case "Boolean":
+        return oRandom.next() < 0.5;
+      case "Date":
+        return oDate.toISOString().slice(0, 10);
+      case "DateTimeOffset":
+        oDate.setUTCSeconds(iSeconds);
+        return oDate.toISOString().replace(/\.\d+Z$/, "Z");
+      case "TimeOfDay":
+        return (
+          pad(Math.floor(iSeconds / 3600), 2) +
+          ":" +
+          pad(Math.floor(iSeconds / 60) % 60, 2) +
+          ":" +
+          pad(iSeconds % 60, 2)
+        );
+      case "Duration":
+        return (
+          "PT" +
+          Math.floor(iSeconds / 3600) +
+          "H" +
+          (Math.floor(iSeconds / 60) % 60) +
+          "M"
+        );
+      case "Guid":
+        return generateGuid(oRandom);
+      case "Binary":
+        sValue = "";
+        for (i = 0; i < 12; i++) {
+          sValue += sBase64[oRandom.integer(0, 63)];
+        }
+        return sValue;
+      default:
+        // Enumerations and the like are left out
+        return undefined;
+    }
+  }
+
+  /**
+   * Generate a value of a property.
+   * @param {Object} oType The property with sType, bCollection, bNullable and the facets
+   * @param {String} sName The property name
+   * @param {Number} iIndex The index of the entity
+   * @param {Object} oRandom The random numbers, see createRandom
+   * @param {Object} oMetadata The parsed metadata
+   * @return {any} The value as in a JSON payload
+   */
+  function generateValue(oType, sName, iIndex, oRandom, oMetadata) {
+    var oStructuredType = metadata.getStructuredType(oMetadata, oType.sType),
+      aValues,
+      iCount,
+      i;
+
+    if (oType.bNullable && oRandom.next() < 0.05) {
+      return null;
+    }
+    if (oType.bCollection) {
+      aValues = [];
+      iCount = oRandom.integer(0, 3);
+      for (i = 0; i < iCount; i++) {
+        aValues.push(
+          generateValue(
+            { sType: oType.sType, bNullable: false },
+            sName,
+            iIndex,
+            oRandom,
+            oMetadata
+          )
+        );
+      }
+      return aValues;
+    }
+    if (oStructuredType) {
+      return generateStructure(oStructuredType, iIndex, oRandom, oMetadata);
+    }
+    return generatePrimitive(oType, sName, iIndex, oRandom);
+  }
+
+  /**
+   * Generate the properties of an entity or a complex value.
+   * @param {Object} oType The entity type or complex type
+   * @param {Number} iIndex The index of the entity
+   * @param {Object} oRandom The random numbers, see createRandom
+   * @param {Object} oMetadata The parsed metadata
+   * @return {Object} The entity or complex value; key properties are numbered with the index, i.e. "1" for
+   *   the first entity, only GUIDs are random
+   */
+  function generateStructure(oType, iIndex, oRandom, oMetadata) {
+    var oValue = {};
+
+    Object.keys(oType.oProperties).forEach(function (sName) {
+      var oProperty = oType.oProperties[sName],
+        vValue;
+
+      if (oType.aKeys && oType.aKeys.indexOf(sName) >= 0) {
+        switch (types.getCategory(oProperty.sType)) {
+          case "String":
+            vValue = String(iIndex + 1);
+            break;
+          case "Number":
+            vValue = iIndex + 1;
+            break;
+          default:
+            vValue = generatePrimitive(oProperty, sName, iIndex, oRandom);
+        }
+      } else {
+        vValue = generateValue(oProperty, sName, iIndex, oRandom, oMetadata);
+      }
+      if (vValue !== undefined) {
+        oValue[sName] = vValue;
+      }
+    });
+
+    return oValue;
+  }
+
+  /**
+   * Fill in the foreign keys of the navigation properties with referential constraints of an entity set.
+   * An entity set referring to itself forms a hierarchy: the first entity refers to none, the others to one
+   * of the entities before them. Entities whose whole key is a foreign key refer to the target entity with
+   * the same index, so that their keys stay unique.
+   * @param {Object} oMetadata The parsed metadata
+   * @param {Object} oEntitySets A map of entity set name to the array of generated entities
+   * @param {String} sEntitySetName The name of the entity set
+   * @param {Object} oRandom The random numbers, see createRandom
+   */
+  function relateEntities(oMetadata, oEntitySets, sEntitySetName, oRandom) {
+    var oEntityType = metadata.getEntityType(oMetadata, sEntitySetName),
+      oNavigations = metadata.getNavigations(oMetadata, sEntitySetName),
+      aEntities = oEntitySets[sEntitySetName];
+
+    Object.keys(oNavigations).forEach(function (sName) {
+      var oNavigation = oNavigations[sName],
+        aTargets = oEntitySets[oNavigation.sEntityName],
+        bKey = oEntityType.aKeys.every(function (sKey) {
+          return oNavigation.aConstraints.some(function (oConstraint) {
+            return oConstraint.sSourceProperty === sKey;
+          });
+        });
+
+      if (
+        !oNavigation.bReferencing ||
+        !aTargets ||
+        !aTargets.length ||
+        !oNavigation.aConstraints.length
+      ) {
+        return;
+      }
+      aEntities.forEach(function (oEntity, i) {
+        var oTarget;
+
+        if (bKey) {
+          oTarget = aTargets[i % aTargets.length];
+        } else if (aTargets === aEntities) {
+          oTarget = i ? aEntities[oRandom.integer(0, i - 1)] : null;
+        } else {
+          oTarget = oRandom.pick(aTargets);
+        }
+        oNavigation.aConstraints.forEach(function (oConstraint) {
+          oEntity[oConstraint.sSourceProperty] = oTarget
+            ? oTarget[oConstraint.sTargetProperty]
+            : null;
+        });
+      });
+    });
+  }
+
+  return {
+    /**
+     * Generate the entities of the entity sets in the metadata.
+     * @param {Object} oMetadata The parsed metadata
+     * @param {Object} oOptions The options
+     * @param {Number} oOptions.iCount The number of entities per entity set
+     * @param {Object} [oOptions.oCounts] A map of entity set name to the number of its entities, instead of
+     *   iCount, i.e. {Department: 20}
+     * @param {Number} [oOptions.iSeed=1] The seed of the random numbers
+     * @param {String[]} [oOptions.aEntitySets] The names of the entity sets to generate, by default all
+     * @param {Object} [oOptions.oOverrides] A map of entity set name to a map of property name to the value
+     *   for all entities, or to a function which is called with the index of the entity, the random numbers
+     *   with next(), integer(iMin, iMax) and pick(aValues), and the entity, and returns the value, i.e.
+     *   {Person: {title: "Developer", level: function (i, oRandom) { return oRandom.integer(1, 5); }}}
+     * @return {Object} A map of entity set name to the array of entities
+     */
+    generate: function (oMetadata, oOptions) {
+      var iSeed = oOptions.iSeed === undefined ? 1 : oOptions.iSeed,
+        oCounts = oOptions.oCounts || {},
+        oOverrides = oOptions.oOverrides || {},
+        aEntitySetNames = (
+          oOptions.aEntitySets || Object.keys(oMetadata.oEntitySets)
+        ).filter(function (sEntitySetName) {
+          return metadata.getEntityType(oMetadata, sEntitySetName);
+        }),
+        oEntitySets = {};
+
+      function getRandom(sEntitySetName, sPurpose) {
+        return createRandom(hash(sPurpose + sEntitySetName) ^ iSeed);
+      }
+
+      aEntitySetNames.forEach(function (sEntitySetName) {
+        var oEntityType = metadata.getEntityType(oMetadata, sEntitySetName),
+          iCount = oCounts.hasOwnProperty(sEntitySetName)
+            ? oCounts[sEntitySetName]
+            : oOptions.iCount,
+          oRandom = getRandom(sEntitySetName, "values"),
+          aEntities = [],
+          i;
+
+        for (i = 0; i < iCount; i++) {
+          aEntities.push(generateStructure(oEntityType, i, oRandom, oMetadata));
+        }
+        oEntitySets[sEntitySetName] = aEntities;
+      });
+      aEntitySetNames.forEach(function (sEntitySetName) {
+        relateEntities(
+          oMetadata,
+          oEntitySets,
+          sEntitySetName,
+          getRandom(sEntitySetName, "relations")
+        );
+      });
+      aEntitySetNames.forEach(function (sEntitySetName) {
+        var oPropertyOverrides = oOverrides[sEntitySetName] || {},
+          oRandom = getRandom(sEntitySetName, "overrides");
+
+        oEntitySets[sEntitySetName].forEach(function (oEntity, i) {
+          Object.keys(oPropertyOverrides).forEach(function (sName) {
+            var vOverride = oPropertyOverrides[sName];
+
+            oEntity[sName] =
+              typeof vOverride == "function"
+                ? vOverride(i, oRandom, oEntity)
+                : vOverride;
+          });
+        });
+      });
+
+      return oEntitySets;
+    }
+  };
+});
@@ -0,0 +1,934 @@
+/**
+ * Reads the parts of an EDMX document (metadata.xml) which the mockserver needs in order to know the
+ * types of the mock data.
+ *
+ * The result looks like this, where all type names are qualified with the namespace of the schema:
+ * {
+ *   oEntityTypes: {
+ *     "Sample.svc.Person": {
+ *       sName: "Person",
+ *       sQualifiedName: "Sample.svc.Person",
+ *       aKeys: ["personId"],
+ *       oProperties: {
+ *         fullName: { sName: "fullName", sType: "Edm.String", bCollection: false, bNullable: false }
+ *       },
+ *       oNavigationProperties: {
+ *         manager: {
+ *           sName: "manager",
+ *           sType: "Sample.svc.Person",
+ *           bCollection: false,
+ *           sPartner: "directReports",
+ *           aReferentialConstraints: [{ sProperty: "managerId", sReferencedProperty: "personId" }]
+ *         }
+ *       }
+ *     }
+ *   },
+ *   oComplexTypes: { ... same as entity types, without keys ... },
+ *   oEntitySets: {
+ *     Person: {
+ *       sName: "Person",
+ *       sEntityType: "Sample.svc.Person",
+ *       oNavigationPropertyBindings: { manager: "Person", directReports: "Person" },
+ *       aConcurrencyProperties: ["lastModified"],
+ *       oApplySupported: {
+ *         aTransformations: ["aggregate", "groupby", "filter"],
+ *         aGroupableProperties: ["departmentId", "title"],
+ *         oAggregatableProperties: { salary: ["sum", "average"], level: null }
+ *       }
+ *     }
+ *   },
+ *   oOperations: {
+ *     "Sample.svc.Promote": [{
+ *       sName: "Promote",
+ *       sQualifiedName: "Sample.svc.Promote",
+ *       bAction: true,
+ *       bBound: true,
+ *       sEntitySetPath: "person",
+ *       aParameters: [{ sName: "person", sType: "Sample.svc.Person", bCollection: false, bNullable: false }],
+ *       oReturnType: { sType: "Sample.svc.Person", bCollection: false, bNullable: false }
+ *     }]
+ *   },
+ *   oOperationImports: {
+ *     GetTopEarners: { sName: "GetTopEarners", sOperation: "Sample.svc.GetTopEarners", sEntitySet: "Person" }
+ *   }
+ * }
+ * Operations are overloaded by their binding parameter, so there is an array of overloads for each name.
+ * The return type is null for void operations.
+ * The concurrency properties of an entity set are taken from the Core.OptimisticConcurrency annotation, or from
+ * the properties with ConcurrencyMode="Fixed" in OData V2 metadata.
+ * The Aggregation.ApplySupported annotation of an entity set, or else of its entity type, tells which
+ * transformations of $apply are supported, and which properties can be grouped and aggregated with which
+ * methods; a missing list means no restriction, null for the methods means all of them.
+ *
+ * OData V2 metadata is read into the same structure: the navigation properties get their type, partner and
+ * referential constraints from their association, the entity sets get their navigation property bindings from
+ * the association sets, and each function import is also an unbound operation with the qualified name of the
+ * import, which is an action unless its m:HttpMethod is GET.
+ */
+sap.ui.define([], function () {
+  "use strict";
+
+  var rCollection = /^Collection\((.*)\)$/,
+    rOptimisticConcurrency = /\.OptimisticConcurrency$/,
+    rApplySupported = /\.ApplySupported$/;
+
+  /**
+   * Get the child elements of an element, optionally only those with the given local name.
+   * @param {Element} oElement The XML element
+   * @param {String=} sLocalName The local name of the children, i.e. "Property"
+   * @return {Element[]} The child elements
+   */
+  function getChildElements(oElement, sLocalName) {
+    var aChildren = [],
+      oChild;
+    for (oChild = oElement.firstChild; oChild; oChild = oChild.nextSibling) {
+      if (
+        oChild.nodeType === 1 &&
+        (!sLocalName || oChild.localName === sLocalName)
+      ) {
+        aChildren.push(oChild);
+      }
+    }
+    return aChildren;
+  }
+
+  /**
+   * Get an integer attribute.
+   * @param {Element} oElement The XML element
+   * @param {String} sName The attribute name
+   * @return {Integer|undefined} The value, undefined if the attribute is not given or not a number
+   */
+  function getIntegerAttribute(oElement, sName) {
+    var iValue = parseInt(oElement.getAttribute(sName), 10);
+    return isNaN(iValue) ? undefined : iValue;
+  }
+
+  /**
+   * Replace a schema alias at the beginning of a qualified name with the namespace.
+   * @param {String} sName The qualified name, possibly wrapped in Collection(...)
+   * @param {Object} oAliases A map of alias to namespace
+   * @return {String} The name using the namespace
+   */
+  function resolveAlias(sName, oAliases) {
+    var aMatches = rCollection.exec(sName),
+      iIndex;
+    if (aMatches) {
+      return "Collection(" + resolveAlias(aMatches[1], oAliases) + ")";
+    }
+    iIndex = sName.lastIndexOf(".");
+    if (iIndex > 0 && oAliases.hasOwnProperty(sName.slice(0, iIndex))) {
+      return oAliases[sName.slice(0, iIndex)] + sName.slice(iIndex);
+    }
+    return sName;
+  }
+
+  /**
+   * Read a Property element.
+   * @param {Element} oElement The Property element
+   * @param {Object} oAliases A map of alias to namespace
+   * @return {Object} The property
+   */
+  function parseProperty(oElement, oAliases) {
+    var sType = resolveAlias(oElement.getAttribute("Type"), oAliases),
+      aMatches = rCollection.exec(sType);
+    return {
+      sName: oElement.getAttribute("Name"),
+      sType: aMatches ? aMatches[1] : sType,
+      bCollection: !!aMatches,
+      bNullable: oElement.getAttribute("Nullable") !== "false",
+      iMaxLength: getIntegerAttribute(oElement, "MaxLength"),
+      iPrecision: getIntegerAttribute(oElement, "Precision"),
+      iScale: getIntegerAttribute(oElement, "Scale"),
+      bConcurrencyToken: oElement.getAttribute("ConcurrencyMode") === "Fixed"
+    };
+  }
+
+  /**
+   * Read the property paths of a Core.OptimisticConcurrency annotation among the given annotations.
+   * @param {Element[]} aAnnotations The Annotation elements
+   * @return {String[]|undefined} The property paths, undefined if there is no such annotation
+   */
+  function parseOptimisticConcurrency(aAnnotations) {
+    var aPaths;
+
+    aAnnotations.forEach(function (oAnnotation) {
+      // The term is usually given with the alias of the referenced vocabulary, i.e. "Core."
+      if (!rOptimisticConcurrency.test(oAnnotation.getAttribute("Term"))) {
+        return;
+      }
+      aPaths = [];
+      getChildElements(oAnnotation, "Collection").forEach(function (
+        oCollection
+      ) {
+        getChildElements(oCollection, "PropertyPath").forEach(function (oPath) {
+          aPaths.push(oPath.textContent.trim());
+        });
+      });
+    });
+    return aPaths;
+  }
+
+  /**
+   * Get the texts of the items of the collection within an element, i.e. of the PropertyPath or String
+   * elements.
+   * @param {Element} oElement The element containing the Collection, i.e. a PropertyValue
+   * @return {String[]} The texts
+   */
+  function getCollectionTexts(oElement) {
+    var aTexts = [];
+
+    getChildElements(oElement, "Collection").forEach(function (oCollection) {
+      getChildElements(oCollection).forEach(function (oItem) {
+        aTexts.push(oItem.textContent.trim());
+      });
+    });
+    return aTexts;
+  }
+
+  /**
+   * Read an Aggregation.ApplySupported annotation among the given annotations.
+   * @param {Element[]} aAnnotations The Annotation elements
+   * @return {Object|undefined} The supported aTransformations, aGroupableProperties and the map
+   *   oAggregatableProperties of property path to the supported aggregation methods, each of them undefined
+   *   if not restricted; undefined if there is no such annotation
+   */
+  function parseApplySupported(aAnnotations) {
+    var oApplySupported;
+
+    aAnnotations.forEach(function (oAnnotation) {
+      if (!rApplySupported.test(oAnnotation.getAttribute("Term"))) {
+        return;
+      }
+      oApplySupported = {};
+      getChildElements(oAnnotation, "Record").forEach(function (oRecord) {
+        getChildElements(oRecord, "PropertyValue").forEach(function (
+          oPropertyValue
+        ) {
+          switch (oPropertyValue.getAttribute("Property")) {
+            case "Transformations":
+              oApplySupported.aTransformations = getCollectionTexts(
+                oPropertyValue
+              );
+              break;
+            case "GroupableProperties":
+              oApplySupported.aGroupableProperties = getCollectionTexts(
+                oPropertyValue
+              );
+              break;
+            case "AggregatableProperties":
+              oApplySupported.oAggregatableProperties = {};
+              getChildElements(oPropertyValue, "Collection").forEach(function (
+                oCollection
+              ) {
+                getChildElements(oCollection).forEach(function (oItem) {
+                  var sPath, aMethods;
+
+                  if (oItem.localName === "PropertyPath") {
+                    // A plain property path supports all methods
+                    oApplySupported.oAggregatableProperties[
+                      oItem.textContent.trim()
+                    ] = null;
+                    return;
+                  }
+                  // An Aggregation.AggregatablePropertyType record
+                  getChildElements(oItem, "PropertyValue").forEach(function (
+                    oField
+                  ) {
+                    if (oField.getAttribute("Property") === "Property") {
+                      sPath =
+                        oField.getAttribute("PropertyPath") ||
+                        getChildElements(oField, "PropertyPath").map(function (
+                          oPath
+                        ) {
+                          return oPath.textContent.trim();
+                        })[0];
+                    } else if (
+                      oField.getAttribute("Property") ===
+                      "SupportedAggregationMethods"
+                    ) {
+                      aMethods = getCollectionTexts(oField);
+                    }
+                  });
+                  if (sPath) {
+                    oApplySupported.oAggregatableProperties[sPath] =
+                      aMethods || null;
+                  }
+                });
+              });
+              break;
+            default:
+              break;
+          }
+        });
+      });
+    });
+    return oApplySupported;
+  }
+
+  /**
+   * Read an EntityType or ComplexType element.
+   * @param {Element} oElement The type element
+   * @param {String} sNamespace The namespace of the schema
+   * @param {Object} oAliases A map of alias to namespace
+   * @return {Object} The structured type
+   */
+  function parseStructuredType(oElement, sNamespace, oAliases) {
+    var oType = {
+      sName: oElement.getAttribute("Name"),
+      sQualifiedName: sNamespace + "." + oElement.getAttribute("Name"),
+      sBaseType: oElement.getAttribute("BaseType")
+        ? resolveAlias(oElement.getAttribute("BaseType"), oAliases)
+        : undefined,
+      aKeys: [],
+      oProperties: {},
+      oNavigationProperties: {},
+      oApplySupported: parseApplySupported(
+        getChildElements(oElement, "Annotation")
+      )
+    };
+    getChildElements(oElement, "Key").forEach(function (oKey) {
+      getChildElements(oKey, "PropertyRef").forEach(function (oPropertyRef) {
+        oType.aKeys.push(oPropertyRef.getAttribute("Name"));
+      });
+    });
+    getChildElements(oElement, "Property").forEach(function (oProperty) {
+      var oParsed = parseProperty(oProperty, oAliases);
+      oType.oProperties[oParsed.sName] = oParsed;
+    });
+    getChildElements(oElement, "NavigationProperty").forEach(function (
+      oNavigationProperty
+    ) {
+      var sRelationship = oNavigationProperty.getAttribute("Relationship"),
+        oParsed;
+
+      if (sRelationship) {
+        // OData V2, the rest is taken from the association, see resolveAssociations
+        oType.oNavigationProperties[
+          oNavigationProperty.getAttribute("Name")
+        ] = {
+          sName: oNavigationProperty.getAttribute("Name"),
+          sRelationship: resolveAlias(sRelationship, oAliases),
+          sFromRole: oNavigationProperty.getAttribute("FromRole"),
+          sToRole: oNavigationProperty.getAttribute("ToRole"),
+          aReferentialConstraints: []
+        };
+        return;
+      }
+      oParsed = parseProperty(oNavigationProperty, oAliases);
+      oType.oNavigationProperties[oParsed.sName] = {
+        sName: oParsed.sName,
+        sType: oParsed.sType,
+        bCollection: oParsed.bCollection,
+        bNullable: oParsed.bNullable,
+        sPartner: oNavigationProperty.getAttribute("Partner") || undefined,
+        aReferentialConstraints: getChildElements(
+          oNavigationProperty,
+          "ReferentialConstraint"
+        ).map(function (oConstraint) {
+          return {
+            sProperty: oConstraint.getAttribute("Property"),
+            sReferencedProperty: oConstraint.getAttribute("ReferencedProperty")
+          };
+        })
+      };
+    });
+    return oType;
+  }
+
+  /**
+   * Read an EntitySet element.
+   * @param {Element} oElement The EntitySet element
+   * @param {Object} oAliases A map of alias to namespace
+   * @return {Object} The entity set
+   */
+  function parseEntitySet(oElement, oAliases) {
+    var oEntitySet = {
+      sName: oElement.getAttribute("Name"),
+      sEntityType: resolveAlias(oElement.getAttribute("EntityType"), oAliases),
+      oNavigationPropertyBindings: {},
+      aConcurrencyProperties: parseOptimisticConcurrency(
+        getChildElements(oElement, "Annotation")
+      ),
+      oApplySupported: parseApplySupported(
+        getChildElements(oElement, "Annotation")
+      )
+    };
+    getChildElements(oElement, "NavigationPropertyBinding").forEach(function (
+      oBinding
+    ) {
+      // The target may be given as "Container/EntitySet", only entity sets of the same container are supported
+      oEntitySet.oNavigationPropertyBindings[
+        oBinding.getAttribute("Path")
+      ] = oBinding.getAttribute("Target").split("/").pop();
+    });
+    return oEntitySet;
+  }
+
+  /**
+   * Read an Action or Function element.
+   * @param {Element} oElement The Action or Function element
+   * @param {String} sNamespace The namespace of the schema
+   * @param {Object} oAliases A map of alias to namespace
+   * @return {Object} The operation
+   */
+  function parseOperation(oElement, sNamespace, oAliases) {
+    var aReturnTypes = getChildElements(oElement, "ReturnType");
+
+    return {
+      sName: oElement.getAttribute("Name"),
+      sQualifiedName: sNamespace + "." + oElement.getAttribute("Name"),
+      bAction: oElement.localName === "Action",
+      bBound: oElement.getAttribute("IsBound") === "true",
+      sEntitySetPath: oElement.getAttribute("EntitySetPath") || undefined,
+      aParameters: getChildElements(oElement, "Parameter").map(function (
+        oParameter
+      ) {
+        return parseProperty(oParameter, oAliases);
+      }),
+      oReturnType: aReturnTypes.length
+        ? parseProperty(aReturnTypes[0], oAliases)
+        : null
+    };
+  }
+
+  /**
+   * Read an OData V2 FunctionImport element as an operation.
+   * @param {Element} oElement The FunctionImport element
+   * @param {String} sNamespace The namespace of the schema
+   * @param {Object} oAliases A map of alias to namespace
+   * @return {Object} The operation
+   */
+  function parseV2FunctionImport(oElement, sNamespace, oAliases) {
+    var sReturnType = oElement.getAttribute("ReturnType"),
+      aMatches;
+
+    if (sReturnType) {
+      sReturnType = resolveAlias(sReturnType, oAliases);
+      aMatches = rCollection.exec(sReturnType);
+    }
+    return {
+      sName: oElement.getAttribute("Name"),
+      sQualifiedName: sNamespace + "." + oElement.getAttribute("Name"),
+      bAction: (oElement.getAttribute("m:HttpMethod") || "GET") !== "GET",
+      bBound: false,
+      sEntitySetPath: undefined,
+      aParameters: getChildElements(oElement, "Parameter").map(function (
+        oParameter
+      ) {
+        return parseProperty(oParameter, oAliases);
+      }),
+      oReturnType: sReturnType
+        ? {
+            sType: aMatches ? aMatches[1] : sReturnType,
+            bCollection: !!aMatches,
+            bNullable: true
+          }
+        : null
+    };
+  }
+
+  /**
+   * Read an OData V2 Association element.
+   * @param {Element} oElement The Association element
+   * @param {Object} oAliases A map of alias to namespace
+   * @return {Object} The association with a map of role name to its end oEnds, each with the sType and the
+   *   sMultiplicity, and the oConstraint with the sPrincipalRole, sDependentRole, aPrincipalProperties and
+   *   aDependentProperties, if there is a referential constraint
+   */
+  function parseAssociation(oElement, oAliases) {
+    var oAssociation = { oEnds: {} };
+
+    function getPropertyNames(oRole) {
+      return getChildElements(oRole, "PropertyRef").map(function (oRef) {
+        return oRef.getAttribute("Name");
+      });
+    }
+
+    getChildElements(oElement, "End").forEach(function (oEnd) {
+      oAssociation.oEnds[oEnd.getAttribute("Role")] = {
+        sType: resolveAlias(oEnd.getAttribute("Type"), oAliases),
+        sMultiplicity: oEnd.getAttribute("Multiplicity")
+      };
+    });
+    getChildElements(oElement, "ReferentialConstraint").forEach(function (
+      oConstraint
+    ) {
+      var oPrincipal = getChildElements(oConstraint, "Principal")[0],
+        oDependent = getChildElements(oConstraint, "Dependent")[0];
+
+      oAssociation.oConstraint = {
+        sPrincipalRole: oPrincipal.getAttribute("Role"),
+        sDependentRole: oDependent.getAttribute("Role"),
+        aPrincipalProperties: getPropertyNames(oPrincipal),
+        aDependentProperties: getPropertyNames(oDependent)
+      };
+    });
+    return oAssociation;
+  }
+
+  /**
+   * Complete the OData V2 navigation properties with the type, partner and referential constraints from their
+   * associations. A navigation property has the constraints if it starts at the dependent end.
+   * @param {Object} oTypes A map of qualified name to entity type
+   * @param {Object} oAssociations A map of qualified name to association, see parseAssociation
+   */
+  function resolveAssociations(oTypes, oAssociations) {
+    Object.keys(oTypes).forEach(function (sTypeName) {
+      var oNavigationProperties = oTypes[sTypeName].oNavigationProperties;
+
+      Object.keys(oNavigationProperties).forEach(function (sName) {
+        var oNavigationProperty = oNavigationProperties[sName],
+          oAssociation = oAssociations[oNavigationProperty.sRelationship],
+          oEnd =
+            oAssociation && oAssociation.oEnds[oNavigationProperty.sToRole],
+          oConstraint = oAssociation && oAssociation.oConstraint,
+          oTargetType = oEnd && oTypes[oEnd.sType];
+
+        if (!oEnd) {
+          return;
+        }
+        oNavigationProperty.sType = oEnd.sType;
+        oNavigationProperty.bCollection = oEnd.sMultiplicity === "*";
+        oNavigationProperty.bNullable = oEnd.sMultiplicity !== "1";
+        if (
+          oConstraint &&
+          oConstraint.sDependentRole === oNavigationProperty.sFromRole
+        ) {
+          oNavigationProperty.aReferentialConstraints = oConstraint.aDependentProperties.map(
+            function (sProperty, i) {
+              return {
+                sProperty: sProperty,
+                sReferencedProperty: oConstraint.aPrincipalProperties[i]
+              };
+            }
+          );
+        }
+        oNavigationProperty.sPartner = oTargetType
+          ? Object.keys(oTargetType.oNavigationProperties).filter(function (
+              sPartner
+            ) {
+              var oPartner = oTargetType.oNavigationProperties[sPartner];
+
+              return (
+                oPartner !== oNavigationProperty &&
+                oPartner.sRelationship === oNavigationProperty.sRelationship &&
+                oPartner.sFromRole === oNavigationProperty.sToRole
+              );
+            })[0]
+          : undefined;
+      });
+    });
+  }
+
+  /**
+   * Derive the navigation property bindings of the entity sets from the OData V2 association sets.
+   * @param {Object} oMetadata The parsed metadata
+   * @param {Element[]} aAssociationSets The AssociationSet elements
+   * @param {Object} oAliases A map of alias to namespace
+   */
+  function bindAssociationSets(oMetadata, aAssociationSets, oAliases) {
+    aAssociationSets.forEach(function (oAssociationSet) {
+      var sAssociation = resolveAlias(
+          oAssociationSet.getAttribute("Association"),
+          oAliases
+        ),
+        oEntitySets = {};
+
+      getChildElements(oAssociationSet, "End").forEach(function (oEnd) {
+        oEntitySets[oEnd.getAttribute("Role")] = oEnd.getAttribute("EntitySet");
+      });
+      Object.keys(oEntitySets).forEach(function (sRole) {
+        var oEntitySet = oMetadata.oEntitySets[oEntitySets[sRole]],
+          oEntityType =
+            oEntitySet && oMetadata.oEntityTypes[oEntitySet.sEntityType];
+
+        if (!oEntityType) {
+          return;
+        }
+        Object.keys(oEntityType.oNavigationProperties).forEach(function (
+          sName
+        ) {
+          var oNavigationProperty = oEntityType.oNavigationProperties[sName];
+
+          if (
+            oNavigationProperty.sRelationship === sAssociation &&
+            oNavigationProperty.sFromRole === sRole &&
+            oEntitySets[oNavigationProperty.sToRole]
+          ) {
+            oEntitySet.oNavigationPropertyBindings[sName] =
+              oEntitySets[oNavigationProperty.sToRole];
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Read an ActionImport or FunctionImport element.
+   * @param {Element} oElement The import element
+   * @param {Object} oAliases A map of alias to namespace
+   * @return {Object} The operation import
+   */
+  function parseOperationImport(oElement, oAliases) {
+    var sEntitySet = oElement.getAttribute("EntitySet");
+
+    return {
+      sName: oElement.getAttribute("Name"),
+      sOperation: resolveAlias(
+        oElement.getAttribute("Action") || oElement.getAttribute("Function"),
+        oAliases
+      ),
+      // The entity set may be given as "Container/EntitySet", only entity sets of the same container are supported
+      sEntitySet: sEntitySet ? sEntitySet.split("/").pop() : undefined
+    };
+  }
+
+  /**
+   * Copy the keys and properties of the base types into the derived types.
+   * @param {Object} oTypes A map of qualified name to structured type
+   */
+  function inheritBaseTypes(oTypes) {
+    var oDone = {};
+
+    function inherit(oType) {
+      var oBaseType = oType.sBaseType && oTypes[oType.sBaseType];
+      if (oDone[oType.sQualifiedName]) {
+        return;
+      }
+      oDone[oType.sQualifiedName] = true;
+      if (oBaseType) {
+        inherit(oBaseType);
+        oType.aKeys = oBaseType.aKeys.concat(oType.aKeys);
+        oType.oProperties = Object.assign(
+          {},
+          oBaseType.oProperties,
+          oType.oProperties
+        );
+        oType.oNavigationProperties = Object.assign(
+          {},
+          oBaseType.oNavigationProperties,
+          oType.oNavigationProperties
+        );
+      }
+    }
+
+    Object.keys(oTypes).forEach(function (sName) {
+      inherit(oTypes[sName]);
+    });
+  }
+
+  return {
+    /**
+     * Parse the metadata document.
+     * @param {Document} oDocument The EDMX document
+     * @return {Object} The parsed metadata, see the description of this module
+     */
+    parse: function (oDocument) {
+      var oMetadata = {
+          oEntityTypes: {},
+          oComplexTypes: {},
+          oEntitySets: {},
+          oOperations: {},
+          oOperationImports: {}
+        },
+        aSchemas = [],
+        aExternalAnnotations = [],
+        oAssociations = {},
+        aAssociationSets = [],
+        oAliases = {};
+
+      getChildElements(oDocument.documentElement, "DataServices").forEach(
+        function (oDataServices) {
+          aSchemas = aSchemas.concat(getChildElements(oDataServices, "Schema"));
+        }
+      );
+      aSchemas.forEach(function (oSchema) {
+        if (oSchema.getAttribute("Alias")) {
+          oAliases[oSchema.getAttribute("Alias")] = oSchema.getAttribute(
+            "Namespace"
+          );
+        }
+      });
+      aSchemas.forEach(function (oSchema) {
+        var sNamespace = oSchema.getAttribute("Namespace");
+        getChildElements(oSchema).forEach(function (oElement) {
+          var oType, oOperation;
+          switch (oElement.localName) {
+            case "EntityType":
+              oType = parseStructuredType(oElement, sNamespace, oAliases);
+              oMetadata.oEntityTypes[oType.sQualifiedName] = oType;
+              break;
+            case "ComplexType":
+              oType = parseStructuredType(oElement, sNamespace, oAliases);
+              oMetadata.oComplexTypes[oType.sQualifiedName] = oType;
+              break;
+            case "Action":
+            case "Function":
+              oOperation = parseOperation(oElement, sNamespace, oAliases);
+              oMetadata.oOperations[oOperation.sQualifiedName] = (
+                oMetadata.oOperations[oOperation.sQualifiedName] || []
+              ).concat([oOperation]);
+              break;
+            case "Annotations":
+              aExternalAnnotations.push(oElement);
+              break;
+            case "Association":
+              oAssociations[
+                sNamespace + "." + oElement.getAttribute("Name")
+              ] = parseAssociation(oElement, oAliases);
+              break;
+            case "EntityContainer":
+              getChildElements(oElement).forEach(function (oChild) {
+                var sName = oChild.getAttribute("Name");
+                switch (oChild.localName) {
+                  case "EntitySet":
+                    oMetadata.oEntitySets[sName] = parseEntitySet(
+                      oChild,
+                      oAliases
+                    );
+                    break;
+                  case "FunctionImport":
+                    if (!oChild.getAttribute("Function")) {
+                      // OData V2, the import declares the operation itself
+                      oOperation = parseV2FunctionImport(
+                        oChild,
+                        sNamespace,
+                        oAliases
+                      );
+                      oMetadata.oOperations[oOperation.sQualifiedName] = [
+                        oOperation
+                      ];
+                      oMetadata.oOperationImports[sName] = {
+                        sName: sName,
+                        sOperation: oOperation.sQualifiedName,
+                        sEntitySet:
+                          oChild.getAttribute("EntitySet") || undefined
+                      };
+                      break;
+                    }
+                  // falls through
+                  case "ActionImport":
+                    oMetadata.oOperationImports[sName] = parseOperationImport(
+                      oChild,
+                      oAliases
+                    );
+                    break;
+                  case "AssociationSet":
+                    aAssociationSets.push(oChild);
+                    break;
+                  default:
+                    break;
+                }
+              });
+              break;
+            default:
+              break;
+          }
+        });
+      });
+      // Annotations targeting an entity set, i.e. Target="Sample.svc.Container/Person", or an entity type,
+      // i.e. Target="Sample.svc.Person"
+      aExternalAnnotations.forEach(function (oAnnotations) {
+        var sTarget = oAnnotations.getAttribute("Target"),
+          aAnnotations = getChildElements(oAnnotations, "Annotation"),
+          oEntitySet = oMetadata.oEntitySets[sTarget.split("/")[1]],
+          oEntityType = oMetadata.oEntityTypes[resolveAlias(sTarget, oAliases)],
+          aPaths = parseOptimisticConcurrency(aAnnotations),
+          oApplySupported = parseApplySupported(aAnnotations);
+
+        if (oEntitySet && aPaths) {
+          oEntitySet.aConcurrencyProperties = aPaths;
+        }
+        if (oApplySupported) {
+          (oEntitySet || oEntityType || {}).oApplySupported = oApplySupported;
+        }
+      });
+      resolveAssociations(oMetadata.oEntityTypes, oAssociations);
+      inheritBaseTypes(oMetadata.oEntityTypes);
+      inheritBaseTypes(oMetadata.oComplexTypes);
+      bindAssociationSets(oMetadata, aAssociationSets, oAliases);
+
+      return oMetadata;
+    },
+
+    /**
+     * Get the entity type of an entity set.
+     * @param {Object=} oMetadata The parsed metadata, may be undefined if the service has no metadata
+     * @param {String} sEntitySetName The name of the entity set
+     * @return {Object|undefined} The entity type, if known
+     */
+    getEntityType: function (oMetadata, sEntitySetName) {
+      var oEntitySet = oMetadata && oMetadata.oEntitySets[sEntitySetName];
+      return oEntitySet && oMetadata.oEntityTypes[oEntitySet.sEntityType];
+    },
+
+    /**
+     * Get the navigation properties of an entity set which are bound to another entity set.
+     * The referential constraints are taken from the navigation property itself, or else from its partner,
+     * and are expressed as pairs of properties that must have equal values in the source and target entity.
+     * @param {Object} oMetadata The parsed metadata
+     * @param {String} sEntitySetName The name of the entity set
+     * @return {Object} A map of navigation property name to an object with the target entity set name
+     *   sEntityName, bCollection and aConstraints, an array of {sSourceProperty, sTargetProperty}, and
+     *   bReferencing, whether the constraints are the navigation property's own, so that the source entity
+     *   holds the foreign key
+     */
+    getNavigations: function (oMetadata, sEntitySetName) {
+      var oEntitySet = oMetadata.oEntitySets[sEntitySetName],
+        oEntityType =
+          oEntitySet && oMetadata.oEntityTypes[oEntitySet.sEntityType],
+        oNavigations = {};
+
+      if (!oEntityType) {
+        return oNavigations;
+      }
+      Object.keys(oEntitySet.oNavigationPropertyBindings).forEach(function (
+        sPath
+      ) {
+        var oNavigationProperty = oEntityType.oNavigationProperties[sPath],
+          oTargetType =
+            oNavigationProperty &&
+            oMetadata.oEntityTypes[oNavigationProperty.sType],
+          oPartner =
+            oTargetType &&
+            oNavigationProperty.sPartner &&
+            oTargetType.oNavigationProperties[oNavigationProperty.sPartner],
+          aConstraints;
+
+        if (!oNavigationProperty) {
+          // Paths through complex types or with type casts are not supported
+          return;
+        }
+        if (oNavigationProperty.aReferentialConstraints.length) {
+          aConstraints = oNavigationProperty.aReferentialConstraints.map(
+            function (oConstraint) {
+              return {
+                sSourceProperty: oConstraint.sProperty,
+                sTargetProperty: oConstraint.sReferencedProperty
+              };
+            }
+          );
+        } else if (oPartner) {
+          aConstraints = oPartner.aReferentialConstraints.map(function (
+            oConstraint
+          ) {
+            return {
+              sSourceProperty: oConstraint.sReferencedProperty,
+              sTargetProperty: oConstraint.sProperty
+            };
+          });
+        } else {
+          aConstraints = [];
+        }
+        oNavigations[sPath] = {
+          sEntityName: oEntitySet.oNavigationPropertyBindings[sPath],
+          bCollection: oNavigationProperty.bCollection,
+          aConstraints: aConstraints,
+          bReferencing: oNavigationProperty.aReferentialConstraints.length > 0
+        };
+      });
+
+      return oNavigations;
+    },
+
+    /**
+     * Get the overload of an operation which can be bound to the given type.
+     * @param {Object} oMetadata The parsed metadata
+     * @param {String} sQualifiedName The qualified name of the operation
+     * @param {Object=} oBindingType The entity type to bind to, undefined for unbound operations
+     * @param {Boolean=} bCollection Whether to bind to a collection of that type
+     * @return {Object|undefined} The operation, undefined if there is no such overload
+     */
+    getOperation: function (
+      oMetadata,
+      sQualifiedName,
+      oBindingType,
+      bCollection
+    ) {
+      var aTypeNames = [];
+
+      // The binding parameter may also have one of the base types
+      while (oBindingType) {
+        aTypeNames.push(oBindingType.sQualifiedName);
+        oBindingType = oMetadata.oEntityTypes[oBindingType.sBaseType];
+      }
+      return (oMetadata.oOperations[sQualifiedName] || []).filter(function (
+        oOperation
+      ) {
+        var oBindingParameter = oOperation.aParameters[0];
+
+        if (!aTypeNames.length) {
+          return !oOperation.bBound;
+        }
+        return (
+          oOperation.bBound &&
+          aTypeNames.indexOf(oBindingParameter.sType) !== -1 &&
+          oBindingParameter.bCollection === !!bCollection
+        );
+      })[0];
+    },
+
+    /**
+     * Get what an entity set supports of $apply, see the Aggregation.ApplySupported annotation above.
+     * @param {Object=} oMetadata The parsed metadata, may be undefined if the service has no metadata
+     * @param {String} sEntitySetName The name of the entity set
+     * @return {Object|undefined} The annotation of the entity set, or else of its entity type, undefined if
+     *   there is none
+     */
+    getApplySupported: function (oMetadata, sEntitySetName) {
+      var oEntitySet = oMetadata && oMetadata.oEntitySets[sEntitySetName],
+        oEntityType =
+          oEntitySet && oMetadata.oEntityTypes[oEntitySet.sEntityType];
+
+      if (!oEntitySet) {
+        return undefined;
+      }
+      return (
+        oEntitySet.oApplySupported ||
+        (oEntityType ? oEntityType.oApplySupported : undefined)
+      );
+    },
+
+    /**
+     * Get the properties of an entity set which are used as concurrency tokens.
+     * @param {Object=} oMetadata The parsed metadata, may be undefined if the service has no metadata
+     * @param {String} sEntitySetName The name of the entity set
+     * @return {Object[]} The properties, empty if the entity set has no concurrency tokens
+     */
+    getConcurrencyProperties: function (oMetadata, sEntitySetName) {
+      var oEntitySet = oMetadata && oMetadata.oEntitySets[sEntitySetName],
+        oEntityType = this.getEntityType(oMetadata, sEntitySetName);
+
+      if (!oEntityType) {
+        return [];
+      }
+      if (oEntitySet.aConcurrencyProperties) {
+        return oEntitySet.aConcurrencyProperties
+          .map(function (sPath) {
+            return oEntityType.oProperties[sPath];
+          })
+          .filter(Boolean);
+      }
+      return Object.keys(oEntityType.oProperties)
+        .map(function (sName) {
+          return oEntityType.oProperties[sName];
+        })
+        .filter(function (oProperty) {
+          return oProperty.bConcurrencyToken;
+        });
+    },
+
+    /**
+     * Get an entity type or complex type by its qualified name.
+     * @param {Object} oMetadata The parsed metadata
+     * @param {String} sQualifiedName The qualified type name
+     * @return {Object|undefined} The structured type, undefined for primitive or unknown types
+     */
+    getStructuredType: function (oMetadata, sQualifiedName) {
+      return (
+        oMetadata.oEntityTypes[sQualifiedName] ||
+        oMetadata.oComplexTypes[sQualifiedName]
+      );
+    }
+  };
+});
@@ -0,0 +1,203 @@
+/**
+ * Parameters and results of the actions and functions declared in the metadata.
+ *
+ * Parameter values are handed to the mock handlers like they appear in a JSON payload, no matter whether they
+ * were sent in the body of an action, or in the URL of a function, i.e. "GetTopEarners(count=5)". Values are
+ * checked against the declared types, so that the handlers do not need to do this.
+ */
+sap.ui.define(
+  [
+    "./errors",
+    "./expression",
+    "./metadata",
+    "./queryOptions",
+    "./types",
+    "./validation"
+  ],
+  function (errors, expression, metadata, queryOptions, types, validation) {
+    "use strict";
+
+    var rNamedParameter = /^([A-Za-z_]\w*)\s*=\s*(.*)$/;
+
+    /**
+     * Get the parameters of an operation without the binding parameter.
+     * @param {Object} oOperation The operation from the metadata
+     * @return {Object[]} The parameters
+     */
+    function getNonBindingParameters(oOperation) {
+      return oOperation.bBound
+        ? oOperation.aParameters.slice(1)
+        : oOperation.aParameters;
+    }
+
+    /**
+     * Parse the value of a function parameter in the URL.
+     * @param {String} sText The value, i.e. "5", "'text'" or the JSON value of a parameter alias
+     * @param {Object} oParameter The parameter from the metadata
+     * @param {Object} oContext The context for the literals, see expression.parse
+     * @return {any} The value, like it appears in a JSON payload
+     */
+    function parseParameterValue(sText, oParameter, oContext) {
+      var vValue;
+
+      if (
+        oParameter.bCollection ||
+        metadata.getStructuredType(oContext.oMetadata, oParameter.sType)
+      ) {
+        // Collections and structured values are given as JSON
+        try {
+          return JSON.parse(sText);
+        } catch (oError) {
+          throw errors.badRequest(
+            "Invalid JSON value for parameter " + oParameter.sName,
+            oParameter.sName
+          );
+        }
+      }
+      vValue = expression.parseLiteral(sText, oContext, oParameter.sType);
+      switch (types.getCategory(oParameter.sType)) {
+        case "String":
+        case "Number":
+        case "Boolean":
+          return vValue;
+        default:
+          // Dates, times, durations and GUIDs are strings in JSON, without the type prefix of the literal
+          return vValue === null
+            ? null
+            : sText.replace(/^[A-Za-z]+'(.*)'$/, "$1");
+      }
+    }
+
+    return {
+      /**
+       * Parse the parameters of a function call in the URL, like "count=5,text=@p" for
+       * "GetTopEarners(count=5,text=@p)?@p='x'".
+       * @param {String=} sParameters The parameters within the parentheses
+       * @param {Object} oOperation The function from the metadata
+       * @param {Object} oContext The context for the literals, see expression.parse, its oAliases are the
+       *   query options of the request
+       * @return {Object} A map of parameter name to value, not yet checked for completeness
+       * @throws {Error} A 400 error if a parameter is unknown or invalid
+       */
+      parseFunctionParameters: function (sParameters, oOperation, oContext) {
+        var aParameters = getNonBindingParameters(oOperation),
+          oAliases = oContext.oAliases || {},
+          oValues = {};
+
+        queryOptions
+          .splitList(sParameters || "", ",")
+          .forEach(function (sPart) {
+            var aMatches = rNamedParameter.exec(sPart),
+              oParameter =
+                aMatches &&
+                aParameters.filter(function (oCandidate) {
+                  return oCandidate.sName === aMatches[1];
+                })[0],
+              sText;
+
+            if (!oParameter) {
+              throw errors.badRequest(
+                "Invalid parameter " +
+                  sPart +
+                  " for function " +
+                  oOperation.sQualifiedName
+              );
+            }
+            if (oValues.hasOwnProperty(oParameter.sName)) {
+              throw errors.badRequest(
+                "Parameter " + oParameter.sName + " is given twice",
+                oParameter.sName
+              );
+            }
+            sText = aMatches[2].trim();
+            if (sText[0] === "@") {
+              // A parameter alias without a value is null
+              sText = oAliases.hasOwnProperty(sText) ? oAliases[sText] : "null";
+            }
+            oValues[oParameter.sName] = parseParameterValue(
+              sText,
+              oParameter,
+              oContext
+            );
+          });
+
+        return oValues;
+      },
+
+      /**
+       * Check the parameter values of an operation call. Parameters which are not given are null.
+       * @param {Object} oValues A map of parameter name to value, i.e. the body of an action call
+       * @param {Object} oOperation The operation from the metadata
+       * @param {Object} oMetadata The parsed metadata
+       * @return {Object} A map of all non-binding parameters to their values
+       * @throws {Error} A 400 error if a parameter is unknown, missing or has an invalid value
+       */
+      checkParameters: function (oValues, oOperation, oMetadata) {
+        var aParameters = getNonBindingParameters(oOperation),
+          oResult = {};
+
+        Object.keys(oValues).forEach(function (sName) {
+          var bKnown = aParameters.some(function (oParameter) {
+            return oParameter.sName === sName;
+          });
+          if (!bKnown) {
+            throw errors.badRequest(
+              "Unknown parameter " +
+                sName +
+                " for operation " +
+                oOperation.sQualifiedName,
+              sName
+            );
+          }
+        });
+        aParameters.forEach(function (oParameter) {
+          var sName = oParameter.sName,
+            vValue = oValues.hasOwnProperty(sName) ? oValues[sName] : null,
+            sReason = validation.checkValue(vValue, oParameter, oMetadata);
+
+          if (sReason) {
+            throw errors.badRequest(
+              (oValues.hasOwnProperty(sName)
+                ? "Invalid value for parameter "
+                : "Missing parameter ") +
+                sName +
+                " of operation " +
+                oOperation.sQualifiedName +
+                ": " +
+                sReason,
+              sName
+            );
+          }
+          oResult[sName] = vValue;
+        });
+
+        return oResult;
+      },
+
+      /**
+       * Check the value returned by the mock handler of an operation.
+       * @param {any} vResult The value
+       * @param {Object} oOperation The operation from the metadata, which has a return type
+       * @param {Object} oMetadata The parsed metadata
+       * @throws {Error} A 500 error if the value does not match the return type
+       */
+      checkResult: function (vResult, oOperation, oMetadata) {
+        var sReason = validation.checkValue(
+          vResult,
+          oOperation.oReturnType,
+          oMetadata
+        );
+
+        if (sReason) {
+          throw errors.create(
+            500,
+            "The mock handler of " +
+              oOperation.sQualifiedName +
+              " returned an invalid value, the result " +
+              sReason
+          );
+        }
+      }
+    };
+  }
+);
@@ -0,0 +1,170 @@
+/**
+ * Persistence of the mock data of a service in the localStorage, so that changes survive a reload.
+ *
+ * The data of a service is stored as a map of entity set name to the array of entities, under a key which
+ * starts with the namespace of the service. Besides the current data, any number of named snapshots can be
+ * stored. If the localStorage is not available, i.e. in a sandboxed iframe, nothing is stored.
+ */
+sap.ui.define([], function () {
+  "use strict";
+
+  var sKeyPrefix = "sandbox.mockserver/",
+    sCurrent = "current",
+    sSnapshotPrefix = "snapshot/";
+
+  /**
+   * Get the localStorage.
+   * @return {Storage|null} The storage, null if it is not available
+   */
+  function getStorage() {
+    try {
+      return window.localStorage || null;
+    } catch (oError) {
+      // Accessing the localStorage throws if it is disabled
+      return null;
+    }
+  }
+
+  /**
+   * Get the storage key for some data of a service.
+   * @param {Object} oService The service
+   * @param {String} sName The name of the data, i.e. "current" or "snapshot/before-delete"
+   * @return {String} The key
+   */
+  function getKey(oService, sName) {
+    return sKeyPrefix + oService.sNamespace + sName;
+  }
+
+  /**
+   * Read data from the storage.
+   * @param {String} sKey The key
+   * @return {Object|undefined} The data, undefined if nothing is stored
+   */
+  function read(sKey) {
+    var oStorage = getStorage(),
+      sData = oStorage && oStorage.getItem(sKey);
+
+    return sData ? JSON.parse(sData) : undefined;
+  }
+
+  /**
+   * Write data to the storage.
+   * @param {String} sKey The key
+   * @param {Object} oData The data
+   * @throws {Error} If the storage is not available, or full
+   */
+  function write(sKey, oData) {
+    var oStorage = getStorage();
+
+    if (!oStorage) {
+      throw new Error("The localStorage is not available");
+    }
+    oStorage.setItem(sKey, JSON.stringify(oData));
+  }
+
+  return {
+    /**
+     * Check whether the data of a service is persisted. This is switched on with bPersistent in the service
+     * configuration, or for all services with the URL parameter "mock-persistent=true", which also wins over
+     * the configuration if it is "false".
+     * @param {Object} oService The service
+     * @return {Boolean} True if the data is persisted
+     */
+    isEnabled: function (oService) {
+      var sParameter = new URLSearchParams(window.location.search).get(
+        "mock-persistent"
+      );
+
+      if (!getStorage()) {
+        return false;
+      }
+      return sParameter === null
+        ? !!oService.bPersistent
+        : sParameter === "true";
+    },
+
+    /**
+     * Read the persisted current data of a service.
+     * @param {Object} oService The service
+     * @return {Object|undefined} A map of entity set name to entities, undefined if nothing is persisted
+     */
+    readCurrent: function (oService) {
+      return read(getKey(oService, sCurrent));
+    },
+
+    /**
+     * Persist the current data of a service.
+     * @param {Object} oService The service
+     * @param {Object} oData A map of entity set name to entities
+     */
+    writeCurrent: function (oService, oData) {
+      write(getKey(oService, sCurrent), oData);
+    },
+
+    /**
+     * Forget the persisted current data of a service.
+     * @param {Object} oService The service
+     */
+    removeCurrent: function (oService) {
+      var oStorage = getStorage();
+
+      if (oStorage) {
+        oStorage.removeItem(getKey(oService, sCurrent));
+      }
+    },
+
+    /**
+     * Read a named snapshot of a service.
+     * @param {Object} oService The service
+     * @param {String} sName The name of the snapshot
+     * @return {Object|undefined} A map of entity set name to entities, undefined if there is no such snapshot
+     */
+    readSnapshot: function (oService, sName) {
+      return read(getKey(oService, sSnapshotPrefix + sName));
+    },
+
+    /**
+     * Store a named snapshot of a service, replacing an existing one with the same name.
+     * @param {Object} oService The service
+     * @param {String} sName The name of the snapshot
+     * @param {Object} oData A map of entity set name to entities
+     */
+    writeSnapshot: function (oService, sName, oData) {
+      write(getKey(oService, sSnapshotPrefix + sName), oData);
+    },
+
+    /**
+     * Delete a named snapshot of a service.
+     * @param {Object} oService The service
+     * @param {String} sName The name of the snapshot
+     */
+    removeSnapshot: function (oService, sName) {
+      var oStorage = getStorage();
+
+      if (oStorage) {
+        oStorage.removeItem(getKey(oService, sSnapshotPrefix + sName));
+      }
+    },
+
+    /**
+     * Get the names of the snapshots of a service.
+     * @param {Object} oService The service
+     * @return {String[]} The names, sorted
+     */
+    getSnapshotNames: function (oService) {
+      var oStorage = getStorage(),
+        sPrefix = getKey(oService, sSnapshotPrefix),
+        aNames = [],
+        sKey,
+        i;
+
+      for (i = 0; oStorage && i < oStorage.length; i++) {
+        sKey = oStorage.key(i);
+        if (sKey.indexOf(sPrefix) === 0) {
+          aNames.push(sKey.slice(sPrefix.length));
+        }
+      }
+      return aNames.sort();
+    }
+  };
+});
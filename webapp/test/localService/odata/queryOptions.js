@@ -0,0 +1,259 @@
+/**
+ * Parsing of the system query options which shape the response, like $select and $expand.
+ */
+sap.ui.define(["./errors"], function (errors) {
+  "use strict";
+
+  var aExpandOptions = [
+    "$select",
+    "$expand",
+    "$filter",
+    "$search",
+    "$orderby",
+    "$top",
+    "$skip",
+    "$count"
+  ];
+
+  /**
+   * Split a list at the given separator, ignoring separators within parentheses or string literals.
+   * @param {String} sText The text, i.e. "fullName,manager($select=fullName,title)"
+   * @param {String} sSeparator The separator, i.e. "," or ";"
+   * @return {String[]} The trimmed items, empty items are removed
+   */
+  function splitList(sText, sSeparator) {
+    var aItems = [],
+      iDepth = 0,
+      bInString = false,
+      iStart = 0,
+      i,
+      sChar;
+
+    for (i = 0; i < sText.length; i++) {
+      sChar = sText[i];
+      if (sChar === "'") {
+        bInString = !bInString;
+      } else if (!bInString) {
+        if (sChar === "(") {
+          iDepth += 1;
+        } else if (sChar === ")") {
+          iDepth -= 1;
+        } else if (sChar === sSeparator && iDepth === 0) {
+          aItems.push(sText.slice(iStart, i));
+          iStart = i + 1;
+        }
+      }
+    }
+    if (iDepth !== 0 || bInString) {
+      throw errors.badRequest("Unbalanced parentheses or quotes in " + sText);
+    }
+    aItems.push(sText.slice(iStart));
+
+    return aItems
+      .map(function (sItem) {
+        return sItem.trim();
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Add one $select item to the selection tree.
+   * @param {Object} oTree The selection tree
+   * @param {String} sItem The $select item, i.e. "address/city"
+   * @param {Object=} oEntityType The entity type, if not given the item is not checked
+   * @param {Object=} oMetadata The parsed metadata
+   */
+  function addSelectItem(oTree, sItem, oEntityType, oMetadata) {
+    var aSegments = sItem.split("/"),
+      oType = oEntityType,
+      oNode = oTree,
+      sSegment,
+      oProperty,
+      i;
+
+    for (i = 0; i < aSegments.length; i++) {
+      sSegment = aSegments[i];
+      if (sSegment === "*" || sSegment.indexOf(".") > 0) {
+        // "*" selects all structural properties anyway, qualified names select operations
+        if (i !== aSegments.length - 1) {
+          throw errors.badRequest("Invalid $select item " + sItem);
+        }
+        if (sSegment === "*") {
+          oNode["*"] = true;
+        }
+        return;
+      }
+      if (oType) {
+        if (
+          oType.oNavigationProperties &&
+          oType.oNavigationProperties[sSegment]
+        ) {
+          if (i !== aSegments.length - 1) {
+            throw errors.badRequest(
+              "Invalid $select item " +
+                sItem +
+                ": navigation property " +
+                sSegment +
+                " cannot be followed by a path, use $expand"
+            );
+          }
+          // Navigation properties are only part of the response if they are expanded
+          return;
+        }
+        oProperty = oType.oProperties[sSegment];
+        if (!oProperty) {
+          throw errors.badRequest(
+            "Invalid $select item " +
+              sItem +
+              ": property " +
+              sSegment +
+              " is not defined in type " +
+              oType.sQualifiedName
+          );
+        }
+        oType = oMetadata && oMetadata.oComplexTypes[oProperty.sType];
+        if (!oType && i !== aSegments.length - 1) {
+          throw errors.badRequest(
+            "Invalid $select item " +
+              sItem +
+              ": " +
+              sSegment +
+              " is not a complex property"
+          );
+        }
+      }
+      if (i === aSegments.length - 1) {
+        oNode[sSegment] = true;
+      } else {
+        if (oNode[sSegment] !== true) {
+          oNode[sSegment] = oNode[sSegment] || {};
+        }
+        oNode = oNode[sSegment];
+        if (oNode === true) {
+          // The complete complex property is selected already
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Copy the selected properties of an object.
+   * @param {Object} oObject The entity or the value of a complex property
+   * @param {Object} oTree The selection tree
+   * @return {Object} The copy
+   */
+  function projectObject(oObject, oTree) {
+    var oResult = {};
+
+    if (oTree["*"]) {
+      return oObject;
+    }
+    Object.keys(oTree).forEach(function (sName) {
+      var vValue;
+      if (!oObject.hasOwnProperty(sName)) {
+        return;
+      }
+      vValue = oObject[sName];
+      if (oTree[sName] === true || vValue === null) {
+        oResult[sName] = vValue;
+      } else if (Array.isArray(vValue)) {
+        oResult[sName] = vValue.map(function (oItem) {
+          return projectObject(oItem, oTree[sName]);
+        });
+      } else {
+        oResult[sName] = projectObject(vValue, oTree[sName]);
+      }
+    });
+
+    return oResult;
+  }
+
+  return {
+    splitList: splitList,
+
+    /**
+     * Parse the $select system query option.
+     * @param {String=} sSelect The value of $select, i.e. "fullName,title"
+     * @param {Object=} oEntityType The entity type, if not given the selected properties are not checked
+     * @param {Object=} oMetadata The parsed metadata, used to resolve complex types
+     * @return {Object|null} The selection, null if everything is selected because there is no $select.
+     *   aItems contains the $select items as they should appear in the context URL, oTree the
+     *   selected properties as nested object.
+     * @throws {Error} A 400 error if a selected property does not exist
+     */
+    parseSelect: function (sSelect, oEntityType, oMetadata) {
+      var aItems = sSelect ? splitList(sSelect, ",") : [],
+        oTree = {};
+
+      if (!aItems.length) {
+        return null;
+      }
+      aItems.forEach(function (sItem) {
+        addSelectItem(oTree, sItem, oEntityType, oMetadata);
+      });
+      if (oEntityType && !oTree["*"]) {
+        // The key properties are always part of the response
+        oEntityType.aKeys.forEach(function (sKey) {
+          oTree[sKey] = true;
+        });
+      }
+
+      return {
+        aItems: aItems,
+        oTree: oTree
+      };
+    },
+
+    /**
+     * Parse the $expand system query option.
+     * @param {String=} sExpand The value of $expand, i.e. "manager($select=fullName;$expand=department),directReports"
+     * @return {Object[]} The expand items, each with the navigation property sPath ("*" for all navigation
+     *   properties) and a map oQueryOptions of the nested query options, which may contain $expand again
+     * @throws {Error} A 400 error if the syntax is invalid or a nested query option is not supported
+     */
+    parseExpand: function (sExpand) {
+      return (sExpand ? splitList(sExpand, ",") : []).map(function (sItem) {
+        var aMatches = /^([^(]+?)\s*(?:\((.*)\))?$/.exec(sItem),
+          oQueryOptions = {};
+
+        if (!aMatches || !/^(\*|[A-Za-z_]\w*)$/.test(aMatches[1])) {
+          throw errors.badRequest(
+            "Invalid $expand item " +
+              sItem +
+              ", only navigation properties and * are supported"
+          );
+        }
+        splitList(aMatches[2] || "", ";").forEach(function (sOption) {
+          var iSeparator = sOption.indexOf("="),
+            sName = sOption.slice(0, iSeparator).trim();
+
+          if (iSeparator < 0 || aExpandOptions.indexOf(sName) === -1) {
+            throw errors.badRequest(
+              "Unsupported query option " +
+                sOption +
+                " in $expand item " +
+                sItem
+            );
+          }
+          oQueryOptions[sName] = sOption.slice(iSeparator + 1).trim();
+        });
+
+        return {
+          sPath: aMatches[1],
+          oQueryOptions: oQueryOptions
+        };
+      });
+    },
+
+    /**
+     * Copy the selected properties of an entity.
+     * @param {Object} oEntity The entity
+     * @param {Object|null} oSelection The selection from parseSelect, null to select everything
+     * @return {Object} The projected entity, the entity itself if everything is selected
+     */
+    project: function (oEntity, oSelection) {
+      return oSelection ? projectObject(oEntity, oSelection.oTree) : oEntity;
+    }
+  };
+});
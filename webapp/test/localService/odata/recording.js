@@ -0,0 +1,326 @@
+/**
+ * Recorded traffic of a real service, from a HAR file or from a request log, as the source of a mocked service.
+ *
+ * A request log is an array of entries like {method: "GET", url: "...", requestHeaders: {...}, requestBody: "...",
+ * status: 200, headers: {...}, body: "..."}. The requests of a $batch are split into single requests, so that
+ * they can be matched no matter how the client groups them. The recording yields the metadata, the entities
+ * of all entity sets as merged from the GET responses, and the responses to replay.
+ */
+sap.ui.define(["./batch", "./metadata"], function (batch, metadata) {
+  "use strict";
+
+  // The response headers which are kept, the others depend on the transport, like Content-Length
+  var aKeptHeaders = [
+    "Content-Type",
+    "ETag",
+    "Location",
+    "OData-EntityId",
+    "OData-Version",
+    "Preference-Applied"
+  ];
+
+  /**
+   * Convert HAR headers into a map.
+   * @param {Object[]|Object} vHeaders The headers, an array of {name, value} or a map already
+   * @return {Object} A map of header name to value
+   */
+  function toHeaderMap(vHeaders) {
+    var oHeaders = {};
+
+    if (!Array.isArray(vHeaders)) {
+      return vHeaders || {};
+    }
+    vHeaders.forEach(function (oHeader) {
+      oHeaders[oHeader.name] = oHeader.value;
+    });
+    return oHeaders;
+  }
+
+  /**
+   * Keep only the response headers which the mockserver can send as they are.
+   * @param {Object} oHeaders A map of header name to value
+   * @return {Object} The kept headers, with the names in their usual spelling
+   */
+  function keepHeaders(oHeaders) {
+    var oResult = {};
+
+    aKeptHeaders.forEach(function (sName) {
+      var sValue = batch.getHeader(oHeaders, sName);
+
+      if (sValue !== undefined) {
+        oResult[sName] = sValue;
+      }
+    });
+    return oResult;
+  }
+
+  /**
+   * Get the text of a body.
+   * @param {any} vBody The body, i.e. a string or the JSON object of a request log
+   * @return {String} The text, "" if there is no body
+   */
+  function toText(vBody) {
+    if (vBody === undefined || vBody === null) {
+      return "";
+    }
+    return typeof vBody == "string" ? vBody : JSON.stringify(vBody);
+  }
+
+  /**
+   * Normalize an entry of a HAR file or a request log.
+   * @param {Object} oEntry The entry
+   * @return {Object} The entry with sMethod, sUrl, oRequestHeaders, sRequestBody, iStatus, oHeaders and sBody
+   */
+  function normalizeEntry(oEntry) {
+    var oContent;
+
+    if (oEntry.request && oEntry.response) {
+      // HAR
+      oContent = oEntry.response.content || {};
+      return {
+        sMethod: oEntry.request.method.toUpperCase(),
+        sUrl: oEntry.request.url,
+        oRequestHeaders: toHeaderMap(oEntry.request.headers),
+        sRequestBody: (oEntry.request.postData || {}).text || "",
+        iStatus: oEntry.response.status,
+        oHeaders: toHeaderMap(oEntry.response.headers),
+        sBody:
+          oContent.encoding === "base64"
+            ? window.atob(oContent.text || "")
+            : oContent.text || ""
+      };
+    }
+    return {
+      sMethod: oEntry.method.toUpperCase(),
+      sUrl: oEntry.url,
+      oRequestHeaders: oEntry.requestHeaders || {},
+      sRequestBody: toText(oEntry.requestBody),
+      iStatus: oEntry.status,
+      oHeaders: oEntry.headers || {},
+      sBody: toText(oEntry.body)
+    };
+  }
+
+  /**
+   * Get the URL of a request relative to the service root.
+   * @param {String} sUrl The URL, absolute or relative to the service root
+   * @param {RegExp} rBaseUrl The pattern of the service root
+   * @return {String} The relative URL, i.e. "Person('1')?$select=fullName"
+   */
+  function getRelativeUrl(sUrl, rBaseUrl) {
+    var aMatches = rBaseUrl.exec(sUrl);
+
+    return (aMatches
+      ? sUrl.slice(aMatches.index + aMatches[0].length)
+      : sUrl
+    ).replace(/^\//, "");
+  }
+
+  /**
+   * Split a recorded $batch into its single requests.
+   * @param {Object} oEntry The normalized entry of the $batch
+   * @param {RegExp} rBaseUrl The pattern of the service root
+   * @return {Object[]} The entries of the single requests, with relative URLs; requests without a recorded
+   *   response are left out
+   */
+  function splitBatch(oEntry, rBaseUrl) {
+    var sRequestType = batch.getHeader(oEntry.oRequestHeaders, "Content-Type"),
+      sResponseType = batch.getHeader(oEntry.oHeaders, "Content-Type"),
+      bJson = /^application\/json/i.test(sRequestType || ""),
+      aRequests = (bJson
+        ? batch.parseJson(oEntry.sRequestBody)
+        : batch.parse(oEntry.sRequestBody, sRequestType)
+      ).reduce(function (aAll, oItem) {
+        return aAll.concat(oItem.aRequests);
+      }, []),
+      aResponses = bJson
+        ? batch.parseJsonResponse(oEntry.sBody)
+        : batch.parseResponse(oEntry.sBody, sResponseType),
+      aEntries = [];
+
+    aRequests.forEach(function (oRequest, i) {
+      // JSON responses belong to the request with the same id; a failed change set has only one response,
+      // so the multipart responses after it cannot be assigned
+      var oResponse = bJson
+        ? aResponses.filter(function (oCandidate) {
+            return oCandidate.sContentId === oRequest.sContentId;
+          })[0]
+        : aRequests.length === aResponses.length && aResponses[i];
+
+      if (oResponse) {
+        aEntries.push({
+          sMethod: oRequest.sMethod,
+          sUrl: getRelativeUrl(oRequest.sUrl, rBaseUrl),
+          oRequestHeaders: oRequest.oHeaders,
+          sRequestBody: oRequest.sBody || "",
+          iStatus: oResponse.iStatus,
+          oHeaders: keepHeaders(oResponse.oHeaders),
+          sBody: oResponse.sBody
+        });
+      }
+    });
+
+    return aEntries;
+  }
+
+  /**
+   * Add an entity to the entities of an entity set, merging it with a previous one with the same key, and
+   * collect the entities expanded into it in the entity sets of their navigation property bindings.
+   * Instance annotations like "@odata.etag" are dropped.
+   * @param {Object} oMetadata The parsed metadata
+   * @param {Object} oEntitySets A map of entity set name to the map of key to entity, extended
+   * @param {String} sEntitySetName The name of the entity set
+   * @param {Object} oEntity The recorded entity
+   */
+  function addEntity(oMetadata, oEntitySets, sEntitySetName, oEntity) {
+    var oEntityType = metadata.getEntityType(oMetadata, sEntitySetName),
+      oNavigations = metadata.getNavigations(oMetadata, sEntitySetName),
+      oEntities = oEntitySets[sEntitySetName] || {},
+      oData = {},
+      sKey;
+
+    Object.keys(oEntity).forEach(function (sName) {
+      var vValue = oEntity[sName],
+        oNavigation = oNavigations[sName];
+
+      if (sName.indexOf("@") >= 0) {
+        return;
+      }
+      if (oEntityType.oNavigationProperties[sName]) {
+        if (oNavigation && vValue) {
+          (Array.isArray(vValue) ? vValue : [vValue]).forEach(function (
+            oTarget
+          ) {
+            addEntity(oMetadata, oEntitySets, oNavigation.sEntityName, oTarget);
+          });
+        }
+        return;
+      }
+      oData[sName] = vValue;
+    });
+    sKey = JSON.stringify(
+      oEntityType.aKeys.map(function (sName) {
+        return oData[sName];
+      })
+    );
+    oEntities[sKey] = Object.assign(oEntities[sKey] || {}, oData);
+    oEntitySets[sEntitySetName] = oEntities;
+  }
+
+  return {
+    /**
+     * Get the URL of a request relative to the service root, see getRelativeUrl.
+     * @param {String} sUrl The URL, absolute or relative to the service root
+     * @param {RegExp} rBaseUrl The pattern of the service root
+     * @return {String} The relative URL
+     */
+    getRelativeUrl: getRelativeUrl,
+
+    /**
+     * Get the recorded requests of a service, with the requests of each $batch as single entries.
+     * @param {Object|Object[]} vRecording The HAR object, or the request log
+     * @param {RegExp} rBaseUrl The pattern of the service root, requests to other URLs are ignored
+     * @return {Object[]} The entries in the recorded order, each with sMethod, sUrl relative to the
+     *   service root, oRequestHeaders, sRequestBody, iStatus, oHeaders and sBody
+     */
+    getEntries: function (vRecording, rBaseUrl) {
+      var aEntries = Array.isArray(vRecording)
+        ? vRecording
+        : (vRecording.log && vRecording.log.entries) || [];
+
+      return aEntries
+        .map(normalizeEntry)
+        .filter(function (oEntry) {
+          return rBaseUrl.test(oEntry.sUrl);
+        })
+        .reduce(function (aResult, oEntry) {
+          if (
+            oEntry.sMethod === "POST" &&
+            /\/\$batch(\?|$)/.test(oEntry.sUrl)
+          ) {
+            return aResult.concat(splitBatch(oEntry, rBaseUrl));
+          }
+          oEntry.sUrl = getRelativeUrl(oEntry.sUrl, rBaseUrl);
+          oEntry.oHeaders = keepHeaders(oEntry.oHeaders);
+          aResult.push(oEntry);
+          return aResult;
+        }, []);
+    },
+
+    /**
+     * Get the recorded metadata document.
+     * @param {Object[]} aEntries The recorded entries, see getEntries
+     * @return {String|undefined} The metadata document, undefined if it was not recorded
+     */
+    getMetadata: function (aEntries) {
+      var oEntry = aEntries.filter(function (oCandidate) {
+        return (
+          oCandidate.sMethod === "GET" &&
+          /^\$metadata(\?|$)/.test(oCandidate.sUrl) &&
+          oCandidate.iStatus === 200
+        );
+      })[0];
+
+      return oEntry && oEntry.sBody;
+    },
+
+    /**
+     * Get the entities of all entity sets, merged from the successful GET responses for entity sets and
+     * single entities, i.e. "Person?$expand=manager" or "Person('1')". The properties of entities with the
+     * same key are merged, so different $select lists complement each other.
+     * @param {Object[]} aEntries The recorded entries, see getEntries
+     * @param {Object} oMetadata The parsed metadata
+     * @param {Function} [fnParseEntity] For OData V2, converts a recorded entity with the name of its entity
+     *   set into the form of the mock data; the responses then have the "d" envelope, collections with
+     *   their "results"
+     * @return {Object} A map of entity set name to the array of entities
+     */
+    getEntities: function (aEntries, oMetadata, fnParseEntity) {
+      var oEntitySets = {},
+        oResult = {};
+
+      aEntries.forEach(function (oEntry) {
+        var aMatches = /^([^(/?]+)(\([^/?]*\))?(\?|$)/.exec(oEntry.sUrl),
+          aEntities,
+          oBody;
+
+        if (
+          oEntry.sMethod !== "GET" ||
+          oEntry.iStatus !== 200 ||
+          !aMatches ||
+          !metadata.getEntityType(oMetadata, aMatches[1])
+        ) {
+          return;
+        }
+        try {
+          oBody = JSON.parse(oEntry.sBody);
+        } catch (oError) {
+          return;
+        }
+        if (fnParseEntity) {
+          oBody = (oBody && oBody.d) || {};
+          aEntities = aMatches[2] ? [oBody] : oBody.results || oBody;
+          aEntities = (Array.isArray(aEntities) ? aEntities : []).map(function (
+            oEntity
+          ) {
+            return fnParseEntity(oEntity, aMatches[1]);
+          });
+        } else {
+          aEntities = aMatches[2] ? [oBody] : oBody.value || [];
+        }
+        aEntities.forEach(function (oEntity) {
+          addEntity(oMetadata, oEntitySets, aMatches[1], oEntity);
+        });
+      });
+      Object.keys(oEntitySets).forEach(function (sEntitySetName) {
+        var oEntities = oEntitySets[sEntitySetName];
+
+        oResult[sEntitySetName] = Object.keys(oEntities).map(function (sKey) {
+          return oEntities[sKey];
+        });
+      });
+
+      return oResult;
+    }
+  };
+});
@@ -0,0 +1,154 @@
+/**
+ * Parsing of the resource path of a request URL, i.e. "Person('1')/manager/fullName/$value", into segments,
+ * and of the key predicates within it, i.e. "(orderId='1',itemNo=10)".
+ * The segments are resolved against the mocks by the mockserver itself.
+ */
+sap.ui.define(
+  ["./errors", "./expression", "./queryOptions", "./types"],
+  function (errors, expression, queryOptions, types) {
+    "use strict";
+
+    var rSegment = /^([^(]+)(?:\((.*)\))?$/,
+      rNamedKey = /^([A-Za-z_]\w*)\s*=\s*(.*)$/;
+
+    return {
+      /**
+       * Get the resource path of a request URL, relative to the service root.
+       * @param {String} sUrl The request URL, i.e. "/odata/v4/Sample.svc/Person('1')/manager?$select=fullName"
+       * @param {RegExp} rBaseUrl The regular expression which matches the service root in the URL
+       * @return {String} The decoded resource path, i.e. "Person('1')/manager"
+       */
+      getPath: function (sUrl, rBaseUrl) {
+        var sPath = sUrl.split("?")[0].split("#")[0],
+          aMatches = rBaseUrl.exec(sPath);
+
+        if (aMatches) {
+          sPath = sPath.slice(aMatches.index + aMatches[0].length);
+        }
+        return decodeURIComponent(sPath.replace(/^\//, ""));
+      },
+
+      /**
+       * Parse a resource path into its segments.
+       * @param {String} sPath The decoded resource path, i.e. "Person('1')/directReports"
+       * @return {Object[]} The segments, each with the sName and the sPredicate within the parentheses,
+       *   i.e. [{sName: "Person", sPredicate: "'1'"}, {sName: "directReports", sPredicate: undefined}]
+       * @throws {Error} A 400 error if a segment is invalid
+       */
+      parse: function (sPath) {
+        return queryOptions.splitList(sPath, "/").map(function (sSegment) {
+          var aMatches = rSegment.exec(sSegment);
+
+          if (!aMatches) {
+            throw errors.badRequest(
+              "Invalid segment " + sSegment + " in resource path " + sPath
+            );
+          }
+          return {
+            sName: aMatches[1].trim(),
+            sPredicate: aMatches[2]
+          };
+        });
+      },
+
+      /**
+       * Parse a key predicate. A single key property may be given without its name, i.e. "('1')" or "(42)".
+       * @param {String} sPredicate The key predicate without the parentheses, i.e. "orderId='1',itemNo=10"
+       * @param {Object[]} aKeyProperties The key properties, each with sName and the EDM sType if known
+       * @param {Object} oContext The context for the literals, see expression.parse
+       * @return {Object} A map of key property name to the normalized value
+       * @throws {Error} A 400 error if the key predicate does not match the key properties
+       */
+      parseKeyPredicate: function (sPredicate, aKeyProperties, oContext) {
+        var aParts = queryOptions.splitList(sPredicate, ","),
+          oKey = {};
+
+        function invalid(sReason) {
+          return errors.badRequest(
+            "Invalid key predicate (" + sPredicate + "): " + sReason
+          );
+        }
+
+        aParts.forEach(function (sPart) {
+          var aMatches = rNamedKey.exec(sPart),
+            sName = aMatches ? aMatches[1] : aKeyProperties[0].sName,
+            oProperty = aKeyProperties.filter(function (oKeyProperty) {
+              return oKeyProperty.sName === sName;
+            })[0],
+            vValue;
+
+          if (!aMatches && aParts.length > 1) {
+            throw invalid("the key properties must be named");
+          }
+          if (!oProperty) {
+            throw invalid(sName + " is not a key property");
+          }
+          if (oKey.hasOwnProperty(sName)) {
+            throw invalid(sName + " is given twice");
+          }
+          vValue = expression.parseLiteral(
+            aMatches ? aMatches[2] : sPart,
+            oContext,
+            oProperty.sType
+          );
+          if (vValue === null) {
+            throw invalid(sName + " must not be null");
+          }
+          oKey[sName] = vValue;
+        });
+        aKeyProperties.forEach(function (oKeyProperty) {
+          if (!oKey.hasOwnProperty(oKeyProperty.sName)) {
+            throw invalid(
+              "the key property " + oKeyProperty.sName + " is missing"
+            );
+          }
+        });
+
+        return oKey;
+      },
+
+      /**
+       * Format the key predicate of an entity, like the real service does in URLs.
+       * @param {Object} oEntity The entity, or a map of key property name to value
+       * @param {Object[]} aKeyProperties The key properties, each with sName and the EDM sType if known
+       * @param {Function} [fnFormatLiteral=types.formatLiteral] Formats a value with its EDM type as literal,
+       *   i.e. the one for OData V2
+       * @return {String} The key predicate, i.e. "('1')" or "(orderId='1',itemNo=10)"
+       */
+      formatKeyPredicate: function (oEntity, aKeyProperties, fnFormatLiteral) {
+        fnFormatLiteral = fnFormatLiteral || types.formatLiteral;
+        return (
+          "(" +
+          aKeyProperties
+            .map(function (oKeyProperty) {
+              var sLiteral = encodeURIComponent(
+                fnFormatLiteral(oEntity[oKeyProperty.sName], oKeyProperty.sType)
+              );
+              return aKeyProperties.length > 1
+                ? oKeyProperty.sName + "=" + sLiteral
+                : sLiteral;
+            })
+            .join(",") +
+          ")"
+        );
+      },
+
+      /**
+       * Check whether an entity has the given key.
+       * @param {Object} oEntity The entity
+       * @param {Object} oKey The key, a map of key property name to value, i.e. from parseKeyPredicate
+       * @param {Object[]} aKeyProperties The key properties, each with sName and the EDM sType if known
+       * @return {Boolean} True if all key properties are equal
+       */
+      matchesKey: function (oEntity, oKey, aKeyProperties) {
+        return aKeyProperties.every(function (oKeyProperty) {
+          return types.isEqual(
+            oEntity[oKeyProperty.sName],
+            oKey[oKeyProperty.sName],
+            oKeyProperty.sType
+          );
+        });
+      }
+    };
+  }
+);
@@ -0,0 +1,141 @@
+/**
+ * Scenario rules for latency and fault injection, so that busy indicators, retries and error dialogs can be
+ * tested on purpose.
+ *
+ * A rule matches a request by its sMethod, by a regular expression rUrl for the URL, and by sEntitySet, the
+ * first segment of the resource path, i.e. "Person" for "Person('1')/manager" or "$batch". Criteria which are
+ * not given match any request, and with iNthCall a rule applies only to the Nth request it matches. A rule
+ * which applies can
+ * - add a delay of iDelayMS, or a random one between iDelayMS and iMaxDelayMS,
+ * - answer with the status iStatus and an error with sMessage, or with the error object oError as body,
+ * - drop the response with bDrop, so that the request runs into a timeout.
+ *
+ * A scenario is a named list of rules, several scenarios can be active at the same time. Rules with other
+ * keys are rejected when they are added, so that a typo does not turn a rule into one which matches any request.
+ */
+sap.ui.define([], function () {
+  "use strict";
+
+  // The keys of a rule, iCalls is counted by apply
+  var aKeys = [
+    "sMethod",
+    "rUrl",
+    "sEntitySet",
+    "iNthCall",
+    "iDelayMS",
+    "iMaxDelayMS",
+    "iStatus",
+    "sMessage",
+    "oError",
+    "bDrop",
+    "iCalls"
+  ];
+
+  /**
+   * Check whether a rule matches a request.
+   * @param {Object} oRule The rule
+   * @param {Object} oRequest The request with sMethod, sUrl and sEntitySet
+   * @return {Boolean} True if all criteria of the rule match
+   */
+  function matches(oRule, oRequest) {
+    return (
+      (!oRule.sMethod || oRule.sMethod.toUpperCase() === oRequest.sMethod) &&
+      (!oRule.rUrl || oRule.rUrl.test(oRequest.sUrl)) &&
+      (!oRule.sEntitySet || oRule.sEntitySet === oRequest.sEntitySet)
+    );
+  }
+
+  /**
+   * Copy rules, so that their calls are counted from the start.
+   * @param {Object[]} aRules The rules
+   * @return {Object[]} The copies
+   * @throws {Error} If a rule has an unknown key or rUrl is no regular expression
+   */
+  function copyRules(aRules) {
+    return aRules.map(function (oRule) {
+      Object.keys(oRule).forEach(function (sKey) {
+        if (aKeys.indexOf(sKey) < 0) {
+          throw new Error(
+            "Unknown key " +
+              sKey +
+              " in mock scenario rule, the keys are " +
+              aKeys.slice(0, -1).join()
+          );
+        }
+      });
+      if (oRule.rUrl && !(oRule.rUrl instanceof RegExp)) {
+        throw new Error(
+          "rUrl of a mock scenario rule must be a regular expression"
+        );
+      }
+      return Object.assign({}, oRule, { iCalls: 0 });
+    });
+  }
+
+  return {
+    /**
+     * Copy rules, i.e. the rules given by a test, so that their calls are counted from the start.
+     * @param {Object[]} aRules The rules
+     * @return {Object[]} The copies
+     * @throws {Error} If a rule has an unknown key or rUrl is no regular expression
+     */
+    copyRules: copyRules,
+
+    /**
+     * Get the rules of scenarios. Each rule is copied, so that its calls are counted from the start.
+     * @param {Object} oScenarios A map of scenario name to its list of rules
+     * @param {String} sNames The names of the scenarios, separated by commas, i.e. "slow-network,flaky-saves"
+     * @return {Object[]} The rules of all given scenarios
+     * @throws {Error} If a scenario is unknown or one of its rules has an unknown key
+     */
+    getRules: function (oScenarios, sNames) {
+      return sNames.split(",").reduce(function (aRules, sName) {
+        sName = sName.trim();
+        if (!sName) {
+          return aRules;
+        }
+        if (!oScenarios.hasOwnProperty(sName)) {
+          throw new Error("Unknown mock scenario " + sName);
+        }
+        return aRules.concat(copyRules(oScenarios[sName]));
+      }, []);
+    },
+
+    /**
+     * Apply the rules to a request. The delays of all rules which apply are added to the outcome, and it is
+     * dropped if one of them drops it.
+     * @param {Object[]} aRules The active rules, their calls are counted
+     * @param {Object} oRequest The request
+     * @param {String} oRequest.sMethod The HTTP method
+     * @param {String} oRequest.sUrl The URL
+     * @param {String} oRequest.sEntitySet The first segment of the resource path
+     * @param {Object} oOutcome The outcome of the request, with the iDelayMS and bDrop so far
+     * @return {Object|undefined} The first rule which applies and gives an iStatus, if any
+     */
+    apply: function (aRules, oRequest, oOutcome) {
+      var oErrorRule;
+
+      aRules.forEach(function (oRule) {
+        if (!matches(oRule, oRequest)) {
+          return;
+        }
+        oRule.iCalls = (oRule.iCalls || 0) + 1;
+        if (oRule.iNthCall && oRule.iNthCall !== oRule.iCalls) {
+          return;
+        }
+        oOutcome.iDelayMS += oRule.iDelayMS || 0;
+        if (oRule.iMaxDelayMS > (oRule.iDelayMS || 0)) {
+          oOutcome.iDelayMS += Math.round(
+            Math.random() * (oRule.iMaxDelayMS - (oRule.iDelayMS || 0))
+          );
+        }
+        oOutcome.bDrop = oOutcome.bDrop || !!oRule.bDrop;
+        if (oRule.iStatus && !oErrorRule) {
+          oErrorRule = oRule;
+        }
+      });
+
+      return oErrorRule;
+    }
+  };
+});
@@ -0,0 +1,225 @@
+/**
+ * Parser and evaluator for the $search system query option.
+ *
+ * A search expression consists of search words and "search phrases", combined with AND, OR, NOT and
+ * parentheses; adjacent terms are combined with AND. A term matches an entity if one of the entity's
+ * searchable texts contains it, ignoring the case.
+ */
+sap.ui.define(["./errors"], function (errors) {
+  "use strict";
+
+  var aOperators = ["AND", "OR", "NOT"];
+
+  /**
+   * Create the error for an invalid search expression.
+   * @param {String} sText The search expression
+   * @param {Integer} iPosition The position of the error
+   * @param {String} sReason The reason
+   * @return {Error} A 400 error
+   */
+  function syntaxError(sText, iPosition, sReason) {
+    return errors.badRequest(
+      "Invalid $search expression '" +
+        sText +
+        "' at position " +
+        (iPosition + 1) +
+        ": " +
+        sReason
+    );
+  }
+
+  /**
+   * Split a search expression into tokens.
+   * @param {String} sText The search expression
+   * @return {Object[]} The tokens, each with sKind ("(", ")", "term", "AND", "OR", "NOT" or "eof"),
+   *   the sValue of a term and the iPosition
+   */
+  function tokenize(sText) {
+    var aTokens = [],
+      iPosition = 0,
+      aMatches,
+      sRest,
+      sValue;
+
+    while (iPosition < sText.length) {
+      sRest = sText.slice(iPosition);
+      if ((aMatches = /^\s+/.exec(sRest))) {
+        iPosition += aMatches[0].length;
+        continue;
+      }
+      if (sRest[0] === "(" || sRest[0] === ")") {
+        aTokens.push({ sKind: sRest[0], iPosition: iPosition });
+        iPosition += 1;
+        continue;
+      }
+      if (sRest[0] === '"') {
+        aMatches = /^"((?:[^"\\]|\\.)*)"/.exec(sRest);
+        if (!aMatches) {
+          throw syntaxError(sText, iPosition, "unterminated search phrase");
+        }
+        sValue = aMatches[1].replace(/\\(.)/g, "$1");
+        if (!sValue.trim()) {
+          throw syntaxError(sText, iPosition, "empty search phrase");
+        }
+        aTokens.push({ sKind: "term", sValue: sValue, iPosition: iPosition });
+        iPosition += aMatches[0].length;
+        continue;
+      }
+      aMatches = /^[^\s()"]+/.exec(sRest);
+      aTokens.push(
+        aOperators.indexOf(aMatches[0]) !== -1
+          ? { sKind: aMatches[0], iPosition: iPosition }
+          : { sKind: "term", sValue: aMatches[0], iPosition: iPosition }
+      );
+      iPosition += aMatches[0].length;
+    }
+    aTokens.push({ sKind: "eof", iPosition: iPosition });
+
+    return aTokens;
+  }
+
+  /**
+   * Parse the search expression with the lowest precedence, terms combined with OR.
+   * @param {Object} oState The parser state with the sText and the aTokens, and the current iIndex
+   * @return {Object} The node
+   */
+  function parseOr(oState) {
+    var oNode = parseAnd(oState);
+
+    while (oState.aTokens[oState.iIndex].sKind === "OR") {
+      oState.iIndex += 1;
+      oNode = { sKind: "or", oLeft: oNode, oRight: parseAnd(oState) };
+    }
+    return oNode;
+  }
+
+  /**
+   * Parse terms combined with AND, either explicitly or just by following each other.
+   * @param {Object} oState The parser state
+   * @return {Object} The node
+   */
+  function parseAnd(oState) {
+    var oNode = parseNot(oState),
+      sKind;
+
+    for (;;) {
+      sKind = oState.aTokens[oState.iIndex].sKind;
+      if (sKind === "AND") {
+        oState.iIndex += 1;
+      } else if (sKind !== "term" && sKind !== "NOT" && sKind !== "(") {
+        return oNode;
+      }
+      oNode = { sKind: "and", oLeft: oNode, oRight: parseNot(oState) };
+    }
+  }
+
+  /**
+   * Parse a term which may be negated with NOT.
+   * @param {Object} oState The parser state
+   * @return {Object} The node
+   */
+  function parseNot(oState) {
+    if (oState.aTokens[oState.iIndex].sKind === "NOT") {
+      oState.iIndex += 1;
+      return { sKind: "not", oOperand: parsePrimary(oState) };
+    }
+    return parsePrimary(oState);
+  }
+
+  /**
+   * Parse a search word, a search phrase or an expression in parentheses.
+   * @param {Object} oState The parser state
+   * @return {Object} The node
+   */
+  function parsePrimary(oState) {
+    var oToken = oState.aTokens[oState.iIndex],
+      oNode;
+
+    oState.iIndex += 1;
+    switch (oToken.sKind) {
+      case "term":
+        return { sKind: "term", sValue: oToken.sValue.toLowerCase() };
+      case "(":
+        oNode = parseOr(oState);
+        oToken = oState.aTokens[oState.iIndex];
+        if (oToken.sKind !== ")") {
+          throw syntaxError(oState.sText, oToken.iPosition, "')' expected");
+        }
+        oState.iIndex += 1;
+        return oNode;
+      default:
+        throw syntaxError(
+          oState.sText,
+          oToken.iPosition,
+          oToken.sKind === "eof"
+            ? "unexpected end of expression"
+            : "unexpected '" + oToken.sKind + "'"
+        );
+    }
+  }
+
+  /**
+   * Compile a node into a function which checks the lower case texts of an entity.
+   * @param {Object} oNode The node
+   * @return {Function} A function returning true if the texts match
+   */
+  function compile(oNode) {
+    var fnLeft, fnRight, fnOperand;
+
+    switch (oNode.sKind) {
+      case "term":
+        return function (aTexts) {
+          return aTexts.some(function (sText) {
+            return sText.indexOf(oNode.sValue) !== -1;
+          });
+        };
+      case "not":
+        fnOperand = compile(oNode.oOperand);
+        return function (aTexts) {
+          return !fnOperand(aTexts);
+        };
+      default:
+        fnLeft = compile(oNode.oLeft);
+        fnRight = compile(oNode.oRight);
+        return oNode.sKind === "and"
+          ? function (aTexts) {
+              return fnLeft(aTexts) && fnRight(aTexts);
+            }
+          : function (aTexts) {
+              return fnLeft(aTexts) || fnRight(aTexts);
+            };
+    }
+  }
+
+  return {
+    /**
+     * Parse a $search expression and compile it into a predicate.
+     * @param {String} sSearch The search expression, i.e. 'engineer AND NOT "John Doe"'
+     * @return {Function} A function which gets the searchable texts of an entity and returns true if the
+     *   entity matches
+     * @throws {Error} A 400 error if the search expression is invalid
+     */
+    compileSearch: function (sSearch) {
+      var oState = {
+          sText: sSearch,
+          aTokens: tokenize(sSearch),
+          iIndex: 0
+        },
+        oNode = parseOr(oState),
+        oToken = oState.aTokens[oState.iIndex],
+        fnMatch;
+
+      if (oToken.sKind !== "eof") {
+        throw syntaxError(sSearch, oToken.iPosition, "unexpected ')'");
+      }
+      fnMatch = compile(oNode);
+      return function (aTexts) {
+        return fnMatch(
+          aTexts.map(function (sText) {
+            return sText.toLowerCase();
+          })
+        );
+      };
+    }
+  };
+});
@@ -0,0 +1,253 @@
+/**
+ * The entities of an entity set, indexed so that key lookups and navigation take the same time for large mock
+ * data sets as for small ones. A new $filter or $orderby still scans all entities, only repeating a query
+ * takes the same time, because its result is cached.
+ *
+ * A store keeps the array of entities which is the mock data of the entity set. It indexes the entities by
+ * key, and by other properties, i.e. the foreign keys of navigation properties, as soon as they are looked up
+ * by them. Each change of the data yields a new version, and the results of queries are cached per version,
+ * so that paging through a large filtered and sorted collection computes it only once.
+ *
+ * The request handling adds, removes and updates entities via the store. Changes made elsewhere, i.e. by the
+ * mock handler of an action, are detected if the number of entities changes, and are announced otherwise
+ * with invalidate.
+ */
+sap.ui.define(["./types"], function (types) {
+  "use strict";
+
+  var iMaxCachedResults = 10;
+
+  /**
+   * Get the index key of the values of some properties.
+   * @param {Object} oValues The entity, or another object with the values
+   * @param {Object[]} aProperties The indexed properties, each with the sName and the EDM sType if known
+   * @param {String[]} [aNames] The names of the values in oValues, by default the names of the properties
+   * @return {String|undefined} The index key, undefined if a value is null, which matches no entity
+   */
+  function getIndexKey(oValues, aProperties, aNames) {
+    var aKey = [],
+      i,
+      vValue;
+
+    for (i = 0; i < aProperties.length; i++) {
+      vValue = types.normalize(
+        oValues[aNames ? aNames[i] : aProperties[i].sName],
+        aProperties[i].sType
+      );
+      if (vValue === null) {
+        return undefined;
+      }
+      aKey.push(vValue instanceof Date ? vValue.getTime() : String(vValue));
+    }
+    return JSON.stringify(aKey);
+  }
+
+  return {
+    /**
+     * Create the store of an entity set.
+     * @param {Object[]} aEntities The entities; the array is kept, and changed by add and remove
+     * @param {Object[]} aKeyProperties The key properties, each with the sName and the EDM sType if known
+     * @return {Object} The store
+     */
+    create: function (aEntities, aKeyProperties) {
+      var oKeyIndex, // a map of index key to entity, undefined if it needs to be built
+        oKeys, // a map of entity to its index key
+        oIndexes = {}, // a map of the property names to the index by these properties
+        iIndexedLength,
+        iVersion = 0,
+        aCachedResults = [];
+
+      /**
+       * Drop all indexes and cached results, they are built again when needed.
+       */
+      function invalidate() {
+        oKeyIndex = undefined;
+        oIndexes = {};
+        iVersion += 1;
+      }
+
+      /**
+       * Build the key index, if needed. If entities have been added or removed without the store, all
+       * indexes are dropped first.
+       */
+      function checkIndex() {
+        if (aEntities.length !== iIndexedLength) {
+          invalidate();
+        }
+        if (oKeyIndex) {
+          return;
+        }
+        oKeyIndex = {};
+        oKeys = new Map();
+        aEntities.forEach(function (oEntity) {
+          var sKey = getIndexKey(oEntity, aKeyProperties);
+
+          // With duplicate keys the first entity wins, like for a search in the array
+          if (sKey !== undefined && !oKeyIndex.hasOwnProperty(sKey)) {
+            oKeyIndex[sKey] = oEntity;
+          }
+          oKeys.set(oEntity, sKey);
+        });
+        iIndexedLength = aEntities.length;
+      }
+
+      return {
+        /**
+         * Get the entities.
+         * @return {Object[]} The array of entities, not to be changed
+         */
+        getEntities: function () {
+          return aEntities;
+        },
+
+        /**
+         * Get the entity with the given key.
+         * @param {Object} oKey The key values, i.e. parsed from a key predicate, or another entity
+         * @return {Object|undefined} The entity, undefined if there is none
+         */
+        getByKey: function (oKey) {
+          var sKey = getIndexKey(oKey, aKeyProperties);
+
+          checkIndex();
+          return sKey === undefined || !oKeyIndex.hasOwnProperty(sKey)
+            ? undefined
+            : oKeyIndex[sKey];
+        },
+
+        /**
+         * Get the entities with the given values of some properties, i.e. the entities related to another
+         * entity by a foreign key.
+         * @param {Object[]} aProperties The properties, each with the sName and the EDM sType if known
+         * @param {Object} oValues The object with the values, i.e. the other entity
+         * @param {String[]} aNames The names of the values in oValues, in the order of aProperties
+         * @return {Object[]} The entities in their order in the store, not to be changed
+         */
+        getByValues: function (aProperties, oValues, aNames) {
+          var sSignature = JSON.stringify(
+              aProperties.map(function (oProperty) {
+                return oProperty.sName;
+              })
+            ),
+            oIndex,
+            sKey = getIndexKey(oValues, aProperties, aNames);
+
+          checkIndex();
+          if (sKey === undefined) {
+            return [];
+          }
+          oIndex = oIndexes[sSignature];
+          if (!oIndex) {
+            oIndex = oIndexes[sSignature] = {};
+            aEntities.forEach(function (oEntity) {
+              var sEntityKey = getIndexKey(oEntity, aProperties);
+
+              if (sEntityKey !== undefined) {
+                (oIndex[sEntityKey] = oIndex[sEntityKey] || []).push(oEntity);
+              }
+            });
+          }
+          return oIndex.hasOwnProperty(sKey) ? oIndex[sKey] : [];
+        },
+
+        /**
+         * Add an entity.
+         * @param {Object} oEntity The entity
+         */
+        add: function (oEntity) {
+          var sKey = getIndexKey(oEntity, aKeyProperties);
+
+          checkIndex();
+          aEntities.push(oEntity);
+          if (sKey !== undefined && !oKeyIndex.hasOwnProperty(sKey)) {
+            oKeyIndex[sKey] = oEntity;
+          }
+          oKeys.set(oEntity, sKey);
+          iIndexedLength = aEntities.length;
+          oIndexes = {};
+          iVersion += 1;
+        },
+
+        /**
+         * Remove an entity.
+         * @param {Object} oEntity The entity
+         */
+        remove: function (oEntity) {
+          var iIndex = aEntities.indexOf(oEntity);
+
+          if (iIndex >= 0) {
+            aEntities.splice(iIndex, 1);
+            // Another entity with the same key may have been hidden by this one
+            invalidate();
+          }
+        },
+
+        /**
+         * Announce that an entity has been changed, so that it is indexed with its new values. Entities which
+         * have not been added yet are ignored.
+         * @param {Object} oEntity The entity
+         */
+        update: function (oEntity) {
+          var sOldKey, sKey;
+
+          checkIndex();
+          if (!oKeys.has(oEntity)) {
+            return;
+          }
+          sOldKey = oKeys.get(oEntity);
+          sKey = getIndexKey(oEntity, aKeyProperties);
+          if (sOldKey !== sKey) {
+            if (oKeyIndex[sOldKey] === oEntity) {
+              delete oKeyIndex[sOldKey];
+            }
+            if (sKey !== undefined && !oKeyIndex.hasOwnProperty(sKey)) {
+              oKeyIndex[sKey] = oEntity;
+            }
+            oKeys.set(oEntity, sKey);
+          }
+          oIndexes = {};
+          iVersion += 1;
+        },
+
+        /**
+         * Announce that the entities have been changed without the store.
+         */
+        invalidate: invalidate,
+
+        /**
+         * Get the result of a query, computed only once as long as the entities are not changed.
+         * @param {String} sQuery The query, i.e. the query options which determine the result
+         * @param {Function} fnCompute Computes the result if it is not cached
+         * @return {any} The result, not to be changed
+         */
+        getCachedResult: function (sQuery, fnCompute) {
+          var oCached;
+
+          checkIndex();
+          aCachedResults = aCachedResults.filter(function (oResult) {
+            if (oResult.iVersion !== iVersion) {
+              return false;
+            }
+            if (oResult.sQuery === sQuery) {
+              oCached = oResult;
+              return false;
+            }
+            return true;
+          });
+          if (!oCached) {
+            oCached = {
+              sQuery: sQuery,
+              iVersion: iVersion,
+              vResult: fnCompute()
+            };
+          }
+          // The most recently used result is the last one
+          aCachedResults.push(oCached);
+          if (aCachedResults.length > iMaxCachedResults) {
+            aCachedResults.shift();
+          }
+          return oCached.vResult;
+        }
+      };
+    }
+  };
+});
@@ -0,0 +1,190 @@
+/**
+ * Knowledge about the EDM primitive types, used to compare and convert the values found in the mock data
+ * according to the types declared in the metadata.
+ *
+ * Values are normalized before they are compared:
+ * - numeric types become numbers, even if they are written as strings (i.e. Edm.Int64 or Edm.Decimal)
+ * - Edm.DateTimeOffset becomes a Date, like Edm.DateTime of OData V2, which is in UTC if it has no offset
+ * - Edm.TimeOfDay, Edm.Duration and Edm.Time of OData V2 become a number of milliseconds
+ * - Edm.Guid becomes a lower case string
+ * - everything else is kept as it is
+ */
+sap.ui.define([], function () {
+  "use strict";
+
+  var oCategories = {
+      "Edm.String": "String",
+      "Edm.Boolean": "Boolean",
+      "Edm.Byte": "Number",
+      "Edm.SByte": "Number",
+      "Edm.Int16": "Number",
+      "Edm.Int32": "Number",
+      "Edm.Int64": "Number",
+      "Edm.Decimal": "Number",
+      "Edm.Double": "Number",
+      "Edm.Single": "Number",
+      "Edm.DateTimeOffset": "DateTimeOffset",
+      "Edm.DateTime": "DateTimeOffset",
+      "Edm.Date": "Date",
+      "Edm.TimeOfDay": "TimeOfDay",
+      "Edm.Duration": "Duration",
+      "Edm.Time": "Duration",
+      "Edm.Guid": "Guid",
+      "Edm.Binary": "Binary"
+    },
+    rDuration = /^(-)?P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/,
+    rTimeOfDay = /^(\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/,
+    rOffset = /(?:Z|[+-]\d{2}:\d{2})$/i;
+
+  /**
+   * Parse an ISO 8601 duration like "P1DT2H" into milliseconds.
+   * @param {String} sDuration The duration
+   * @return {Number} The milliseconds, or NaN if the duration is invalid
+   */
+  function parseDuration(sDuration) {
+    var aMatches = rDuration.exec(sDuration),
+      iMilliseconds;
+    if (!aMatches) {
+      return NaN;
+    }
+    iMilliseconds =
+      (parseInt(aMatches[2] || 0, 10) * 86400 +
+        parseInt(aMatches[3] || 0, 10) * 3600 +
+        parseInt(aMatches[4] || 0, 10) * 60 +
+        parseFloat(aMatches[5] || 0)) *
+      1000;
+    return aMatches[1] ? -iMilliseconds : iMilliseconds;
+  }
+
+  /**
+   * Parse a time of day like "13:45:00.5" into milliseconds since midnight.
+   * @param {String} sTime The time of day
+   * @return {Number} The milliseconds, or NaN if the time is invalid
+   */
+  function parseTimeOfDay(sTime) {
+    var aMatches = rTimeOfDay.exec(sTime);
+    if (!aMatches) {
+      return NaN;
+    }
+    return (
+      (parseInt(aMatches[1], 10) * 3600 +
+        parseInt(aMatches[2], 10) * 60 +
+        parseFloat(aMatches[3] || 0)) *
+      1000
+    );
+  }
+
+  return {
+    parseDuration: parseDuration,
+    parseTimeOfDay: parseTimeOfDay,
+
+    /**
+     * Get the category of an EDM primitive type. Types within the same category can be compared
+     * with each other, i.e. all numeric types are in the category "Number".
+     * @param {String} sType The qualified type name, i.e. "Edm.Int32"
+     * @return {String|undefined} The category, undefined if the type is not a known primitive type
+     */
+    getCategory: function (sType) {
+      return oCategories[sType];
+    },
+
+    /**
+     * Normalize a value from the mock data, so that it can be compared with other values of the same type.
+     * @param {any} vValue The value as found in the JSON data
+     * @param {String=} sType The EDM type of the value, if unknown the value is returned as it is
+     * @return {any} The normalized value
+     */
+    normalize: function (vValue, sType) {
+      if (vValue === null || vValue === undefined) {
+        return null;
+      }
+      switch (oCategories[sType]) {
+        case "Number":
+          return typeof vValue == "number" ? vValue : parseFloat(vValue);
+        case "DateTimeOffset":
+          if (vValue instanceof Date) {
+            return vValue;
+          }
+          return new Date(
+            sType === "Edm.DateTime" && !rOffset.test(vValue)
+              ? vValue + "Z"
+              : vValue
+          );
+        case "TimeOfDay":
+          return typeof vValue == "number" ? vValue : parseTimeOfDay(vValue);
+        case "Duration":
+          return typeof vValue == "number" ? vValue : parseDuration(vValue);
+        case "Guid":
+          return String(vValue).toLowerCase();
+        default:
+          return vValue;
+      }
+    },
+
+    /**
+     * Compare two normalized values which are not null.
+     * @param {any} vValue1 The first value
+     * @param {any} vValue2 The second value
+     * @return {Integer} -1, 0 or 1 if the first value is lower, equal or greater than the second one
+     */
+    compare: function (vValue1, vValue2) {
+      if (vValue1 instanceof Date) {
+        vValue1 = vValue1.getTime();
+      }
+      if (vValue2 instanceof Date) {
+        vValue2 = vValue2.getTime();
+      }
+      if (typeof vValue1 != typeof vValue2) {
+        // Only possible for properties without type information, compare them as text
+        vValue1 = String(vValue1);
+        vValue2 = String(vValue2);
+      }
+      if (vValue1 < vValue2) {
+        return -1;
+      }
+      return vValue1 > vValue2 ? 1 : 0;
+    },
+
+    /**
+     * Check whether two values are equal after normalizing them, i.e. a key value from the mock data and
+     * the value of a key predicate. Null is not equal to anything.
+     * @param {any} vValue1 The first value
+     * @param {any} vValue2 The second value
+     * @param {String=} sType The EDM type of both values
+     * @return {Boolean} True if the values are equal
+     */
+    isEqual: function (vValue1, vValue2, sType) {
+      vValue1 = this.normalize(vValue1, sType);
+      vValue2 = this.normalize(vValue2, sType);
+      return (
+        vValue1 !== null &&
+        vValue2 !== null &&
+        this.compare(vValue1, vValue2) === 0
+      );
+    },
+
+    /**
+     * Format a value from the mock data as literal, like it is used in key predicates.
+     * @param {any} vValue The value
+     * @param {String=} sType The EDM type of the value, if unknown strings are quoted and anything else is not
+     * @return {String} The literal, i.e. "'John Doe'", "42" or "duration'P1D'"
+     */
+    formatLiteral: function (vValue, sType) {
+      var sCategory = oCategories[sType];
+
+      if (vValue === null || vValue === undefined) {
+        return "null";
+      }
+      if (sCategory === "DateTimeOffset" && vValue instanceof Date) {
+        return vValue.toISOString();
+      }
+      if (sCategory === "Duration" || sCategory === "Binary") {
+        return sCategory.toLowerCase() + "'" + vValue + "'";
+      }
+      if (sCategory === "String" || (!sCategory && typeof vValue == "string")) {
+        return "'" + String(vValue).replace(/'/g, "''") + "'";
+      }
+      return String(vValue);
+    }
+  };
+});
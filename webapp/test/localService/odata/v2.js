@@ -0,0 +1,862 @@
+/**
+ * The OData V2 dialect of the mockserver, for services with odataVersion: "2.0" in their configuration.
+ *
+ * The mock data and the request handling stay the same for both versions: a V2 request is converted into
+ * the corresponding V4 request before it is handled, and the V4 response is converted back into V2.
+ * - MERGE becomes PATCH, also when it is tunneled with POST and X-HTTP-Method like the other methods
+ * - $inlinecount=allpages becomes $count=true, paths like manager/department in $expand and $select become
+ *   nested $expand and $select
+ * - the parameters of function imports in the query string move into the resource path, or into the body
+ *   of an import which is called with POST
+ * - payloads lose their __metadata, /Date(...)/ values become time stamps, nested links become @odata.bind
+ * - responses get the "d" envelope, collections their "results" with __count and __next, entities their
+ *   __metadata with uri, type and etag, and __deferred for the navigation properties which are not expanded
+ * - Edm.DateTime and Edm.DateTimeOffset values are sent as /Date(...)/, Edm.Int64 and Edm.Decimal as strings
+ * The converted response is found by the context URL of the V4 response, so that all handlers of the
+ * mockserver are available for V2 as they are. The literals and functions of V2 are understood by
+ * expression.js with the flag bV2.
+ */
+sap.ui.define(
+  [
+    "./errors",
+    "./metadata",
+    "./operations",
+    "./queryOptions",
+    "./resourcePath",
+    "./types"
+  ],
+  function (errors, metadata, operations, queryOptions, resourcePath, types) {
+    "use strict";
+
+    var rDate = /^\/Date\((-?\d+)(?:([+-])(\d+))?\)\/$/,
+      rOffset = /(?:Z|[+-]\d{2}:\d{2})$/i;
+
+    /**
+     * Get a header, ignoring the case of its name.
+     * @param {Object} oHeaders A map of header name to value
+     * @param {String} sName The name of the header
+     * @return {String|undefined} The name as it is used in the map, undefined if the header is not given
+     */
+    function findHeader(oHeaders, sName) {
+      return Object.keys(oHeaders).filter(function (sCandidate) {
+        return sCandidate.toLowerCase() === sName.toLowerCase();
+      })[0];
+    }
+
+    /**
+     * Format a value as literal of OData V2, like it is used in key predicates and in the URIs of entities.
+     * @param {any} vValue The value
+     * @param {String=} sType The EDM type of the value
+     * @return {String} The literal, i.e. "'John Doe'", "42L" or "datetime'2020-12-31T23:59:59'"
+     */
+    function formatLiteral(vValue, sType) {
+      if (vValue === null || vValue === undefined) {
+        return "null";
+      }
+      switch (sType) {
+        case "Edm.DateTime":
+          return (
+            "datetime'" +
+            types
+              .normalize(vValue, sType)
+              .toISOString()
+              .replace(/(?:\.000)?Z$/, "") +
+            "'"
+          );
+        case "Edm.DateTimeOffset":
+          return (
+            "datetimeoffset'" +
+            types.normalize(vValue, sType).toISOString() +
+            "'"
+          );
+        case "Edm.Guid":
+          return "guid'" + vValue + "'";
+        case "Edm.Time":
+          return "time'" + vValue + "'";
+        case "Edm.Int64":
+          return vValue + "L";
+        case "Edm.Decimal":
+          return vValue + "M";
+        default:
+          return types.formatLiteral(vValue, sType);
+      }
+    }
+
+    /**
+     * Build the tree of the $expand and $select paths of a V2 request. A $select path starting with expanded
+     * navigation properties belongs to the node of the last one.
+     * @param {String=} sExpand The value of $expand, i.e. "manager/department,directReports"
+     * @param {String=} sSelect The value of $select, i.e. "fullName,manager/fullName"
+     * @return {Object} The root node; each node has the aSelect items, undefined if there are none, and a map
+     *   oExpand of the expanded navigation properties to their nodes
+     */
+    function getShape(sExpand, sSelect) {
+      var oRoot = { aSelect: undefined, oExpand: {} };
+
+      (sExpand ? queryOptions.splitList(sExpand, ",") : []).forEach(function (
+        sPath
+      ) {
+        sPath.split("/").reduce(function (oNode, sName) {
+          oNode.oExpand[sName] = oNode.oExpand[sName] || {
+            aSelect: undefined,
+            oExpand: {}
+          };
+          return oNode.oExpand[sName];
+        }, oRoot);
+      });
+      (sSelect ? queryOptions.splitList(sSelect, ",") : []).forEach(function (
+        sPath
+      ) {
+        var aSegments = sPath.split("/"),
+          oNode = oRoot;
+
+        while (aSegments.length > 1 && oNode.oExpand[aSegments[0]]) {
+          oNode = oNode.oExpand[aSegments.shift()];
+        }
+        oNode.aSelect = (oNode.aSelect || []).concat([aSegments.join("/")]);
+      });
+
+      return oRoot;
+    }
+
+    /**
+     * Format the expanded navigation properties of a node as V4 $expand, with nested $select and $expand.
+     * @param {Object} oNode The node, see getShape
+     * @return {String} The value of $expand, empty if nothing is expanded
+     */
+    function formatExpand(oNode) {
+      return Object.keys(oNode.oExpand)
+        .map(function (sName) {
+          var oChild = oNode.oExpand[sName],
+            aOptions = [],
+            sExpand = formatExpand(oChild);
+
+          if (oChild.aSelect) {
+            aOptions.push("$select=" + oChild.aSelect.join(","));
+          }
+          if (sExpand) {
+            aOptions.push("$expand=" + sExpand);
+          }
+          return (
+            sName + (aOptions.length ? "(" + aOptions.join(";") + ")" : "")
+          );
+        })
+        .join(",");
+    }
+
+    /**
+     * Get the path of an entity URI relative to the service root, like it is used in @odata.bind.
+     * @param {String} sUri The URI, i.e. "http://localhost:8080/odata/v2/Sample.svc/Person('1')"
+     * @param {RegExp} rBaseUrl The regular expression which matches the service root
+     * @return {String} The relative path, i.e. "Person('1')"
+     */
+    function getRelativePath(sUri, rBaseUrl) {
+      var aMatches = rBaseUrl.exec(sUri);
+
+      return aMatches
+        ? sUri.slice(aMatches.index + aMatches[0].length).replace(/^\//, "")
+        : sUri;
+    }
+
+    /**
+     * Convert a value of a V2 payload into the form of the mock data.
+     * @param {any} vValue The value
+     * @param {Object=} oType The property with the sType and bCollection, undefined if unknown
+     * @param {Object=} oMetadata The parsed metadata
+     * @return {any} The converted value
+     */
+    function parseValue(vValue, oType, oMetadata) {
+      var oStructuredType =
+          oType &&
+          oMetadata &&
+          metadata.getStructuredType(oMetadata, oType.sType),
+        aMatches;
+
+      if (vValue === null || vValue === undefined || !oType) {
+        return vValue;
+      }
+      if (oType.bCollection && Array.isArray(vValue.results || vValue)) {
+        return (vValue.results || vValue).map(function (vItem) {
+          return parseValue(
+            vItem,
+            { sType: oType.sType, bCollection: false },
+            oMetadata
+          );
+        });
+      }
+      if (oStructuredType) {
+        return parseStructure(vValue, oStructuredType, oMetadata);
+      }
+      if (typeof vValue != "string") {
+        return vValue;
+      }
+      switch (types.getCategory(oType.sType)) {
+        case "Number":
+          // V2 sends Edm.Int64 and Edm.Decimal as strings, the mock data keeps numbers like for V4; other
+          // strings like "INF", or invalid ones, are left to the validation
+          return vValue.trim() !== "" && !isNaN(Number(vValue))
+            ? Number(vValue)
+            : vValue;
+        case "DateTimeOffset":
+          break;
+        default:
+          return vValue;
+      }
+      aMatches = rDate.exec(vValue);
+      if (aMatches) {
+        return new Date(parseInt(aMatches[1], 10)).toISOString();
+      }
+      return rOffset.test(vValue) ? vValue : vValue + "Z";
+    }
+
+    /**
+     * Convert a structured value of a V2 payload, i.e. an entity, into the form of the mock data. Nested
+     * entities which only have a __metadata with the uri are links to existing entities, they become
+     * @odata.bind annotations.
+     * @param {Object} oValue The structured value
+     * @param {Object} oType The entity type or complex type
+     * @param {Object} oMetadata The parsed metadata
+     * @param {RegExp} [rBaseUrl] The regular expression which matches the service root, for links
+     * @return {Object} The converted value
+     */
+    function parseStructure(oValue, oType, oMetadata, rBaseUrl) {
+      var oResult = {};
+
+      if (typeof oValue != "object" || Array.isArray(oValue)) {
+        return oValue;
+      }
+      Object.keys(oValue).forEach(function (sName) {
+        var vValue = oValue[sName],
+          oNavigationProperty =
+            oType.oNavigationProperties && oType.oNavigationProperties[sName],
+          oTargetType =
+            oNavigationProperty &&
+            metadata.getStructuredType(oMetadata, oNavigationProperty.sType),
+          aLinks = [],
+          aEntities = [];
+
+        if (sName === "__metadata") {
+          return;
+        }
+        if (!oNavigationProperty) {
+          oResult[sName] = parseValue(
+            vValue,
+            oType.oProperties[sName],
+            oMetadata
+          );
+          return;
+        }
+        if (vValue && vValue.__deferred) {
+          return;
+        }
+        if (vValue === null || !oTargetType) {
+          oResult[sName] = vValue;
+          return;
+        }
+        (Array.isArray(vValue.results || vValue)
+          ? vValue.results || vValue
+          : [vValue]
+        ).forEach(function (oItem) {
+          var aKeys =
+            oItem && typeof oItem == "object" ? Object.keys(oItem) : [];
+
+          if (
+            aKeys.length === 1 &&
+            aKeys[0] === "__metadata" &&
+            oItem.__metadata.uri
+          ) {
+            aLinks.push(getRelativePath(oItem.__metadata.uri, rBaseUrl));
+          } else {
+            aEntities.push(
+              parseStructure(oItem, oTargetType, oMetadata, rBaseUrl)
+            );
+          }
+        });
+        if (aLinks.length) {
+          oResult[sName + "@odata.bind"] = oNavigationProperty.bCollection
+            ? aLinks
+            : aLinks[0];
+        }
+        if (aEntities.length || !aLinks.length) {
+          oResult[sName] = oNavigationProperty.bCollection
+            ? aEntities
+            : aEntities[0];
+        }
+      });
+
+      return oResult;
+    }
+
+    /**
+     * Find what the resource path of a request addresses, following navigation properties.
+     * @param {String[]} aNames The names of the segments, i.e. ["Person", "manager", "fullName"]
+     * @param {Object} oMetadata The parsed metadata
+     * @return {Object} The oEntityType of the last entity, and the oProperty if a property of it is
+     *   addressed; both are undefined if unknown
+     */
+    function resolvePath(aNames, oMetadata) {
+      var oResult = {
+        oEntityType: metadata.getEntityType(oMetadata, aNames[0])
+      };
+
+      aNames.slice(1).forEach(function (sName) {
+        var oType = oResult.oProperty
+            ? metadata.getStructuredType(oMetadata, oResult.oProperty.sType)
+            : oResult.oEntityType,
+          oNavigationProperty =
+            !oResult.oProperty && oType && oType.oNavigationProperties[sName];
+
+        if (oNavigationProperty) {
+          oResult.oEntityType =
+            oMetadata.oEntityTypes[oNavigationProperty.sType];
+        } else {
+          oResult.oProperty = oType && oType.oProperties[sName];
+        }
+      });
+
+      return oResult;
+    }
+
+    /**
+     * Convert a value of the mock data for a V2 response.
+     * @param {any} vValue The value
+     * @param {Object=} oType The property with the sType and bCollection, undefined if unknown
+     * @param {Object=} oMetadata The parsed metadata
+     * @return {any} The converted value
+     */
+    function formatValue(vValue, oType, oMetadata) {
+      var oStructuredType =
+        oType &&
+        oMetadata &&
+        metadata.getStructuredType(oMetadata, oType.sType);
+
+      if (vValue === null || vValue === undefined || !oType) {
+        return vValue;
+      }
+      if (oType.bCollection && Array.isArray(vValue)) {
+        return vValue.map(function (vItem) {
+          return formatValue(
+            vItem,
+            { sType: oType.sType, bCollection: false },
+            oMetadata
+          );
+        });
+      }
+      if (oStructuredType) {
+        return formatStructure(vValue, oStructuredType, oMetadata);
+      }
+      switch (oType.sType) {
+        case "Edm.DateTime":
+          return (
+            "/Date(" + types.normalize(vValue, oType.sType).getTime() + ")/"
+          );
+        case "Edm.DateTimeOffset":
+          return (
+            "/Date(" +
+            types.normalize(vValue, oType.sType).getTime() +
+            "+0000)/"
+          );
+        case "Edm.Int64":
+        case "Edm.Decimal":
+          return String(vValue);
+        default:
+          return vValue;
+      }
+    }
+
+    /**
+     * Convert the value of a complex property for a V2 response.
+     * @param {Object} oValue The value
+     * @param {Object} oType The complex type
+     * @param {Object} oMetadata The parsed metadata
+     * @return {Object} The converted value, with the type in its __metadata
+     */
+    function formatStructure(oValue, oType, oMetadata) {
+      var oResult = { __metadata: { type: oType.sQualifiedName } };
+
+      Object.keys(oValue).forEach(function (sName) {
+        if (sName.indexOf("@") < 0) {
+          oResult[sName] = formatValue(
+            oValue[sName],
+            oType.oProperties[sName],
+            oMetadata
+          );
+        }
+      });
+      return oResult;
+    }
+
+    /**
+     * Convert an entity of a V4 response for a V2 response.
+     * @param {Object} oEntity The entity with its annotations and expanded navigation properties
+     * @param {String} sEntitySet The name of the entity set
+     * @param {Object} oShape The node of the entity in the $expand and $select tree, see getShape
+     * @param {Object} oService The service
+     * @return {Object} The entity with its __metadata and its deferred navigation properties
+     */
+    function formatEntity(oEntity, sEntitySet, oShape, oService) {
+      var oMetadata = oService.oMetadata,
+        oEntitySet = oMetadata && oMetadata.oEntitySets[sEntitySet],
+        oType = metadata.getEntityType(oMetadata, sEntitySet),
+        oResult = { __metadata: {} },
+        sUri;
+
+      if (
+        oType &&
+        oType.aKeys.every(function (sKey) {
+          return oEntity[sKey] !== undefined;
+        })
+      ) {
+        sUri =
+          oService.sBaseUrl +
+          sEntitySet +
+          resourcePath.formatKeyPredicate(
+            oEntity,
+            oType.aKeys.map(function (sKey) {
+              return { sName: sKey, sType: oType.oProperties[sKey].sType };
+            }),
+            formatLiteral
+          );
+        oResult.__metadata.id = sUri;
+        oResult.__metadata.uri = sUri;
+      }
+      if (oType) {
+        oResult.__metadata.type = oType.sQualifiedName;
+      }
+      if (oEntity["@odata.etag"]) {
+        oResult.__metadata.etag = oEntity["@odata.etag"];
+      }
+      Object.keys(oEntity).forEach(function (sName) {
+        var vValue = oEntity[sName],
+          oNavigationProperty = oType && oType.oNavigationProperties[sName],
+          sTarget =
+            oNavigationProperty &&
+            oEntitySet &&
+            oEntitySet.oNavigationPropertyBindings[sName],
+          oChild = oShape.oExpand[sName] || { aSelect: undefined, oExpand: {} };
+
+        if (sName.indexOf("@") >= 0) {
+          // i.e. @odata.etag or the @odata.count of an expanded collection
+          return;
+        }
+        if (!oNavigationProperty) {
+          oResult[sName] = formatValue(
+            vValue,
+            oType && oType.oProperties[sName],
+            oMetadata
+          );
+        } else if (Array.isArray(vValue)) {
+          oResult[sName] = {
+            results: vValue.map(function (oRelated) {
+              return formatEntity(oRelated, sTarget, oChild, oService);
+            })
+          };
+        } else {
+          oResult[sName] =
+            vValue && formatEntity(vValue, sTarget, oChild, oService);
+        }
+      });
+      if (oType && sUri) {
+        Object.keys(oType.oNavigationProperties).forEach(function (sName) {
+          if (
+            !oResult.hasOwnProperty(sName) &&
+            (!oShape.aSelect ||
+              oShape.aSelect.indexOf(sName) >= 0 ||
+              oShape.aSelect.indexOf("*") >= 0)
+          ) {
+            oResult[sName] = { __deferred: { uri: sUri + "/" + sName } };
+          }
+        });
+      }
+
+      return oResult;
+    }
+
+    /**
+     * Split the part of a context URL after the "#", i.e. "Person('1')/address/city" or
+     * "Person(fullName)/$entity", into the name at its beginning and the path after the parentheses.
+     * @param {String} sFragment The fragment of the context URL
+     * @return {Object} The sName and the sRest after the parentheses
+     */
+    function splitContext(sFragment) {
+      var iDepth = 0,
+        bInString = false,
+        i = sFragment.search(/[(/]|$/),
+        sName = sFragment.slice(0, i);
+
+      if (sFragment[i] === "(") {
+        for (; i < sFragment.length; i++) {
+          if (sFragment[i] === "'") {
+            bInString = !bInString;
+          } else if (!bInString && sFragment[i] === "(") {
+            iDepth += 1;
+          } else if (!bInString && sFragment[i] === ")") {
+            iDepth -= 1;
+            if (!iDepth) {
+              i += 1;
+              break;
+            }
+          }
+        }
+      }
+      return { sName: sName, sRest: sFragment.slice(i) };
+    }
+
+    /**
+     * Convert the JSON body of a V4 response for a V2 response, using its context URL.
+     * @param {Object} oData The body
+     * @param {Object} oRequest The V2 request
+     * @param {Object} oService The service
+     * @return {Object} The converted body
+     */
+    function formatBody(oData, oRequest, oService) {
+      var oMetadata = oService.oMetadata,
+        sFragment = oData["@odata.context"].split("#")[1] || "",
+        oContext = splitContext(sFragment),
+        oQueryOptions = getQueryOptions(oRequest.url),
+        oShape = getShape(oQueryOptions.$expand, oQueryOptions.$select),
+        sPath = resourcePath.getPath(oRequest.url, oService.rBaseUrl),
+        aCollection = /^Collection\((.*)\)$/.exec(sFragment),
+        oResult,
+        oTarget,
+        vValue;
+
+      if (oMetadata && oMetadata.oEntitySets[oContext.sName]) {
+        if (oContext.sRest === "/$entity") {
+          return { d: formatEntity(oData, oContext.sName, oShape, oService) };
+        }
+        if (oContext.sRest === "") {
+          oResult = {
+            results: oData.value.map(function (oEntity) {
+              return formatEntity(oEntity, oContext.sName, oShape, oService);
+            })
+          };
+          if (oData["@odata.count"] !== undefined) {
+            oResult.__count = String(oData["@odata.count"]);
+          }
+          if (oData["@odata.nextLink"]) {
+            oResult.__next = getNextLink(
+              oRequest.url,
+              oData["@odata.nextLink"]
+            );
+          }
+          return { d: oResult };
+        }
+        // A property, i.e. "Person('1')/address/city"
+        oTarget = resolvePath(
+          [oContext.sName].concat(oContext.sRest.split("/").slice(1)),
+          oMetadata
+        );
+      } else {
+        // The result of an operation, i.e. "Edm.Int32" or "Collection(Sample.svc.Address)"
+        oTarget = {
+          oProperty: {
+            sName: sPath.split(/[(/]/)[0],
+            sType: aCollection ? aCollection[1] : sFragment,
+            bCollection: !!aCollection
+          }
+        };
+      }
+      if (oData.hasOwnProperty("value")) {
+        vValue = oData.value;
+      } else {
+        vValue = Object.assign({}, oData);
+        delete vValue["@odata.context"];
+      }
+      vValue = formatValue(vValue, oTarget.oProperty, oMetadata);
+      if (oTarget.oProperty && oTarget.oProperty.bCollection) {
+        return { d: { results: vValue } };
+      }
+      oResult = {};
+      oResult[
+        oTarget.oProperty ? oTarget.oProperty.sName : sPath.split("/").pop()
+      ] = vValue;
+      return { d: oResult };
+    }
+
+    /**
+     * Build the V2 link to the following page from the V4 one, keeping the query options of the V2 request.
+     * @param {String} sUrl The URL of the V2 request
+     * @param {String} sNextLink The V4 next link, i.e. "Person?$count=true&$skiptoken=20"
+     * @return {String} The V2 next link, i.e. "/odata/v2/Sample.svc/Person?$inlinecount=allpages&$skiptoken=20"
+     */
+    function getNextLink(sUrl, sNextLink) {
+      var iQuery = sUrl.indexOf("?"),
+        aQuery = iQuery < 0 ? [] : sUrl.slice(iQuery + 1).split("&");
+
+      aQuery = aQuery.filter(function (sPair) {
+        return (
+          sPair && decodeURIComponent(sPair.split("=")[0]) !== "$skiptoken"
+        );
+      });
+      aQuery.push("$skiptoken=" + /[?&]\$skiptoken=([^&]*)/.exec(sNextLink)[1]);
+
+      return (
+        (iQuery < 0 ? sUrl : sUrl.slice(0, iQuery)) + "?" + aQuery.join("&")
+      );
+    }
+
+    /**
+     * Get the decoded query options of a URL.
+     * @param {String} sUrl The URL
+     * @return {Object} A map of query option name to value
+     */
+    function getQueryOptions(sUrl) {
+      var oQueryOptions = {};
+
+      getQueryPairs(sUrl).forEach(function (aPair) {
+        oQueryOptions[aPair[0]] = aPair[1];
+      });
+      return oQueryOptions;
+    }
+
+    /**
+     * Get the query options of a URL in their order.
+     * @param {String} sUrl The URL
+     * @return {Array[]} The decoded name, the decoded value and the raw text of each query option
+     */
+    function getQueryPairs(sUrl) {
+      var iIndex = sUrl.indexOf("?");
+
+      if (iIndex < 0) {
+        return [];
+      }
+      return sUrl
+        .slice(iIndex + 1)
+        .split("#")[0]
+        .split("&")
+        .filter(Boolean)
+        .map(function (sPair) {
+          var iSeparator = sPair.indexOf("=");
+
+          return iSeparator < 0
+            ? [decodeURIComponent(sPair), "", sPair]
+            : [
+                decodeURIComponent(sPair.slice(0, iSeparator)),
+                decodeURIComponent(sPair.slice(iSeparator + 1)),
+                sPair
+              ];
+        });
+    }
+
+    /**
+     * Convert the error of a V4 response for a V2 response, the details become the errordetails of the
+     * innererror.
+     * @param {Object} oError The error
+     * @return {Object} The converted error
+     */
+    function formatError(oError) {
+      var oResult = {
+        code: oError.code,
+        message: {
+          lang: "en-US",
+          value: oError.message
+        }
+      };
+
+      if (oError.target) {
+        oResult.target = oError.target;
+      }
+      if (oError.details) {
+        oResult.innererror = {
+          errordetails: oError.details.map(function (oDetail) {
+            return {
+              code: oDetail.code,
+              message: oDetail.message,
+              target: oDetail.target,
+              severity: "error"
+            };
+          })
+        };
+      }
+      return oResult;
+    }
+
+    return {
+      formatLiteral: formatLiteral,
+
+      /**
+       * Convert an entity of a V2 response, i.e. a recorded one, into the form of the mock data.
+       * @param {Object} oEntity The entity with its __metadata
+       * @param {String} sEntitySet The name of its entity set
+       * @param {Object} oService The service with its oMetadata and rBaseUrl
+       * @return {Object} The converted entity; links to other entities become @odata.bind annotations
+       */
+      parseEntity: function (oEntity, sEntitySet, oService) {
+        return parseStructure(
+          oEntity,
+          metadata.getEntityType(oService.oMetadata, sEntitySet),
+          oService.oMetadata,
+          oService.rBaseUrl
+        );
+      },
+
+      /**
+       * Convert a V2 request into the V4 request which the mockserver handles.
+       * @param {Object} oRequest The request, like a Sinon fake XMLHttpRequest with method, url,
+       *   requestHeaders and requestBody
+       * @param {Object} oService The service with its oMetadata, rBaseUrl and sBaseUrl
+       * @return {Object} The V4 request with method, url, requestHeaders and requestBody
+       * @throws {Error} A 400 error if the request cannot be converted, i.e. for an invalid $inlinecount
+       */
+      convertRequest: function (oRequest, oService) {
+        var oMetadata = oService.oMetadata,
+          oHeaders = Object.assign({}, oRequest.requestHeaders),
+          sMethodHeader = findHeader(oHeaders, "X-HTTP-Method"),
+          sMethod = oRequest.method,
+          iQuery = oRequest.url.indexOf("?"),
+          sResourceUrl =
+            iQuery < 0 ? oRequest.url : oRequest.url.slice(0, iQuery),
+          aNames = resourcePath
+            .parse(resourcePath.getPath(oRequest.url, oService.rBaseUrl))
+            .map(function (oSegment) {
+              return oSegment.sName;
+            }),
+          oImport =
+            oMetadata &&
+            aNames.length === 1 &&
+            sResourceUrl.slice(-1) !== ")" &&
+            oMetadata.oOperationImports[aNames[0]],
+          oOperation =
+            oImport && metadata.getOperation(oMetadata, oImport.sOperation),
+          aParameters = [],
+          aQuery = [],
+          sExpand,
+          sSelect,
+          sBody = oRequest.requestBody,
+          oTarget,
+          oData,
+          oValues;
+
+        if (sMethod === "POST" && sMethodHeader) {
+          sMethod = oHeaders[sMethodHeader].toUpperCase();
+        }
+        delete oHeaders[sMethodHeader];
+        if (sMethod === "MERGE") {
+          sMethod = "PATCH";
+        }
+
+        getQueryPairs(oRequest.url).forEach(function (aPair) {
+          switch (aPair[0]) {
+            case "$inlinecount":
+              if (aPair[1] === "allpages") {
+                aQuery.push("$count=true");
+              } else if (aPair[1] !== "none") {
+                throw errors.badRequest(
+                  "Invalid value for $inlinecount: '" +
+                    aPair[1] +
+                    "', use allpages or none"
+                );
+              }
+              break;
+            case "$expand":
+              sExpand = aPair[1];
+              break;
+            case "$select":
+              sSelect = aPair[1];
+              break;
+            default:
+              if (oOperation && aPair[0][0] !== "$") {
+                aParameters.push(aPair[0] + "=" + aPair[1]);
+              } else {
+                aQuery.push(aPair[2]);
+              }
+          }
+        });
+        if (sExpand || sSelect) {
+          oTarget = getShape(sExpand, sSelect);
+          if (oTarget.aSelect) {
+            aQuery.push(
+              "$select=" + encodeURIComponent(oTarget.aSelect.join(","))
+            );
+          }
+          if (sExpand) {
+            aQuery.push("$expand=" + encodeURIComponent(formatExpand(oTarget)));
+          }
+        }
+
+        if (oOperation && oOperation.bAction) {
+          // The parameters of an import called with POST are given in the URL, too
+          oValues = operations.parseFunctionParameters(
+            aParameters.join(","),
+            oOperation,
+            { oMetadata: oMetadata, bV2: true }
+          );
+          sBody = JSON.stringify(oValues);
+        } else if (oOperation) {
+          sResourceUrl += "(" + encodeURIComponent(aParameters.join(",")) + ")";
+        } else if (sBody && /^\s*\{/.test(sBody)) {
+          oTarget = oMetadata && resolvePath(aNames, oMetadata);
+          oData = JSON.parse(sBody);
+          if (!oTarget || !oTarget.oEntityType) {
+            delete oData.__metadata;
+          } else if (oTarget.oProperty) {
+            // i.e. {"fullName": "John"}, V4 expects {"value": "John"} for a primitive property
+            oData = parseValue(
+              oData[aNames[aNames.length - 1]],
+              oTarget.oProperty,
+              oMetadata
+            );
+            oData =
+              oData && typeof oData == "object" && !Array.isArray(oData)
+                ? oData
+                : { value: oData };
+          } else {
+            oData = parseStructure(
+              oData,
+              oTarget.oEntityType,
+              oMetadata,
+              oService.rBaseUrl
+            );
+          }
+          sBody = JSON.stringify(oData);
+        }
+
+        return {
+          method: sMethod,
+          url: sResourceUrl + (aQuery.length ? "?" + aQuery.join("&") : ""),
+          requestHeaders: oHeaders,
+          requestBody: sBody
+        };
+      },
+
+      /**
+       * Convert a V4 response of the mockserver into the V2 response. JSON bodies with a context URL or an
+       * error are converted, other bodies are kept.
+       * @param {Array} aResponse The response array with status, headers and body
+       * @param {Object} oRequest The V2 request, see convertRequest
+       * @param {Object} oService The service with its oMetadata, rBaseUrl and sBaseUrl
+       * @return {Array} The V2 response array
+       */
+      convertResponse: function (aResponse, oRequest, oService) {
+        var oHeaders = Object.assign({}, aResponse[1]),
+          sVersionHeader = findHeader(oHeaders, "OData-Version"),
+          sContentType = findHeader(oHeaders, "Content-Type"),
+          sBody = aResponse[2],
+          oData;
+
+        delete oHeaders[sVersionHeader];
+        oHeaders.DataServiceVersion = "2.0";
+        if (
+          !sContentType ||
+          !/^application\/json/.test(oHeaders[sContentType]) ||
+          !sBody
+        ) {
+          return [aResponse[0], oHeaders, sBody];
+        }
+        oHeaders[sContentType] = "application/json;charset=utf-8";
+        try {
+          oData = JSON.parse(sBody);
+        } catch (e) {
+          return [aResponse[0], oHeaders, sBody];
+        }
+        if (oData && oData.error) {
+          sBody = JSON.stringify({ error: formatError(oData.error) });
+        } else if (oData && oData["@odata.context"]) {
+          sBody = JSON.stringify(formatBody(oData, oRequest, oService));
+        }
+        return [aResponse[0], oHeaders, sBody];
+      }
+    };
+  }
+);
@@ -0,0 +1,371 @@
+/**
+ * Validation of values against the types declared in the metadata, like a real service does for payloads.
+ *
+ * A value is checked for its type, its nullability and the facets MaxLength, Precision and Scale. Structured
+ * values must not have unknown properties, but instance annotations like "manager@odata.bind" and
+ * navigation properties are left to the caller. All problems are collected, so that a client gets one
+ * message per property, each with the path of the property as its target. Key properties are never nullable,
+ * even without Nullable="false".
+ */
+sap.ui.define(["./errors", "./metadata", "./types"], function (
+  errors,
+  metadata,
+  types
+) {
+  "use strict";
+
+  var oIntegerRanges = {
+      "Edm.Byte": [0, 255],
+      "Edm.SByte": [-128, 127],
+      "Edm.Int16": [-32768, 32767],
+      "Edm.Int32": [-2147483648, 2147483647],
+      "Edm.Int64": [-9223372036854775808, 9223372036854775807]
+    },
+    aFloatingPointTypes = ["Edm.Double", "Edm.Single"],
+    aSpecialNumbers = ["INF", "-INF", "NaN"],
+    aStringNumberTypes = ["Edm.Int64", "Edm.Decimal"],
+    rDate = /^\d{4}-\d{2}-\d{2}$/,
+    rDateTimeOffset = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/i,
+    rDecimal = /^[-+]?(\d*)(?:\.(\d*))?(?:[eE][-+]?\d+)?$/,
+    rGuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  /**
+   * Check the digits of a number against the facets Precision and Scale.
+   * @param {Number|String} vValue The number, Edm.Decimal may be given as string
+   * @param {Object} oType The type with iPrecision and iScale, if given
+   * @return {String|undefined} The reason why the number does not match, undefined if it matches
+   */
+  function checkDigits(vValue, oType) {
+    var aMatches = rDecimal.exec(String(vValue)),
+      sIntegerDigits = aMatches ? aMatches[1].replace(/^0+/, "") : "",
+      sDecimals = aMatches ? (aMatches[2] || "").replace(/0+$/, "") : "";
+
+    if (!aMatches || /e/i.test(String(vValue))) {
+      // Exponents are too rare in mock payloads to count their digits
+      return undefined;
+    }
+    if (oType.iScale !== undefined && sDecimals.length > oType.iScale) {
+      return "must not have more than " + oType.iScale + " decimal places";
+    }
+    if (
+      oType.iPrecision !== undefined &&
+      sIntegerDigits.length + sDecimals.length > oType.iPrecision
+    ) {
+      return "must not have more than " + oType.iPrecision + " digits";
+    }
+    return undefined;
+  }
+
+  /**
+   * Check a primitive value.
+   * @param {any} vValue The value, not null
+   * @param {Object} oType The type with sType and the facets
+   * @return {String|undefined} The reason why the value does not match, undefined if it matches
+   */
+  function checkPrimitive(vValue, oType) {
+    var aRange = oIntegerRanges[oType.sType],
+      fNumber;
+
+    switch (types.getCategory(oType.sType)) {
+      case undefined:
+        // Enumerations and the like are not checked
+        return undefined;
+      case "Number":
+        if (typeof vValue == "string") {
+          // Edm.Int64 and Edm.Decimal may be sent as strings, and floating point numbers as INF, -INF and NaN
+          if (aFloatingPointTypes.indexOf(oType.sType) >= 0) {
+            return aSpecialNumbers.indexOf(vValue) >= 0
+              ? undefined
+              : "must be a number";
+          }
+          if (aStringNumberTypes.indexOf(oType.sType) < 0) {
+            return "must be a number, not a string";
+          }
+        }
+        fNumber = typeof vValue == "string" ? Number(vValue) : vValue;
+        if (typeof fNumber != "number" || vValue === "" || isNaN(fNumber)) {
+          return "must be a number";
+        }
+        if (
+          aRange &&
+          (Math.floor(fNumber) !== fNumber ||
+            fNumber < aRange[0] ||
+            fNumber > aRange[1])
+        ) {
+          return "must be an integer of type " + oType.sType;
+        }
+        return oType.sType === "Edm.Decimal"
+          ? checkDigits(vValue, oType)
+          : undefined;
+      case "Boolean":
+        return typeof vValue == "boolean" ? undefined : "must be a boolean";
+      default:
+        if (typeof vValue != "string") {
+          return "must be a string of type " + oType.sType;
+        }
+    }
+    switch (types.getCategory(oType.sType)) {
+      case "String":
+      case "Binary":
+        return oType.iMaxLength !== undefined &&
+          vValue.length > oType.iMaxLength
+          ? "must not be longer than " + oType.iMaxLength + " characters"
+          : undefined;
+      case "Date":
+        return rDate.test(vValue) && !isNaN(Date.parse(vValue))
+          ? undefined
+          : "must be a date like 2020-12-31";
+      case "DateTimeOffset":
+        return rDateTimeOffset.test(vValue) && !isNaN(Date.parse(vValue))
+          ? undefined
+          : "must be a time stamp like 2020-12-31T23:59:59Z";
+      case "TimeOfDay":
+        return isNaN(types.parseTimeOfDay(vValue))
+          ? "must be a time of day like 23:59:59"
+          : undefined;
+      case "Duration":
+        return isNaN(types.parseDuration(vValue))
+          ? "must be a duration like P1DT2H"
+          : undefined;
+      case "Guid":
+        return rGuid.test(vValue) ? undefined : "must be a GUID";
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Collect the problems of a value.
+   * @param {any} vValue The value, as it appears in a JSON payload
+   * @param {Object} oType The type, a property, parameter or return type with sType, bCollection, bNullable
+   *   and the facets
+   * @param {Object} oMetadata The parsed metadata
+   * @param {String} sTarget The path of the value, "" for the value itself
+   * @param {Boolean} bComplete Whether structured values must contain all non-nullable properties
+   * @param {Object[]} aProblems The problems so far, each with the sTarget and the sReason, extended
+   */
+  function collectProblems(
+    vValue,
+    oType,
+    oMetadata,
+    sTarget,
+    bComplete,
+    aProblems
+  ) {
+    var aItemProblems, oStructuredType, sReason, i;
+
+    // A problem of the item itself names the item, problems of its properties have their own target
+    function addItemProblem(oProblem) {
+      if (oProblem.sTarget === sTarget) {
+        oProblem.sReason = "item " + i + " " + oProblem.sReason;
+      }
+      aProblems.push(oProblem);
+    }
+
+    if (vValue === null || vValue === undefined) {
+      if (!oType.bNullable) {
+        aProblems.push({ sTarget: sTarget, sReason: "must not be null" });
+      }
+      return;
+    }
+    if (oType.bCollection) {
+      if (!Array.isArray(vValue)) {
+        aProblems.push({ sTarget: sTarget, sReason: "must be an array" });
+        return;
+      }
+      for (i = 0; i < vValue.length; i++) {
+        aItemProblems = [];
+        collectProblems(
+          vValue[i],
+          { sType: oType.sType, bNullable: true },
+          oMetadata,
+          sTarget,
+          bComplete,
+          aItemProblems
+        );
+        aItemProblems.forEach(addItemProblem);
+      }
+      return;
+    }
+    oStructuredType = metadata.getStructuredType(oMetadata, oType.sType);
+    if (oStructuredType) {
+      if (typeof vValue != "object" || Array.isArray(vValue)) {
+        aProblems.push({
+          sTarget: sTarget,
+          sReason: "must be an object of type " + oType.sType
+        });
+        return;
+      }
+      collectStructureProblems(
+        vValue,
+        oStructuredType,
+        oMetadata,
+        sTarget ? sTarget + "/" : "",
+        bComplete,
+        aProblems
+      );
+      return;
+    }
+    sReason = checkPrimitive(vValue, oType);
+    if (sReason) {
+      aProblems.push({ sTarget: sTarget, sReason: sReason });
+    }
+  }
+
+  /**
+   * Collect the problems of a structured value, an entity or a complex value.
+   * @param {Object} oValue The value
+   * @param {Object} oType The entity type or complex type
+   * @param {Object} oMetadata The parsed metadata
+   * @param {String} sPrefix The path of the value, with a trailing "/" unless it is ""
+   * @param {Boolean} bComplete Whether the value must contain all non-nullable properties
+   * @param {Object[]} aProblems The problems so far, extended
+   */
+  function collectStructureProblems(
+    oValue,
+    oType,
+    oMetadata,
+    sPrefix,
+    bComplete,
+    aProblems
+  ) {
+    var aKeys = oType.aKeys || [];
+
+    /**
+     * Get a property of the type, key properties as not nullable.
+     * @param {String} sName The property name
+     * @return {Object} The property
+     */
+    function getProperty(sName) {
+      return aKeys.indexOf(sName) >= 0
+        ? Object.assign({}, oType.oProperties[sName], { bNullable: false })
+        : oType.oProperties[sName];
+    }
+
+    Object.keys(oValue).forEach(function (sName) {
+      if (sName.indexOf("@") >= 0 || oType.oNavigationProperties[sName]) {
+        return;
+      }
+      if (!oType.oProperties[sName]) {
+        aProblems.push({
+          sTarget: sPrefix + sName,
+          sReason: "is not a property of " + oType.sQualifiedName
+        });
+        return;
+      }
+      collectProblems(
+        oValue[sName],
+        getProperty(sName),
+        oMetadata,
+        sPrefix + sName,
+        bComplete,
+        aProblems
+      );
+    });
+    if (bComplete) {
+      Object.keys(oType.oProperties).forEach(function (sName) {
+        if (!getProperty(sName).bNullable && !(sName in oValue)) {
+          aProblems.push({ sTarget: sPrefix + sName, sReason: "is required" });
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the message of a problem.
+   * @param {Object} oProblem The problem with sTarget and sReason
+   * @return {String} The message, i.e. "fullName must not be null"
+   */
+  function getMessage(oProblem) {
+    return oProblem.sTarget
+      ? oProblem.sTarget + " " + oProblem.sReason
+      : oProblem.sReason;
+  }
+
+  /**
+   * Throw an error for the problems, if there are any. The first problem is the message of the error, all
+   * others are its details.
+   * @param {Object[]} aProblems The problems
+   * @throws {Error} A 400 error with the sTarget and the aDetails, each with sMessage and sTarget
+   */
+  function throwProblems(aProblems) {
+    var aDetails = aProblems.map(function (oProblem) {
+      return {
+        sMessage: getMessage(oProblem),
+        sTarget: oProblem.sTarget
+      };
+    });
+
+    if (aDetails.length) {
+      throw errors.create(
+        400,
+        aDetails[0].sMessage,
+        aDetails[0].sTarget,
+        aDetails.slice(1)
+      );
+    }
+  }
+
+  return {
+    /**
+     * Check a value against a type.
+     * @param {any} vValue The value, as it appears in a JSON payload
+     * @param {Object} oType The type, a property, parameter or return type with sType, bCollection,
+     *   bNullable and the facets
+     * @param {Object} oMetadata The parsed metadata
+     * @return {String|undefined} The reason why the value does not match, undefined if it matches
+     */
+    checkValue: function (vValue, oType, oMetadata) {
+      var aProblems = [];
+
+      collectProblems(vValue, oType, oMetadata, "", false, aProblems);
+      return aProblems.length ? getMessage(aProblems[0]) : undefined;
+    },
+
+    /**
+     * Check the payload of a request which creates or changes an entity.
+     * @param {Object} oEntity The entity, or the changed properties of an entity
+     * @param {Object} oEntityType The entity type
+     * @param {Object} oMetadata The parsed metadata
+     * @param {Boolean} bComplete Whether the entity must contain all non-nullable properties, i.e. when
+     *   it is created
+     * @param {String} [sPrefix=""] The path of an entity nested in the payload, with a trailing "/", i.e.
+     *   "directReports('7')/"
+     * @throws {Error} A 400 error with a target and details if the payload does not match
+     */
+    checkEntity: function (
+      oEntity,
+      oEntityType,
+      oMetadata,
+      bComplete,
+      sPrefix
+    ) {
+      var aProblems = [];
+
+      collectStructureProblems(
+        oEntity,
+        oEntityType,
+        oMetadata,
+        sPrefix || "",
+        bComplete,
+        aProblems
+      );
+      throwProblems(aProblems);
+    },
+
+    /**
+     * Check the new value of a single property.
+     * @param {any} vValue The value
+     * @param {Object} oProperty The property
+     * @param {Object} oMetadata The parsed metadata
+     * @param {String} sPath The path of the property within the entity, i.e. "address/street"
+     * @throws {Error} A 400 error with a target and details if the value does not match
+     */
+    checkProperty: function (vValue, oProperty, oMetadata, sPath) {
+      var aProblems = [];
+
+      collectProblems(vValue, oProperty, oMetadata, sPath, false, aProblems);
+      throwProblems(aProblems);
+    }
+  };
+});
@@ -0,0 +1,766 @@
+/**
+ * A developer overlay for the mockserver, which shows what it is doing: every intercepted request with its
+ * response, timing and batch parts, the current mock data of each service with inline editing, and the
+ * controls for the delay and the scenarios of latency and fault injection.
+ *
+ * The overlay is toggled with Ctrl+Alt+Shift+M, or opened at once with the URL parameter ?mock-inspector=true.
+ * It reads the request log of the mockserver, see getRequests, and changes the mock data only with
+ * changeEntity, so that ETags, indexes and the persisted data are kept up to date.
+ */
+sap.ui.define(
+  [
+    "sap/m/Button",
+    "sap/m/Column",
+    "sap/m/ColumnListItem",
+    "sap/m/Dialog",
+    "sap/m/IconTabBar",
+    "sap/m/IconTabFilter",
+    "sap/m/Input",
+    "sap/m/Label",
+    "sap/m/List",
+    "sap/m/MessageToast",
+    "sap/m/MultiComboBox",
+    "sap/m/ObjectStatus",
+    "sap/m/Select",
+    "sap/m/StandardListItem",
+    "sap/m/StepInput",
+    "sap/m/Table",
+    "sap/m/Text",
+    "sap/m/TextArea",
+    "sap/m/Title",
+    "sap/m/Toolbar",
+    "sap/m/ToolbarSpacer",
+    "sap/m/VBox",
+    "sap/ui/core/Item",
+    "sap/ui/model/json/JSONModel",
+    "./localService/odata/types"
+  ],
+  function (
+    Button,
+    Column,
+    ColumnListItem,
+    Dialog,
+    IconTabBar,
+    IconTabFilter,
+    Input,
+    Label,
+    List,
+    MessageToast,
+    MultiComboBox,
+    ObjectStatus,
+    Select,
+    StandardListItem,
+    StepInput,
+    Table,
+    Text,
+    TextArea,
+    Title,
+    Toolbar,
+    ToolbarSpacer,
+    VBox,
+    Item,
+    JSONModel,
+    types
+  ) {
+    "use strict";
+
+    var oMockserver, // the mockserver given to install
+      oDialog, // the overlay, created when it is opened for the first time
+      oEntityTable, // the table of the selected entity set
+      oModel = new JSONModel({
+        aRequests: [],
+        oSelected: { sRequest: "", sResponse: "", aParts: [] },
+        aEntitySets: [],
+        sEntitySet: "",
+        aEntities: [],
+        iDelay: 0,
+        aScenarioNames: [],
+        aScenarios: [],
+        oRule: { sMethod: "", sEntitySet: "", iStatus: 500, sMessage: "" }
+      });
+
+    /**
+     * Format a body for display, JSON is indented.
+     * @param {string} sBody The body
+     * @returns {string} the formatted body
+     */
+    function formatBody(sBody) {
+      try {
+        return JSON.stringify(JSON.parse(sBody), null, 2);
+      } catch (e) {
+        return sBody || "";
+      }
+    }
+
+    /**
+     * Format a request or a response like in a $batch, with a first line, the headers and the body.
+     * @param {string} sFirstLine The request line or the status line
+     * @param {Object} oHeaders A map of header name to value
+     * @param {string} sBody The body
+     * @returns {string} the text
+     */
+    function formatMessage(sFirstLine, oHeaders, sBody) {
+      return (
+        [sFirstLine]
+          .concat(
+            Object.keys(oHeaders || {}).map(function (sName) {
+              return sName + ": " + oHeaders[sName];
+            })
+          )
+          .join("\n") +
+        "\n\n" +
+        formatBody(sBody)
+      );
+    }
+
+    /**
+     * Format a value of an entity for an input field.
+     * @param {any} vValue The value
+     * @returns {string} the text, JSON for structured values and "" for null
+     */
+    function formatValue(vValue) {
+      if (vValue === null || vValue === undefined) {
+        return "";
+      }
+      return typeof vValue == "object"
+        ? JSON.stringify(vValue)
+        : String(vValue);
+    }
+
+    /**
+     * Parse the text of an input field as the value of a property.
+     * @param {string} sText The text
+     * @param {Object} oProperty The property from the mockserver's getEntitySets
+     * @returns {any} the value
+     * @throws {Error} if the text is no valid value of the property
+     */
+    function parseValue(sText, oProperty) {
+      var fNumber;
+
+      if (sText === "") {
+        if (!oProperty.bNullable) {
+          throw new Error(oProperty.sName + " must not be empty");
+        }
+        return null;
+      }
+      if (oProperty.bCollection || /^[[{]/.test(sText) || !oProperty.sType) {
+        try {
+          return JSON.parse(sText);
+        } catch (e) {
+          if (oProperty.sType) {
+            throw new Error(oProperty.sName + " must be valid JSON");
+          }
+          // Without metadata, anything else is a string
+          return sText;
+        }
+      }
+      switch (types.getCategory(oProperty.sType)) {
+        case "Number":
+          fNumber = Number(sText);
+          if (isNaN(fNumber)) {
+            throw new Error(oProperty.sName + " must be a number");
+          }
+          return fNumber;
+        case "Boolean":
+          if (sText !== "true" && sText !== "false") {
+            throw new Error(oProperty.sName + " must be true or false");
+          }
+          return sText === "true";
+        default:
+          return sText;
+      }
+    }
+
+    /**
+     * Get the state of a response for display.
+     * @param {Object} oRequest The request from the mockserver's request log
+     * @returns {string} the value state
+     */
+    function getState(oRequest) {
+      if (oRequest.bDropped || oRequest.iStatus >= 500) {
+        return "Error";
+      }
+      return oRequest.iStatus >= 400 ? "Warning" : "Success";
+    }
+
+    /**
+     * Get the URL of a request for display, without the origin of the page.
+     * @param {string} sUrl The URL
+     * @returns {string} the shortened URL
+     */
+    function getDisplayUrl(sUrl) {
+      return sUrl.indexOf(window.location.origin) === 0
+        ? sUrl.slice(window.location.origin.length)
+        : sUrl;
+    }
+
+    /**
+     * Show the details of a request, or of a part of a $batch.
+     * @param {Object} oRequest The request from the mockserver's request log, or one of its aParts
+     */
+    function showDetails(oRequest) {
+      oModel.setProperty(
+        "/oSelected/sRequest",
+        formatMessage(
+          oRequest.sMethod + " " + getDisplayUrl(oRequest.sUrl),
+          oRequest.oRequestHeaders,
+          oRequest.sRequestBody
+        )
+      );
+      oModel.setProperty(
+        "/oSelected/sResponse",
+        formatMessage(
+          (oRequest.bDropped ? "dropped, would be " : "") + oRequest.iStatus,
+          oRequest.oHeaders,
+          oRequest.sBody
+        )
+      );
+    }
+
+    /**
+     * Select a request, so that its details and batch parts are shown.
+     * @param {Object} oRequest The request from the mockserver's request log
+     */
+    function selectRequest(oRequest) {
+      oModel.setProperty(
+        "/oSelected/aParts",
+        oRequest.aParts.length
+          ? [{ sTitle: "The whole $batch", oRequest: oRequest }].concat(
+              oRequest.aParts.map(function (oPart, i) {
+                return {
+                  sTitle:
+                    i +
+                    1 +
+                    ": " +
+                    oPart.sMethod +
+                    " " +
+                    getDisplayUrl(oPart.sUrl) +
+                    " " +
+                    oPart.iStatus,
+                  oRequest: oPart
+                };
+              })
+            )
+          : []
+      );
+      showDetails(oRequest);
+    }
+
+    /**
+     * Read the request log of the mockserver into the model, the latest request first.
+     */
+    function updateRequests() {
+      oModel.setProperty(
+        "/aRequests",
+        oMockserver
+          .getRequests()
+          .reverse()
+          .map(function (oRequest) {
+            var oStart = new Date(oRequest.iStart);
+
+            return {
+              sTime:
+                oStart.toTimeString().slice(0, 8) +
+                "." +
+                String(oStart.getMilliseconds()).padStart(3, "0"),
+              sMethod: oRequest.sMethod,
+              sUrl:
+                getDisplayUrl(oRequest.sUrl) +
+                (oRequest.aParts.length
+                  ? " (" + oRequest.aParts.length + " parts)"
+                  : ""),
+              sStatus: oRequest.bDropped ? "dropped" : String(oRequest.iStatus),
+              sState: getState(oRequest),
+              sTiming:
+                oRequest.iDurationMS +
+                " ms" +
+                (oRequest.iDelayMS
+                  ? " + " + oRequest.iDelayMS + " ms delay"
+                  : ""),
+              oRequest: oRequest
+            };
+          })
+      );
+    }
+
+    /**
+     * Get the selected entity set.
+     * @returns {Object|undefined} the entity set from the mockserver's getEntitySets
+     */
+    function getEntitySet() {
+      var sKey = oModel.getProperty("/sEntitySet");
+
+      return oMockserver.getEntitySets().filter(function (oEntitySet) {
+        return oEntitySet.sBaseUrl + oEntitySet.sEntitySet === sKey;
+      })[0];
+    }
+
+    /**
+     * Change a property of an entity, after it has been edited in the table.
+     * @param {Object} oEntitySet The entity set from the mockserver's getEntitySets
+     * @param {Object} oProperty The property
+     * @param {sap.ui.base.Event} oEvent The change event of the input field
+     */
+    function changeValue(oEntitySet, oProperty, oEvent) {
+      var oInput = oEvent.getSource(),
+        oEntity = oInput.getBindingContext().getObject(),
+        oKey = {},
+        oChanges = {};
+
+      oEntitySet.aKeyProperties.forEach(function (sName) {
+        oKey[sName] = oEntity[sName];
+      });
+      try {
+        oChanges[oProperty.sName] = parseValue(oInput.getValue(), oProperty);
+        oMockserver.changeEntity(
+          oEntitySet.sEntitySet,
+          oKey,
+          oChanges,
+          oEntitySet.sBaseUrl
+        );
+        oInput.setValueState("None");
+        MessageToast.show(
+          oProperty.sName + " of " + oEntitySet.sEntitySet + " changed"
+        );
+      } catch (e) {
+        oInput.setValueState("Error");
+        oInput.setValueStateText(e.message);
+      }
+    }
+
+    /**
+     * Show the entities of the selected entity set, with a column and an input field per property.
+     */
+    function showEntitySet() {
+      var oEntitySet = getEntitySet();
+
+      oEntityTable.destroyColumns();
+      oEntityTable.unbindItems();
+      if (!oEntitySet) {
+        oModel.setProperty("/aEntities", []);
+        return;
+      }
+      oModel.setProperty("/aEntities", oEntitySet.aEntities);
+      oEntitySet.aProperties.forEach(function (oProperty) {
+        oEntityTable.addColumn(
+          new Column({
+            header: new Text({
+              text:
+                oProperty.sName +
+                (oEntitySet.aKeyProperties.indexOf(oProperty.sName) >= 0
+                  ? " (key)"
+                  : "")
+            }),
+            minScreenWidth: "Tablet",
+            demandPopin: true
+          })
+        );
+      });
+      oEntityTable.bindItems({
+        path: "/aEntities",
+        factory: function () {
+          return new ColumnListItem({
+            cells: oEntitySet.aProperties.map(function (oProperty) {
+              return new Input({
+                value: { path: oProperty.sName, formatter: formatValue },
+                tooltip: oProperty.sType,
+                change: changeValue.bind(null, oEntitySet, oProperty)
+              });
+            })
+          });
+        }
+      });
+    }
+
+    /**
+     * Read the entity sets and the settings of the mockserver into the model.
+     */
+    function updateData() {
+      var aEntitySets = oMockserver.getEntitySets(),
+        sScenario = oMockserver.getScenario();
+
+      oModel.setProperty(
+        "/aEntitySets",
+        aEntitySets.map(function (oEntitySet) {
+          return {
+            sKey: oEntitySet.sBaseUrl + oEntitySet.sEntitySet,
+            sText:
+              oEntitySet.sEntitySet +
+              " (" +
+              getDisplayUrl(oEntitySet.sBaseUrl) +
+              ", " +
+              oEntitySet.aEntities.length +
+              ")"
+          };
+        })
+      );
+      if (!getEntitySet() && aEntitySets.length) {
+        oModel.setProperty(
+          "/sEntitySet",
+          aEntitySets[0].sBaseUrl + aEntitySets[0].sEntitySet
+        );
+        showEntitySet();
+      }
+      oModel.setProperty("/iDelay", oMockserver.getDelay());
+      oModel.setProperty(
+        "/aScenarioNames",
+        oMockserver.getScenarioNames().map(function (sName) {
+          return { sName: sName };
+        })
+      );
+      oModel.setProperty("/aScenarios", sScenario ? sScenario.split(",") : []);
+    }
+
+    /**
+     * Create the tab with the requests.
+     * @returns {sap.m.IconTabFilter} the tab
+     */
+    function createRequestsTab() {
+      return new IconTabFilter({
+        text: "Requests",
+        content: [
+          new Table({
+            mode: "SingleSelectMaster",
+            sticky: ["ColumnHeaders"],
+            headerToolbar: new Toolbar({
+              content: [
+                new Title({ text: "Latest requests, the latest first" }),
+                new ToolbarSpacer(),
+                new Button({
+                  text: "Clear",
+                  press: function () {
+                    oMockserver.clearRequests();
+                    oModel.setProperty("/oSelected", {
+                      sRequest: "",
+                      sResponse: "",
+                      aParts: []
+                    });
+                    updateRequests();
+                  }
+                })
+              ]
+            }),
+            columns: [
+              new Column({ width: "8rem", header: new Text({ text: "Time" }) }),
+              new Column({
+                width: "5rem",
+                header: new Text({ text: "Method" })
+              }),
+              new Column({ header: new Text({ text: "URL" }) }),
+              new Column({
+                width: "6rem",
+                header: new Text({ text: "Status" })
+              }),
+              new Column({
+                width: "12rem",
+                header: new Text({ text: "Timing" })
+              })
+            ],
+            items: {
+              path: "/aRequests",
+              template: new ColumnListItem({
+                cells: [
+                  new Text({ text: "{sTime}" }),
+                  new Text({ text: "{sMethod}" }),
+                  new Text({ text: "{sUrl}", wrapping: false }),
+                  new ObjectStatus({ text: "{sStatus}", state: "{sState}" }),
+                  new Text({ text: "{sTiming}" })
+                ]
+              })
+            },
+            selectionChange: function (oEvent) {
+              selectRequest(
+                oEvent.getParameter("listItem").getBindingContext().getObject()
+                  .oRequest
+              );
+            }
+          }),
+          new List({
+            mode: "SingleSelectMaster",
+            headerText: "Parts of the $batch",
+            visible: "{= ${/oSelected/aParts}.length > 0 }",
+            items: {
+              path: "/oSelected/aParts",
+              template: new StandardListItem({ title: "{sTitle}" })
+            },
+            selectionChange: function (oEvent) {
+              showDetails(
+                oEvent.getParameter("listItem").getBindingContext().getObject()
+                  .oRequest
+              );
+            }
+          }),
+          new Label({ text: "Request" }),
+          new TextArea({
+            value: "{/oSelected/sRequest}",
+            editable: false,
+            rows: 10,
+            width: "100%"
+          }),
+          new Label({ text: "Response" }),
+          new TextArea({
+            value: "{/oSelected/sResponse}",
+            editable: false,
+            rows: 16,
+            width: "100%"
+          })
+        ]
+      });
+    }
+
+    /**
+     * Create the tab with the mock data.
+     * @returns {sap.m.IconTabFilter} the tab
+     */
+    function createDataTab() {
+      oEntityTable = new Table({
+        growing: true,
+        growingThreshold: 50,
+        sticky: ["ColumnHeaders"],
+        headerToolbar: new Toolbar({
+          content: [
+            new Select({
+              selectedKey: "{/sEntitySet}",
+              items: {
+                path: "/aEntitySets",
+                template: new Item({ key: "{sKey}", text: "{sText}" })
+              },
+              change: function (oEvent) {
+                oModel.setProperty(
+                  "/sEntitySet",
+                  oEvent.getParameter("selectedItem").getKey()
+                );
+                showEntitySet();
+              }
+            }),
+            new ToolbarSpacer(),
+            new Button({
+              text: "Reset all data",
+              tooltip: "Back to the original mock data of all services",
+              press: function () {
+                oMockserver.reset();
+                updateData();
+                showEntitySet();
+              }
+            })
+          ]
+        })
+      });
+
+      return new IconTabFilter({ text: "Data", content: [oEntityTable] });
+    }
+
+    /**
+     * Create the tab with the settings for latency and fault injection.
+     * @returns {sap.m.IconTabFilter} the tab
+     */
+    function createSettingsTab() {
+      return new IconTabFilter({
+        text: "Latency and errors",
+        content: [
+          new VBox({
+            width: "30rem",
+            items: [
+              new Label({ text: "Delay of the responses in ms" }),
+              new StepInput({
+                value: "{/iDelay}",
+                min: 0,
+                max: 60000,
+                step: 100,
+                change: function (oEvent) {
+                  oMockserver.setDelay(oEvent.getParameter("value"));
+                }
+              }),
+              new Label({ text: "Active scenarios" }),
+              new MultiComboBox({
+                selectedKeys: "{/aScenarios}",
+                items: {
+                  path: "/aScenarioNames",
+                  template: new Item({ key: "{sName}", text: "{sName}" })
+                },
+                selectionFinish: function (oEvent) {
+                  oMockserver.setScenario(
+                    oEvent.getSource().getSelectedKeys().join(",")
+                  );
+                }
+              }),
+              new Title({ text: "Error rule", level: "H3" }),
+              new Label({ text: "Method" }),
+              new Select({
+                selectedKey: "{/oRule/sMethod}",
+                items: ["", "GET", "POST", "PATCH", "PUT", "DELETE"].map(
+                  function (sMethod) {
+                    return new Item({ key: sMethod, text: sMethod || "any" });
+                  }
+                ),
+                change: function (oEvent) {
+                  oModel.setProperty(
+                    "/oRule/sMethod",
+                    oEvent.getParameter("selectedItem").getKey()
+                  );
+                }
+              }),
+              new Label({ text: "Entity set" }),
+              new Input({
+                value: "{/oRule/sEntitySet}",
+                placeholder: "any, or i.e. Person or $batch",
+                change: function (oEvent) {
+                  oModel.setProperty(
+                    "/oRule/sEntitySet",
+                    oEvent.getParameter("value").trim()
+                  );
+                }
+              }),
+              new Label({ text: "Status" }),
+              new StepInput({
+                value: "{/oRule/iStatus}",
+                min: 400,
+                max: 599,
+                change: function (oEvent) {
+                  oModel.setProperty(
+                    "/oRule/iStatus",
+                    oEvent.getParameter("value")
+                  );
+                }
+              }),
+              new Label({ text: "Message" }),
+              new Input({
+                value: "{/oRule/sMessage}",
+                change: function (oEvent) {
+                  oModel.setProperty(
+                    "/oRule/sMessage",
+                    oEvent.getParameter("value")
+                  );
+                }
+              }),
+              new Toolbar({
+                content: [
+                  new Button({
+                    text: "Add rule",
+                    type: "Emphasized",
+                    press: function () {
+                      var oRule = oModel.getProperty("/oRule");
+
+                      oMockserver.addRule({
+                        sMethod: oRule.sMethod || undefined,
+                        sEntitySet: oRule.sEntitySet || undefined,
+                        iStatus: oRule.iStatus,
+                        sMessage: oRule.sMessage || undefined
+                      });
+                      MessageToast.show("Rule added");
+                    }
+                  }),
+                  new Button({
+                    text: "Remove added rules",
+                    tooltip: "Keeps the rules of the active scenarios",
+                    press: function () {
+                      oMockserver.setScenario(oMockserver.getScenario());
+                      MessageToast.show("Added rules removed");
+                    }
+                  })
+                ]
+              })
+            ]
+          }).addStyleClass("sapUiSmallMargin")
+        ]
+      });
+    }
+
+    /**
+     * Create the overlay.
+     * @returns {sap.m.Dialog} the dialog
+     */
+    function createDialog() {
+      var oResult = new Dialog({
+        title: "Mock Inspector",
+        contentWidth: "90%",
+        contentHeight: "80%",
+        resizable: true,
+        draggable: true,
+        content: [
+          new IconTabBar({
+            expandable: false,
+            items: [createRequestsTab(), createDataTab(), createSettingsTab()]
+          })
+        ],
+        endButton: new Button({
+          text: "Close",
+          press: function () {
+            oResult.close();
+          }
+        })
+      });
+
+      // The entities are changed only with changeEntity, never by the bindings
+      oModel.setDefaultBindingMode("OneWay");
+      // Enough for the request log, the entities are shown by a growing table
+      oModel.setSizeLimit(1000000);
+      oResult.setModel(oModel);
+
+      return oResult;
+    }
+
+    /**
+     * Open the overlay, showing the current state of the mockserver.
+     */
+    function open() {
+      if (!oDialog) {
+        oDialog = createDialog();
+      }
+      updateRequests();
+      updateData();
+      // The entities may have been changed in place meanwhile
+      oModel.refresh(true);
+      oDialog.open();
+    }
+
+    /**
+     * Update the overlay after the mockserver has handled a request, which may have changed the data.
+     */
+    function onRequest() {
+      if (oDialog && oDialog.isOpen()) {
+        updateRequests();
+        updateData();
+        oModel.refresh(true);
+      }
+    }
+
+    return {
+      /**
+       * Installs the overlay for a mockserver: Ctrl+Alt+Shift+M toggles it, and with the URL parameter
+       * ?mock-inspector=true it is opened at once.
+       * @param {Object} oMockserverToInspect The mockserver, already initialized
+       */
+      install: function (oMockserverToInspect) {
+        oMockserver = oMockserverToInspect;
+        oMockserver.attachRequest(onRequest);
+        document.addEventListener("keydown", function (oEvent) {
+          if (
+            oEvent.ctrlKey &&
+            oEvent.altKey &&
+            oEvent.shiftKey &&
+            oEvent.code === "KeyM"
+          ) {
+            oEvent.preventDefault();
+            if (oDialog && oDialog.isOpen()) {
+              oDialog.close();
+            } else {
+              open();
+            }
+          }
+        });
+        if (
+          new URLSearchParams(window.location.search).get("mock-inspector") ===
+          "true"
+        ) {
+          open();
+        }
+      },
+
+      /**
+       * Opens the overlay.
+       */
+      open: open
+    };
+  }
+);